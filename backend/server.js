@@ -3,9 +3,33 @@ const cors = require('cors');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const dotenv = require('dotenv');
 const { v4: uuidv4 } = require('uuid');
 const migrationService = require('./services/migration.service');
+const { SUPPORTED_DUMP_EXTENSIONS, detectDumpFormat } = require('./services/dumpArchive');
+const uploadService = require('./services/upload.service');
+const { createMigrationStore } = require('./services/migrationStore');
+const { createMigrationQueue } = require('./services/migrationQueue');
+const { normalizePgloaderOptions, normalizeTableFilters, normalizeSchemaOptions } = require('./services/pgloaderOptions');
+const { checkCompatibility } = require('./services/compatibilityCheck');
+const { normalizeVerificationOptions } = require('./services/verification');
+const { normalizeExportOptions, describeExportFormat } = require('./services/exportOptions');
+const { normalizePostgresTarget, describePostgresTarget, testPostgresTarget } = require('./services/postgresTarget');
+const { normalizeMysqlSource, describeMysqlSource, testMysqlSource, analyzeMysqlSource } = require('./services/mysqlSource');
+const {
+  createLocalUserProvider,
+  createAuthenticator,
+  createAuthMiddleware,
+  readAccessToken,
+  isAdmin,
+  canAccess
+} = require('./services/auth');
+const { redact } = require('./services/redaction');
+const { createFileKey, secureDelete } = require('./services/fileEncryption');
+const { checksumPath, readChecksum, sendOutputFile } = require('./services/outputDownload');
+const { createTokenSigner } = require('./services/signedTokens');
+const { normalizeShareLinkOptions, createShareLinkSigner, shareLinkRefusal } = require('./services/shareLinks');
 
 // Load .env from containers directory first
 const containersEnvPath = path.resolve(__dirname, '../containers/.env');
@@ -23,41 +47,91 @@ const app = express();
 const PORT = process.env.PORT || 3001;
 const UPLOAD_DIR = process.env.UPLOAD_DIR || './uploads';
 const LOGS_DIR = process.env.LOGS_DIR || './logs';
+const STATE_DIR = process.env.STATE_DIR || './data';
 const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 1073741824; // 1GB
 const CLEANUP_TTL_MS = parseInt(process.env.CLEANUP_TTL_MS, 10) || 30 * 60 * 1000; // 30 min
 const FAILED_CLEANUP_TTL_MS = parseInt(process.env.FAILED_CLEANUP_TTL_MS, 10) || 5 * 60 * 1000; // 5 min
+// Retention of an exported dump: removed after DOWNLOAD_MAX_COUNT complete downloads (0: no limit)
+// or DOWNLOAD_TTL_MS after the migration completed, whichever comes first
+const DOWNLOAD_MAX_COUNT = Number.isSafeInteger(parseInt(process.env.DOWNLOAD_MAX_COUNT, 10))
+  ? Math.max(0, parseInt(process.env.DOWNLOAD_MAX_COUNT, 10))
+  : 3;
+const DOWNLOAD_TTL_MS = parseInt(process.env.DOWNLOAD_TTL_MS, 10) || CLEANUP_TTL_MS;
+const DOWNLOAD_TICKET_TTL_MS = 10 * 60 * 1000; // 10 min, long enough to resume a download
+// Key of the share link signatures; a random one makes links die with the process
+const SHARE_LINK_SECRET = process.env.SHARE_LINK_SECRET || crypto.randomBytes(32).toString('hex');
+// Public URL of this backend in share links (default: the host the request came to)
+const SHARE_LINK_BASE_URL = (process.env.SHARE_LINK_BASE_URL || '').replace(/\/+$/, '');
+const UPLOAD_CHUNK_SIZE = parseInt(process.env.UPLOAD_CHUNK_SIZE, 10) || 8 * 1024 * 1024; // 8MB
+const UPLOAD_SESSION_TTL_MS = parseInt(process.env.UPLOAD_SESSION_TTL_MS, 10) || 60 * 60 * 1000; // 1h
+const PROGRESS_SAVE_INTERVAL_MS = parseInt(process.env.PROGRESS_SAVE_INTERVAL_MS, 10) || 5000;
+const MAX_CONCURRENT_MIGRATIONS = parseInt(process.env.MAX_CONCURRENT_MIGRATIONS, 10) || 2;
+const ESTIMATED_MIGRATION_MS = parseInt(process.env.ESTIMATED_MIGRATION_MS, 10) || 10 * 60 * 1000; // 10 min, until real runs are measured
 const CONTAINERS_DIR = path.resolve(__dirname, '../containers');
+const AUTH_USERS_FILE = process.env.AUTH_USERS_FILE || './users.json';
+const AUTH_SESSION_TTL_MS = parseInt(process.env.AUTH_SESSION_TTL_MS, 10) || 12 * 60 * 60 * 1000; // 12h
+const AUTH_DISABLED = process.env.AUTH_DISABLED === 'true';
+// Uploaded dumps and exported output encrypted on disk, with per-migration keys held in memory
+const ENCRYPT_AT_REST = process.env.ENCRYPT_AT_REST === 'true';
+// Browser origins allowed to call the API (the Vite dev server by default)
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || 'http://localhost:5173')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
 
 // Middleware
 app.use(cors({
-  origin: '*',
-  methods: ['GET', 'POST', 'OPTIONS'],
-  credentials: true
+  origin: CORS_ORIGINS,
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Upload-Offset'],
+  exposedHeaders: ['Content-Disposition', 'Content-Range', 'X-Checksum-SHA256']
 }));
 app.use(express.json({ limit: '1gb' }));
 app.use(express.urlencoded({ limit: '1gb', extended: true }));
 app.use(express.static('public'));
 
+// Every API route but the health check, sign-in and shared downloads needs a user (see services/auth.js)
+const userProvider = createLocalUserProvider(AUTH_USERS_FILE);
+const authenticator = createAuthenticator({ providers: [userProvider], sessionTtlMs: AUTH_SESSION_TTL_MS });
+
+if (AUTH_DISABLED) {
+  console.warn('[auth] AUTH_DISABLED=true: every caller is an administrator, do not expose this backend');
+} else if (!userProvider.exists()) {
+  console.warn(`[auth] No user list at ${AUTH_USERS_FILE}: every API call will be refused (set AUTH_USERS_FILE)`);
+}
+
+// Plain download links cannot send the Authorization header: they carry a ticket
+// instead (POST /api/download/:migrationId/ticket), signed with a per-process secret,
+// or the token of a share link
+const downloadTickets = createTokenSigner(crypto.randomBytes(32));
+const DOWNLOAD_PATH_RE = /^\/download\/[^/]+(\/checksum)?$/;
+const isSignedDownload = req => (
+  ['GET', 'HEAD'].includes(req.method)
+  && DOWNLOAD_PATH_RE.test(req.path)
+  && (typeof req.query.ticket === 'string' || typeof req.query.share === 'string')
+);
+
+app.use('/api', createAuthMiddleware(authenticator, {
+  publicPaths: ['/health', '/auth/login'],
+  // Checked by the download routes themselves (see resolveDownload)
+  isPublicRequest: isSignedDownload,
+  // The log stream is read by EventSource
+  queryTokenPaths: [/^\/migrate\/[^/]+\/logs$/],
+  disabled: AUTH_DISABLED
+}));
+
+const shareLinkSigner = createShareLinkSigner(SHARE_LINK_SECRET);
+
 // Ensure upload and logs directories exist
 if (!fs.existsSync(UPLOAD_DIR)) fs.mkdirSync(UPLOAD_DIR, { recursive: true });
 if (!fs.existsSync(LOGS_DIR)) fs.mkdirSync(LOGS_DIR, { recursive: true });
 
 // Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, UPLOAD_DIR);
-  },
-  filename: (req, file, cb) => {
-    const ext = path.extname(file.originalname);
-    const name = path.basename(file.originalname, ext);
-    cb(null, `${name}-${Date.now()}${ext}`);
-  }
-});
+const storage = uploadService.createDumpStorage({ directory: UPLOAD_DIR, encrypt: ENCRYPT_AT_REST });
 
 const fileFilter = (req, file, cb) => {
-  const ext = path.extname(file.originalname).toLowerCase();
-  if (ext !== '.sql') {
-    return cb(new Error('Only .sql files are allowed'), false);
+  if (!detectDumpFormat(file.originalname)) {
+    return cb(new Error(`Only ${SUPPORTED_DUMP_EXTENSIONS.join(', ')} files are allowed`), false);
   }
   cb(null, true);
 };
@@ -68,20 +142,40 @@ const upload = multer({
   limits: { fileSize: MAX_FILE_SIZE }
 });
 
-// In-memory store for migration sessions
+// Live migration sessions (SSE clients, timers), mirrored to a durable store on disk
 const migrations = new Map();
+const migrationStore = createMigrationStore(STATE_DIR);
 
-const safeRemove = (targetPath, label) => {
-  if (!targetPath) return;
-  if (!fs.existsSync(targetPath)) return;
+const saveMigration = (migration) => {
   try {
-    fs.rmSync(targetPath, { recursive: true, force: true });
-    console.log(`[cleanup] Removed ${label}: ${targetPath}`);
+    migrationStore.save(migration);
   } catch (err) {
-    console.warn(`[cleanup] Failed to remove ${label}: ${targetPath}`, err.message);
+    console.warn(`[store] Failed to persist migration ${migration.id}`, err.message);
   }
 };
 
+/**
+ * Progress ticks come every few seconds: they are written at most once per
+ * PROGRESS_SAVE_INTERVAL_MS (status transitions are saved right away)
+ */
+const saveProgressLater = (migration) => {
+  if (migration.progressSaveTimer) return;
+  migration.progressSaveTimer = setTimeout(() => {
+    migration.progressSaveTimer = null;
+    // Not for a session cleaned up in the meantime
+    if (migrations.has(migration.id)) saveMigration(migration);
+  }, PROGRESS_SAVE_INTERVAL_MS);
+};
+
+// Files are overwritten before removal (see secureDelete), in the background
+const safeRemove = (targetPath, label) => {
+  if (!targetPath) return;
+  if (!fs.existsSync(targetPath)) return;
+  secureDelete(targetPath)
+    .then(() => console.log(`[cleanup] Removed ${label}: ${targetPath}`))
+    .catch(err => console.warn(`[cleanup] Failed to remove ${label}: ${targetPath}`, err.message));
+};
+
 const cleanupMigrationFiles = (migration, options = {}) => {
   const { keepOutputFile = true } = options;
   if (!migration) return;
@@ -94,47 +188,73 @@ const cleanupMigrationFiles = (migration, options = {}) => {
   safeRemove(migration.uploadedFile, 'uploaded SQL file');
   safeRemove(migration.logPath, 'migration log');
 
-  if (!keepOutputFile) {
+  if (!keepOutputFile && migration.outputFile) {
     safeRemove(migration.outputFile, 'postgres dump');
+    safeRemove(checksumPath(migration.outputFile), 'dump checksum');
     migration.outputFile = null;
   }
 
   migrations.delete(migration.id);
+  migrationStore.remove(migration.id);
 };
 
 const scheduleMigrationCleanup = (migration, options = {}) => {
   if (!migration || migration.cleanupTimer) return;
   const { keepOutputFile = true, delayMs = CLEANUP_TTL_MS } = options;
 
+  // Persisted so the TTL keeps running across backend restarts
+  migration.expiresAt = Date.now() + delayMs;
+  migration.cleanupKeepsOutput = keepOutputFile;
+  saveMigration(migration);
+
   migration.cleanupTimer = setTimeout(() => {
+    migration.cleanupTimer = null;
+    // A dump expiring while it is being downloaded goes when the transfer ends
+    if (migration.activeDownloads > 0) {
+      migration.cleanupPending = true;
+      return;
+    }
     cleanupMigrationFiles(migration, { keepOutputFile });
   }, delayMs);
 };
 
-const broadcastStatus = (migration, statusData) => {
-  migration.clients?.forEach(client => {
-    try {
-      client.res.write(`data: ${JSON.stringify({ type: 'status', data: statusData })}\n\n`);
-    } catch {}
-  });
-};
+const downloadLimitReached = migration => (
+  DOWNLOAD_MAX_COUNT > 0 && (migration.downloadCount || 0) >= DOWNLOAD_MAX_COUNT
+);
 
 /**
- * POST /api/upload
- * Upload a MySQL dump file
+ * Retention state of the exported dump, sent to clients
  */
-app.post('/api/upload', upload.single('file'), (req, res) => {
-  if (!req.file) {
-    return res.status(400).json({ error: 'No file provided' });
-  }
+const describeDownload = (migration) => {
+  if (!migration.outputFile) return null;
+  return {
+    checksum: readChecksum(migration.outputFile),
+    count: migration.downloadCount || 0,
+    maxCount: DOWNLOAD_MAX_COUNT || null,
+    expiresAt: migration.expiresAt ? new Date(migration.expiresAt) : null
+  };
+};
+
+// Encryption key of a new session: the upload's own, or a new one for live sources
+const encryptionFields = (fileKey = null) => {
+  if (!ENCRYPT_AT_REST) return {};
+  return { encrypted: true, fileKey: fileKey || createFileKey() };
+};
 
+const registerUploadedDump = ({ fileName, filePath, fileSize, compression, fileKey }, owner) => {
   const migrationId = uuidv4();
+  const { encrypted, fileKey: key } = encryptionFields(fileKey);
   const migrations_data = {
     id: migrationId,
-    fileName: req.file.originalname,
-    uploadedFile: req.file.path,
+    owner,
+    fileName,
+    uploadedFile: filePath,
+    compression,
+    encrypted: Boolean(encrypted),
+    // Never persisted (see TRANSIENT_FIELDS)
+    ...(key ? { secrets: { fileKey: key } } : {}),
     uploadedAt: new Date(),
-    status: 'ready', // ready, running, completed, failed
+    status: 'ready', // ready, queued, running, completed, failed, cancelled
     progress: 0,
     logPath: path.join(LOGS_DIR, `${migrationId}.log`),
     outputFile: null,
@@ -142,72 +262,147 @@ app.post('/api/upload', upload.single('file'), (req, res) => {
   };
 
   migrations.set(migrationId, migrations_data);
+  saveMigration(migrations_data);
 
-  res.json({
+  return {
     success: true,
     migrationId,
-    fileName: req.file.originalname,
-    fileSize: req.file.size
-  });
-});
+    fileName,
+    fileSize
+  };
+};
 
 /**
- * POST /api/migrate/:migrationId
- * Start migration process
+ * Session reading a live MySQL server instead of an uploaded dump
  */
-app.post('/api/migrate/:migrationId', async (req, res) => {
-  const { migrationId } = req.params;
-  const migration = migrations.get(migrationId);
+const registerLiveSource = (source, owner) => {
+  const migrationId = uuidv4();
+  const { encrypted, fileKey } = encryptionFields();
+  const migration = {
+    id: migrationId,
+    owner,
+    fileName: `${source.user}@${source.host}:${source.port}/${source.database}`,
+    source: describeMysqlSource(source),
+    encrypted: Boolean(encrypted),
+    // Never persisted (see TRANSIENT_FIELDS)
+    secrets: { sourcePassword: source.password, ...(fileKey ? { fileKey } : {}) },
+    uploadedFile: null,
+    compression: null,
+    uploadedAt: new Date(),
+    status: 'ready',
+    progress: 0,
+    logPath: path.join(LOGS_DIR, `${migrationId}.log`),
+    outputFile: null,
+    error: null
+  };
 
-  if (!migration) return res.status(404).json({ error: 'Migration not found' });
-  if (migration.status === 'running') return res.status(409).json({ error: 'Migration already running' });
+  migrations.set(migrationId, migration);
+  saveMigration(migration);
+  return migration;
+};
 
-  // Pré-validation immédiate => si invalide, le front verra l’erreur
-  try {
-    const { dbName, warnings } = await migrationService.preValidateSqlDump(migration.uploadedFile);
-    migration.dbName = dbName;
-    migration.warnings = warnings;
-  } catch (err) {
-    migration.status = 'failed';
-    migration.error = err?.message || 'Invalid SQL dump';
-    cleanupMigrationFiles(migration, { keepOutputFile: false });
-    return res.status(400).json({ error: migration.error });
+/**
+ * Migration of the route's :migrationId, if the caller may access it. Other
+ * users' migrations answer 404 like unknown ones, so that ids cannot be probed.
+ */
+const findMigration = (req) => {
+  const migration = migrations.get(req.params.migrationId);
+  return migration && canAccess(req.user, migration) ? migration : null;
+};
+
+const findUploadSession = (req) => {
+  const session = uploadService.getUploadSession(req.params.uploadId);
+  return session && canAccess(req.user, session) ? session : null;
+};
+
+// Credentials held by a session, masked in every error it reports
+const sessionSecrets = migration => Object.values(migration?.secrets || {});
+
+const sendUploadError = (res, err) => {
+  if (err instanceof uploadService.UploadError) {
+    return res.status(err.status).json({ error: err.message, ...err.details });
   }
+  console.error(err);
+  return res.status(500).json({ error: err.message || 'Upload failed' });
+};
+
+// Upload sessions do not survive a restart: their partial files are dropped
+const orphanedParts = uploadService.sweepOrphanedParts(UPLOAD_DIR);
+if (orphanedParts > 0) console.log(`[cleanup] Removed ${orphanedParts} partial upload(s) left by a previous run`);
+uploadService.startUploadSessionSweeper(UPLOAD_SESSION_TTL_MS);
 
+const broadcastStatus = (migration, statusData) => {
+  migration.clients?.forEach(client => {
+    try {
+      client.res.write(`data: ${JSON.stringify({ type: 'status', data: statusData })}\n\n`);
+    } catch {}
+  });
+};
+
+// Reports streamed by the pipeline, kept on the session for late clients
+const SESSION_REPORTS = ['tableStats', 'reconciliation', 'checksums', 'objectTranslation'];
+
+/**
+ * Run a dequeued migration and record its outcome
+ */
+const runMigration = (migration) => {
   migration.status = 'running';
   migration.progress = 0;
+  migration.startedAt = new Date();
+  migration.abortController = new AbortController();
   if (!migration.clients) migration.clients = [];
+  saveMigration(migration);
+  broadcastStatus(migration, { status: migration.status, progress: migration.progress });
 
-  migrationService.startMigration(migration, (logEntry) => {
+  const { signal } = migration.abortController;
+
+  return migrationService.startMigration(migration, (logEntry) => {
     if (logEntry?.type === 'status' && logEntry?.data) {
+      const statusChanged = Boolean(logEntry.data.status) && logEntry.data.status !== migration.status;
       if (typeof logEntry.data.progress === 'number') {
         migration.progress = logEntry.data.progress;
       }
       if (logEntry.data.status) {
         migration.status = logEntry.data.status;
       }
+      // Throughput / ETA of the running step (absent between steps)
+      migration.metrics = logEntry.data.metrics || null;
+      if (statusChanged) saveMigration(migration);
+      else saveProgressLater(migration);
+    } else if (SESSION_REPORTS.includes(logEntry?.type)) {
+      migration[logEntry.type] = logEntry.data;
+      saveMigration(migration);
     }
     migration.clients?.forEach(client => {
       try { client.res.write(`data: ${JSON.stringify(logEntry)}\n\n`); } catch {}
     });
-  })
+  }, { signal })
   .then(result => {
     migration.status = 'completed';
     migration.progress = 100;
+    migration.metrics = null;
     migration.outputFile = result.outputFile;
 
+    scheduleMigrationCleanup(migration, { keepOutputFile: false, delayMs: DOWNLOAD_TTL_MS });
+
     const statusData = {
       status: migration.status,
       progress: migration.progress,
-      outputFile: migration.outputFile ? path.basename(migration.outputFile) : null
+      outputFile: migration.outputFile ? path.basename(migration.outputFile) : null,
+      download: describeDownload(migration)
     };
 
     broadcastStatus(migration, statusData);
-    scheduleMigrationCleanup(migration, { keepOutputFile: false, delayMs: CLEANUP_TTL_MS });
   })
   .catch(error => {
-    migration.status = 'failed';
-    migration.error = error.message;
+    if (signal.aborted) {
+      migration.status = 'cancelled';
+      migration.error = null;
+    } else {
+      migration.status = 'failed';
+      migration.error = redact(error.message, sessionSecrets(migration));
+    }
+    migration.metrics = null;
 
     const statusData = {
       status: migration.status,
@@ -217,23 +412,483 @@ app.post('/api/migrate/:migrationId', async (req, res) => {
 
     broadcastStatus(migration, statusData);
     scheduleMigrationCleanup(migration, { keepOutputFile: false, delayMs: FAILED_CLEANUP_TTL_MS });
+  })
+  .finally(() => {
+    migration.abortController = null;
+    clearTimeout(migration.progressSaveTimer);
+    migration.progressSaveTimer = null;
   });
+};
+
+// Queue status sent to clients while a migration waits for a free slot
+const queueStatus = (migration) => {
+  if (migration.status !== 'queued') return { status: migration.status };
+  return {
+    status: 'queued',
+    progress: 0,
+    queuePosition: migrationQueue.position(migration.id),
+    estimatedWaitMs: migrationQueue.estimatedWaitMs(migration.id)
+  };
+};
+
+const migrationQueue = createMigrationQueue({
+  maxConcurrent: MAX_CONCURRENT_MIGRATIONS,
+  defaultDurationMs: ESTIMATED_MIGRATION_MS,
+  run: runMigration,
+  onChange: () => {
+    migrationQueue.pendingMigrations().forEach(m => broadcastStatus(m, queueStatus(m)));
+  }
+});
+
+/**
+ * POST /api/auth/login
+ * Sign in with a local user: { username, password } => { token, user, expiresAt }.
+ * The token goes in `Authorization: Bearer <token>` (or `?access_token=` for SSE).
+ */
+app.post('/api/auth/login', async (req, res) => {
+  const { username, password } = req.body || {};
+  if (typeof username !== 'string' || typeof password !== 'string' || username === '') {
+    return res.status(400).json({ error: 'username and password are required' });
+  }
+
+  try {
+    const session = await authenticator.login(username, password);
+    if (!session) return res.status(401).json({ error: 'Invalid username or password' });
+    return res.json(session);
+  } catch (err) {
+    // e.g. an unreadable passwordHash in the user list
+    console.error(`[auth] Sign-in failed for ${username}: ${redact(err.message, [password])}`);
+    return res.status(500).json({ error: 'Sign-in failed' });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * End the session of the token used for this call (API tokens stay valid)
+ */
+app.post('/api/auth/logout', (req, res) => {
+  authenticator.logout(readAccessToken(req));
+  res.json({ success: true });
+});
+
+/**
+ * GET /api/auth/me
+ * User behind the token
+ */
+app.get('/api/auth/me', (req, res) => {
+  res.json({ user: req.user });
+});
+
+/**
+ * GET /api/migrations
+ * Migrations of the caller, or of every user for an administrator
+ */
+app.get('/api/migrations', (req, res) => {
+  const visible = [...migrations.values()]
+    .filter(migration => canAccess(req.user, migration))
+    .sort((a, b) => new Date(b.uploadedAt) - new Date(a.uploadedAt))
+    .map(migration => ({
+      id: migration.id,
+      owner: migration.owner || null,
+      fileName: migration.fileName,
+      status: migration.status,
+      progress: migration.progress,
+      error: migration.error,
+      uploadedAt: migration.uploadedAt,
+      outputFile: migration.outputFile ? path.basename(migration.outputFile) : null
+    }));
+
+  res.json({ all: isAdmin(req.user), migrations: visible });
+});
+
+/**
+ * POST /api/upload
+ * Upload a MySQL dump file (plain .sql or compressed)
+ */
+app.post('/api/upload', upload.single('file'), (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file provided' });
+  }
+
+  res.json(registerUploadedDump({
+    fileName: req.file.originalname,
+    filePath: req.file.path,
+    fileSize: req.file.size,
+    compression: detectDumpFormat(req.file.originalname).compression,
+    fileKey: req.file.fileKey
+  }, req.user.username));
+});
+
+/**
+ * POST /api/uploads
+ * Create a resumable upload session: { fileName, fileSize } => { uploadId, offset, chunkSize }
+ */
+app.post('/api/uploads', (req, res) => {
+  const { fileName, fileSize } = req.body || {};
+  if (!fileName) return res.status(400).json({ error: 'fileName is required' });
+
+  try {
+    const session = uploadService.createUploadSession({
+      fileName,
+      fileSize,
+      uploadDir: UPLOAD_DIR,
+      maxFileSize: MAX_FILE_SIZE,
+      chunkSize: UPLOAD_CHUNK_SIZE,
+      owner: req.user.username,
+      encrypt: ENCRYPT_AT_REST
+    });
+    res.status(201).json(uploadService.describeSession(session));
+  } catch (err) {
+    sendUploadError(res, err);
+  }
+});
+
+/**
+ * GET /api/uploads/:uploadId
+ * Number of bytes already stored by the server (resume point)
+ */
+app.get('/api/uploads/:uploadId', (req, res) => {
+  const session = findUploadSession(req);
+  if (!session) return res.status(404).json({ error: 'Upload session not found' });
+
+  res.json(uploadService.describeSession(session));
+});
+
+/**
+ * PUT /api/uploads/:uploadId
+ * Append a raw chunk. The `Upload-Offset` header must equal the current server offset.
+ */
+app.put('/api/uploads/:uploadId', async (req, res) => {
+  const session = findUploadSession(req);
+  if (!session) return res.status(404).json({ error: 'Upload session not found' });
+
+  const offset = Number(req.get('Upload-Offset'));
+  if (!Number.isSafeInteger(offset) || offset < 0) {
+    return res.status(400).json({ error: 'Missing or invalid Upload-Offset header' });
+  }
+  if (Number(req.get('Content-Length')) > session.chunkSize) {
+    return res.status(413).json({ error: 'Chunk too large', chunkSize: session.chunkSize });
+  }
+
+  try {
+    const newOffset = await uploadService.appendChunk(session, offset, req);
+    res.json({ uploadId: session.id, offset: newOffset });
+  } catch (err) {
+    if (req.destroyed) return;
+    sendUploadError(res, err);
+  }
+});
+
+/**
+ * POST /api/uploads/:uploadId/complete
+ * Finalize a fully received upload into a migration session
+ */
+app.post('/api/uploads/:uploadId/complete', (req, res) => {
+  const session = findUploadSession(req);
+  if (!session) return res.status(404).json({ error: 'Upload session not found' });
+
+  try {
+    res.json(registerUploadedDump(uploadService.finalizeUploadSession(session, UPLOAD_DIR), session.owner));
+  } catch (err) {
+    sendUploadError(res, err);
+  }
+});
+
+/**
+ * DELETE /api/uploads/:uploadId
+ * Abort an upload session and drop the received bytes
+ */
+app.delete('/api/uploads/:uploadId', (req, res) => {
+  const session = findUploadSession(req);
+  if (!session) return res.status(404).json({ error: 'Upload session not found' });
+
+  uploadService.removeUploadSession(session);
+  res.json({ success: true });
+});
+
+// In-flight dump validations, so concurrent requests share a single pass over the file
+const dumpAnalyses = new Map();
+
+/**
+ * Validate and analyse the uploaded dump in one pass; the result (database name,
+ * warnings, staging header and schema analysis) is cached on the migration.
+ * A live source is analysed from its server's schema.
+ */
+async function getDumpAnalysis(migration) {
+  if (migration.analysis) return migration.analysis;
+  if (migration.source) return getLiveSourceAnalysis(migration);
+
+  if (!migration.uploadedFile || !fs.existsSync(migration.uploadedFile)) {
+    const err = new Error('Dump file is no longer available');
+    err.status = 409;
+    throw err;
+  }
+  if (migration.encrypted && !migration.secrets?.fileKey) {
+    const err = new Error('Encryption key of the dump lost in a backend restart, upload the file again');
+    err.status = 409;
+    throw err;
+  }
+
+  if (!dumpAnalyses.has(migration.id)) {
+    const validation = migrationService.preValidateSqlDump(migration.uploadedFile, {
+      compression: migration.compression,
+      key: migration.secrets?.fileKey,
+      analyze: true
+    });
+    dumpAnalyses.set(migration.id, validation.finally(() => dumpAnalyses.delete(migration.id)));
+  }
+
+  const { dbName, warnings, header, analysis } = await dumpAnalyses.get(migration.id);
+  migration.dbName = dbName;
+  migration.warnings = warnings;
+  migration.dumpHeader = header;
+  migration.analysis = analysis;
+  if (migrations.has(migration.id)) saveMigration(migration);
+  return analysis;
+}
+
+async function getLiveSourceAnalysis(migration) {
+  if (!migration.secrets) {
+    const err = new Error('Source credentials are no longer available, connect to the server again');
+    err.status = 409;
+    throw err;
+  }
+
+  if (!dumpAnalyses.has(migration.id)) {
+    const source = { ...migration.source, password: migration.secrets.sourcePassword };
+    dumpAnalyses.set(migration.id, analyzeMysqlSource(source).finally(() => dumpAnalyses.delete(migration.id)));
+  }
+
+  const analysis = await dumpAnalyses.get(migration.id);
+  migration.dbName = migration.source.database;
+  migration.warnings = [];
+  migration.analysis = analysis;
+  if (migrations.has(migration.id)) saveMigration(migration);
+  return analysis;
+}
+
+function sendAnalysisError(res, err, migration) {
+  const message = redact(err.message, sessionSecrets(migration));
+  if (err.status) return res.status(err.status).json({ error: message });
+  return res.status(400).json({ error: `Unable to analyse dump: ${message}` });
+}
+
+/**
+ * POST /api/migrate/:migrationId
+ * Start migration process
+ * Body (optional): { pgloader: { workers, concurrency, rowsPerRange, mode, castRules,
+ *                               postgresParameters, mysqlParameters },
+ *                   tables: { include, exclude, includePatterns, excludePatterns },
+ *                   verification: { rowCountTolerance, onRowCountMismatch, checksums,
+ *                                   checksumSampleRate, onChecksumMismatch },
+ *                   export: { format: plain|custom|tar|gzip, content: full|schema-only|data-only,
+ *                             owner },
+ *                   schema: { name, identifierCase: downcase|quote, tableRenames, searchPath },
+ *                   target: { host, port, database, user, password, sslMode, includeDrop } }
+ * With `target`, pgloader loads into that PostgreSQL server and no dump is exported;
+ * existing tables there are only dropped with `includeDrop`, reported in `warnings`.
+ */
+app.post('/api/migrate/:migrationId', async (req, res) => {
+  const { migrationId } = req.params;
+  const migration = findMigration(req);
+
+  if (!migration) return res.status(404).json({ error: 'Migration not found' });
+  // A session runs once: a finished run has consumed its upload and armed its cleanup
+  if (migration.status !== 'ready') {
+    return res.status(409).json({ error: `Migration already ${migration.status}` });
+  }
+
+  // Pré-validation immédiate (déjà faite si l’analyse a été demandée) => si invalide, le front verra l’erreur
+  try {
+    await getDumpAnalysis(migration);
+  } catch (err) {
+    migration.status = 'failed';
+    migration.error = redact(err?.message || 'Invalid SQL dump', sessionSecrets(migration));
+    cleanupMigrationFiles(migration, { keepOutputFile: false });
+    return res.status(400).json({ error: migration.error });
+  }
+
+  let options;
+  let target;
+  try {
+    target = normalizePostgresTarget(req.body?.target);
+    options = {
+      pgloader: normalizePgloaderOptions(req.body?.pgloader),
+      tables: normalizeTableFilters(req.body?.tables, migration.analysis.tables.map(table => table.name)),
+      verification: normalizeVerificationOptions(req.body?.verification),
+      export: normalizeExportOptions(req.body?.export),
+      schema: normalizeSchemaOptions(
+        req.body?.schema,
+        migration.analysis.tables.map(table => table.name),
+        migration.dbName || process.env.DATABASE_NAME || process.env.MYSQL_DATABASE
+      ),
+      target: describePostgresTarget(target)
+    };
+  } catch (err) {
+    // 422: the session stays usable, only the options have to be fixed
+    return res.status(422).json({ error: err.message });
+  }
+
+  // The server holds data of its own: dropping tables there has to be a visible choice
+  const warnings = target?.includeDrop
+    ? [`Existing tables of ${target.database} named like the migrated ones will be dropped (includeDrop)`]
+    : [];
+
+  migration.options = options;
+  // Never persisted (see TRANSIENT_FIELDS)
+  migration.secrets = { ...migration.secrets, targetPassword: target?.password ?? '' };
+  SESSION_REPORTS.forEach(type => { migration[type] = null; });
+  migration.status = 'queued';
+  migration.progress = 0;
+  migration.queuedAt = new Date();
+  if (!migration.clients) migration.clients = [];
+  saveMigration(migration);
+  migrationQueue.enqueue(migration);
 
   return res.status(200).json({
     success: true,
     migrationId,
-    message: 'Migration started'
+    message: migration.status === 'queued' ? 'Migration queued' : 'Migration started',
+    warnings,
+    ...queueStatus(migration)
+  });
+});
+
+/**
+ * POST /api/sources/mysql
+ * Open a migration session on a live MySQL server (instead of uploading a dump),
+ * after a connection test
+ * Body: { host, port, database, user, password, sslMode }
+ */
+app.post('/api/sources/mysql', async (req, res) => {
+  let source;
+  try {
+    source = normalizeMysqlSource(req.body);
+  } catch (err) {
+    return res.status(422).json({ error: err.message });
+  }
+
+  let result;
+  try {
+    result = await testMysqlSource(source);
+  } catch (err) {
+    return res.status(502).json({ error: redact(err.message, [source.password]) });
+  }
+
+  const migration = registerLiveSource(source, req.user.username);
+  return res.json({
+    success: true,
+    migrationId: migration.id,
+    fileName: migration.fileName,
+    ...result
   });
 });
 
+/**
+ * POST /api/target/test
+ * Check an external PostgreSQL target before starting a migration
+ * Body: { host, port, database, user, password, sslMode }
+ */
+app.post('/api/target/test', async (req, res) => {
+  let target;
+  try {
+    target = normalizePostgresTarget(req.body || {});
+  } catch (err) {
+    return res.status(422).json({ error: err.message });
+  }
+
+  try {
+    const result = await testPostgresTarget(target);
+    return res.json({ success: true, ...result });
+  } catch (err) {
+    return res.status(502).json({ error: redact(err.message, [target.password]) });
+  }
+});
+
+/**
+ * Schema overview of the uploaded dump
+ */
+app.get('/api/migrate/:migrationId/analysis', async (req, res) => {
+  const { migrationId } = req.params;
+  const migration = findMigration(req);
+
+  if (!migration) return res.status(404).json({ error: 'Migration not found' });
+
+  try {
+    const analysis = await getDumpAnalysis(migration);
+    return res.json({ migrationId, ...analysis });
+  } catch (err) {
+    return sendAnalysisError(res, err, migration);
+  }
+});
+
+/**
+ * MySQL => PostgreSQL compatibility findings for the uploaded dump
+ */
+app.get('/api/migrate/:migrationId/compatibility', async (req, res) => {
+  const { migrationId } = req.params;
+  const migration = findMigration(req);
+
+  if (!migration) return res.status(404).json({ error: 'Migration not found' });
+
+  try {
+    const analysis = await getDumpAnalysis(migration);
+    return res.json({ migrationId, ...checkCompatibility(analysis) });
+  } catch (err) {
+    return sendAnalysisError(res, err, migration);
+  }
+});
+
+/**
+ * Tables found in the uploaded dump
+ */
+app.get('/api/migrate/:migrationId/tables', async (req, res) => {
+  const { migrationId } = req.params;
+  const migration = findMigration(req);
+
+  if (!migration) return res.status(404).json({ error: 'Migration not found' });
+
+  try {
+    const analysis = await getDumpAnalysis(migration);
+    return res.json({ migrationId, tables: analysis.tables.map(table => table.name) });
+  } catch (err) {
+    return sendAnalysisError(res, err, migration);
+  }
+});
+
+/**
+ * POST /api/migrate/:migrationId/cancel
+ * Cancel a queued or running migration.
+ * A running one answers 202: children are killed and Docker is cleaned up before
+ * the `cancelled` status is broadcast over SSE.
+ */
+app.post('/api/migrate/:migrationId/cancel', (req, res) => {
+  const { migrationId } = req.params;
+  const migration = findMigration(req);
+
+  if (!migration) return res.status(404).json({ error: 'Migration not found' });
+
+  if (migration.status === 'queued' && migrationQueue.remove(migrationId)) {
+    migration.status = 'cancelled';
+    broadcastStatus(migration, { status: migration.status, progress: migration.progress });
+    scheduleMigrationCleanup(migration, { keepOutputFile: false, delayMs: FAILED_CLEANUP_TTL_MS });
+    return res.json({ success: true, migrationId, status: migration.status });
+  }
+
+  if (migration.status === 'running' && migration.abortController) {
+    migration.abortController.abort();
+    return res.status(202).json({ success: true, migrationId, status: 'cancelling' });
+  }
+
+  return res.status(409).json({ error: `Migration cannot be cancelled (status: ${migration.status})` });
+});
 
 /**
  * GET /api/migrate/:migrationId/logs
  * Stream migration logs using Server-Sent Events
  */
 app.get('/api/migrate/:migrationId/logs', (req, res) => {
-  const { migrationId } = req.params;
-  const migration = migrations.get(migrationId);
+  const migration = findMigration(req);
 
   if (!migration) {
     return res.status(404).json({ error: 'Migration not found' });
@@ -242,7 +897,6 @@ app.get('/api/migrate/:migrationId/logs', (req, res) => {
   res.setHeader('Content-Type', 'text/event-stream');
   res.setHeader('Cache-Control', 'no-cache');
   res.setHeader('Connection', 'keep-alive');
-  res.setHeader('Access-Control-Allow-Origin', '*');
 
   // Initialize clients array if needed
   if (!migration.clients) {
@@ -258,10 +912,18 @@ app.get('/api/migrate/:migrationId/logs', (req, res) => {
     type: 'status', 
     data: { 
       status: migration.status, 
-      progress: migration.progress 
+      progress: migration.progress,
+      metrics: migration.metrics || null,
+      outputFile: migration.outputFile ? path.basename(migration.outputFile) : null,
+      download: describeDownload(migration),
+      ...queueStatus(migration)
     } 
   })}\n\n`);
 
+  SESSION_REPORTS.filter(type => migration[type]).forEach((type) => {
+    res.write(`data: ${JSON.stringify({ type, data: migration[type] })}\n\n`);
+  });
+
   // Read existing logs from file and send them
   if (fs.existsSync(migration.logPath)) {
     const logs = fs.readFileSync(migration.logPath, 'utf8').split('\n').filter(l => l.trim());
@@ -291,8 +953,7 @@ app.get('/api/migrate/:migrationId/logs', (req, res) => {
  * Get migration status
  */
 app.get('/api/migrate/:migrationId/status', (req, res) => {
-  const { migrationId } = req.params;
-  const migration = migrations.get(migrationId);
+  const migration = findMigration(req);
 
   if (!migration) {
     return res.status(404).json({ error: 'Migration not found' });
@@ -303,17 +964,72 @@ app.get('/api/migrate/:migrationId/status', (req, res) => {
     status: migration.status,
     progress: migration.progress,
     error: migration.error,
-    outputFile: migration.outputFile ? path.basename(migration.outputFile) : null
+    outputFile: migration.outputFile ? path.basename(migration.outputFile) : null,
+    download: describeDownload(migration),
+    metrics: migration.metrics || null,
+    tableStats: migration.tableStats || null,
+    reconciliation: migration.reconciliation || null,
+    checksums: migration.checksums || null,
+    objectTranslation: migration.objectTranslation || null,
+    target: migration.options?.target || null,
+    ...queueStatus(migration)
   });
 });
 
+/**
+ * Migration (and share link) a download is for: the caller's own migration,
+ * or the one a signed `?ticket=` or `?share=` token was issued for, without a session
+ */
+const resolveDownload = (req) => {
+  if (typeof req.query.ticket === 'string') {
+    const claims = downloadTickets.verify(req.query.ticket);
+    if (!claims || claims.m !== req.params.migrationId) {
+      return { status: 403, error: 'Invalid or expired download ticket' };
+    }
+    return { migration: migrations.get(claims.m) };
+  }
+  if (typeof req.query.share !== 'string') return { migration: findMigration(req) };
+
+  const claims = shareLinkSigner.verify(req.query.share);
+  if (!claims || claims.migrationId !== req.params.migrationId) {
+    return { status: 403, error: 'Invalid or expired share link' };
+  }
+  const migration = migrations.get(claims.migrationId);
+  const link = migration?.shareLinks?.find(candidate => candidate.id === claims.linkId);
+  const refusal = shareLinkRefusal(link);
+  if (refusal) return { status: 403, error: refusal };
+  return { migration, link };
+};
+
+// Downloads in progress per share link id (never persisted): reserved before
+// the transfer starts, so that concurrent requests cannot exceed maxUses
+const shareLinkDownloads = new Map();
+
+const releaseShareLinkUse = (link) => {
+  const left = (shareLinkDownloads.get(link.id) || 0) - 1;
+  if (left > 0) shareLinkDownloads.set(link.id, left);
+  else shareLinkDownloads.delete(link.id);
+};
+
+const describeShareLink = link => ({
+  ...link,
+  active: !shareLinkRefusal(link)
+});
+
 /**
  * GET /api/download/:migrationId
- * Download the generated PostgreSQL dump
+ * Download the generated PostgreSQL dump (Range requests resume a transfer).
+ * The dump is kept until DOWNLOAD_MAX_COUNT complete downloads or its expiry.
+ * Authorized by the access token, by `?ticket=` (see the ticket route) or by
+ * `?share=`, a signed share link token accepted without a session.
  */
-app.get('/api/download/:migrationId', (req, res) => {
+app.get('/api/download/:migrationId', async (req, res, next) => {
   const { migrationId } = req.params;
-  const migration = migrations.get(migrationId);
+  const { migration, link, status, error } = resolveDownload(req);
+
+  if (error) {
+    return res.status(status).json({ error });
+  }
 
   if (!migration) {
     return res.status(404).json({ error: 'Migration not found' });
@@ -323,41 +1039,151 @@ app.get('/api/download/:migrationId', (req, res) => {
     return res.status(404).json({ error: 'Output file not found' });
   }
 
-  if (migration.cleanupTimer) {
-    clearTimeout(migration.cleanupTimer);
-    migration.cleanupTimer = null;
+  if (downloadLimitReached(migration) || migration.cleanupPending) {
+    return res.status(410).json({ error: 'Download limit reached or dump expired' });
   }
 
-  const fileName = `postgres_dump_${migrationId}.sql`;
-  let cleaned = false;
-  const cleanupArtifacts = () => {
-    if (cleaned) return;
-    cleaned = true;
+  const key = migration.secrets?.fileKey || null;
+  if (migration.encrypted && !key) {
+    return res.status(409).json({ error: 'Encryption key of the output lost in a backend restart' });
+  }
 
-    const dumpDir = path.join(CONTAINERS_DIR, 'sql-dump', migrationId);
-    const loadFile = path.join(CONTAINERS_DIR, 'migration', `load-${migrationId}.load`);
-    const outputFile = migration.outputFile;
+  // The extension and content type follow the export format chosen for the migration
+  const { contentType, compressed } = describeExportFormat(migration.options?.export?.format);
+  const outputFile = migration.outputFile;
 
-    safeRemove(dumpDir, 'sql-dump directory');
-    safeRemove(loadFile, 'pgloader config');
-    safeRemove(outputFile, 'postgres dump');
-    migration.outputFile = null;
+  // No await since the checks above: the reservation cannot race another request
+  if (link) {
+    const inFlight = shareLinkDownloads.get(link.id) || 0;
+    const refusal = shareLinkRefusal(link, { inFlight });
+    if (refusal) return res.status(403).json({ error: refusal });
+    shareLinkDownloads.set(link.id, inFlight + 1);
+  }
+
+  migration.activeDownloads = (migration.activeDownloads || 0) + 1;
+  let delivered = false;
+  try {
+    delivered = await sendOutputFile(req, res, {
+      filePath: outputFile,
+      fileName: path.basename(outputFile),
+      contentType,
+      key,
+      compressed
+    });
+  } catch (err) {
+    if (!res.headersSent) next(err);
+    else res.destroy(err);
+  } finally {
+    migration.activeDownloads -= 1;
+    // Turned into a use below if the transfer succeeded
+    if (link) releaseShareLinkUse(link);
+  }
 
+  if (delivered) {
+    migration.downloadCount = (migration.downloadCount || 0) + 1;
+    if (link) link.uses += 1;
+    console.log(`[download] ${migrationId} downloaded ${migration.downloadCount} time(s)${link ? ` (share link ${link.id})` : ''}`);
+    if (migrations.has(migrationId)) saveMigration(migration);
+  }
+
+  if (migration.activeDownloads > 0) return;
+  if (downloadLimitReached(migration) || migration.cleanupPending) {
+    safeRemove(path.join(CONTAINERS_DIR, 'sql-dump', migrationId), 'sql-dump directory');
+    safeRemove(path.join(CONTAINERS_DIR, 'migration', `load-${migrationId}.load`), 'pgloader config');
     cleanupMigrationFiles(migration, { keepOutputFile: false });
-  };
+  }
+});
 
-  const handleCleanup = () => {
-    if (!res.writableEnded) {
-      console.warn(`[cleanup] Download for ${migrationId} did not finish, skipping cleanup`);
-      return;
-    }
-    cleanupArtifacts();
-  };
+/**
+ * POST /api/download/:migrationId/share
+ * Issue a signed download link: { expiresInMs, maxUses } => { url, id, expiresAt, maxUses... }
+ * The link never outlives the dump itself.
+ */
+app.post('/api/download/:migrationId/share', (req, res) => {
+  const migration = findMigration(req);
+  if (!migration?.outputFile || !fs.existsSync(migration.outputFile)) {
+    return res.status(404).json({ error: 'Output file not found' });
+  }
+  if (downloadLimitReached(migration) || migration.cleanupPending) {
+    return res.status(410).json({ error: 'Download limit reached or dump expired' });
+  }
 
-  res.on('finish', handleCleanup);
-  res.on('close', handleCleanup);
+  let options;
+  try {
+    const maxTtlMs = migration.expiresAt ? migration.expiresAt - Date.now() : undefined;
+    options = normalizeShareLinkOptions(req.body, { maxTtlMs });
+  } catch (err) {
+    return res.status(422).json({ error: err.message });
+  }
+
+  const { link, token } = shareLinkSigner.issue(migration.id, options, req.user.username);
+  migration.shareLinks = [...(migration.shareLinks || []), link];
+  saveMigration(migration);
+
+  const baseUrl = SHARE_LINK_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  res.status(201).json({
+    ...describeShareLink(link),
+    url: `${baseUrl}/api/download/${migration.id}?share=${encodeURIComponent(token)}`
+  });
+});
+
+/**
+ * GET /api/download/:migrationId/share
+ * Links issued for the dump (the URLs themselves are not kept)
+ */
+app.get('/api/download/:migrationId/share', (req, res) => {
+  const migration = findMigration(req);
+  if (!migration) return res.status(404).json({ error: 'Migration not found' });
 
-  res.download(migration.outputFile, fileName);
+  res.json({ links: (migration.shareLinks || []).map(describeShareLink) });
+});
+
+/**
+ * DELETE /api/download/:migrationId/share/:linkId
+ * Revoke a share link
+ */
+app.delete('/api/download/:migrationId/share/:linkId', (req, res) => {
+  const migration = findMigration(req);
+  const link = migration?.shareLinks?.find(candidate => candidate.id === req.params.linkId);
+  if (!link) return res.status(404).json({ error: 'Share link not found' });
+
+  if (!link.revokedAt) {
+    link.revokedAt = new Date();
+    saveMigration(migration);
+  }
+  res.json(describeShareLink(link));
+});
+
+/**
+ * GET /api/download/:migrationId/checksum
+ * SHA-256 sidecar of the dump, checkable with `sha256sum -c` (not counted as a download,
+ * also served for a `share` token)
+ */
+app.get('/api/download/:migrationId/checksum', (req, res) => {
+  const { migration, status, error } = resolveDownload(req);
+  if (error) return res.status(status).json({ error });
+  if (!migration?.outputFile || !fs.existsSync(checksumPath(migration.outputFile))) {
+    return res.status(404).json({ error: 'Checksum not found' });
+  }
+
+  res.attachment(path.basename(checksumPath(migration.outputFile)));
+  res.type('text/plain');
+  res.sendFile(path.resolve(checksumPath(migration.outputFile)));
+});
+
+/**
+ * POST /api/download/:migrationId/ticket
+ * Ticket authorizing `?ticket=` on the download routes of this migration for
+ * DOWNLOAD_TICKET_TTL_MS, so that the browser downloads through a plain link
+ */
+app.post('/api/download/:migrationId/ticket', (req, res) => {
+  const migration = findMigration(req);
+  if (!migration) {
+    return res.status(404).json({ error: 'Migration not found' });
+  }
+
+  const expiresAt = Date.now() + DOWNLOAD_TICKET_TTL_MS;
+  res.json({ ticket: downloadTickets.sign({ m: migration.id, e: expiresAt }), expiresAt: new Date(expiresAt) });
 });
 
 /**
@@ -370,19 +1196,102 @@ app.get('/api/health', (req, res) => {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error(err);
+  console.error(redact(err?.stack || String(err)));
   
   if (err instanceof multer.MulterError) {
     if (err.code === 'LIMIT_FILE_SIZE') {
       return res.status(413).json({ error: 'File too large' });
     }
   }
+  if (err instanceof uploadService.UploadError) return sendUploadError(res, err);
 
   res.status(500).json({
-    error: err.message || 'Internal server error'
+    error: redact(err.message || 'Internal server error')
   });
 });
 
+/**
+ * Reconcile persisted sessions after a (re)start:
+ * - interrupted runs are marked failed and their compose project is torn down
+ * - finished sessions keep their files until the remaining TTL runs out
+ * - sessions whose files are gone are dropped
+ */
+const reconcileMigrations = () => {
+  const reconcileLogger = {
+    info: (message) => console.log(`[reconcile] ${message}`),
+    warn: (message) => console.warn(`[reconcile] ${message}`),
+    error: (message) => console.error(`[reconcile] ${message}`)
+  };
+
+  migrationStore.list().forEach((migration) => {
+    migrations.set(migration.id, migration);
+
+    if (migration.status === 'running') {
+      console.warn(`[reconcile] Migration ${migration.id} was interrupted by a backend restart`);
+      migration.status = 'failed';
+      migration.error = 'Migration interrupted by a backend restart';
+      migration.outputFile = null;
+
+      migrationService.cleanupDockerProject(migration.id, reconcileLogger, { keepOutputFile: false })
+        .catch(err => console.warn(`[reconcile] Docker cleanup failed for ${migration.id}`, err.message));
+
+      scheduleMigrationCleanup(migration, { keepOutputFile: false, delayMs: FAILED_CLEANUP_TTL_MS });
+      return;
+    }
+
+    // Nothing started yet: re-enqueued below in queuedAt order, unless it needs
+    // the password of an external server, which is only kept in memory
+    if (migration.status === 'queued') {
+      if (migration.options?.target || migration.source) {
+        console.warn(`[reconcile] Migration ${migration.id} lost its server credentials in a backend restart`);
+        migration.status = 'failed';
+        migration.error = 'Server credentials lost in a backend restart, start the migration again';
+        scheduleMigrationCleanup(migration, { keepOutputFile: false, delayMs: FAILED_CLEANUP_TTL_MS });
+      } else if (migration.encrypted) {
+        console.warn(`[reconcile] Migration ${migration.id} lost its encryption key in a backend restart`);
+        migration.status = 'failed';
+        migration.error = 'Encryption key lost in a backend restart, upload the dump again';
+        scheduleMigrationCleanup(migration, { keepOutputFile: false, delayMs: FAILED_CLEANUP_TTL_MS });
+      }
+      return;
+    }
+
+    // Encrypted files cannot be read without the in-memory key: wipe them now
+    if (migration.encrypted) {
+      console.warn(`[reconcile] Migration ${migration.id} lost its encryption key, removing its files`);
+      cleanupMigrationFiles(migration, { keepOutputFile: false });
+      return;
+    }
+
+    if (migration.status === 'ready') {
+      if (!migration.uploadedFile || !fs.existsSync(migration.uploadedFile)) {
+        cleanupMigrationFiles(migration, { keepOutputFile: false });
+      }
+      return;
+    }
+
+    // completed / failed: resume the TTL where it stopped
+    if (migration.outputFile && !fs.existsSync(migration.outputFile)) migration.outputFile = null;
+    const remainingMs = (migration.expiresAt || 0) - Date.now();
+    const keepOutputFile = migration.cleanupKeepsOutput ?? false;
+
+    if (remainingMs <= 0) {
+      cleanupMigrationFiles(migration, { keepOutputFile });
+    } else {
+      scheduleMigrationCleanup(migration, { keepOutputFile, delayMs: remainingMs });
+    }
+  });
+
+  [...migrations.values()]
+    .filter(m => m.status === 'queued')
+    .sort((a, b) => new Date(a.queuedAt) - new Date(b.queuedAt))
+    .forEach(m => migrationQueue.enqueue(m));
+
+  console.log(`[reconcile] ${migrations.size} migration session(s) restored from ${STATE_DIR}`);
+};
+
+reconcileMigrations();
+
 // Start server
 app.listen(PORT, () => {
   console.log(`✅ Migration backend running on http://localhost:${PORT}`);
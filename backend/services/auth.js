@@ -0,0 +1,230 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Authentication of API calls.
+ *
+ * A provider turns credentials into a user { username, role }, or null:
+ *   login(username, password)  password sign-in (optional)
+ *   verifyToken(token)         long-lived API token (optional)
+ * The local provider reads a JSON user list; another directory (LDAP, SSO...)
+ * plugs in by implementing the same interface.
+ *
+ * A password sign-in returns a random session token, kept in memory only:
+ * a backend restart signs everyone out.
+ */
+
+const ROLES = ['admin', 'user'];
+const SCRYPT_KEY_LENGTH = 64;
+
+/**
+ * Stored form of a password: `scrypt$<salt>$<key>` (base64)
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = crypto.scryptSync(String(password), salt, SCRYPT_KEY_LENGTH);
+  return `scrypt$${salt.toString('base64')}$${key.toString('base64')}`;
+}
+
+/**
+ * Stored form of an API token: `sha256$<hex>` (tokens are random, no salt needed)
+ */
+const hashToken = token => `sha256$${crypto.createHash('sha256').update(String(token)).digest('hex')}`;
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, key] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !key) return false;
+  const expected = Buffer.from(key, 'base64');
+  const actual = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Checked for unknown names, so that they take as long as wrong passwords
+const UNKNOWN_USER_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+/**
+ * Users listed in a JSON file, re-read when it changes:
+ *   { "users": [{ "username", "role": "admin"|"user", "passwordHash", "apiTokens": [] }] }
+ * `passwordHash` comes from hashPassword(), each API token from hashToken().
+ */
+function createLocalUserProvider(filePath) {
+  let cache = { mtimeMs: null, users: [] };
+
+  const readUsers = () => {
+    let stat;
+    try {
+      stat = fs.statSync(filePath);
+    } catch {
+      return [];
+    }
+    if (stat.mtimeMs === cache.mtimeMs) return cache.users;
+
+    let users = [];
+    try {
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      users = (Array.isArray(data?.users) ? data.users : []).filter((user) => {
+        const valid = typeof user?.username === 'string' && user.username !== '' && ROLES.includes(user.role);
+        if (!valid) console.warn(`[auth] Ignoring invalid user entry in ${filePath}`);
+        return valid;
+      });
+    } catch (err) {
+      console.warn(`[auth] Unable to read user list ${filePath}: ${err.message}`);
+    }
+    cache = { mtimeMs: stat.mtimeMs, users };
+    return users;
+  };
+
+  const describe = user => ({ username: user.username, role: user.role });
+
+  return {
+    name: 'local',
+
+    exists: () => fs.existsSync(filePath),
+
+    async login(username, password) {
+      const user = readUsers().find(candidate => candidate.username === username);
+      const matches = await verifyPassword(password, user?.passwordHash || UNKNOWN_USER_HASH);
+      return user?.passwordHash && matches ? describe(user) : null;
+    },
+
+    verifyToken(token) {
+      const hashed = hashToken(token);
+      const user = readUsers().find(candidate => (
+        Array.isArray(candidate.apiTokens) && candidate.apiTokens.some(stored => safeEqual(String(stored), hashed))
+      ));
+      return user ? describe(user) : null;
+    }
+  };
+}
+
+/**
+ * Sign-in and token verification over a list of providers (first match wins)
+ */
+function createAuthenticator({ providers, sessionTtlMs }) {
+  const sessions = new Map();
+
+  const dropExpiredSessions = () => {
+    const now = Date.now();
+    sessions.forEach((session, token) => {
+      if (session.expiresAt <= now) sessions.delete(token);
+    });
+  };
+
+  return {
+    /**
+     * Resolves { token, user, expiresAt }, or null for wrong credentials
+     */
+    async login(username, password) {
+      for (const provider of providers) {
+        if (!provider.login) continue;
+        const user = await provider.login(username, password);
+        if (!user) continue;
+
+        dropExpiredSessions();
+        const token = crypto.randomBytes(32).toString('base64url');
+        const expiresAt = Date.now() + sessionTtlMs;
+        sessions.set(token, { user, expiresAt });
+        return { token, user, expiresAt: new Date(expiresAt) };
+      }
+      return null;
+    },
+
+    /**
+     * User behind a session or API token, or null
+     */
+    async authenticate(token) {
+      if (!token) return null;
+
+      const session = sessions.get(token);
+      if (session) {
+        if (session.expiresAt > Date.now()) return session.user;
+        sessions.delete(token);
+      }
+
+      for (const provider of providers) {
+        if (!provider.verifyToken) continue;
+        const user = await provider.verifyToken(token);
+        if (user) return user;
+      }
+      return null;
+    },
+
+    logout(token) {
+      sessions.delete(token);
+    }
+  };
+}
+
+/**
+ * Token sent by the client: `Authorization: Bearer <token>`, or with `allowQuery`
+ * the `access_token` query parameter of a GET request (EventSource cannot set
+ * headers). Query strings end up in proxy logs and browser history, hence opt-in.
+ */
+function readAccessToken(req, { allowQuery = false } = {}) {
+  const header = req.get('Authorization') || '';
+  if (/^Bearer /i.test(header)) return header.slice(7).trim();
+  if (allowQuery && req.method === 'GET' && typeof req.query.access_token === 'string') return req.query.access_token;
+  return null;
+}
+
+/**
+ * Express middleware setting `req.user`; answers 401 without a valid token,
+ * except on `publicPaths` and the requests `isPublicRequest(req)` lets through
+ * (their route then authorizes them by other means: download tickets, signed
+ * share links). Only `queryTokenPaths`
+ * (regular expressions) accept the token in the query string. Paths are
+ * relative to the mount point.
+ * With `disabled`, every caller is the `local` admin (development only).
+ */
+function createAuthMiddleware(authenticator, {
+  publicPaths = [],
+  isPublicRequest = () => false,
+  queryTokenPaths = [],
+  disabled = false
+} = {}) {
+  return async (req, res, next) => {
+    if (disabled) {
+      req.user = { username: 'local', role: 'admin' };
+      return next();
+    }
+    if (publicPaths.includes(req.path) || isPublicRequest(req)) return next();
+
+    try {
+      const allowQuery = queryTokenPaths.some(pattern => pattern.test(req.path));
+      const user = await authenticator.authenticate(readAccessToken(req, { allowQuery }));
+      if (!user) return res.status(401).json({ error: 'Authentication required' });
+      req.user = user;
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
+const isAdmin = user => user?.role === 'admin';
+
+/**
+ * Whether `user` may see and act on `record` (a migration or an upload session).
+ * Records without an owner, created before authentication, are admin-only.
+ */
+const canAccess = (user, record) => isAdmin(user) || (Boolean(record?.owner) && record.owner === user?.username);
+
+module.exports = {
+  hashPassword,
+  hashToken,
+  createLocalUserProvider,
+  createAuthenticator,
+  createAuthMiddleware,
+  readAccessToken,
+  isAdmin,
+  canAccess
+};
@@ -0,0 +1,282 @@
+/**
+ * Rule-based MySQL => PostgreSQL compatibility report, computed from the dump
+ * analysis (see dumpAnalysis.js) before anything runs in Docker.
+ *
+ * Each finding: { rule, severity, table, column, object, message, pgloaderBehavior, suggestion }
+ * - severity: 'error' (pgloader fails or loses the object), 'warning' (data or
+ *   behaviour changes), 'info' (automatic conversion worth knowing)
+ * - suggestion: { castRule, manualFix }, castRule being ready for the pgloader CAST option
+ */
+
+const { isValidCastRule } = require('./pgloaderOptions');
+const { createContext, translateObject } = require('./objectTranslation');
+
+const SEVERITY_ORDER = { error: 0, warning: 1, info: 2 };
+
+const SPATIAL_TYPES = ['geometry', 'point', 'linestring', 'polygon', 'multipoint', 'multilinestring', 'multipolygon', 'geometrycollection'];
+const DATE_TYPES = ['date', 'datetime', 'timestamp'];
+const UTF8_CHARSETS = ['utf8', 'utf8mb3', 'utf8mb4', 'ascii', 'binary'];
+
+function finding(rule, severity, target, message, pgloaderBehavior, { castRule = null, manualFix = null } = {}) {
+  return {
+    rule,
+    severity,
+    table: target.table || null,
+    column: target.column || null,
+    object: target.object || null,
+    message,
+    pgloaderBehavior,
+    suggestion: {
+      // Only offer rules the options validator will accept (plain identifiers)
+      castRule: castRule && isValidCastRule(castRule) ? castRule : null,
+      manualFix
+    }
+  };
+}
+
+function columnFindings(table, column) {
+  const target = { table: table.name, column: column.name };
+  const ref = `${table.name}.${column.name}`;
+  const results = [];
+
+  if (column.dataType === 'enum') {
+    results.push(finding('enum', 'info', target,
+      `ENUM column with ${column.values?.length || 0} values`,
+      `A PostgreSQL ENUM type named ${table.name}_${column.name} is created; adding values later requires ALTER TYPE.`,
+      {
+        castRule: `column ${ref} to text drop typemod`,
+        manualFix: 'Keep the ENUM type, or load as text and add a CHECK constraint listing the allowed values.'
+      }));
+  }
+
+  if (column.dataType === 'set') {
+    results.push(finding('set', 'warning', target,
+      'SET column has no PostgreSQL equivalent',
+      'Converted to an array of a generated ENUM type; queries using FIND_IN_SET or bit arithmetic stop working.',
+      {
+        castRule: `column ${ref} to text drop typemod`,
+        manualFix: 'Rewrite FIND_IN_SET(x, col) as x = ANY(col), or load as comma-separated text.'
+      }));
+  }
+
+  if (column.dataType === 'bigint' && column.unsigned) {
+    results.push(finding('unsigned-bigint', 'warning', target,
+      'BIGINT UNSIGNED exceeds the PostgreSQL bigint range',
+      'Converted to numeric (arbitrary precision): slower, and foreign keys referencing it must use numeric too.',
+      {
+        castRule: `column ${ref} to bigint drop typemod`,
+        manualFix: 'Cast to bigint only if every value is below 9223372036854775807.'
+      }));
+  }
+
+  if (column.zerofill) {
+    results.push(finding('zerofill', 'info', target,
+      'ZEROFILL display attribute',
+      'Leading zeros are a display attribute and are not kept; values are loaded as plain integers.',
+      { manualFix: 'Format with lpad(col::text, n, \'0\') where the padded form is needed.' }));
+  }
+
+  if (column.dataType === 'tinyint' && column.params === '1') {
+    results.push(finding('tinyint-boolean', 'info', target,
+      'TINYINT(1) column',
+      'With the usual tinyint-to-boolean rule it becomes boolean: any non-zero value is loaded as true.',
+      {
+        castRule: `column ${ref} to smallint drop typemod`,
+        manualFix: 'Keep smallint if the column stores values other than 0 and 1.'
+      }));
+  }
+
+  if (column.dataType === 'year') {
+    results.push(finding('year', 'info', target,
+      'YEAR column',
+      'Loaded as an integer.',
+      { castRule: `column ${ref} to integer` }));
+  }
+
+  if (DATE_TYPES.includes(column.dataType) && /^'0000-00-00/.test(column.default || '')) {
+    const pgType = column.dataType === 'date' ? 'date' : 'timestamptz';
+    results.push(finding('zero-date-default', 'warning', target,
+      `Zero-date default ${column.default}`,
+      'PostgreSQL rejects zero dates: the default and NOT NULL are dropped and zero dates are loaded as NULL (zero-dates-to-null).',
+      {
+        castRule: `column ${ref} to ${pgType} drop default drop not null using zero-dates-to-null`,
+        manualFix: 'Pick a real default (or NULL) and fix zero dates in MySQL before exporting.'
+      }));
+  }
+
+  if (SPATIAL_TYPES.includes(column.dataType)) {
+    const native = column.dataType === 'point' || column.dataType === 'linestring';
+    results.push(finding('spatial-type', native ? 'warning' : 'error', target,
+      `Spatial column (${column.dataType})`,
+      native
+        ? `Converted to the native PostgreSQL ${column.dataType === 'point' ? 'point' : 'path'} type, not PostGIS; SRIDs and spatial functions are lost.`
+        : 'No default conversion: pgloader fails on this column or loads unreadable binary data.',
+      { manualFix: 'Install PostGIS, export values with ST_AsText() and load them into a geometry column.' }));
+  }
+
+  if (column.onUpdate) {
+    results.push(finding('on-update-timestamp', 'info', target,
+      `ON UPDATE ${column.onUpdate}`,
+      'PostgreSQL has no ON UPDATE clause: pgloader emulates it with a BEFORE UPDATE trigger on the table.',
+      { manualFix: 'Check the generated trigger, or set the column from the application.' }));
+  }
+
+  if (column.generated) {
+    results.push(finding('generated-column', 'warning', target,
+      'Generated column',
+      'Loaded as a regular column: current values are copied but the expression is lost.',
+      { manualFix: 'Recreate it with GENERATED ALWAYS AS (...) STORED after the migration.' }));
+  }
+
+  return results;
+}
+
+function tableFindings(table) {
+  const target = { table: table.name };
+  const results = [];
+
+  if (table.primaryKey.length === 0) {
+    results.push(finding('no-primary-key', 'info', target,
+      'Table without primary key',
+      'Migrated as is; row-level verification and logical replication need a primary key.',
+      { manualFix: 'Add a primary key (e.g. an identity column) after the migration.' }));
+  }
+
+  if (table.zeroDateValues > 0) {
+    results.push(finding('zero-date-data', 'warning', target,
+      `${table.zeroDateValues} zero-date value(s) found in INSERT statements`,
+      'Zero dates cannot be stored by PostgreSQL and are loaded as NULL (zero-dates-to-null), or make the load fail on NOT NULL columns.',
+      { manualFix: 'UPDATE the rows in MySQL (e.g. to NULL or a sentinel date) before exporting.' }));
+  }
+
+  if (table.charset && !UTF8_CHARSETS.includes(table.charset.toLowerCase())) {
+    results.push(finding('charset', 'warning', target,
+      `Table charset ${table.charset}`,
+      'Text is re-encoded to UTF-8 from the declared charset; UTF-8 bytes stored in a latin1 table end up double-encoded.',
+      { manualFix: 'Check accented characters after migration, or convert the table to utf8mb4 in MySQL first.' }));
+  }
+
+  if (table.engine && table.engine.toLowerCase() !== 'innodb') {
+    results.push(finding('engine', 'info', target,
+      `${table.engine} storage engine`,
+      'Storage engines do not exist in PostgreSQL; the table is created as a regular table.',
+      table.engine.toLowerCase() === 'myisam'
+        ? { manualFix: 'MyISAM never enforced foreign keys: check orphan rows before adding constraints.' }
+        : {}));
+  }
+
+  if (table.partitioned) {
+    results.push(finding('partitioning', 'info', target,
+      'Partitioned table',
+      'Partitioning is not migrated: a single regular table is created.',
+      { manualFix: 'Recreate declarative partitioning (PARTITION BY) in PostgreSQL if needed.' }));
+  }
+
+  table.indexes.forEach((index) => {
+    const indexTarget = { table: table.name, column: index.columns.join(', ') };
+    if (index.type === 'FULLTEXT') {
+      results.push(finding('fulltext-index', 'warning', indexTarget,
+        `FULLTEXT index ${index.name || ''}`.trim(),
+        'Not created: MATCH ... AGAINST queries have no index and no equivalent syntax.',
+        { manualFix: `CREATE INDEX ON ${table.name} USING gin (to_tsvector('simple', ${index.columns.join(" || ' ' || ")})); queries use @@ to_tsquery().` }));
+    } else if (index.type === 'SPATIAL') {
+      results.push(finding('spatial-index', 'warning', indexTarget,
+        `SPATIAL index ${index.name || ''}`.trim(),
+        'Not created as a spatial index.',
+        { manualFix: `CREATE INDEX ON ${table.name} USING gist (${index.columns.join(', ')}) once the column is a PostGIS geometry.` }));
+    } else if (index.prefixed) {
+      results.push(finding('prefix-index', 'warning', indexTarget,
+        `Prefix index ${index.name || ''}`.trim(),
+        'Created on the whole column; on long text values the btree index creation can fail (index row size exceeded).',
+        { manualFix: 'Create an expression index on left(column, n) instead.' }));
+    } else if (index.expression) {
+      results.push(finding('expression-index', 'warning', indexTarget,
+        `Functional index ${index.name || ''}`.trim(),
+        'MySQL expressions are not translated; the index may be skipped or fail.',
+        { manualFix: 'Recreate the index with the equivalent PostgreSQL expression.' }));
+    }
+  });
+
+  table.checks.forEach((check) => {
+    results.push(finding('check-constraint', 'warning', target,
+      `CHECK constraint ${check.name || ''}`.trim(),
+      'CHECK constraints are not migrated.',
+      { manualFix: `ALTER TABLE ${table.name} ADD CHECK ${check.expression} (after translating MySQL functions).` }));
+  });
+
+  return results;
+}
+
+function objectFindings(analysis) {
+  const results = [];
+
+  // Views, triggers and routines are recreated after pgloader when they translate
+  const database = analysis.databases?.[0] || '';
+  const ctx = createContext({ sourceDatabase: database, schema: database.toLowerCase() || 'public' });
+  const translation = (object, type) => {
+    const { error } = translateObject({ ...object, type }, ctx);
+    return error
+      ? { severity: 'warning', behavior: `Not translated automatically (${error}): it is reported after the migration and not created.` }
+      : { severity: 'info', behavior: 'Translated to PostgreSQL and created after pgloader: review the result before cutover.' };
+  };
+
+  analysis.views.forEach((view) => {
+    const { severity, behavior } = translation(view, 'view');
+    results.push(finding('view', severity, { object: { type: 'VIEW', name: view.name } },
+      `View ${view.name}`,
+      behavior,
+      { manualFix: 'Recreate the view from its source after translating MySQL-specific syntax (backticks, IFNULL, functions).' }));
+  });
+
+  analysis.triggers.forEach((trigger) => {
+    const { severity, behavior } = translation(trigger, 'trigger');
+    results.push(finding('trigger', severity, { table: trigger.table, object: { type: 'TRIGGER', name: trigger.name } },
+      `${trigger.timing} ${trigger.event} trigger ${trigger.name}`,
+      behavior,
+      { manualFix: 'Rewrite the body as a PL/pgSQL trigger function and CREATE TRIGGER ... EXECUTE FUNCTION.' }));
+  });
+
+  analysis.routines.forEach((routine) => {
+    const { severity, behavior } = translation(routine, routine.type.toLowerCase());
+    results.push(finding('routine', severity, { object: { type: routine.type, name: routine.name } },
+      `Stored ${routine.type.toLowerCase()} ${routine.name}`,
+      behavior,
+      { manualFix: 'Rewrite it in PL/pgSQL (CREATE FUNCTION / CREATE PROCEDURE ... LANGUAGE plpgsql).' }));
+  });
+
+  // Identifiers are downcased by pgloader: tables differing only by case collide
+  const byLowerName = new Map();
+  analysis.tables.forEach((table) => {
+    const key = table.name.toLowerCase();
+    byLowerName.set(key, [...(byLowerName.get(key) || []), table.name]);
+  });
+  byLowerName.forEach((names) => {
+    if (names.length < 2) return;
+    results.push(finding('identifier-collision', 'error', { table: names.join(', ') },
+      `Tables ${names.join(', ')} only differ by case`,
+      'Identifiers are downcased: the tables collide and one overwrites the other.',
+      { manualFix: 'Rename the tables in MySQL, or exclude all but one of them.' }));
+  });
+
+  return results;
+}
+
+/**
+ * Build the compatibility report for a dump analysis
+ */
+function checkCompatibility(analysis) {
+  const findings = [
+    ...analysis.tables.flatMap(table => [
+      ...table.columns.flatMap(column => columnFindings(table, column)),
+      ...tableFindings(table)
+    ]),
+    ...objectFindings(analysis)
+  ].sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+
+  const summary = { error: 0, warning: 0, info: 0 };
+  findings.forEach((f) => { summary[f.severity]++; });
+
+  return { summary, findings };
+}
+
+module.exports = { checkCompatibility };
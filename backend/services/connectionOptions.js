@@ -0,0 +1,89 @@
+/**
+ * Helpers shared by the external database connections (PostgreSQL target,
+ * live MySQL source). The validators collect their problems in `errors`.
+ */
+
+const HOST_RE = /^[A-Za-z0-9]([A-Za-z0-9.-]*[A-Za-z0-9])?$/;
+
+function requiredString(input, field, errors, { max = 63 } = {}) {
+  const value = input[field];
+  if (typeof value !== 'string' || value.trim() === '') {
+    errors.push(`${field} is required`);
+    return null;
+  }
+  if (value.length > max || /[\0\r\n]/.test(value)) {
+    errors.push(`${field} must be a single line of ${max} characters max`);
+    return null;
+  }
+  return value.trim();
+}
+
+function parseHost(input, errors) {
+  const host = requiredString(input, 'host', errors, { max: 253 });
+  if (host && !HOST_RE.test(host)) errors.push('host must be a host name or an IPv4 address');
+  return host;
+}
+
+function parsePort(input, fallback, errors) {
+  if (input.port === undefined || input.port === null || input.port === '') return fallback;
+  const port = Number(input.port);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) errors.push('port must be an integer between 1 and 65535');
+  return port;
+}
+
+function parsePassword(input, errors) {
+  if (input.password === undefined || input.password === null) return '';
+  if (typeof input.password !== 'string' || /[\0\r\n]/.test(input.password)) {
+    errors.push('password must be a single-line string');
+    return '';
+  }
+  return input.password;
+}
+
+function parseChoice(input, field, choices, fallback, errors) {
+  const value = input[field];
+  if (value === undefined || value === null || value === '') return fallback;
+  if (!choices.includes(value)) {
+    errors.push(`${field} must be one of: ${choices.join(', ')}`);
+    return fallback;
+  }
+  return value;
+}
+
+function parseBoolean(input, field, fallback, errors) {
+  const value = input[field];
+  if (value === undefined || value === null) return fallback;
+  if (typeof value !== 'boolean') {
+    errors.push(`${field} must be a boolean`);
+    return fallback;
+  }
+  return value;
+}
+
+/**
+ * URL encode special characters in database credentials
+ */
+function encodeCredentials(str) {
+  if (!str) return '';
+  return String(str).replace(/[:'@/?#\[\]]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+}
+
+/**
+ * The connection without its password, safe to persist and to send to clients
+ */
+function withoutPassword(connection) {
+  if (!connection) return null;
+  const { password, ...rest } = connection;
+  return rest;
+}
+
+module.exports = {
+  requiredString,
+  parseHost,
+  parsePort,
+  parsePassword,
+  parseChoice,
+  parseBoolean,
+  encodeCredentials,
+  withoutPassword
+};
@@ -0,0 +1,116 @@
+const { execProcess } = require('./process');
+const { postgresClientCommand } = require('./postgresTarget');
+const { mysqlClientConnection } = require('./mysqlSource');
+
+/**
+ * Query helpers running the database CLIs inside the migration containers.
+ * SQL is sent on stdin (no argv size limit); results come back as rows of
+ * strings (tab-separated CLI output, no header).
+ */
+
+const mysqlContainerName = (migrationId) => `migration-${migrationId}-mysql-source-1`;
+// Client-only container started instead of mysql-source for a live source
+const mysqlClientContainerName = (migrationId) => `migration-${migrationId}-mysql-client-1`;
+const postgresContainerName = (migrationId) => `migration-${migrationId}-postgres-target-1`;
+
+const quoteMysqlIdentifier = (name) => `\`${String(name).replace(/`/g, '``')}\``;
+const quoteMysqlString = (value) => `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "''")}'`;
+const quotePgIdentifier = (name) => `"${String(name).replace(/"/g, '""')}"`;
+const quotePgLiteral = (value) => `'${String(value).replace(/'/g, "''")}'`;
+
+// External servers by migration id: the CLIs then connect to them from client containers
+const postgresTargets = new Map();
+const mysqlSources = new Map();
+
+/**
+ * Point the PostgreSQL queries of a migration at an external server (null: back
+ * to the database of the target container)
+ */
+function setPostgresTarget(migrationId, target) {
+  if (target) postgresTargets.set(migrationId, target);
+  else postgresTargets.delete(migrationId);
+}
+
+/**
+ * Point the MySQL queries of a migration at a live server (null: back to the
+ * source container)
+ */
+function setMysqlSource(migrationId, source) {
+  if (source) mysqlSources.set(migrationId, source);
+  else mysqlSources.delete(migrationId);
+}
+
+function parseRows(stdout) {
+  return stdout
+    .split('\n')
+    .filter(line => line !== '')
+    .map(line => line.split('\t'));
+}
+
+async function runQuery(label, args, sql, signal, env = process.env) {
+  try {
+    const { stdout } = await execProcess('docker', args, { signal, env, input: sql });
+    return parseRows(stdout);
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    throw new Error(`${label} query failed: ${(err.stderr || err.message || '').trim() || `exit code ${err.code}`}`);
+  }
+}
+
+/**
+ * Run SQL with the mysql client of the source container, against the migration's
+ * live source when one is set.
+ * `raw` disables the batch escaping of special characters (for JSON output).
+ */
+async function mysqlQuery(migrationId, sql, { database = null, raw = false, signal } = {}) {
+  const source = mysqlSources.get(migrationId);
+  // The password travels in MYSQL_PWD, never on the command line
+  const connection = source
+    ? mysqlClientConnection(source)
+    : {
+        dockerArgs: ['-e', 'MYSQL_PWD'],
+        env: { ...process.env, MYSQL_PWD: process.env.MYSQL_ROOT_PASSWORD || '' },
+        clientArgs: ['-u', process.env.MYSQL_ROOT]
+      };
+  const containerName = source ? mysqlClientContainerName(migrationId) : mysqlContainerName(migrationId);
+  const args = ['exec', '-i', ...connection.dockerArgs, containerName, 'mysql', ...connection.clientArgs];
+  args.push('--batch', '--skip-column-names', '--default-character-set=utf8mb4');
+  if (raw) args.push('--raw');
+  if (database) args.push('-D', database);
+
+  return runQuery('MySQL', args, sql, signal, connection.env);
+}
+
+/**
+ * Run SQL with psql in the target container (unaligned, tab-separated, stop on error),
+ * or from a client container against the migration's external target when one is set
+ */
+async function psqlQuery(migrationId, sql, { signal } = {}) {
+  const psqlArgs = ['-X', '-q', '-v', 'ON_ERROR_STOP=1', '-At', '-F', '\t'];
+  const target = postgresTargets.get(migrationId);
+
+  if (target) {
+    const { args, env } = postgresClientCommand(target, 'psql', psqlArgs);
+    return runQuery('PostgreSQL', args, sql, signal, env);
+  }
+
+  const args = [
+    'exec', '-i', postgresContainerName(migrationId),
+    'psql', '-U', process.env.POSTGRES_USER || 'postgres', '-d', process.env.POSTGRES_DB || 'target_db',
+    ...psqlArgs
+  ];
+  return runQuery('PostgreSQL', args, sql, signal);
+}
+
+module.exports = {
+  mysqlContainerName,
+  postgresContainerName,
+  quoteMysqlIdentifier,
+  quoteMysqlString,
+  quotePgIdentifier,
+  quotePgLiteral,
+  setPostgresTarget,
+  setMysqlSource,
+  mysqlQuery,
+  psqlQuery
+};
@@ -0,0 +1,634 @@
+const { StringDecoder } = require('string_decoder');
+const { openDumpStream } = require('./dumpArchive');
+
+const NORMAL = 0;
+const SINGLE_QUOTE = 1;
+const DOUBLE_QUOTE = 2;
+const BACKTICK = 3;
+const LINE_COMMENT = 4;
+const BLOCK_COMMENT = 5;
+
+const QUOTE_CHARS = { [SINGLE_QUOTE]: "'", [DOUBLE_QUOTE]: '"', [BACKTICK]: '`' };
+
+/**
+ * Streaming MySQL statement splitter.
+ *
+ * Understands quotes (with backslash and doubled-quote escapes), `--`, `#` and
+ * block comments, versioned comments (`/*!50003 CREATE ... *\/`, whose content is
+ * kept as SQL) and `DELIMITER` lines. For every statement it calls
+ * onStatement({ text, length, groups, truncated }):
+ * - text: the statement without comments, cut to maxStatementChars
+ * - length: full length of the statement
+ * - groups: number of top-level parenthesised groups (tuples of an INSERT)
+ */
+function createStatementSplitter(onStatement, { maxStatementChars = 1024 * 1024 } = {}) {
+  let delimiter = ';';
+  let state = NORMAL;
+  let versioned = false;
+  let pending = '';
+
+  let text = '';
+  let length = 0;
+  let depth = 0;
+  let groups = 0;
+
+  const append = (segment) => {
+    length += segment.length;
+    if (text.length < maxStatementChars) text += segment.slice(0, maxStatementChars - text.length);
+  };
+
+  const reset = () => {
+    text = '';
+    length = 0;
+    depth = 0;
+    groups = 0;
+    versioned = false;
+  };
+
+  const emit = () => {
+    const statement = text.trim();
+    if (statement) {
+      onStatement({ text: statement, length, groups, truncated: length > maxStatementChars });
+    }
+    reset();
+  };
+
+  // `DELIMITER xx` is a client command on its own line, without terminator
+  const isDelimiterCommand = (current) => length + current.length <= 256 && /^\s*DELIMITER\s/i.test(text + current);
+
+  const tryDelimiterCommand = (current) => {
+    if (length + current.length > 256) return false;
+    const match = (text + current).trim().match(/^DELIMITER\s+(\S+)$/i);
+    if (!match) return false;
+    delimiter = match[1];
+    reset();
+    return true;
+  };
+
+  const scan = (data, final) => {
+    // Keep enough lookahead for multi-char tokens (delimiters, `/*!50003`, `-- `)
+    const limit = final ? data.length : data.length - Math.max(12, delimiter.length + 1);
+    let i = 0;
+    let segStart = 0;
+
+    while (i < limit) {
+      const c = data[i];
+
+      if (state === NORMAL) {
+        if (data.startsWith(delimiter, i) && !isDelimiterCommand(data.slice(segStart, i))) {
+          append(data.slice(segStart, i));
+          emit();
+          i += delimiter.length;
+          segStart = i;
+          continue;
+        }
+        if (c === "'") state = SINGLE_QUOTE;
+        else if (c === '"') state = DOUBLE_QUOTE;
+        else if (c === '`') state = BACKTICK;
+        else if (c === '(') {
+          if (depth === 0) groups++;
+          depth++;
+        } else if (c === ')') {
+          if (depth > 0) depth--;
+        } else if (c === '#' || (c === '-' && data[i + 1] === '-' && /\s/.test(data[i + 2] || '\n'))) {
+          append(data.slice(segStart, i));
+          state = LINE_COMMENT;
+        } else if (c === '/' && data[i + 1] === '*') {
+          append(data.slice(segStart, i));
+          if (data[i + 2] === '!') {
+            // Versioned comment: drop the marker, keep the SQL inside
+            versioned = true;
+            i += 3;
+            while (i < data.length && /\d/.test(data[i])) i++;
+            segStart = i;
+            continue;
+          }
+          state = BLOCK_COMMENT;
+          i += 2;
+          continue;
+        } else if (c === '*' && data[i + 1] === '/' && versioned) {
+          append(data.slice(segStart, i));
+          versioned = false;
+          i += 2;
+          segStart = i;
+          continue;
+        } else if (c === '\n' && tryDelimiterCommand(data.slice(segStart, i))) {
+          segStart = i + 1;
+        }
+        i++;
+        continue;
+      }
+
+      if (state === LINE_COMMENT) {
+        if (c === '\n') {
+          state = NORMAL;
+          segStart = i;
+          continue;
+        }
+        i++;
+        continue;
+      }
+
+      if (state === BLOCK_COMMENT) {
+        if (c === '*' && data[i + 1] === '/') {
+          state = NORMAL;
+          append(' ');
+          i += 2;
+          segStart = i;
+          continue;
+        }
+        i++;
+        continue;
+      }
+
+      // Inside a quoted string or identifier
+      const quote = QUOTE_CHARS[state];
+      if (c === '\\' && state !== BACKTICK) {
+        i += 2;
+        continue;
+      }
+      if (c === quote) {
+        if (data[i + 1] === quote) {
+          i += 2;
+          continue;
+        }
+        state = NORMAL;
+      }
+      i++;
+    }
+
+    if (state !== LINE_COMMENT && state !== BLOCK_COMMENT) append(data.slice(segStart, Math.min(i, data.length)));
+    pending = data.slice(Math.min(i, data.length));
+  };
+
+  return {
+    write(chunk) {
+      scan(pending + chunk, false);
+    },
+    end() {
+      scan(pending, true);
+      pending = '';
+      if (!tryDelimiterCommand('')) emit();
+    }
+  };
+}
+
+/**
+ * Feed a readable stream through the splitter
+ */
+async function forEachStatement(stream, onStatement, options) {
+  const decoder = new StringDecoder('utf8');
+  const splitter = createStatementSplitter(onStatement, options);
+
+  for await (const chunk of stream) {
+    splitter.write(decoder.write(chunk));
+  }
+  splitter.write(decoder.end());
+  splitter.end();
+}
+
+/**
+ * Remove backticks / double quotes around an identifier and keep the last part
+ * of a qualified name (`db`.`table` => table)
+ */
+function unquoteIdentifier(raw) {
+  const parts = String(raw).match(/`(?:[^`]|``)+`|"(?:[^"]|"")+"|[^.\s]+/g) || [];
+  const last = parts[parts.length - 1] || '';
+  if (last.startsWith('`')) return last.slice(1, -1).replace(/``/g, '`');
+  if (last.startsWith('"')) return last.slice(1, -1).replace(/""/g, '"');
+  return last;
+}
+
+/**
+ * Walk `text` from `from`, calling visit(char, index, depth) for every character
+ * outside quotes. Stops when visit returns true and returns that index (or -1).
+ */
+function walkTopLevel(text, from, visit) {
+  let depth = 0;
+  let quote = null;
+
+  for (let i = from; i < text.length; i++) {
+    const c = text[i];
+    if (quote) {
+      if (c === '\\' && quote !== '`') i++;
+      else if (c === quote) {
+        if (text[i + 1] === quote) i++;
+        else quote = null;
+      }
+      continue;
+    }
+    if (c === "'" || c === '"' || c === '`') {
+      quote = c;
+      continue;
+    }
+    if (c === '(') depth++;
+    if (visit(c, i, depth)) return i;
+    if (c === ')') depth--;
+  }
+  return -1;
+}
+
+/**
+ * Split on commas that are outside quotes and parentheses
+ */
+function splitTopLevel(text) {
+  const parts = [];
+  let start = 0;
+  walkTopLevel(text, 0, (c, i, depth) => {
+    if (c === ',' && depth === 0) {
+      parts.push(text.slice(start, i).trim());
+      start = i + 1;
+    }
+    return false;
+  });
+  parts.push(text.slice(start).trim());
+  return parts.filter(Boolean);
+}
+
+/**
+ * Index of the parenthesis closing the one at `openIndex`
+ */
+function findClosingParen(text, openIndex) {
+  return walkTopLevel(text, openIndex, (c, i, depth) => c === ')' && depth === 1);
+}
+
+function unquoteString(literal) {
+  return literal.slice(1, -1).replace(/''/g, "'").replace(/\\(.)/g, '$1');
+}
+
+const IDENTIFIER = '(?:`(?:[^`]|``)+`|[\\w$]+)';
+const QUALIFIED_NAME = `(${IDENTIFIER}(?:\\s*\\.\\s*${IDENTIFIER})?)`;
+const STRING_LITERAL = "'(?:[^'\\\\]|\\\\.|'')*'";
+const DEFINER = '(?:DEFINER\\s*=\\s*\\S+\\s+)?';
+
+const CREATE_DATABASE_RE = new RegExp(`^CREATE\\s+(?:DATABASE|SCHEMA)\\s+(?:IF\\s+NOT\\s+EXISTS\\s+)?${QUALIFIED_NAME}`, 'i');
+const USE_RE = new RegExp(`^USE\\s+${QUALIFIED_NAME}`, 'i');
+const CREATE_TABLE_RE = new RegExp(`^CREATE\\s+(?:TEMPORARY\\s+)?TABLE\\s+(?:IF\\s+NOT\\s+EXISTS\\s+)?${QUALIFIED_NAME}`, 'i');
+const ALTER_TABLE_RE = new RegExp(`^ALTER\\s+(?:IGNORE\\s+)?TABLE\\s+${QUALIFIED_NAME}\\s+([\\s\\S]*)$`, 'i');
+const INSERT_RE = new RegExp(
+  `^(?:INSERT|REPLACE)\\s+(?:(?:LOW_PRIORITY|DELAYED|HIGH_PRIORITY|IGNORE)\\s+)*(?:INTO\\s+)?${QUALIFIED_NAME}\\s*(\\([^)]*\\))?\\s*(VALUES?|SET)?`,
+  'i'
+);
+const CREATE_VIEW_RE = new RegExp(
+  `^CREATE\\s+(?:OR\\s+REPLACE\\s+)?(?:ALGORITHM\\s*=\\s*\\w+\\s+)?${DEFINER}(?:SQL\\s+SECURITY\\s+\\w+\\s+)?VIEW\\s+${QUALIFIED_NAME}(?:\\s*\\(([^)]*)\\))?\\s+AS\\s+([\\s\\S]*)$`,
+  'i'
+);
+const CREATE_TRIGGER_RE = new RegExp(
+  `^CREATE\\s+${DEFINER}TRIGGER\\s+(?:IF\\s+NOT\\s+EXISTS\\s+)?${QUALIFIED_NAME}\\s+(BEFORE|AFTER)\\s+(INSERT|UPDATE|DELETE)\\s+ON\\s+${QUALIFIED_NAME}`,
+  'i'
+);
+const CREATE_ROUTINE_RE = new RegExp(`^CREATE\\s+${DEFINER}(PROCEDURE|FUNCTION)\\s+(?:IF\\s+NOT\\s+EXISTS\\s+)?${QUALIFIED_NAME}`, 'i');
+
+const COLUMN_TYPE_RE = /^([a-z]+(?:\s+(?:precision|varying))?)(?:\s*(\((?:[^()'"]|'(?:[^'\\]|\\.|'')*')*\)))?((?:\s+(?:unsigned|signed|zerofill))*)/i;
+const ZERO_DATE_RE = /'0000-00-00/g;
+const REFERENTIAL_ACTION = '(RESTRICT|CASCADE|SET\\s+NULL|SET\\s+DEFAULT|NO\\s+ACTION)';
+
+/**
+ * `a`(10) DESC => { name: 'a', prefixLength: 10 } ; (expr) => { expression }
+ */
+function parseKeyPart(part) {
+  if (part.startsWith('(')) return { expression: part.slice(1, findClosingParen(part, 0)).trim() };
+  const match = part.match(new RegExp(`^(${IDENTIFIER})\\s*(?:\\((\\d+)\\))?`));
+  if (!match) return { expression: part };
+  return match[2] ? { name: unquoteIdentifier(match[1]), prefixLength: Number(match[2]) } : { name: unquoteIdentifier(match[1]) };
+}
+
+function parseKeyParts(list) {
+  return splitTopLevel(list).map(parseKeyPart);
+}
+
+/**
+ * Body of a key definition starting right after its keyword: [name] [USING x] (parts) [options]
+ */
+function parseKeyBody(body) {
+  const open = walkTopLevel(body, 0, c => c === '(');
+  if (open === -1) return null;
+  const close = findClosingParen(body, open);
+  const name = body.slice(0, open).replace(/\bUSING\s+\w+/i, '').trim();
+  const using = (body.match(/\bUSING\s+(\w+)/i) || [])[1];
+
+  return {
+    name: name ? unquoteIdentifier(name) : null,
+    parts: parseKeyParts(body.slice(open + 1, close === -1 ? undefined : close)),
+    using: using ? using.toUpperCase() : null
+  };
+}
+
+function parseForeignKey(name, text) {
+  const match = text.match(new RegExp(
+    `^FOREIGN\\s+KEY\\s*(?:${IDENTIFIER}\\s*)?\\(([^)]*)\\)\\s*REFERENCES\\s+${QUALIFIED_NAME}\\s*\\(([^)]*)\\)([\\s\\S]*)$`,
+    'i'
+  ));
+  if (!match) return null;
+
+  const action = (event) => {
+    const found = match[4].match(new RegExp(`\\bON\\s+${event}\\s+${REFERENTIAL_ACTION}`, 'i'));
+    return found ? found[1].toUpperCase().replace(/\s+/g, ' ') : null;
+  };
+
+  return {
+    name,
+    columns: parseKeyParts(match[1]).map(part => part.name),
+    referencedTable: unquoteIdentifier(match[2]),
+    referencedColumns: parseKeyParts(match[3]).map(part => part.name),
+    onDelete: action('DELETE'),
+    onUpdate: action('UPDATE')
+  };
+}
+
+function parseColumn(name, rest) {
+  const typeMatch = rest.match(COLUMN_TYPE_RE) || ['', rest.split(/\s+/)[0] || '', '', ''];
+  const dataType = typeMatch[1].toLowerCase().replace(/\s+/g, ' ');
+  const params = typeMatch[2] ? typeMatch[2].slice(1, -1) : null;
+  const modifiers = typeMatch[3].trim().toLowerCase().replace(/\s+/g, ' ');
+  const attributes = rest.slice(typeMatch[0].length);
+  // Keyword checks must not see the content of string literals (defaults, comments)
+  const keywords = attributes.replace(new RegExp(STRING_LITERAL, 'g'), "''");
+  const defaultMatch = attributes.match(new RegExp(`\\bDEFAULT\\s+(${STRING_LITERAL}|\\((?:[^()]|\\([^()]*\\))*\\)|[^\\s,]+)`, 'i'));
+
+  const column = {
+    name,
+    type: [`${dataType}${typeMatch[2] || ''}`, modifiers].filter(Boolean).join(' '),
+    dataType,
+    params,
+    unsigned: /\bunsigned\b/.test(modifiers),
+    zerofill: /\bzerofill\b/.test(modifiers),
+    nullable: !/\bNOT\s+NULL\b/i.test(keywords) && !/\bPRIMARY\s+KEY\b/i.test(keywords),
+    default: defaultMatch ? defaultMatch[1] : null,
+    autoIncrement: /\bAUTO_INCREMENT\b/i.test(keywords),
+    charset: ((keywords.match(/\b(?:CHARACTER\s+SET|CHARSET)\s+(\w+)/i) || [])[1] || null),
+    collation: ((keywords.match(/\bCOLLATE\s+(\w+)/i) || [])[1] || null),
+    onUpdate: ((keywords.match(/\bON\s+UPDATE\s+(\w+(?:\(\d*\))?)/i) || [])[1] || null),
+    generated: /\bGENERATED\s+ALWAYS\b|\bAS\s*\(/i.test(keywords)
+  };
+
+  if ((dataType === 'enum' || dataType === 'set') && params) {
+    column.values = splitTopLevel(params).map(unquoteString);
+  }
+
+  return {
+    column,
+    primaryKey: /\bPRIMARY\s+KEY\b/i.test(keywords),
+    unique: /\bUNIQUE\b/i.test(keywords)
+  };
+}
+
+/**
+ * Apply one CREATE TABLE definition (or ALTER TABLE ... ADD clause) to `table`
+ */
+function applyDefinition(table, definition) {
+  let text = definition.trim();
+  let constraintName = null;
+
+  const constraint = text.match(new RegExp(`^CONSTRAINT(?:\\s+(${IDENTIFIER}))?\\s+`, 'i'));
+  if (constraint) {
+    constraintName = constraint[1] ? unquoteIdentifier(constraint[1]) : null;
+    text = text.slice(constraint[0].length);
+  }
+
+  if (/^PRIMARY\s+KEY\b/i.test(text)) {
+    const key = parseKeyBody(text.replace(/^PRIMARY\s+KEY\s*/i, ''));
+    if (key) table.primaryKey = key.parts.map(part => part.name);
+    return;
+  }
+
+  if (/^FOREIGN\s+KEY\b/i.test(text)) {
+    const foreignKey = parseForeignKey(constraintName, text);
+    if (foreignKey) table.foreignKeys.push(foreignKey);
+    return;
+  }
+
+  if (/^CHECK\b/i.test(text)) {
+    table.checks.push({ name: constraintName, expression: text.replace(/^CHECK\s*/i, '') });
+    return;
+  }
+
+  const keyMatch = text.match(/^(?:(UNIQUE|FULLTEXT|SPATIAL)(?:\s+(?:KEY|INDEX))?|KEY|INDEX)\b\s*/i);
+  if (keyMatch) {
+    const key = parseKeyBody(text.slice(keyMatch[0].length));
+    if (!key) return;
+    const kind = (keyMatch[1] || 'INDEX').toUpperCase();
+    table.indexes.push({
+      name: key.name || constraintName,
+      columns: key.parts.map(part => part.name || part.expression),
+      unique: kind === 'UNIQUE',
+      type: kind === 'FULLTEXT' || kind === 'SPATIAL' ? kind : key.using || 'BTREE',
+      prefixed: key.parts.some(part => part.prefixLength !== undefined),
+      expression: key.parts.some(part => part.expression !== undefined)
+    });
+    return;
+  }
+
+  const columnMatch = text.match(new RegExp(`^(${IDENTIFIER}|"(?:[^"]|"")+")\\s+([\\s\\S]+)$`));
+  if (!columnMatch) return;
+
+  const { column, primaryKey, unique } = parseColumn(unquoteIdentifier(columnMatch[1]), columnMatch[2]);
+  table.columns.push(column);
+  if (primaryKey) table.primaryKey = [column.name];
+  if (unique) {
+    table.indexes.push({ name: column.name, columns: [column.name], unique: true, type: 'BTREE', prefixed: false, expression: false });
+  }
+}
+
+function createTableEntry(name, database) {
+  return {
+    name,
+    database,
+    engine: null,
+    charset: null,
+    collation: null,
+    columns: [],
+    primaryKey: [],
+    foreignKeys: [],
+    indexes: [],
+    checks: [],
+    partitioned: false,
+    approximateRows: 0,
+    zeroDateValues: 0
+  };
+}
+
+function parseCreateTable(statement, name, database) {
+  const table = createTableEntry(name, database);
+  const header = statement.match(CREATE_TABLE_RE)[0];
+
+  const likeMatch = statement.slice(header.length).match(new RegExp(`^\\s*\\(?\\s*LIKE\\s+${QUALIFIED_NAME}`, 'i'));
+  if (likeMatch) {
+    table.like = unquoteIdentifier(likeMatch[1]);
+    return table;
+  }
+
+  const open = statement.indexOf('(', header.length);
+  const close = open === -1 ? -1 : findClosingParen(statement, open);
+  if (close === -1) return table;
+
+  splitTopLevel(statement.slice(open + 1, close)).forEach(definition => applyDefinition(table, definition));
+
+  const tableOptions = statement.slice(close + 1).replace(new RegExp(STRING_LITERAL, 'g'), "''");
+  table.engine = (tableOptions.match(/\bENGINE\s*=?\s*(\w+)/i) || [])[1] || null;
+  table.charset = (tableOptions.match(/\b(?:CHARSET|CHARACTER\s+SET)\s*=?\s*(\w+)/i) || [])[1] || null;
+  table.collation = (tableOptions.match(/\bCOLLATE\s*=?\s*(\w+)/i) || [])[1] || null;
+  table.partitioned = /\bPARTITION\s+BY\b/i.test(tableOptions);
+
+  return table;
+}
+
+/**
+ * Number of rows inserted by an INSERT / REPLACE statement, or null when unknown
+ * (INSERT ... SELECT). `groups` counts every top-level parenthesis, including
+ * the optional column list.
+ */
+function countInsertedRows(match, groups) {
+  const keyword = (match[3] || '').toUpperCase();
+  if (keyword === 'SET') return 1;
+  if (!keyword) return null;
+  return Math.max(0, groups - (match[2] ? 1 : 0));
+}
+
+function summarize(analysis) {
+  const charsets = new Map();
+  const countCharset = (charset, field) => {
+    if (!charset) return;
+    const key = charset.toLowerCase();
+    if (!charsets.has(key)) charsets.set(key, { charset: key, tables: 0, columns: 0 });
+    charsets.get(key)[field]++;
+  };
+
+  analysis.tables.forEach((table) => {
+    countCharset(table.charset, 'tables');
+    table.columns.forEach(column => countCharset(column.charset, 'columns'));
+  });
+  analysis.charsets = [...charsets.values()];
+
+  analysis.summary = {
+    tables: analysis.tables.length,
+    columns: analysis.tables.reduce((sum, t) => sum + t.columns.length, 0),
+    foreignKeys: analysis.tables.reduce((sum, t) => sum + t.foreignKeys.length, 0),
+    indexes: analysis.tables.reduce((sum, t) => sum + t.indexes.length, 0),
+    approximateRows: analysis.tables.reduce((sum, t) => sum + t.approximateRows, 0),
+    views: analysis.views.length,
+    triggers: analysis.triggers.length,
+    routines: analysis.routines.length
+  };
+
+  return analysis;
+}
+
+/**
+ * Statement consumer describing a dump's schema:
+ * tables (columns, keys, indexes, engine, charset, approximate row counts,
+ * zero-date literals), views, triggers and routines (with their source).
+ *
+ * Feed it with createStatementSplitter(analyzer.onStatement), then call result().
+ */
+function createDumpAnalyzer() {
+  const databases = [];
+  const tables = new Map();
+  const views = new Map();
+  const triggers = [];
+  const routines = [];
+  const rowCounts = new Map();
+  const zeroDates = new Map();
+  let currentDatabase = null;
+
+  const onStatement = ({ text, groups }) => {
+    let match;
+
+    if ((match = text.match(INSERT_RE))) {
+      const name = unquoteIdentifier(match[1]);
+      const rows = countInsertedRows(match, groups);
+      if (rows !== null) rowCounts.set(name, (rowCounts.get(name) || 0) + rows);
+      // Only the kept part of very long statements is searched
+      const zeroDateCount = (text.match(ZERO_DATE_RE) || []).length;
+      if (zeroDateCount > 0) zeroDates.set(name, (zeroDates.get(name) || 0) + zeroDateCount);
+      return;
+    }
+
+    if ((match = text.match(CREATE_TABLE_RE))) {
+      const name = unquoteIdentifier(match[1]);
+      tables.set(name, parseCreateTable(text, name, currentDatabase));
+      return;
+    }
+
+    if ((match = text.match(ALTER_TABLE_RE))) {
+      const table = tables.get(unquoteIdentifier(match[1]));
+      if (!table) return;
+      splitTopLevel(match[2])
+        .filter(clause => /^ADD\s+(?!COLUMN\b)/i.test(clause))
+        .forEach(clause => applyDefinition(table, clause.replace(/^ADD\s+/i, '')));
+      return;
+    }
+
+    if ((match = text.match(CREATE_VIEW_RE))) {
+      const name = unquoteIdentifier(match[1]);
+      // mysqldump first creates a stand-in table (or view) with the same name
+      tables.delete(name);
+      views.set(name, { name, database: currentDatabase, definition: match[3].trim(), source: text });
+      return;
+    }
+
+    if ((match = text.match(CREATE_TRIGGER_RE))) {
+      triggers.push({
+        name: unquoteIdentifier(match[1]),
+        timing: match[2].toUpperCase(),
+        event: match[3].toUpperCase(),
+        table: unquoteIdentifier(match[4]),
+        source: text
+      });
+      return;
+    }
+
+    if ((match = text.match(CREATE_ROUTINE_RE))) {
+      routines.push({ name: unquoteIdentifier(match[2]), type: match[1].toUpperCase(), source: text });
+      return;
+    }
+
+    if ((match = text.match(CREATE_DATABASE_RE))) {
+      const name = unquoteIdentifier(match[1]);
+      if (!databases.includes(name)) databases.push(name);
+      currentDatabase = name;
+      return;
+    }
+
+    if ((match = text.match(USE_RE))) {
+      currentDatabase = unquoteIdentifier(match[1]);
+      if (!databases.includes(currentDatabase)) databases.push(currentDatabase);
+    }
+  };
+
+  const result = () => {
+    tables.forEach((table) => {
+      table.approximateRows = rowCounts.get(table.name) || 0;
+      table.zeroDateValues = zeroDates.get(table.name) || 0;
+    });
+
+    return summarize({
+      databases,
+      tables: [...tables.values()],
+      views: [...views.values()],
+      triggers,
+      routines
+    });
+  };
+
+  return { onStatement, result };
+}
+
+/**
+ * Parse a whole dump in one streaming pass and describe its schema
+ */
+async function analyzeDump(dumpPath, { compression = null, key = null } = {}) {
+  const analyzer = createDumpAnalyzer();
+  const stream = await openDumpStream(dumpPath, compression, { key });
+  await forEachStatement(stream, analyzer.onStatement);
+  return analyzer.result();
+}
+
+module.exports = {
+  createStatementSplitter,
+  forEachStatement,
+  unquoteIdentifier,
+  splitTopLevel,
+  createDumpAnalyzer,
+  analyzeDump
+};
@@ -0,0 +1,167 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const zlib = require('zlib');
+const { PassThrough, pipeline } = require('stream');
+const { execProcess } = require('./process');
+const { openReadStream } = require('./fileEncryption');
+
+/**
+ * Supported upload formats, longest extension first so `.sql.gz` wins over `.sql`
+ */
+const DUMP_FORMATS = [
+  { ext: '.sql.gz', compression: 'gzip' },
+  { ext: '.sql.bz2', compression: 'bzip2' },
+  { ext: '.sql.zst', compression: 'zstd' },
+  { ext: '.zip', compression: 'zip' },
+  { ext: '.sql', compression: null }
+];
+
+const SUPPORTED_DUMP_EXTENSIONS = DUMP_FORMATS.map(f => f.ext);
+
+/**
+ * Detect the dump format from the original file name.
+ * Returns { ext, compression } or null when the extension is not supported.
+ */
+function detectDumpFormat(fileName) {
+  const lower = String(fileName || '').toLowerCase();
+  return DUMP_FORMATS.find(f => lower.endsWith(f.ext)) || null;
+}
+
+/**
+ * Pipe the stdout of a decompression tool into a PassThrough, feeding its stdin
+ * from `input` when given.
+ * The output errors out if the tool is missing or exits with a non-zero code.
+ */
+function pipeCommandOutput(command, args, out, { end = true, input = null } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: [input ? 'pipe' : 'ignore', 'pipe', 'pipe'] });
+    let stderr = '';
+    let settled = false;
+
+    const fail = (err) => {
+      if (settled) return;
+      settled = true;
+      out.destroy(err);
+      reject(err);
+    };
+
+    // Consumer stopped reading early (e.g. validation rejected the file)
+    const stopChild = () => { if (child.exitCode === null) child.kill(); };
+    out.once('close', stopChild);
+
+    if (input) {
+      child.stdin.on('error', () => {}); // EPIPE when the tool stops early; reported via 'close'
+      input.on('error', (err) => {
+        child.kill();
+        fail(err);
+      });
+      input.pipe(child.stdin);
+      out.once('close', () => input.destroy());
+    }
+
+    child.stderr.on('data', (data) => { stderr += data.toString(); });
+    child.stdout.pipe(out, { end: false });
+
+    child.on('error', (err) => {
+      fail(err.code === 'ENOENT'
+        ? new Error(`"${command}" is required to read this dump format but is not installed`)
+        : err);
+    });
+
+    child.on('close', (code) => {
+      out.removeListener('close', stopChild);
+      if (settled) return;
+      if (code !== 0) {
+        return fail(new Error(`${command} failed (exit code ${code}): ${stderr.trim() || 'no details'}`));
+      }
+      settled = true;
+      if (end) out.end();
+      resolve();
+    });
+  });
+}
+
+/**
+ * Escape unzip wildcard characters so entry names are matched literally
+ */
+function escapeZipPattern(name) {
+  return name.replace(/[[\]*?]/g, c => `[${c}]`);
+}
+
+/**
+ * List the .sql entries of a zip archive in the order they will be imported.
+ * Entries are sorted by path using a natural sort (01_schema.sql < 02_data.sql < 10_extra.sql),
+ * so numbered files created by split dumps are replayed in sequence.
+ */
+async function listZipSqlEntries(zipPath) {
+  const { stdout } = await execProcess('unzip', ['-Z1', zipPath]).catch((err) => {
+    if (err.code === 'ENOENT') throw new Error('"unzip" is required to read .zip dumps but is not installed');
+    throw new Error(`Unable to read zip archive: ${(err.stderr || err.message || '').trim()}`);
+  });
+
+  const entries = stdout
+    .split('\n')
+    .map(l => l.trim())
+    .filter(Boolean)
+    .filter(name => !name.endsWith('/'))
+    .filter(name => !name.startsWith('__MACOSX/') && !name.split('/').pop().startsWith('.'))
+    .filter(name => name.toLowerCase().endsWith('.sql'));
+
+  return entries.sort((a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' }));
+}
+
+/**
+ * Open a readable stream of the decompressed SQL text of an uploaded dump,
+ * decrypted first when stored encrypted (`key`, see fileEncryption.js).
+ * Zip archives with several .sql entries are concatenated in listZipSqlEntries order.
+ */
+async function openDumpStream(filePath, compression = null, { key = null } = {}) {
+  if (!compression) return openReadStream(filePath, key);
+
+  if (compression === 'gzip') {
+    return pipeline(openReadStream(filePath, key), zlib.createGunzip(), () => {});
+  }
+
+  const out = new PassThrough();
+
+  // Encrypted uploads reach the decompressor through its stdin, never as a plain file
+  if (compression === 'bzip2') {
+    const args = key ? ['-dc'] : ['-dc', filePath];
+    pipeCommandOutput('bzip2', args, out, { input: key ? openReadStream(filePath, key) : null }).catch(() => {});
+    return out;
+  }
+
+  if (compression === 'zstd') {
+    const args = key ? ['-dcq'] : ['-dcq', filePath];
+    pipeCommandOutput('zstd', args, out, { input: key ? openReadStream(filePath, key) : null }).catch(() => {});
+    return out;
+  }
+
+  if (compression === 'zip') {
+    // unzip needs random access to the archive
+    if (key) throw new Error('Zip archives cannot be read from encrypted storage');
+
+    const entries = await listZipSqlEntries(filePath);
+    if (entries.length === 0) throw new Error('Zip archive does not contain any .sql file.');
+
+    (async () => {
+      for (const entry of entries) {
+        if (out.destroyed) return;
+        await pipeCommandOutput('unzip', ['-p', filePath, escapeZipPattern(entry)], out, { end: false });
+        out.write('\n');
+      }
+      out.end();
+    })().catch(() => {});
+
+    return out;
+  }
+
+  throw new Error(`Unsupported dump compression: ${compression}`);
+}
+
+module.exports = {
+  SUPPORTED_DUMP_EXTENSIONS,
+  detectDumpFormat,
+  listZipSqlEntries,
+  openDumpStream
+};
@@ -0,0 +1,123 @@
+/**
+ * Per-migration options of the exported PostgreSQL dump: pg_dump format, content
+ * (schema and/or data) and the role that should own the exported objects.
+ */
+
+// `compressed`: already compressed (pg_dump compresses custom archives), not gzipped again on download
+const EXPORT_FORMATS = {
+  plain: { pgDumpFormat: 'p', extension: '.sql', contentType: 'application/sql; charset=utf-8', gzip: false, compressed: false },
+  custom: { pgDumpFormat: 'c', extension: '.dump', contentType: 'application/octet-stream', gzip: false, compressed: true },
+  tar: { pgDumpFormat: 't', extension: '.tar', contentType: 'application/x-tar', gzip: false, compressed: false },
+  gzip: { pgDumpFormat: 'p', extension: '.sql.gz', contentType: 'application/gzip', gzip: true, compressed: true }
+};
+
+const EXPORT_CONTENTS = ['full', 'schema-only', 'data-only'];
+
+const DEFAULT_EXPORT_OPTIONS = {
+  format: 'plain',
+  content: 'full',
+  owner: null
+};
+
+// Plain role names only: the name is written into ALTER ... OWNER TO statements
+const ROLE_NAME_RE = /^[A-Za-z_][A-Za-z0-9_]{0,62}$/;
+
+/**
+ * Validate user options and merge them over the defaults.
+ * Throws an Error listing every problem found.
+ */
+function normalizeExportOptions(input) {
+  if (input === undefined || input === null) return { ...DEFAULT_EXPORT_OPTIONS };
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('Invalid export options: expected an object');
+  }
+
+  const errors = [];
+  const options = { ...DEFAULT_EXPORT_OPTIONS };
+
+  if (input.format !== undefined) {
+    if (!Object.hasOwn(EXPORT_FORMATS, input.format)) {
+      errors.push(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    } else {
+      options.format = input.format;
+    }
+  }
+
+  if (input.content !== undefined) {
+    if (!EXPORT_CONTENTS.includes(input.content)) {
+      errors.push(`content must be one of: ${EXPORT_CONTENTS.join(', ')}`);
+    } else {
+      options.content = input.content;
+    }
+  }
+
+  if (input.owner !== undefined && input.owner !== null && input.owner !== '') {
+    if (typeof input.owner !== 'string' || !ROLE_NAME_RE.test(input.owner)) {
+      errors.push('owner must be a role name (letters, digits and underscores, 63 characters max)');
+    } else {
+      options.owner = input.owner;
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid export options: ${errors.join('; ')}`);
+  }
+
+  return options;
+}
+
+/**
+ * File extension, content type and gzip flag of an export format
+ */
+function describeExportFormat(format) {
+  return EXPORT_FORMATS[format] || EXPORT_FORMATS[DEFAULT_EXPORT_OPTIONS.format];
+}
+
+const exportFileName = (migrationId, format) => `postgres_dump_${migrationId}${describeExportFormat(format).extension}`;
+
+/**
+ * Every file name an export of this migration can have (for cleanup)
+ */
+const exportFileNames = (migrationId) => Object.keys(EXPORT_FORMATS).map(format => exportFileName(migrationId, format));
+
+/**
+ * pg_dump arguments (after the connection ones) for normalized options
+ */
+function pgDumpArgs(options) {
+  const args = ['-F', describeExportFormat(options.format).pgDumpFormat, '--no-privileges'];
+  // Without a target role, ownership is left to whoever restores the dump
+  if (!options.owner) args.push('--no-owner');
+  if (options.content === 'schema-only') args.push('--schema-only');
+  if (options.content === 'data-only') args.push('--data-only');
+  return args;
+}
+
+const quoteIdentifier = name => `"${name.replace(/"/g, '""')}"`;
+const quoteLiteral = value => `'${value.replace(/'/g, "''")}'`;
+
+/**
+ * SQL appended to plain dumps so that the migrated schema is found without
+ * qualifying names: pg_dump empties search_path at the top of its output, and
+ * views, routines and queries of the application expect the former database.
+ */
+function searchPathFooter(schema) {
+  return `
+-- Resolve unqualified names in the migrated schema
+DO $$
+BEGIN
+  EXECUTE format('ALTER DATABASE %I SET search_path TO %I, public', current_database(), ${quoteLiteral(schema)});
+END
+$$;
+SET search_path TO ${quoteIdentifier(schema)}, public;
+`;
+}
+
+module.exports = {
+  DEFAULT_EXPORT_OPTIONS,
+  normalizeExportOptions,
+  describeExportFormat,
+  exportFileName,
+  exportFileNames,
+  pgDumpArgs,
+  searchPathFooter
+};
@@ -0,0 +1,153 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+
+/**
+ * Encryption at rest of uploaded dumps and exported output (ENCRYPT_AT_REST=true).
+ *
+ * Each migration gets a random AES-256 key held only in memory (migration.secrets,
+ * never persisted): a backend restart makes its files unreadable on purpose.
+ * Files are `<16-byte IV><AES-256-CTR ciphertext>`: CTR keeps the plaintext
+ * length and can start at any byte, so resumable uploads append encrypted chunks
+ * at their offset.
+ */
+
+const ALGORITHM = 'aes-256-ctr';
+const KEY_LENGTH = 32;
+const BLOCK_SIZE = 16;
+const HEADER_LENGTH = BLOCK_SIZE;
+// Overwrite buffer of secureDelete
+const WIPE_CHUNK_SIZE = 1024 * 1024;
+
+const createFileKey = () => crypto.randomBytes(KEY_LENGTH);
+const createIv = () => crypto.randomBytes(BLOCK_SIZE);
+
+// IV + block index, as a 128-bit big-endian counter (like AES-CTR itself)
+function counterIv(iv, blockIndex) {
+  const out = Buffer.from(iv);
+  let carry = BigInt(blockIndex);
+  for (let i = BLOCK_SIZE - 1; i >= 0 && carry > 0n; i--) {
+    const sum = BigInt(out[i]) + (carry & 0xffn);
+    out[i] = Number(sum & 0xffn);
+    carry = (carry >> 8n) + (sum >> 8n);
+  }
+  return out;
+}
+
+/**
+ * Cipher (also the decipher: CTR is symmetric) positioned at plaintext byte `offset`
+ */
+function cipherAt(key, iv, offset = 0) {
+  const cipher = crypto.createCipheriv(ALGORITHM, key, counterIv(iv, Math.floor(offset / BLOCK_SIZE)));
+  const skip = offset % BLOCK_SIZE;
+  if (skip) cipher.update(Buffer.alloc(skip));
+  return cipher;
+}
+
+/**
+ * Transform turning plaintext into a complete encrypted file (IV header first)
+ */
+function encryptStream(key) {
+  const iv = createIv();
+  const cipher = cipherAt(key, iv);
+  let headerWritten = false;
+  const writeHeader = (stream) => {
+    if (headerWritten) return;
+    headerWritten = true;
+    stream.push(iv);
+  };
+
+  return new Transform({
+    transform(chunk, _enc, cb) {
+      writeHeader(this);
+      cb(null, cipher.update(chunk));
+    },
+    flush(cb) {
+      writeHeader(this);
+      cb(null, cipher.final());
+    }
+  });
+}
+
+function readIv(filePath) {
+  const iv = Buffer.alloc(HEADER_LENGTH);
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    if (fs.readSync(fd, iv, 0, HEADER_LENGTH, 0) < HEADER_LENGTH) throw new Error('Encrypted file is truncated');
+  } finally {
+    fs.closeSync(fd);
+  }
+  return iv;
+}
+
+/**
+ * Plaintext read stream of `filePath`, decrypted when `key` is set.
+ * `start`/`end` (inclusive) are plaintext byte positions, as in fs.createReadStream.
+ */
+function openReadStream(filePath, key = null, { start = 0, end } = {}) {
+  if (!key) return fs.createReadStream(filePath, { start, end });
+
+  const iv = readIv(filePath);
+  const file = fs.createReadStream(filePath, {
+    start: HEADER_LENGTH + start,
+    end: end === undefined ? undefined : HEADER_LENGTH + end
+  });
+  const plain = cipherAt(key, iv, start);
+  file.on('error', err => plain.destroy(err));
+  plain.on('close', () => file.destroy());
+  return file.pipe(plain);
+}
+
+/**
+ * Plaintext size of a file written by encryptStream (or of a plain file)
+ */
+function plainFileSize(filePath, key = null) {
+  const { size } = fs.statSync(filePath);
+  return key ? Math.max(0, size - HEADER_LENGTH) : size;
+}
+
+async function wipeFile(filePath) {
+  const handle = await fs.promises.open(filePath, 'r+');
+  try {
+    const { size } = await handle.stat();
+    const buffer = Buffer.alloc(Math.min(WIPE_CHUNK_SIZE, size));
+    for (let position = 0; position < size; position += buffer.length) {
+      const length = Math.min(buffer.length, size - position);
+      crypto.randomFillSync(buffer, 0, length);
+      await handle.write(buffer, 0, length, position);
+    }
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Overwrite every file under `targetPath` with random bytes, then remove it.
+ * Best effort: copy-on-write filesystems and SSD wear levelling may keep old
+ * blocks, which is why dumps are also encrypted.
+ */
+async function secureDelete(targetPath) {
+  const stat = await fs.promises.lstat(targetPath).catch(() => null);
+  if (!stat) return;
+
+  if (stat.isDirectory()) {
+    const entries = await fs.promises.readdir(targetPath);
+    for (const entry of entries) await secureDelete(path.join(targetPath, entry));
+  } else if (stat.isFile() && stat.size > 0) {
+    await wipeFile(targetPath);
+  }
+  await fs.promises.rm(targetPath, { recursive: true, force: true });
+}
+
+module.exports = {
+  HEADER_LENGTH,
+  createFileKey,
+  createIv,
+  cipherAt,
+  encryptStream,
+  openReadStream,
+  plainFileSize,
+  secureDelete
+};
@@ -2,43 +2,85 @@ const { spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const dotenv = require('dotenv');
+const zlib = require('zlib');
 const { pipeline } = require('stream/promises');
+const { setTimeout: delay } = require('timers/promises');
+const { execProcess, streamProcess } = require('./process');
+const { openDumpStream } = require('./dumpArchive');
+const { encryptStream, secureDelete } = require('./fileEncryption');
+const { checksumPath, createChecksumStream, writeChecksumFile } = require('./outputDownload');
+const {
+  normalizePgloaderOptions,
+  normalizeTableFilters,
+  tableMatchesFilters,
+  normalizeSchemaOptions,
+  targetSchemaName,
+  targetTableName,
+  renderPgloaderConfig
+} = require('./pgloaderOptions');
+const { normalizeVerificationOptions, reconcileRowCounts } = require('./verification');
+const { verifyRowChecksums } = require('./rowChecksums');
+const { migrateDatabaseObjects } = require('./objectTranslation');
+const { parsePgloaderSummary } = require('./pgloaderSummary');
+const { monitorLoad, monitorStream } = require('./progressMonitor');
+const { psqlQuery, quotePgLiteral, setPostgresTarget, setMysqlSource } = require('./dbExec');
+const { createRedactor } = require('./redaction');
+const { encodeCredentials } = require('./connectionOptions');
+const { describePostgresTarget } = require('./postgresTarget');
+const {
+  DEFAULT_EXPORT_OPTIONS,
+  normalizeExportOptions,
+  describeExportFormat,
+  exportFileName,
+  exportFileNames,
+  pgDumpArgs,
+  searchPathFooter
+} = require('./exportOptions');
 const DOCKER_COMPOSE_PATH = process.env.DOCKER_COMPOSE_PATH || path.resolve(__dirname, '../../containers');
+// Compose profile of the mysql-client service (live MySQL source)
+const LIVE_SOURCE_PROFILE = 'live-source';
 
 
 // Cache pour éviter de refaire l'import à chaque appel
-let _validateAndPrepareSqlDump;
+let _sqlDumpModule;
 
-async function getValidateAndPrepareSqlDump() {
-  if (_validateAndPrepareSqlDump) return _validateAndPrepareSqlDump;
+async function getSqlDumpModule() {
+  if (_sqlDumpModule) return _sqlDumpModule;
 
-  const mod = await import('./validateAndPrepareSqlDump.mjs');
-  _validateAndPrepareSqlDump = mod.validateAndPrepareSqlDump;
-  return _validateAndPrepareSqlDump;
+  _sqlDumpModule = await import('./validateAndPrepareSqlDump.mjs');
+  return _sqlDumpModule;
 }
-async function preValidateSqlDump(dumpPath) {
-  const validateAndPrepareSqlDump = await getValidateAndPrepareSqlDump();
+async function preValidateSqlDump(dumpPath, { compression = null, key = null, analyze = false } = {}) {
+  const { validateAndPrepareSqlDump } = await getSqlDumpModule();
 
   return validateAndPrepareSqlDump(dumpPath, {
     defaultDbName: process.env.MYSQL_DATABASE || process.env.DATABASE_NAME || 'source_db',
     injectUseHeaderIfMissing: true,
+    compression,
+    key,
+    analyze,
   });
 }
 
-module.exports = { startMigration, preValidateSqlDump };
+module.exports = { startMigration, preValidateSqlDump, cleanupDockerProject };
 
 /**
- * Logging utility with real-time callback
+ * Logging utility with real-time callback. Messages and extras are redacted
+ * (see redaction.js) before reaching the log file, the callback or the console;
+ * `secrets` are the session's own credentials.
  */
 class Logger {
-  constructor(logPath, onLog = null) {
+  constructor(logPath, onLog = null, { secrets = [] } = {}) {
     this.logPath = logPath;
     this.onLog = onLog;
+    this.redact = createRedactor(secrets);
     fs.writeFileSync(logPath, '');
   }
 
-  log(level, message, extra = undefined) {
+  log(level, rawMessage, rawExtra = undefined) {
     const timestamp = new Date().toISOString();
+    const message = this.redact(rawMessage);
+    const extra = this.redact(rawExtra);
     const logEntry = {
       type: 'log',
       timestamp,
@@ -58,44 +100,30 @@ class Logger {
   error(message, extra) { this.log('ERROR', message, extra); }
 }
 
+/**
+ * Stop the pipeline between steps once the migration has been cancelled
+ */
+function throwIfCancelled(signal) {
+  if (signal?.aborted) throw new Error('Migration cancelled');
+}
+
 function emitStatus(onLog, data) {
   if (!onLog) return;
   onLog({ type: 'status', data });
 }
 
-function safeRemove(targetPath, label, logger) {
+async function safeRemove(targetPath, label, logger) {
   if (!targetPath) return;
   if (!fs.existsSync(targetPath)) return;
 
   try {
-    fs.rmSync(targetPath, { recursive: true, force: true });
+    await secureDelete(targetPath);
     logger.info(`Cleanup removed ${label}: ${targetPath}`);
   } catch (err) {
     logger.warn(`Cleanup failed for ${label}: ${targetPath}`, { message: err.message });
   }
 }
 
-/**
- * Spawn a child process and capture output
- */
-function execProcess(command, args, options = {}) {
-  return new Promise((resolve, reject) => {
-    const child = spawn(command, args, { stdio: ['pipe', 'pipe', 'pipe'], ...options });
-    let stdout = '';
-    let stderr = '';
-
-    child.stdout.on('data', (data) => { stdout += data.toString(); });
-    child.stderr.on('data', (data) => { stderr += data.toString(); });
-
-    child.on('close', (code) => {
-      if (code === 0) resolve({ code, stdout, stderr });
-      else reject({ code, stdout, stderr });
-    });
-
-    child.on('error', (err) => reject(err));
-  });
-}
-
 /**
  * Load containers/.env into process.env (real load)
  */
@@ -131,32 +159,20 @@ function envInt(name, fallback) {
 }
 
 /**
- * Extract database name from MySQL dump file
+ * Extract database name from MySQL dump file (streamed, never fully loaded)
  */
-function extractDatabaseName(dumpPath) {
-  const content = fs.readFileSync(dumpPath, 'utf8');
+async function extractDatabaseName(dumpPath, options = {}) {
+  const sqlDump = await getSqlDumpModule();
+  const dbName = await sqlDump.extractDatabaseName(dumpPath, options);
 
-  const createDbMatch = content.match(/CREATE DATABASE(?:\s+IF NOT EXISTS)?\s+`?([^`;\s]+)`?/i);
-  if (createDbMatch) return createDbMatch[1];
-
-  const useDbMatch = content.match(/USE\s+`?([^`;\s]+)`?/i);
-  if (useDbMatch) return useDbMatch[1];
-
-  return process.env.DATABASE_NAME || process.env.MYSQL_DATABASE;
-}
-
-/**
- * URL encode special characters in database credentials
- */
-function encodeCredentials(str) {
-  if (!str) return '';
-  return String(str).replace(/[:'@/?#\[\]]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+  return dbName || process.env.DATABASE_NAME || process.env.MYSQL_DATABASE;
 }
 
 /**
- * Prepare database dump file
+ * Prepare database dump file: decompress the upload into sql-dump/<id>/dump.sql,
+ * prepending the CREATE DATABASE/USE header computed during validation if any
  */
-async function prepareDumpFile(uploadedFile, migrationId, logger) {
+async function prepareDumpFile(uploadedFile, migrationId, logger, { compression = null, header = null, signal } = {}) {
   logger.info('Preparing MySQL dump file...');
 
   const migrationDumpDir = path.join(DOCKER_COMPOSE_PATH, 'sql-dump', migrationId);
@@ -164,11 +180,15 @@ async function prepareDumpFile(uploadedFile, migrationId, logger) {
 
   if (!fs.existsSync(migrationDumpDir)) fs.mkdirSync(migrationDumpDir, { recursive: true });
 
-  fs.copyFileSync(uploadedFile, dumpPath);
+  if (compression) logger.info(`Decompressing ${compression} dump...`);
+
+  const output = fs.createWriteStream(dumpPath);
+  if (header) output.write(header);
+  await pipeline(await openDumpStream(uploadedFile, compression), output, { signal });
   logger.info(`Dump file prepared at ${dumpPath}`);
 
   try {
-    fs.rmSync(uploadedFile, { force: true });
+    await secureDelete(uploadedFile);
     logger.info('Uploaded SQL dump removed after staging.');
   } catch (err) {
     logger.warn('Failed to remove uploaded SQL dump after staging.', { message: err.message });
@@ -178,15 +198,67 @@ async function prepareDumpFile(uploadedFile, migrationId, logger) {
 }
 
 /**
- * Create pgloader configuration file from env + dump analysis
+ * Encrypted dump: nothing is staged in clear for the init scripts, the dump is
+ * decrypted on the fly into the mysql client of the running source container
+ */
+async function loadDumpIntoSource(uploadedFile, migrationId, logger, { compression = null, header = null, key, signal } = {}) {
+  logger.info('Loading the encrypted dump into MySQL...');
+
+  const mysqlContainerName = `migration-${migrationId}-mysql-source-1`;
+  const child = spawn('docker', [
+    'exec', '-i', '-e', 'MYSQL_PWD', mysqlContainerName,
+    'mysql', '-u', process.env.MYSQL_ROOT, '--default-character-set=utf8mb4'
+  ], {
+    stdio: ['pipe', 'ignore', 'pipe'],
+    signal,
+    env: { ...process.env, MYSQL_PWD: process.env.MYSQL_ROOT_PASSWORD || '' }
+  });
+
+  let stderr = '';
+  child.stderr.on('data', (data) => {
+    stderr += data.toString();
+  });
+
+  if (header) child.stdin.write(header);
+
+  try {
+    await Promise.all([
+      pipeline(await openDumpStream(uploadedFile, compression, { key }), child.stdin, { signal }),
+      new Promise((resolve, reject) => {
+        child.on('error', reject);
+        child.on('close', (code) => {
+          if (code === 0) return resolve();
+          reject(new Error(stderr || `mysql exited with code ${code}`));
+        });
+      })
+    ]);
+  } catch (err) {
+    throwIfCancelled(signal);
+    logger.error('Dump load failed', { stderr: stderr || err.message });
+    throw new Error('Unable to load the dump into MySQL');
+  }
+  logger.info('Dump loaded into MySQL');
+
+  try {
+    await secureDelete(uploadedFile);
+    logger.info('Uploaded SQL dump removed after loading.');
+  } catch (err) {
+    logger.warn('Failed to remove uploaded SQL dump after loading.', { message: err.message });
+  }
+}
+
+/**
+ * Write the pgloader command file. `source` is the live MySQL server to read
+ * (null: the source container), `target` the external PostgreSQL server to load
+ * into (null: the target container).
  */
-async function createPgloaderConfig(migrationId, dumpPath, logger) {
+async function createPgloaderConfig(migrationId, mysqlDb, logger, migrationOptions = {}, { source = null, target = null } = {}) {
   logger.info('Creating pgloader configuration...');
 
   const requiredEnvVars = [
-    'MYSQL_HOST', 'MYSQL_USER', 'MYSQL_ROOT_PASSWORD','MYSQL_ROOT',
+    ...(source ? [] : ['MYSQL_HOST', 'MYSQL_USER', 'MYSQL_ROOT_PASSWORD', 'MYSQL_ROOT', 'MYSQL_PORT_INTERNAL']),
     'POSTGRES_HOST', 'POSTGRES_USER', 'POSTGRES_PASSWORD', 'POSTGRES_DB',
-    'MYSQL_PORT_INTERNAL', 'POSTGRES_PORT_INTERNAL'
+    'POSTGRES_PORT_INTERNAL'
   ];
 
   const missingVars = requiredEnvVars.filter(v => !process.env[v]);
@@ -194,34 +266,50 @@ async function createPgloaderConfig(migrationId, dumpPath, logger) {
     throw new Error(`Missing required environment variables: ${missingVars.join(', ')}`);
   }
 
-  const mysqlHost = process.env.MYSQL_HOST;
-  const mysqlPort = envInt('MYSQL_PORT_INTERNAL', 3306);
-  const mysqlUser = process.env.MYSQL_ROOT;
-  const mysqlPassword = encodeCredentials(process.env.MYSQL_ROOT_PASSWORD);
+  const mysqlHost = source ? source.host : process.env.MYSQL_HOST;
+  const mysqlPort = source ? source.port : envInt('MYSQL_PORT_INTERNAL', 3306);
+  const mysqlUser = encodeCredentials(source ? source.user : process.env.MYSQL_ROOT);
+  const mysqlPassword = encodeCredentials(source ? source.password : process.env.MYSQL_ROOT_PASSWORD);
+  const mysqlQueryString = source ? `?sslmode=${source.sslMode}` : '';
 
-  const mysqlDb = extractDatabaseName(dumpPath);
   if (!mysqlDb) throw new Error('Unable to determine MySQL database name from dump or environment variables');
   logger.info(`Detected MySQL database name: ${mysqlDb}`);
+  if (source) logger.info(`Source: live MySQL server ${source.host}:${source.port} (sslmode ${source.sslMode})`);
+
+  const pgHost = target ? target.host : process.env.POSTGRES_HOST;
+  const pgPort = target ? target.port : envInt('POSTGRES_PORT_INTERNAL', 5432);
+  const pgUser = encodeCredentials(target ? target.user : process.env.POSTGRES_USER);
+  const pgPassword = encodeCredentials(target ? target.password : process.env.POSTGRES_PASSWORD);
+  const pgDb = encodeCredentials(target ? target.database : process.env.POSTGRES_DB);
+  const pgQuery = target ? `?sslmode=${target.sslMode}` : '';
+  if (target) {
+    logger.info(`Target: external PostgreSQL server ${target.host}:${target.port}/${target.database} (sslmode ${target.sslMode})`);
+    if (target.includeDrop) logger.warn('include drop enabled: existing target tables with the same names will be dropped');
+  }
 
-  const pgHost = process.env.POSTGRES_HOST;
-  const pgPort = envInt('POSTGRES_PORT_INTERNAL', 5432);
-  const pgUser = process.env.POSTGRES_USER;
-  const pgPassword = encodeCredentials(process.env.POSTGRES_PASSWORD);
-  const pgDb = process.env.POSTGRES_DB;
-
-  const config = `LOAD DATABASE
-    FROM mysql://${mysqlUser}:${mysqlPassword}@${mysqlHost}:${mysqlPort}/${mysqlDb}
-    INTO postgres://${pgUser}:${pgPassword}@${pgHost}:${pgPort}/${pgDb}
-
-WITH include drop,
-     create tables,
-     create indexes,
-     reset sequences,
-     workers = 8,
-     concurrency = 1
-
-EXCLUDING TABLE NAMES MATCHING '_*'
-;`;
+  const options = normalizePgloaderOptions(migrationOptions.pgloader);
+  const tables = normalizeTableFilters(migrationOptions.tables);
+  logger.info('pgloader options', {
+    mode: options.mode,
+    workers: options.workers,
+    concurrency: options.concurrency,
+    rowsPerRange: options.rowsPerRange,
+    castRules: options.castRules.length
+  });
+  logger.info('Table selection', tables);
+  const schema = normalizeSchemaOptions(migrationOptions.schema, null, mysqlDb);
+  logger.info(`Target schema: ${targetSchemaName(mysqlDb, schema)} (identifiers: ${schema.identifierCase})`, { tableRenames: schema.tableRenames });
+
+  const config = renderPgloaderConfig({
+    sourceUri: `mysql://${mysqlUser}:${mysqlPassword}@${mysqlHost}:${mysqlPort}/${encodeCredentials(mysqlDb)}${mysqlQueryString}`,
+    targetUri: `postgres://${pgUser}:${pgPassword}@${pgHost}:${pgPort}/${pgDb}${pgQuery}`,
+    options,
+    tables,
+    sourceDatabase: mysqlDb,
+    schema,
+    // The target container is throwaway; an external server only drops on request
+    includeDrop: target ? target.includeDrop : true
+  });
 
   const configDir = path.join(DOCKER_COMPOSE_PATH, 'migration');
   const configPath = path.join(configDir, `load-${migrationId}.load`);
@@ -234,9 +322,11 @@ EXCLUDING TABLE NAMES MATCHING '_*'
 }
 
 /**
- * Start Docker containers with project isolation
+ * Start Docker containers with project isolation. A live source replaces the
+ * MySQL server container with a client-only one; with an external target, the
+ * postgres-target container is left out.
  */
-async function startDockerContainers(migrationId, logger) {
+async function startDockerContainers(migrationId, logger, signal, { liveSource = false, externalTarget = false } = {}) {
   logger.info('Starting Docker containers...');
 
   const projectName = `migration-${migrationId}`;
@@ -247,16 +337,29 @@ async function startDockerContainers(migrationId, logger) {
     MIGRATION_ID: migrationId
   };
 
+  // Every service by default, otherwise only those this run talks to
+  const services = liveSource || externalTarget
+    ? [liveSource ? 'mysql-client' : 'mysql-source', ...(externalTarget ? [] : ['postgres-target']), 'pgloader']
+    : [];
+
   try {
-    const result = await execProcess('docker-compose', [
+    // Build and startup progress goes to stderr: log both streams as they come
+    await streamProcess('docker-compose', [
+      ...(liveSource ? ['--profile', LIVE_SOURCE_PROFILE] : []),
       '-p', projectName,
-      'up', '--build', '-d'
+      'up', '--build', '-d',
+      // --no-deps: pgloader would otherwise pull the left-out services in through depends_on
+      ...(services.length > 0 ? ['--no-deps', ...services] : [])
     ], {
       cwd: DOCKER_COMPOSE_PATH,
-      env
+      env,
+      signal,
+      tailLines: 50, // lines already logged live: the tail only details a failure
+      onLine: (line) => {
+        if (line.trim()) logger.info(`Docker: ${line.trim()}`);
+      }
     });
 
-    result.stdout.split('\n').filter(Boolean).forEach(line => logger.info(`Docker: ${line}`));
     logger.info('Docker containers started successfully');
 } catch (err) {
   logger.error('Docker startup failed (details below)');
@@ -269,22 +372,22 @@ async function startDockerContainers(migrationId, logger) {
 }
 
 /**
- * Simple sleep
+ * Simple sleep, interrupted when the migration is cancelled
  */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+function sleep(ms, signal) {
+  return delay(ms, undefined, { signal });
 }
 
 /**
  * Ensure dump file is mounted correctly in MySQL container
  */
-async function verifyDumpMounted(migrationId, logger) {
+async function verifyDumpMounted(migrationId, logger, signal) {
   const mysqlContainerName = `migration-${migrationId}-mysql-source-1`;
 
   try {
     const ls = await execProcess('docker', [
       'exec', mysqlContainerName, 'sh', '-lc', 'ls -la /docker-entrypoint-initdb.d'
-    ]);
+    ], { signal });
     logger.info('MySQL initdb.d content:', { content: ls.stdout });
 
     if (!ls.stdout.includes('dump.sql')) {
@@ -299,99 +402,166 @@ async function verifyDumpMounted(migrationId, logger) {
 }
 
 /**
- * Wait for databases to be ready + verify MySQL has loaded user DB/tables
+ * Wait for databases to be ready + verify MySQL has loaded user DB/tables.
+ * With an external target there is no PostgreSQL container to wait for.
+ * `loadDump` replaces the init scripts when the dump is not staged in sql-dump/.
  */
-async function waitForDatabases(migrationId, dumpPath, logger, maxAttempts = 120) {
+async function waitForDatabases(migrationId, mysqlDb, logger, signal, { maxAttempts = 120, externalTarget = false, loadDump = null } = {}) {
   logger.info('Waiting for databases to be ready...');
 
   const mysqlContainerName = `migration-${migrationId}-mysql-source-1`;
   const pgContainerName = `migration-${migrationId}-postgres-target-1`;
 
   const startedAt = Date.now();
-  const mysqlDb = extractDatabaseName(dumpPath);
+  let healthy = false;
 
   for (let attempt = 1; attempt <= maxAttempts; attempt++) {
     try {
       const mysqlHealthResult = await execProcess('docker', [
         'inspect', '--format', '{{.State.Health.Status}}', mysqlContainerName
-      ]);
-      const pgHealthResult = await execProcess('docker', [
-        'inspect', '--format', '{{.State.Health.Status}}', pgContainerName
-      ]);
+      ], { signal });
+      // No container for an external target: startMigration queries it right after
+      const pgHealth = externalTarget
+        ? 'healthy'
+        : (await execProcess('docker', [
+          'inspect', '--format', '{{.State.Health.Status}}', pgContainerName
+        ], { signal })).stdout.trim();
 
       const mysqlHealth = mysqlHealthResult.stdout.trim();
-      const pgHealth = pgHealthResult.stdout.trim();
 
       if (mysqlHealth === 'healthy' && pgHealth === 'healthy') {
         const readyIn = ((Date.now() - startedAt) / 1000).toFixed(1);
         logger.info(`MySQL/PostgreSQL healthy after ${attempt} checks (${readyIn}s)`);
-
-        await verifyDumpMounted(migrationId, logger);
-
-        // Allow MySQL init scripts to finish
-        logger.info('Waiting 10 seconds for MySQL init scripts to complete...');
-        await sleep(10000);
-
-        // Verify MySQL contains the expected DB and at least one table
-        const mysqlUser =  process.env.MYSQL_ROOT;
-        const mysqlPassword = process.env.MYSQL_ROOT_PASSWORD;
-          
-
-        const cmd = [
-          'exec', mysqlContainerName,
-          'mysql', '-u', mysqlUser
-        ];
-        if (mysqlPassword) cmd.push(`-p${mysqlPassword}`);
-
-        cmd.push('-e', `SHOW DATABASES; USE \`${mysqlDb}\`; SHOW TABLES;`);
-
-        try {
-          const check = await execProcess('docker', cmd);
-          logger.info(`MySQL verification for DB ${mysqlDb}:`, { output: check.stdout });
-
-          const hasTables = check.stdout.split('\n').some(line =>
-            line.trim() && !['Tables_in_' + mysqlDb, ''].includes(line.trim())
-          );
-
-          if (!hasTables) {
-            logger.warn(
-              `Database ${mysqlDb} is present but has no tables. ` +
-              `Most common cause: MySQL init scripts didn't run because mysql-data volume already existed.`
-            );
-          }
-        } catch (e) {
-          logger.warn(`Could not verify MySQL DB/tables: ${e.stderr || e.message}`);
-        }
-
-        return;
+        healthy = true;
+        break;
       }
 
       if (attempt <= 3 || attempt % 10 === 0) {
         logger.info(`Waiting... (${attempt}/${maxAttempts}) MySQL: ${mysqlHealth}, PostgreSQL: ${pgHealth}`);
       }
 
-      await sleep(2000);
+      await sleep(2000, signal);
     } catch (err) {
+      throwIfCancelled(signal);
       if (attempt <= 3 || attempt % 10 === 0) {
         logger.info(`Waiting... (${attempt}/${maxAttempts})`);
       }
-      await sleep(2000);
+      await sleep(2000, signal);
+    }
+  }
+
+  // Never go on without the dump loaded: pgloader would migrate an empty database
+  if (!healthy) {
+    const elapsed = ((Date.now() - startedAt) / 1000).toFixed(1);
+    throw new Error(`MySQL/PostgreSQL not healthy after ${elapsed}s (${maxAttempts} checks)`);
+  }
+
+  // Outside the polling loop: a failed load must not be retried
+  if (loadDump) {
+    await loadDump();
+  } else {
+    await verifyDumpMounted(migrationId, logger, signal);
+
+    // Allow MySQL init scripts to finish
+    logger.info('Waiting 10 seconds for MySQL init scripts to complete...');
+    await sleep(10000, signal);
+  }
+
+  // Verify MySQL contains the expected DB and at least one table
+  // (password in MYSQL_PWD, never on the command line)
+  const cmd = [
+    'exec', '-e', 'MYSQL_PWD', mysqlContainerName,
+    'mysql', '-u', process.env.MYSQL_ROOT,
+    '-e', `SHOW DATABASES; USE \`${mysqlDb}\`; SHOW TABLES;`
+  ];
+
+  try {
+    const check = await execProcess('docker', cmd, {
+      signal,
+      env: { ...process.env, MYSQL_PWD: process.env.MYSQL_ROOT_PASSWORD || '' }
+    });
+    logger.info(`MySQL verification for DB ${mysqlDb}:`, { output: check.stdout });
+
+    const hasTables = check.stdout.split('\n').some(line =>
+      line.trim() && !['Tables_in_' + mysqlDb, ''].includes(line.trim())
+    );
+
+    if (!hasTables) {
+      logger.warn(
+        `Database ${mysqlDb} is present but has no tables. ` +
+        `Most common cause: MySQL init scripts didn't run because mysql-data volume already existed.`
+      );
+    }
+  } catch (e) {
+    throwIfCancelled(signal);
+    logger.warn(`Could not verify MySQL DB/tables: ${e.stderr || e.message}`);
+  }
+}
+
+/**
+ * Wait for the PostgreSQL container alone (live source: no MySQL container to wait for)
+ */
+async function waitForPostgres(migrationId, logger, signal, maxAttempts = 60) {
+  logger.info('Waiting for PostgreSQL to be ready...');
+  const pgContainerName = `migration-${migrationId}-postgres-target-1`;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    try {
+      const { stdout } = await execProcess('docker', [
+        'inspect', '--format', '{{.State.Health.Status}}', pgContainerName
+      ], { signal });
+      if (stdout.trim() === 'healthy') {
+        logger.info(`PostgreSQL healthy after ${attempt} checks`);
+        return;
+      }
+    } catch (err) {
+      throwIfCancelled(signal);
     }
+    await sleep(2000, signal);
   }
 
-  const elapsed = ((Date.now() - startedAt) / 1000).toFixed(1);
-  logger.warn(`Database readiness timeout after ${elapsed}s - proceeding anyway`);
+  throw new Error(`PostgreSQL not healthy after ${maxAttempts} checks`);
 }
 
 /**
- * Run pgloader migration
+ * Run pgloader migration.
+ * `onStats` receives the parsed summary table (per-table and per-phase statistics),
+ * also when pgloader fails after printing it.
  */
-async function runPgloaderMigration(migrationId, logger) {
+async function runPgloaderMigration(migrationId, logger, signal, onStats = null) {
   logger.info('Starting pgloader migration...');
   const pgloaderContainerName = `migration-${migrationId}-pgloader-1`;
+  let statsReported = false;
+
+  const reportStats = (output) => {
+    const stats = parsePgloaderSummary(output);
+    if (!stats || statsReported) return stats;
+    statsReported = true;
+
+    stats.tables
+      .filter(table => table.errors > 0)
+      .forEach(table => logger.warn(`pgloader: ${table.errors} error(s) on table ${table.name} (${table.read} rows read, ${table.imported} imported)`));
+    if (onStats) onStats(stats);
+    return stats;
+  };
+
+  /**
+   * IMPORTANT:
+   * pgloader peut sortir un code 0 même si une erreur s'est produite
+   * (ex: "ERROR mysql: Failed to connect ...")
+   * Donc on détecte les patterns d'erreur (ligne par ligne, pendant l'exécution).
+   */
+  const errorPatterns = [
+    /ERROR\s+mysql:/i,
+    /Failed to connect/i,
+    /MySQL Error\s*\[\d+\]/i,
+    /FATAL/i,
+    /Unhandled/i,
+    /signal\s+\d+/i
+  ];
 
   try {
-    const result = await execProcess(
+    const result = await streamProcess(
       'docker',
       [
         'exec',
@@ -399,48 +569,32 @@ async function runPgloaderMigration(migrationId, logger) {
         'pgloader',
         `/migration/load-${migrationId}.load`
       ],
-      { env: process.env }
+      {
+        env: process.env,
+        signal,
+        errorPatterns,
+        // Log stdout/stderr lines as pgloader prints them
+        onLine: (line, stream) => {
+          const text = line.trim();
+          if (!text) return;
+          if (stream === 'stdout') logger.info(`pgloader: ${text}`);
+          else logger.warn(`pgloader(stderr): ${text}`);
+        }
+      }
     );
 
-    const stdout = result.stdout || '';
-    const stderr = result.stderr || '';
-    const combined = `${stdout}\n${stderr}`;
-
-    // Log stdout/stderr lines
-    stdout
-      .split('\n')
-      .map(l => l.trim())
-      .filter(Boolean)
-      .forEach(line => logger.info(`pgloader: ${line}`));
-
-    stderr
-      .split('\n')
-      .map(l => l.trim())
-      .filter(Boolean)
-      .forEach(line => logger.warn(`pgloader(stderr): ${line}`));
-
-    /**
-     * IMPORTANT:
-     * pgloader peut sortir un code 0 même si une erreur s'est produite
-     * (ex: "ERROR mysql: Failed to connect ...")
-     * Donc on détecte les patterns d'erreur.
-     */
-    const errorPatterns = [
-      /ERROR\s+mysql:/i,
-      /Failed to connect/i,
-      /MySQL Error\s*\[\d+\]/i,
-      /FATAL/i,
-      /Unhandled/i,
-      /signal\s+\d+/i
-    ];
-
-    const hasError = errorPatterns.some((re) => re.test(combined));
+    // Only the tail of the output is kept: enough for the summary table
+    const combined = `${result.stdout}\n${result.stderr}`;
+    const stats = reportStats(combined);
+
+    const hasError = result.errorLines.length > 0;
 
     // Optionnel: si tu veux aussi échouer quand rien n'a été migré
     // (utile pour éviter les dumps vides "silencieux")
-    const looksLikeNoWork =
-      /fetch meta data\s+0\s+0\s+0/i.test(combined) ||
-      /table name errors rows bytes total time/i.test(combined) && /fetch meta data\s+0/i.test(combined);
+    const metadata = stats?.phases.beforeLoad.steps.find(step => step.name === 'fetch meta data');
+    const looksLikeNoWork = metadata
+      ? metadata.read === 0
+      : /fetch meta data\s+0\s+0\s+0/i.test(combined);
 
     if (hasError) {
       throw new Error('pgloader reported an error (see logs above).');
@@ -454,6 +608,7 @@ async function runPgloaderMigration(migrationId, logger) {
     logger.info('pgloader migration completed successfully');
   } catch (err) {
     // err peut être une Error simple ou un objet {stdout, stderr, code}
+    reportStats(`${err.stdout || ''}\n${err.stderr || ''}`);
     logger.error('pgloader failed', {
       message: err.message,
       code: err.code,
@@ -466,66 +621,218 @@ async function runPgloaderMigration(migrationId, logger) {
 
 
 /**
- * Verify Postgres tables exist after migration (before dumping)
+ * Verify Postgres tables exist in the migrated schema after migration (before dumping)
  */
-async function verifyPostgresHasTables(migrationId, logger) {
-  const pgContainerName = `migration-${migrationId}-postgres-target-1`;
-  const pgUser = process.env.POSTGRES_USER || 'postgres';
-  const pgDb = process.env.POSTGRES_DB || 'target_db';
-
+async function verifyPostgresHasTables(migrationId, schema, logger, signal) {
   try {
-    const res = await execProcess('docker', [
-      'exec', pgContainerName,
-      'psql', '-U', pgUser, '-d', pgDb, '-c', "\\dt"
-    ]);
+    const [[count]] = await psqlQuery(migrationId,
+      'SELECT count(*) FROM information_schema.tables ' +
+      `WHERE table_schema = ${quotePgLiteral(schema)} AND table_type = 'BASE TABLE'`,
+      { signal }
+    );
 
-    logger.info('Postgres \\dt output:', { output: res.stdout });
+    logger.info(`Postgres schema ${schema} has ${count} table(s)`);
 
-    if (res.stdout.includes('Did not find any relations')) {
+    if (Number(count) === 0) {
       logger.warn('Postgres has no tables. The migration likely copied nothing (MySQL DB empty or pgloader excluded everything).');
       return false;
     }
     return true;
   } catch (e) {
-    logger.warn(`Could not verify Postgres tables: ${e.stderr || e.message}`);
+    logger.warn(`Could not verify Postgres tables: ${e.message}`);
     return false;
   }
 }
 
 /**
- * Export PostgreSQL dump (always dump the correct DB)
+ * Compare per-table row counts, then (when enabled) per-row checksums, between
+ * MySQL and PostgreSQL. Each report is sent to the client (and stored) before a
+ * mismatch fails the run.
  */
-async function exportPostgresDump(migrationId, logger) {
+async function verifyMigratedData(migration, { sourceDatabase, targetSchema }, logger, onLog, signal, reportProgress) {
+  if (normalizePgloaderOptions(migration.options?.pgloader).mode === 'schema-only') {
+    logger.info('Schema-only migration: row count reconciliation skipped');
+    return;
+  }
+
+  const options = normalizeVerificationOptions(migration.options?.verification);
+  const naming = normalizeSchemaOptions(migration.options?.schema);
+
+  const reconciliation = await reconcileRowCounts(migration.id, {
+    sourceDatabase,
+    targetSchema,
+    naming,
+    tableFilters: normalizeTableFilters(migration.options?.tables),
+    options,
+    logger,
+    signal
+  });
+
+  if (onLog) onLog({ type: 'reconciliation', data: reconciliation });
+
+  if (reconciliation.status === 'failed') {
+    throw new Error(`Row count reconciliation failed: ${reconciliation.totals.mismatches} table(s) outside tolerance`);
+  }
+  reportProgress(84, 'Row counts reconciled');
+
+  if (!options.checksums) return;
+
+  const checksums = await verifyRowChecksums(migration.id, {
+    sourceDatabase,
+    targetSchema,
+    naming,
+    reconciliation,
+    options,
+    logger,
+    signal
+  });
+
+  if (onLog) onLog({ type: 'checksums', data: checksums });
+
+  if (checksums.status === 'failed') {
+    throw new Error(`Row checksum verification failed: ${checksums.totals.mismatchedRows} mismatching row(s) in ${checksums.totals.mismatches} table(s)`);
+  }
+}
+
+/**
+ * Make `owner` (created if missing) the owner of every object of the migrated
+ * schema, so that pg_dump writes the matching ALTER ... OWNER TO statements
+ */
+async function assignExportOwner(migrationId, schema, owner, logger, signal) {
+  logger.info(`Assigning the objects of schema ${schema} to role ${owner}`);
+  const ownerLiteral = quotePgLiteral(owner);
+  const schemaLiteral = quotePgLiteral(schema);
+
+  await psqlQuery(migrationId, `
+DO $$
+DECLARE
+  r record;
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_roles WHERE rolname = ${ownerLiteral}) THEN
+    EXECUTE format('CREATE ROLE %I NOLOGIN', ${ownerLiteral});
+  END IF;
+  EXECUTE format('ALTER SCHEMA %I OWNER TO %I', ${schemaLiteral}, ${ownerLiteral});
+
+  -- Sequences owned by a column follow their table
+  FOR r IN
+    SELECT c.oid::regclass AS name, c.relkind FROM pg_class c
+    JOIN pg_namespace n ON n.oid = c.relnamespace
+    WHERE n.nspname = ${schemaLiteral} AND c.relkind IN ('r', 'p', 'v', 'm', 'f', 'S')
+      AND NOT (c.relkind = 'S' AND EXISTS (
+        SELECT 1 FROM pg_depend d WHERE d.objid = c.oid AND d.deptype IN ('a', 'i')))
+  LOOP
+    EXECUTE format('ALTER %s %s OWNER TO %I',
+      CASE r.relkind
+        WHEN 'v' THEN 'VIEW' WHEN 'm' THEN 'MATERIALIZED VIEW'
+        WHEN 'f' THEN 'FOREIGN TABLE' WHEN 'S' THEN 'SEQUENCE' ELSE 'TABLE'
+      END, r.name, ${ownerLiteral});
+  END LOOP;
+
+  FOR r IN
+    SELECT t.oid::regtype AS name FROM pg_type t
+    JOIN pg_namespace n ON n.oid = t.typnamespace
+    WHERE n.nspname = ${schemaLiteral} AND t.typtype = 'e'
+  LOOP
+    EXECUTE format('ALTER TYPE %s OWNER TO %I', r.name, ${ownerLiteral});
+  END LOOP;
+
+  FOR r IN
+    SELECT p.oid::regprocedure AS name, p.prokind FROM pg_proc p
+    JOIN pg_namespace n ON n.oid = p.pronamespace
+    WHERE n.nspname = ${schemaLiteral} AND p.prokind IN ('f', 'p')
+  LOOP
+    EXECUTE format('ALTER %s %s OWNER TO %I',
+      CASE r.prokind WHEN 'p' THEN 'PROCEDURE' ELSE 'FUNCTION' END, r.name, ${ownerLiteral});
+  END LOOP;
+END
+$$;`, { signal });
+}
+
+/**
+ * Export PostgreSQL dump (always dump the correct DB) in the format chosen for
+ * the migration (see exportOptions.js). With `searchPath`, plain dumps end by
+ * making `schema` the default one of the database they are restored into.
+ */
+async function exportPostgresDump(migrationId, logger, signal, {
+  exportOptions = DEFAULT_EXPORT_OPTIONS, schema = null, searchPath = false, key = null, onProgress = null
+} = {}) {
   logger.info('Exporting PostgreSQL dump...');
 
   const pgContainerName = `migration-${migrationId}-postgres-target-1`;
   const outputDir = path.join(DOCKER_COMPOSE_PATH, 'output');
-  const outputPath = path.join(outputDir, `postgres_dump_${migrationId}.sql`);
+  const outputPath = path.join(outputDir, exportFileName(migrationId, exportOptions.format));
+  const format = describeExportFormat(exportOptions.format);
 
   if (!fs.existsSync(outputDir)) fs.mkdirSync(outputDir, { recursive: true });
 
   const pgUser = process.env.POSTGRES_USER || 'postgres';
   const pgDb = process.env.POSTGRES_DB || 'target_db';
 
-  logger.info(`pg_dump will use: user=${pgUser}, db=${pgDb}`);
+  logger.info(`pg_dump will use: user=${pgUser}, db=${pgDb}, format=${exportOptions.format}, content=${exportOptions.content}`);
+
+  if (exportOptions.owner && schema) {
+    try {
+      await assignExportOwner(migrationId, schema, exportOptions.owner, logger, signal);
+    } catch (err) {
+      logger.error('Owner assignment failed', { message: err.message });
+      throw new Error(`Unable to assign objects to role ${exportOptions.owner}`);
+    }
+  }
+
+  // Expected size: table data as stored by PostgreSQL, close to the plain SQL output
+  let bytesExpected = null;
+  if (exportOptions.content !== 'schema-only') {
+    try {
+      const [[size]] = await psqlQuery(migrationId,
+        'SELECT coalesce(sum(pg_relation_size(relid)), 0) FROM pg_stat_user_tables',
+        { signal }
+      );
+      bytesExpected = Number(size);
+    } catch (err) {
+      logger.warn(`Unable to estimate the dump size: ${err.message}`);
+    }
+  }
 
   const child = spawn('docker', [
     'exec', pgContainerName,
     'pg_dump',
     '-U', pgUser,
     '-d', pgDb,
-    '--no-owner',
-    '--no-privileges'
-  ], { stdio: ['ignore', 'pipe', 'pipe'] });
+    ...pgDumpArgs(exportOptions)
+  ], { stdio: ['ignore', 'pipe', 'pipe'], signal });
 
   let stderr = '';
   child.stderr.on('data', (data) => {
     stderr += data.toString();
   });
 
+  // Progress counts pg_dump's own output, before any compression
+  const monitor = monitorStream({ bytesExpected, onProgress: onProgress || (() => {}) });
+
+  // Archive formats cannot be extended: pg_restore does not replay settings either
+  const appendSearchPath = searchPath && schema && schema !== 'public' && format.pgDumpFormat === 'p';
+  if (searchPath && schema && schema !== 'public' && !appendSearchPath) {
+    logger.warn(`search_path not set in ${exportOptions.format} dumps: run ALTER DATABASE ... SET search_path TO "${schema}", public after pg_restore`);
+  }
+  async function* withFooter(source) {
+    for await (const chunk of source) yield chunk;
+    yield Buffer.from(searchPathFooter(schema));
+  }
+
+  // SHA-256 of the file as downloaded (compressed, but never encrypted)
+  const checksum = createChecksumStream();
+
   try {
     await Promise.all([
-      pipeline(child.stdout, fs.createWriteStream(outputPath)),
+      pipeline(
+        child.stdout,
+        monitor.counter,
+        ...(appendSearchPath ? [withFooter] : []),
+        ...(format.gzip ? [zlib.createGzip()] : []),
+        checksum.stream,
+        ...(key ? [encryptStream(key)] : []),
+        fs.createWriteStream(outputPath)
+      ),
       new Promise((resolve, reject) => {
         child.on('error', reject);
         child.on('close', (code) => {
@@ -535,11 +842,14 @@ async function exportPostgresDump(migrationId, logger) {
       })
     ]);
 
-    logger.info(`PostgreSQL dump exported to ${outputPath}`);
+    writeChecksumFile(outputPath, checksum.digest());
+    logger.info(`PostgreSQL dump exported to ${outputPath} (SHA-256 ${checksum.digest()})`);
     return outputPath;
   } catch (err) {
     logger.error('pg_dump failed', { stderr: stderr || err.message });
     throw new Error('PostgreSQL dump export failed');
+  } finally {
+    monitor.stop();
   }
 }
 
@@ -571,7 +881,8 @@ async function cleanupDockerProject(migrationId, logger, options = {}) {
     const compose = await getDockerComposeCommand();
     logger.info(`Using compose command: ${compose.cmd} ${compose.baseArgs.join(' ') || '(v1)'}`);
 
-    const args = [...compose.baseArgs, '-p', projectName, 'down', '-v'];
+    // The profile makes `down` also remove the mysql-client container of a live source
+    const args = [...compose.baseArgs, '--profile', LIVE_SOURCE_PROFILE, '-p', projectName, 'down', '-v'];
     logger.info(`Running: ${compose.cmd} ${args.join(' ')}`);
 
     const result = await execProcess(
@@ -604,17 +915,18 @@ async function cleanupDockerProject(migrationId, logger, options = {}) {
   } finally {
     const dumpDir = path.join(DOCKER_COMPOSE_PATH, 'sql-dump', migrationId);
     const loadFile = path.join(DOCKER_COMPOSE_PATH, 'migration', `load-${migrationId}.load`);
-    const outputFile = path.join(DOCKER_COMPOSE_PATH, 'output', `postgres_dump_${migrationId}.sql`);
+    const outputFiles = exportFileNames(migrationId).map(name => path.join(DOCKER_COMPOSE_PATH, 'output', name));
+    const checksumFiles = outputFiles.map(checksumPath);
 
-    safeRemove(dumpDir, 'sql-dump directory', logger);
-    safeRemove(loadFile, 'pgloader config', logger);
+    await safeRemove(dumpDir, 'sql-dump directory', logger);
+    await safeRemove(loadFile, 'pgloader config', logger);
 
-    if (keepOutputFile) {
-      if (fs.existsSync(outputFile)) {
-        logger.info(`Keeping output file for download: ${outputFile}`);
-      }
-    } else {
-      safeRemove(outputFile, 'postgres dump', logger);
+    for (const outputFile of outputFiles) {
+      if (!keepOutputFile) await safeRemove(outputFile, 'postgres dump', logger);
+      else if (fs.existsSync(outputFile)) logger.info(`Keeping output file for download: ${outputFile}`);
+    }
+    if (!keepOutputFile) {
+      for (const checksumFile of checksumFiles) await safeRemove(checksumFile, 'dump checksum', logger);
     }
 
     logger.info('--- Docker cleanup end ---');
@@ -622,15 +934,42 @@ async function cleanupDockerProject(migrationId, logger, options = {}) {
 }
 
 
+/**
+ * Tables pgloader is expected to load, with their row counts from the dump analysis
+ */
+function expectedTables(migration) {
+  const tables = migration.analysis?.tables || [];
+  const filters = normalizeTableFilters(migration.options?.tables);
+  const naming = normalizeSchemaOptions(migration.options?.schema);
+  const schemaOnly = normalizePgloaderOptions(migration.options?.pgloader).mode === 'schema-only';
+  return tables
+    .filter(table => tableMatchesFilters(table.name, filters))
+    .map(table => ({ name: targetTableName(table.name, naming), rows: schemaOnly ? 0 : table.approximateRows }));
+}
+
 /**
  * Main migration orchestrator
  */
 
-async function startMigration(migration, onLog = null) {
-  const logger = new Logger(migration.logPath, onLog);
+async function startMigration(migration, onLog = null, { signal } = {}) {
+  const logger = new Logger(migration.logPath, onLog, { secrets: Object.values(migration.secrets || {}) });
   let currentProgress = 0;
 
+  // Real progress inside a step: maps the step's fraction onto [from, to], no checkpoint
+  const reportStepProgress = (from, to) => (fraction, metrics) => {
+    const progress = Math.floor(from + (to - from) * fraction);
+    if (signal?.aborted || progress < currentProgress) return;
+    currentProgress = progress;
+    emitStatus(onLog, {
+      status: 'running',
+      progress: currentProgress,
+      metrics
+    });
+  };
+
+  // Called after every step: also the checkpoint where a cancellation stops the pipeline
   const reportProgress = (progress, message) => {
+    throwIfCancelled(signal);
     currentProgress = Math.max(currentProgress, progress);
     emitStatus(onLog, {
       status: 'running',
@@ -645,59 +984,162 @@ async function startMigration(migration, onLog = null) {
   // Indique si on a démarré Docker (pour éviter cleanup inutile)
   let dockerStarted = false;
 
+  // External servers: the session holds the connections, the passwords only live in memory
+  const target = migration.options?.target
+    ? { ...migration.options.target, password: migration.secrets?.targetPassword ?? '' }
+    : null;
+  const source = migration.source
+    ? { ...migration.source, password: migration.secrets?.sourcePassword ?? '' }
+    : null;
+  // Encryption at rest: the key only lives in memory too
+  const fileKey = migration.secrets?.fileKey || null;
+
   try {
     logger.info(`Starting migration ${migration.id}`);
     logger.info(`File: ${migration.fileName}`);
 
     // 0) Load containers/.env into Node env
     loadContainerEnv(logger);
+    setPostgresTarget(migration.id, target);
+    setMysqlSource(migration.id, source);
 
-    // 1) Prepare dump file
-    const dumpPath = await prepareDumpFile(migration.uploadedFile, migration.id, logger);
-    reportProgress(5, 'Dump prepared');
-    reportProgress(10, 'Dump validated');
+    if (migration.encrypted && !fileKey) {
+      throw new Error('Encryption key lost in a backend restart, upload the dump again');
+    }
+
+    // 1) Prepare dump file (pgloader reads a live source directly)
+    let sourceDatabase;
+    if (source) {
+      sourceDatabase = source.database;
+      reportProgress(4, 'Live MySQL source, no dump to prepare');
+    } else if (fileKey) {
+      // Empty sql-dump/<id>: the dump is loaded once MySQL runs (see loadDumpIntoSource)
+      fs.mkdirSync(path.join(DOCKER_COMPOSE_PATH, 'sql-dump', migration.id), { recursive: true });
+      reportProgress(4, 'Encrypted dump kept encrypted until loaded');
+      sourceDatabase = migration.dbName || await extractDatabaseName(migration.uploadedFile, {
+        compression: migration.compression,
+        key: fileKey
+      });
+    } else {
+      const dumpPath = await prepareDumpFile(migration.uploadedFile, migration.id, logger, {
+        compression: migration.compression,
+        header: migration.dumpHeader,
+        signal
+      });
+      reportProgress(2, 'Dump prepared');
+      reportProgress(4, 'Dump validated');
+      // Computed during validation; rescanning a multi-GB dump only as a fallback
+      sourceDatabase = migration.dbName || await extractDatabaseName(dumpPath);
+    }
 
     // 2) Create pgloader config
-    await createPgloaderConfig(migration.id, dumpPath, logger);
-    reportProgress(20, 'Pgloader config created');
+    await createPgloaderConfig(migration.id, sourceDatabase, logger, migration.options, { source, target });
+    reportProgress(6, 'Pgloader config created');
 
     // 3) Start docker containers (MIGRATION_ID is passed)
-    await startDockerContainers(migration.id, logger);
+    await startDockerContainers(migration.id, logger, signal, { liveSource: Boolean(source), externalTarget: Boolean(target) });
     dockerStarted = true;
-    reportProgress(35, 'Docker containers started');
+    reportProgress(8, 'Docker containers started');
 
     // 4) Wait for db readiness + verify MySQL has tables
-    await waitForDatabases(migration.id, dumpPath, logger);
-    reportProgress(50, 'Databases healthy and tables verified');
+    if (!source) {
+      const loadDump = fileKey
+        ? () => loadDumpIntoSource(migration.uploadedFile, migration.id, logger, {
+          compression: migration.compression,
+          header: migration.dumpHeader,
+          key: fileKey,
+          signal
+        })
+        : null;
+      await waitForDatabases(migration.id, sourceDatabase, logger, signal, { externalTarget: Boolean(target), loadDump });
+      reportProgress(15, 'Databases healthy and tables verified');
+    } else if (!target) {
+      await waitForPostgres(migration.id, logger, signal);
+      reportProgress(15, 'PostgreSQL healthy');
+    }
 
-    // 5) Run pgloader
-    await runPgloaderMigration(migration.id, logger);
-    reportProgress(75, 'Pgloader finished');
+    if (target) {
+      const [[version]] = await psqlQuery(migration.id, "SELECT current_setting('server_version')", { signal });
+      logger.info(`External PostgreSQL target reachable (server ${version})`, describePostgresTarget(target));
+    }
 
-    // 6) Verify Postgres has tables BEFORE dumping
-    await verifyPostgresHasTables(migration.id, logger);
-    reportProgress(90, 'Postgres tables verified');
+    // pgloader names the schema after the MySQL database unless told otherwise
+    const naming = normalizeSchemaOptions(migration.options?.schema);
+    const targetSchema = targetSchemaName(sourceDatabase, naming);
+
+    // 5) Run pgloader, progress measured on the target tables
+    const stopLoadMonitor = monitorLoad(migration.id, {
+      targetSchema,
+      expectedTables: expectedTables(migration),
+      onProgress: reportStepProgress(15, 80),
+      signal
+    });
+    try {
+      await runPgloaderMigration(migration.id, logger, signal, (stats) => {
+        if (onLog) onLog({ type: 'tableStats', data: stats });
+      });
+    } finally {
+      stopLoadMonitor();
+    }
+    reportProgress(80, 'Pgloader finished');
 
-    // 7) Export dump
-    const outputFile = await exportPostgresDump(migration.id, logger);
-    reportProgress(100, 'PostgreSQL dump exported');
+    // 6) Verify Postgres has tables BEFORE dumping
+    await verifyPostgresHasTables(migration.id, targetSchema, logger, signal);
+    reportProgress(82, 'Postgres tables verified');
+
+    // 7) Recreate the views, triggers and routines pgloader leaves behind
+    //    (untranslatable ones are reported, they do not fail the migration)
+    const objectTranslation = await migrateDatabaseObjects(migration.id, {
+      analysis: migration.analysis,
+      sourceDatabase,
+      schema: targetSchema,
+      naming,
+      tableFilters: normalizeTableFilters(migration.options?.tables),
+      logger,
+      signal
+    });
+    if (onLog) onLog({ type: 'objectTranslation', data: objectTranslation });
+    reportProgress(83, 'Views, triggers and routines translated');
+
+    // 8) Reconcile row counts (and checksums) BEFORE dumping
+    await verifyMigratedData(migration, { sourceDatabase, targetSchema }, logger, onLog, signal, reportProgress);
+    reportProgress(86, 'Migrated data verified');
+
+    // 9) Export dump, progress measured on the bytes written (nothing to export
+    //    with an external target: the data already is on that server)
+    let outputFile = null;
+    if (target) {
+      reportProgress(100, `Data loaded into ${target.host}:${target.port}/${target.database}, schema ${targetSchema}`);
+    } else {
+      outputFile = await exportPostgresDump(migration.id, logger, signal, {
+        exportOptions: normalizeExportOptions(migration.options?.export),
+        schema: targetSchema,
+        searchPath: naming.searchPath,
+        key: fileKey,
+        onProgress: reportStepProgress(86, 100)
+      });
+      reportProgress(100, 'PostgreSQL dump exported');
+    }
 
     logger.info('Migration completed successfully');
 
     return { success: true, outputFile };
   } catch (error) {
-    logger.error(`Migration failed: ${error?.message || error}`);
+    if (signal?.aborted) logger.warn('Migration cancelled by user, stopping running processes');
+    else logger.error(`Migration failed: ${error?.message || error}`);
     throw error;
   } finally {
-    // Cleanup toujours, mais seulement si docker a été démarré
-    if (dockerStarted) {
+    // Cleanup toujours, mais seulement si docker a été (ou était en train d'être) démarré
+    if (dockerStarted || signal?.aborted) {
       try {
-        await cleanupDockerProject(migration.id, logger, { keepOutputFile: true });
+        await cleanupDockerProject(migration.id, logger, { keepOutputFile: !signal?.aborted });
       } catch (cleanupError) {
         logger.error(`Cleanup error: ${cleanupError?.message || cleanupError}`);
       }
     }
+    setPostgresTarget(migration.id, null);
+    setMysqlSource(migration.id, null);
   }
 }
 
-module.exports = { startMigration, preValidateSqlDump  };
+module.exports = { startMigration, preValidateSqlDump, cleanupDockerProject };
@@ -0,0 +1,89 @@
+/**
+ * FIFO job queue running at most `maxConcurrent` migrations at once.
+ *
+ * - run(migration) starts a job and returns a promise settled when it ends
+ * - onChange() is called whenever queue positions may have changed
+ * - wait estimates use the average duration of the last finished runs
+ *   (defaultDurationMs until one has finished)
+ */
+function createMigrationQueue({ maxConcurrent, run, onChange = () => {}, defaultDurationMs }) {
+  const pending = [];
+  const active = new Map(); // migrationId => startedAt
+  const recentDurations = [];
+
+  const averageDurationMs = () => {
+    if (recentDurations.length === 0) return defaultDurationMs;
+    return recentDurations.reduce((sum, d) => sum + d, 0) / recentDurations.length;
+  };
+
+  const drain = () => {
+    while (active.size < maxConcurrent && pending.length > 0) {
+      const migration = pending.shift();
+      const startedAt = Date.now();
+      active.set(migration.id, startedAt);
+
+      // Started synchronously so callers see the new status right after enqueue()
+      new Promise(resolve => resolve(run(migration)))
+        .catch(() => {})
+        .finally(() => {
+          active.delete(migration.id);
+          recentDurations.push(Date.now() - startedAt);
+          if (recentDurations.length > 10) recentDurations.shift();
+          drain();
+          onChange();
+        });
+    }
+  };
+
+  return {
+    enqueue(migration) {
+      pending.push(migration);
+      drain();
+      onChange();
+    },
+
+    /**
+     * Remove a job that has not started yet. Returns true if it was queued.
+     */
+    remove(migrationId) {
+      const index = pending.findIndex(m => m.id === migrationId);
+      if (index === -1) return false;
+      pending.splice(index, 1);
+      onChange();
+      return true;
+    },
+
+    isActive(migrationId) {
+      return active.has(migrationId);
+    },
+
+    pendingMigrations() {
+      return [...pending];
+    },
+
+    /**
+     * 1-based position among waiting jobs, or null if not waiting
+     */
+    position(migrationId) {
+      const index = pending.findIndex(m => m.id === migrationId);
+      return index === -1 ? null : index + 1;
+    },
+
+    estimatedWaitMs(migrationId) {
+      const position = this.position(migrationId);
+      if (position === null) return 0;
+
+      const average = averageDurationMs();
+      const now = Date.now();
+      // Time until the first slot frees up, then one average run per full "wave" ahead of us
+      const firstSlotMs = active.size < maxConcurrent
+        ? 0
+        : Math.max(0, Math.min(...[...active.values()].map(startedAt => average - (now - startedAt))));
+      const wavesAhead = Math.floor((position - 1) / maxConcurrent);
+
+      return Math.round(firstSlotMs + wavesAhead * average);
+    }
+  };
+}
+
+module.exports = { createMigrationQueue };
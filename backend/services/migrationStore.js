@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Fields that only make sense in the running process (SSE clients, timers,
+ * credentials...) and must never be written to disk.
+ */
+const TRANSIENT_FIELDS = ['clients', 'cleanupTimer', 'abortController', 'secrets', 'activeDownloads', 'cleanupPending', 'progressSaveTimer'];
+
+const ID_PATTERN = /^[0-9a-f-]{36}$/i;
+
+function toRecord(migration) {
+  const record = {};
+  Object.keys(migration).forEach((key) => {
+    if (!TRANSIENT_FIELDS.includes(key)) record[key] = migration[key];
+  });
+  return record;
+}
+
+/**
+ * Durable migration session repository: one JSON file per migration in `dir`.
+ * Writes go through a temp file + rename so a crash never leaves a truncated record.
+ *
+ * Interface: list(), get(id), save(migration), remove(id)
+ */
+function createMigrationStore(dir) {
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+  const recordPath = (id) => {
+    if (!ID_PATTERN.test(id)) throw new Error(`Invalid migration id: ${id}`);
+    return path.join(dir, `${id}.json`);
+  };
+
+  const read = (filePath) => {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+      console.warn(`[store] Ignoring unreadable record ${filePath}: ${err.message}`);
+      return null;
+    }
+  };
+
+  return {
+    list() {
+      return fs.readdirSync(dir)
+        .filter(name => name.endsWith('.json'))
+        .map(name => read(path.join(dir, name)))
+        .filter(Boolean);
+    },
+
+    get(id) {
+      const filePath = recordPath(id);
+      return fs.existsSync(filePath) ? read(filePath) : null;
+    },
+
+    save(migration) {
+      const filePath = recordPath(migration.id);
+      const tmpPath = `${filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(toRecord(migration), null, 2), 'utf8');
+      fs.renameSync(tmpPath, filePath);
+    },
+
+    remove(id) {
+      fs.rmSync(recordPath(id), { force: true });
+    }
+  };
+}
+
+module.exports = { createMigrationStore, TRANSIENT_FIELDS };
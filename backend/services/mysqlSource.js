@@ -0,0 +1,173 @@
+const { spawn } = require('child_process');
+const { execProcess } = require('./process');
+const { createDumpAnalyzer, forEachStatement } = require('./dumpAnalysis');
+const {
+  requiredString,
+  parseHost,
+  parsePort,
+  parsePassword,
+  parseChoice,
+  withoutPassword
+} = require('./connectionOptions');
+
+/**
+ * Live MySQL server used as migration source, instead of an uploaded dump loaded
+ * into the `mysql-source` container: pgloader reads it directly, and the
+ * `mysql-client` container of the compose project runs the verification queries.
+ *
+ * Hosts are resolved from the containers: use `host.docker.internal` for a server
+ * running on the Docker host.
+ */
+
+// pgloader `sslmode` values => mysql client --ssl-mode
+const SSL_MODES = {
+  disable: 'DISABLED',
+  prefer: 'PREFERRED',
+  require: 'REQUIRED'
+};
+// Same client as the migration containers (see containers/docker-compose.yml)
+const CLIENT_IMAGE = process.env.MYSQL_CLIENT_IMAGE || 'mysql:8.0';
+const CONNECT_TIMEOUT_SECONDS = 10;
+// Covers a first pull of the client image
+const TEST_TIMEOUT_MS = 60000;
+
+/**
+ * Validate a source connection: { host, port, database, user, password, sslMode }.
+ * Throws an Error listing every problem found.
+ */
+function normalizeMysqlSource(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('Invalid source options: expected an object');
+  }
+
+  const errors = [];
+  const source = {
+    host: parseHost(input, errors),
+    port: parsePort(input, 3306, errors),
+    database: requiredString(input, 'database', errors, { max: 64 }),
+    user: requiredString(input, 'user', errors, { max: 32 }),
+    password: parsePassword(input, errors),
+    sslMode: parseChoice(input, 'sslMode', Object.keys(SSL_MODES), 'prefer', errors)
+  };
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid source options: ${errors.join('; ')}`);
+  }
+
+  return source;
+}
+
+/**
+ * mysql/mysqldump connection for `source`: `dockerArgs` forward MYSQL_PWD to the
+ * container (`-e NAME`, value read from `env`, never on a command line),
+ * `clientArgs` select the server.
+ */
+function mysqlClientConnection(source) {
+  return {
+    dockerArgs: ['-e', 'MYSQL_PWD'],
+    env: { ...process.env, MYSQL_PWD: source.password },
+    clientArgs: [
+      '-h', source.host, '-P', String(source.port), '-u', source.user,
+      `--ssl-mode=${SSL_MODES[source.sslMode]}`, `--connect-timeout=${CONNECT_TIMEOUT_SECONDS}`
+    ]
+  };
+}
+
+// Throwaway client container (no migration project exists before the run)
+function clientContainerArgs(source, command) {
+  const { dockerArgs, clientArgs } = mysqlClientConnection(source);
+  return [
+    'run', '--rm', '-i',
+    '--add-host', 'host.docker.internal:host-gateway',
+    ...dockerArgs,
+    CLIENT_IMAGE,
+    command, ...clientArgs
+  ];
+}
+
+function connectionError(source, err) {
+  if (err?.name === 'TimeoutError' || err?.name === 'AbortError') {
+    return new Error(`Connection test timed out after ${TEST_TIMEOUT_MS / 1000}s`);
+  }
+  const detail = (err.stderr || err.message || '').trim().replace(/^mysql(dump)?: \[Warning\].*\n?/gm, '');
+  return new Error(`Connection to ${source.host}:${source.port}/${source.database} failed: ${detail || `exit code ${err.code}`}`);
+}
+
+/**
+ * Check that `source` accepts connections and holds its database.
+ * Resolves { serverVersion, tables } (number of base tables).
+ */
+async function testMysqlSource(source) {
+  try {
+    const { stdout } = await execProcess('docker', [
+      ...clientContainerArgs(source, 'mysql'),
+      '--batch', '--skip-column-names', '-D', source.database
+    ], {
+      env: mysqlClientConnection(source).env,
+      signal: AbortSignal.timeout(TEST_TIMEOUT_MS),
+      input: "SELECT VERSION(), COUNT(*) FROM information_schema.tables WHERE table_schema = DATABASE() AND table_type = 'BASE TABLE';"
+    });
+
+    const [serverVersion, tables] = stdout.trim().split('\t');
+    return { serverVersion, tables: Number(tables) };
+  } catch (err) {
+    throw connectionError(source, err);
+  }
+}
+
+/**
+ * Describe the source database like an uploaded dump: its schema (mysqldump
+ * --no-data, fed to the dump analyzer) with the server's row estimates.
+ */
+async function analyzeMysqlSource(source, { signal } = {}) {
+  const analyzer = createDumpAnalyzer();
+  const child = spawn('docker', [
+    ...clientContainerArgs(source, 'mysqldump'),
+    '--no-data', '--routines', '--triggers', '--skip-comments',
+    '--single-transaction', '--skip-lock-tables', '--set-gtid-purged=OFF', '--column-statistics=0',
+    source.database
+  ], { stdio: ['ignore', 'pipe', 'pipe'], env: mysqlClientConnection(source).env, signal });
+
+  let stderr = '';
+  child.stderr.setEncoding('utf8');
+  child.stderr.on('data', (data) => { stderr += data; });
+  const exited = new Promise((resolve, reject) => {
+    child.on('error', reject);
+    child.on('close', code => (code === 0 ? resolve() : reject({ code, stderr })));
+  });
+
+  try {
+    await Promise.all([forEachStatement(child.stdout, analyzer.onStatement), exited]);
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    throw connectionError(source, err);
+  }
+
+  const analysis = analyzer.result();
+
+  const { stdout } = await execProcess('docker', [
+    ...clientContainerArgs(source, 'mysql'),
+    '--batch', '--skip-column-names', '-D', source.database
+  ], {
+    env: mysqlClientConnection(source).env,
+    signal,
+    input: "SELECT table_name, table_rows FROM information_schema.tables WHERE table_schema = DATABASE() AND table_type = 'BASE TABLE';"
+  }).catch((err) => { throw connectionError(source, err); });
+
+  // InnoDB estimates: close enough for progress, reconciliation counts the real rows
+  const estimates = new Map(stdout.split('\n').filter(Boolean).map(line => line.split('\t')));
+  analysis.tables.forEach((table) => {
+    table.approximateRows = Number(estimates.get(table.name)) || 0;
+  });
+  analysis.summary.approximateRows = analysis.tables.reduce((sum, t) => sum + t.approximateRows, 0);
+
+  return analysis;
+}
+
+module.exports = {
+  normalizeMysqlSource,
+  describeMysqlSource: withoutPassword,
+  mysqlClientConnection,
+  testMysqlSource,
+  analyzeMysqlSource
+};
@@ -0,0 +1,1041 @@
+/**
+ * Translation of the MySQL objects pgloader leaves behind (views, triggers,
+ * stored procedures and functions) into PostgreSQL views and PL/pgSQL, from the
+ * statements recorded by the dump analysis. Common MySQL syntax is rewritten;
+ * anything else makes the object untranslatable and it is reported with its
+ * original source instead of being applied.
+ */
+
+const { psqlQuery, quotePgIdentifier, quotePgLiteral } = require('./dbExec');
+const { tableMatchesFilters, targetTableName } = require('./pgloaderOptions');
+
+class TranslationError extends Error {}
+
+// --- Tokenizer ---------------------------------------------------------------
+
+const TOKEN_RE = new RegExp([
+  '\\s+',
+  '--[^\\n]*|#[^\\n]*|\\/\\*[\\s\\S]*?\\*\\/',
+  '`(?:[^`]|``)*`',
+  "'(?:[^'\\\\]|\\\\[\\s\\S]|'')*'",
+  '"(?:[^"\\\\]|\\\\[\\s\\S]|"")*"',
+  "@@?(?:[\\w$.]+|`(?:[^`]|``)*`|'(?:[^'\\\\]|\\\\[\\s\\S]|'')*')",
+  '\\d+(?:\\.\\d*)?(?:[eE][+-]?\\d+)?|\\.\\d+',
+  '[A-Za-z_$][\\w$]*',
+  '<=>|<=|>=|<>|!=|\\|\\||&&|:=',
+  '[\\s\\S]'
+].join('|'), 'y');
+
+const MYSQL_ESCAPES = { 0: '\0', b: '\b', n: '\n', r: '\r', t: '\t', Z: '\x1a' };
+
+function unescapeMysqlString(body, quote) {
+  return body
+    .replace(new RegExp(`${quote}${quote}`, 'g'), quote)
+    // \% and \_ keep their backslash (LIKE patterns)
+    .replace(/\\([\s\S])/g, (escape, char) => (
+      char === '%' || char === '_' ? escape : (MYSQL_ESCAPES[char] ?? char)
+    ));
+}
+
+/**
+ * Split MySQL SQL into tokens { type, text, value, upper, space } without
+ * whitespace and comments (`space`: whitespace came before the token).
+ * Types: word, ident (backquoted), string, number, var (@name), op, punct.
+ */
+function tokenize(sql) {
+  const tokens = [];
+  let space = false;
+  TOKEN_RE.lastIndex = 0;
+  let match;
+  while (TOKEN_RE.lastIndex < sql.length && (match = TOKEN_RE.exec(sql))) {
+    const text = match[0];
+    const first = text[0];
+    if (/\s/.test(first) || text.startsWith('--') || first === '#' || text.startsWith('/*')) {
+      space = true;
+      continue;
+    }
+
+    let token;
+    if (first === '`') token = { type: 'ident', value: text.slice(1, -1).replace(/``/g, '`') };
+    else if (first === "'" || first === '"') token = { type: 'string', value: unescapeMysqlString(text.slice(1, -1), first) };
+    else if (first === '@') token = { type: 'var', value: text };
+    else if (/[\d.]/.test(first) && text !== '.') token = { type: 'number', value: text };
+    else if (/[A-Za-z_$]/.test(first)) token = { type: 'word', value: text, upper: text.toUpperCase() };
+    else if (text.length > 1 || '<>=!+-*/%&|^~'.includes(first)) token = { type: 'op', value: text };
+    else token = { type: 'punct', value: text };
+
+    tokens.push({ ...token, text, space });
+    space = false;
+  }
+  return tokens;
+}
+
+const isWord = (token, ...words) => token?.type === 'word' && (words.length === 0 || words.includes(token.upper));
+const isPunct = (token, value) => token?.type === 'punct' && token.value === value;
+const isName = token => token?.type === 'word' || token?.type === 'ident';
+
+// Split a token list on top-level commas
+function splitArguments(tokens) {
+  if (tokens.length === 0) return [];
+  const parts = [[]];
+  let depth = 0;
+  tokens.forEach((token) => {
+    if (isPunct(token, '(')) depth++;
+    if (isPunct(token, ')')) depth--;
+    if (depth === 0 && isPunct(token, ',')) parts.push([]);
+    else parts[parts.length - 1].push(token);
+  });
+  return parts;
+}
+
+// Index of the parenthesis closing the one at `open`
+function closingParen(tokens, open) {
+  let depth = 0;
+  for (let i = open; i < tokens.length; i++) {
+    if (isPunct(tokens[i], '(')) depth++;
+    if (isPunct(tokens[i], ')') && --depth === 0) return i;
+  }
+  throw new TranslationError('unbalanced parentheses');
+}
+
+// Index of the first top-level word among `words` in `tokens`, -1 if none
+function findTopLevelWord(tokens, words, from = 0) {
+  let depth = 0;
+  for (let i = from; i < tokens.length; i++) {
+    if (isPunct(tokens[i], '(')) depth++;
+    else if (isPunct(tokens[i], ')')) depth--;
+    else if (depth === 0 && isWord(tokens[i], ...words)) return i;
+  }
+  return -1;
+}
+
+// --- Types -------------------------------------------------------------------
+
+// Mirrors the pgloader default casts so translated code matches the migrated columns
+const TYPE_MAP = {
+  TINYINT: 'smallint',
+  SMALLINT: 'smallint',
+  MEDIUMINT: 'integer',
+  INT: 'integer',
+  INTEGER: 'integer',
+  BIGINT: 'bigint',
+  FLOAT: 'real',
+  DOUBLE: 'double precision',
+  REAL: 'double precision',
+  BOOL: 'boolean',
+  BOOLEAN: 'boolean',
+  TINYTEXT: 'text',
+  TEXT: 'text',
+  MEDIUMTEXT: 'text',
+  LONGTEXT: 'text',
+  BINARY: 'bytea',
+  VARBINARY: 'bytea',
+  TINYBLOB: 'bytea',
+  BLOB: 'bytea',
+  MEDIUMBLOB: 'bytea',
+  LONGBLOB: 'bytea',
+  DATE: 'date',
+  DATETIME: 'timestamptz',
+  TIMESTAMP: 'timestamptz',
+  TIME: 'time',
+  YEAR: 'integer',
+  JSON: 'json',
+  ENUM: 'text',
+  SET: 'text',
+  // CAST(x AS SIGNED)
+  SIGNED: 'bigint',
+  UNSIGNED: 'bigint'
+};
+const UNSIGNED_TYPES = { SMALLINT: 'integer', INT: 'bigint', INTEGER: 'bigint', BIGINT: 'numeric(20)' };
+const TYPE_MODIFIERS = ['UNSIGNED', 'SIGNED', 'ZEROFILL', 'BINARY', 'ASCII', 'UNICODE'];
+
+/**
+ * Read a MySQL data type at `tokens[start]`.
+ * Returns { type, end } with `end` the index after the type and its attributes.
+ * In a CAST, CHAR without a length is any string (text), not char(1).
+ */
+function readType(tokens, start, { cast = false } = {}) {
+  const base = tokens[start];
+  if (!isWord(base)) throw new TranslationError(`expected a data type near "${base?.text ?? 'end'}"`);
+
+  let name = base.upper;
+  let end = start + 1;
+  if (name === 'DOUBLE' && isWord(tokens[end], 'PRECISION')) end++;
+  if (name === 'CHARACTER' && isWord(tokens[end], 'VARYING')) {
+    name = 'VARCHAR';
+    end++;
+  }
+
+  let params = null;
+  if (isPunct(tokens[end], '(')) {
+    const close = closingParen(tokens, end);
+    params = tokens.slice(end + 1, close).map(token => token.text).join('');
+    end = close + 1;
+  }
+
+  let unsigned = name === 'UNSIGNED';
+  for (;;) {
+    if (isWord(tokens[end], ...TYPE_MODIFIERS)) {
+      if (isWord(tokens[end], 'UNSIGNED')) unsigned = true;
+      end++;
+    } else if (isWord(tokens[end], 'CHARSET', 'COLLATE')) {
+      end += 2;
+    } else if (isWord(tokens[end], 'CHARACTER') && isWord(tokens[end + 1], 'SET')) {
+      end += 3;
+    } else {
+      break;
+    }
+  }
+
+  let type;
+  if (name === 'CHAR' || name === 'CHARACTER' || name === 'NCHAR') {
+    type = params ? `char(${params})` : (cast ? 'text' : 'char(1)');
+  } else if (name === 'VARCHAR' || name === 'NVARCHAR') {
+    type = params ? `varchar(${params})` : 'text';
+  } else if (['DECIMAL', 'DEC', 'NUMERIC', 'FIXED'].includes(name)) {
+    type = params ? `numeric(${params})` : 'numeric';
+  } else if (name === 'BIT') {
+    type = !params || params === '1' ? 'boolean' : `bit varying(${params})`;
+  } else if (name === 'TINYINT' && params === '1') {
+    type = 'boolean';
+  } else if (unsigned && UNSIGNED_TYPES[name]) {
+    type = UNSIGNED_TYPES[name];
+  } else if (TYPE_MAP[name]) {
+    type = TYPE_MAP[name];
+  } else {
+    throw new TranslationError(`data type ${name} has no PostgreSQL equivalent`);
+  }
+
+  return { type, end };
+}
+
+// --- Expressions -------------------------------------------------------------
+
+// MySQL functions without a faithful rewrite: the object is reported instead
+const UNTRANSLATABLE_FUNCTIONS = [
+  'DATE_FORMAT', 'STR_TO_DATE', 'TIMESTAMPDIFF', 'TIMESTAMPADD', 'FIND_IN_SET', 'FOUND_ROWS',
+  'ROW_COUNT', 'GET_LOCK', 'RELEASE_LOCK', 'FORMAT', 'SUBSTRING_INDEX', 'INET_ATON', 'INET_NTOA'
+];
+const RENAMED_FUNCTIONS = {
+  IFNULL: 'COALESCE',
+  LCASE: 'lower',
+  UCASE: 'upper',
+  RAND: 'random',
+  TRUNCATE: 'trunc',
+  LENGTH: 'octet_length',
+  INSTR: 'strpos',
+  SYSDATE: 'clock_timestamp',
+  LAST_INSERT_ID: 'lastval'
+};
+// Called without parentheses in PostgreSQL
+const KEYWORD_FUNCTIONS = {
+  CURDATE: 'CURRENT_DATE',
+  CURRENT_DATE: 'CURRENT_DATE',
+  CURTIME: 'CURRENT_TIME',
+  CURRENT_TIME: 'CURRENT_TIME',
+  CURRENT_TIMESTAMP: 'CURRENT_TIMESTAMP',
+  LOCALTIME: 'LOCALTIME',
+  LOCALTIMESTAMP: 'LOCALTIMESTAMP',
+  UTC_TIMESTAMP: "(now() AT TIME ZONE 'UTC')",
+  DATABASE: 'current_schema()',
+  SCHEMA: 'current_schema()',
+  UUID: 'gen_random_uuid()::text'
+};
+const DATE_PARTS = {
+  YEAR: 'year', MONTH: 'month', DAY: 'day', DAYOFMONTH: 'day', HOUR: 'hour', MINUTE: 'minute', SECOND: 'second'
+};
+const INTERVAL_UNITS = ['MICROSECOND', 'SECOND', 'MINUTE', 'HOUR', 'DAY', 'WEEK', 'MONTH', 'YEAR'];
+// `||` is OR unless the PIPES_AS_CONCAT SQL mode is set
+const OPERATORS = { '||': 'OR', '&&': 'AND', '<=>': 'IS NOT DISTINCT FROM' };
+// Words ending a LIMIT clause
+const LIMIT_END = ['INTO', 'FOR', 'UNION', 'LOCK'];
+
+const isDatabaseQualifier = (tokens, i, ctx) => isName(tokens[i]) && isPunct(tokens[i + 1], '.')
+  && tokens[i].value.toLowerCase() === ctx.sourceDatabase.toLowerCase();
+
+// Words introducing a table name
+const TABLE_CLAUSES = ['FROM', 'JOIN', 'UPDATE', 'TABLE'];
+
+/**
+ * Whether tokens[i] names a table: 'clause' after FROM, JOIN, UPDATE, TABLE,
+ * INSERT/REPLACE INTO or a database qualifier, 'qualifier' before `.column`
+ * (or an alias: only renamed tables are rewritten there), null otherwise
+ */
+function tablePosition(tokens, i, ctx) {
+  const previous = tokens[i - 1];
+  if (isWord(previous, ...TABLE_CLAUSES)) return 'clause';
+  if (isWord(previous, 'INTO') && findLastWord(tokens, i - 1, ['INSERT', 'REPLACE', 'SELECT']) !== 'SELECT') return 'clause';
+  if (isPunct(previous, '.')) return isDatabaseQualifier(tokens, i - 2, ctx) ? 'clause' : null;
+  if (isPunct(tokens[i + 1], '.')) return 'qualifier';
+  return null;
+}
+
+// Last of `words` before tokens[end]
+function findLastWord(tokens, end, words) {
+  for (let i = end - 1; i >= 0; i--) {
+    if (isWord(tokens[i], ...words)) return tokens[i].upper;
+  }
+  return null;
+}
+
+/**
+ * Rewrite a MySQL expression or SQL statement (token list) for PostgreSQL
+ */
+function translateExpression(tokens, ctx) {
+  let out = '';
+  // Set after an operator spelled as words
+  let spaceNext = false;
+  const emit = (token, text) => {
+    out += ((token.space || spaceNext) && out !== '' ? ' ' : '') + text;
+    spaceNext = false;
+  };
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const next = tokens[i + 1];
+
+    if (token.type === 'var') {
+      throw new TranslationError(`session variable ${token.text} has no PL/pgSQL equivalent`);
+    }
+
+    if (token.type === 'string') {
+      emit(token, quotePgLiteral(token.value));
+      continue;
+    }
+
+    if (token.type === 'ident' || isWord(token)) {
+      // `source_db`.`table` => "schema"."table"
+      if (isDatabaseQualifier(tokens, i, ctx)) {
+        emit(token, quotePgIdentifier(ctx.schema));
+        continue;
+      }
+      const position = tablePosition(tokens, i, ctx);
+      if (position && (token.type === 'ident' || ctx.isRenamed(token.value) || (position === 'clause' && ctx.quotesWords))) {
+        emit(token, ctx.table(token.value));
+        continue;
+      }
+      if (token.type === 'ident') {
+        emit(token, ctx.identifier(token.value));
+        continue;
+      }
+    }
+
+    if (token.type === 'op') {
+      const operator = OPERATORS[token.value];
+      emit(operator ? { space: true } : token, operator ?? token.value);
+      spaceNext = Boolean(operator);
+      continue;
+    }
+
+    if (!isWord(token)) {
+      emit(token, token.text);
+      continue;
+    }
+
+    // _utf8mb4'text': charset introducer
+    if (/^_[a-z0-9]+$/i.test(token.value) && next?.type === 'string' && !next.space) continue;
+
+    if (isWord(token, 'COLLATE') && isName(next)) {
+      i++;
+      continue;
+    }
+
+    if (isWord(token, 'REGEXP', 'RLIKE')) {
+      emit(token, '~');
+      continue;
+    }
+    if (isWord(token, 'NOT') && isWord(next, 'REGEXP', 'RLIKE')) {
+      emit(token, '!~');
+      i++;
+      continue;
+    }
+
+    // INTERVAL expr UNIT => (expr) * INTERVAL '1 unit'
+    if (isWord(token, 'INTERVAL') && !isPunct(next, '(')) {
+      const unit = findTopLevelWord(tokens, INTERVAL_UNITS, i + 1);
+      if (unit === -1) throw new TranslationError('unsupported INTERVAL unit');
+      emit(token, `(${translateExpression(tokens.slice(i + 1, unit), ctx)}) * INTERVAL '1 ${tokens[unit].value.toLowerCase()}'`);
+      i = unit;
+      continue;
+    }
+
+    // LIMIT offset, count => LIMIT count OFFSET offset
+    if (isWord(token, 'LIMIT')) {
+      let end = i + 1;
+      while (end < tokens.length && !isPunct(tokens[end], ')') && !isPunct(tokens[end], ';') && !isWord(tokens[end], ...LIMIT_END)) end++;
+      const parts = splitArguments(tokens.slice(i + 1, end));
+      if (parts.length === 2) {
+        emit(token, `LIMIT ${translateExpression(parts[1], ctx)} OFFSET ${translateExpression(parts[0], ctx)}`);
+        i = end - 1;
+        continue;
+      }
+    }
+
+    if (isPunct(next, '(')) {
+      const close = closingParen(tokens, i + 1);
+      emit(token, translateCall(token, tokens.slice(i + 2, close), ctx, next.space));
+      i = close;
+      continue;
+    }
+
+    emit(token, token.text);
+  }
+
+  return out;
+}
+
+function translateCall(name, argumentTokens, ctx, spaced) {
+  const fn = name.upper;
+  const args = () => splitArguments(argumentTokens).map(arg => translateExpression(arg, ctx));
+
+  if (UNTRANSLATABLE_FUNCTIONS.includes(fn)) {
+    throw new TranslationError(`MySQL function ${fn}() has no automatic translation`);
+  }
+  if (KEYWORD_FUNCTIONS[fn] && argumentTokens.length === 0) return KEYWORD_FUNCTIONS[fn];
+  if (RENAMED_FUNCTIONS[fn]) return `${RENAMED_FUNCTIONS[fn]}(${args().join(', ')})`;
+
+  switch (fn) {
+    case 'IF': {
+      const [condition, whenTrue, whenFalse, ...rest] = args();
+      if (whenFalse === undefined || rest.length > 0) break;
+      return `CASE WHEN ${condition} THEN ${whenTrue} ELSE ${whenFalse} END`;
+    }
+    // NULL when any argument is NULL, like MySQL (concat() skips them)
+    case 'CONCAT':
+      return `(${args().map(arg => `(${arg})::text`).join(' || ')})`;
+    case 'GROUP_CONCAT':
+      return translateGroupConcat(argumentTokens, ctx);
+    case 'CAST': {
+      const as = findTopLevelWord(argumentTokens, ['AS']);
+      if (as === -1) break;
+      const { type } = readType(argumentTokens, as + 1, { cast: true });
+      return `CAST(${translateExpression(argumentTokens.slice(0, as), ctx)} AS ${type})`;
+    }
+    case 'CONVERT': {
+      const using = findTopLevelWord(argumentTokens, ['USING']);
+      if (using !== -1) return `(${translateExpression(argumentTokens.slice(0, using), ctx)})`;
+      const [value, type] = splitArguments(argumentTokens);
+      if (!type) break;
+      return `CAST(${translateExpression(value, ctx)} AS ${readType(type, 0, { cast: true }).type})`;
+    }
+    case 'LOCATE': {
+      const [needle, haystack, ...rest] = args();
+      if (rest.length > 0) throw new TranslationError('LOCATE() with a start position has no automatic translation');
+      return `strpos(${haystack}, ${needle})`;
+    }
+    case 'ISNULL':
+      return `((${args()[0]}) IS NULL)`;
+    case 'UNIX_TIMESTAMP': {
+      const [date] = args();
+      return `extract(epoch FROM ${date ?? 'now()'})::bigint`;
+    }
+    case 'DATEDIFF': {
+      const [a, b] = args();
+      return `((${a})::date - (${b})::date)`;
+    }
+    case 'DATE':
+      return `(${args()[0]})::date`;
+    case 'DATE_ADD':
+    case 'ADDDATE':
+    case 'DATE_SUB':
+    case 'SUBDATE': {
+      const [date, interval] = args();
+      return `(${date} ${fn.includes('ADD') ? '+' : '-'} ${interval})`;
+    }
+    default:
+      if (DATE_PARTS[fn] && argumentTokens.length > 0) {
+        return `extract(${DATE_PARTS[fn]} FROM ${args()[0]})::integer`;
+      }
+  }
+
+  // Unknown functions and keywords followed by a parenthesized list: kept as is
+  return `${name.text}${spaced ? ' ' : ''}(${args().join(', ')})`;
+}
+
+// GROUP_CONCAT([DISTINCT] expr, ... [ORDER BY ...] [SEPARATOR 'x']) => string_agg()
+function translateGroupConcat(tokens, ctx) {
+  let rest = tokens;
+  let distinct = '';
+  if (isWord(rest[0], 'DISTINCT')) {
+    distinct = 'DISTINCT ';
+    rest = rest.slice(1);
+  }
+
+  let separator = "','";
+  const separatorAt = findTopLevelWord(rest, ['SEPARATOR']);
+  if (separatorAt !== -1) {
+    separator = translateExpression(rest.slice(separatorAt + 1), ctx);
+    rest = rest.slice(0, separatorAt);
+  }
+
+  let orderBy = '';
+  const orderAt = findTopLevelWord(rest, ['ORDER']);
+  if (orderAt !== -1) {
+    orderBy = ` ${translateExpression(rest.slice(orderAt), ctx)}`;
+    rest = rest.slice(0, orderAt);
+  }
+
+  const values = splitArguments(rest).map(arg => `(${translateExpression(arg, ctx)})::text`);
+  return `string_agg(${distinct}${values.join(' || ')}, ${separator}${orderBy})`;
+}
+
+// --- Procedural code ---------------------------------------------------------
+
+const indent = lines => lines.map(line => `  ${line}`);
+
+/**
+ * Parser for MySQL stored program bodies, emitting PL/pgSQL lines
+ */
+function createBodyParser(tokens, ctx) {
+  let pos = 0;
+  // NOT FOUND handlers of the enclosing blocks (innermost last)
+  const handlers = [];
+
+  const peek = (offset = 0) => tokens[pos + offset];
+  const atWord = (...words) => isWord(peek(), ...words);
+  const near = () => tokens.slice(pos, pos + 6).map(token => token.text).join(' ') || 'end of body';
+
+  const acceptWord = (...words) => {
+    if (!atWord(...words)) return null;
+    return tokens[pos++];
+  };
+  const expectWord = (word) => {
+    if (!acceptWord(word)) throw new TranslationError(`expected ${word} near "${near()}"`);
+  };
+  const endStatement = () => {
+    if (isPunct(peek(), ';')) pos++;
+  };
+  const name = (token) => {
+    if (!isName(token)) throw new TranslationError(`expected a name near "${near()}"`);
+    return token.type === 'ident' ? ctx.identifier(token.value) : token.value;
+  };
+  // Optional label repeated after END LOOP/WHILE/REPEAT and block ENDs
+  const endLabel = () => {
+    if (isName(peek()) && !isPunct(peek(), ';')) pos++;
+  };
+
+  // Tokens up to one of `stopWords` (or `;`) at the top level, skipping
+  // parenthesized groups and CASE ... END expressions
+  const collect = (stopWords = []) => {
+    const start = pos;
+    let depth = 0;
+    let cases = 0;
+    while (pos < tokens.length) {
+      const token = peek();
+      if (isPunct(token, '(')) depth++;
+      else if (isPunct(token, ')')) depth--;
+      else if (depth === 0 && cases === 0 && (isPunct(token, ';') || (stopWords.length > 0 && isWord(token, ...stopWords)))) break;
+      else if (isWord(token, 'CASE')) cases++;
+      else if (isWord(token, 'END') && cases > 0) cases--;
+      pos++;
+    }
+    if (stopWords.length > 0 && pos >= tokens.length) {
+      throw new TranslationError(`expected ${stopWords.join(' or ')} before the end of the body`);
+    }
+    return tokens.slice(start, pos);
+  };
+  const expression = stopWords => translateExpression(collect(stopWords), ctx);
+
+  const notFoundCheck = () => {
+    const handler = [...handlers].reverse().find(h => h.notFound);
+    return handler ? ['IF NOT FOUND THEN', ...indent(handler.notFound), 'END IF;'] : [];
+  };
+
+  const statementList = (stopWords) => {
+    const lines = [];
+    while (pos < tokens.length && !atWord(...stopWords)) lines.push(...statement());
+    return lines;
+  };
+
+  function declare(handler) {
+    expectWord('DECLARE');
+
+    if (atWord('CONTINUE', 'EXIT', 'UNDO')) {
+      const kind = tokens[pos++].upper;
+      expectWord('HANDLER');
+      expectWord('FOR');
+      let notFound = false;
+      if (atWord('NOT') && isWord(peek(1), 'FOUND')) {
+        pos += 2;
+        notFound = true;
+      } else if (acceptWord('SQLSTATE')) {
+        acceptWord('VALUE');
+        notFound = peek()?.value === '02000';
+        pos++;
+      }
+      if (!notFound || kind !== 'CONTINUE' || isPunct(peek(), ',')) {
+        throw new TranslationError(`${kind} HANDLER near "${near()}" is not supported (only CONTINUE HANDLER FOR NOT FOUND)`);
+      }
+      // The action runs after each FETCH and SELECT ... INTO of the block
+      handler.notFound = statement();
+      return [];
+    }
+
+    const names = [name(tokens[pos++])];
+    while (isPunct(peek(), ',')) {
+      pos++;
+      names.push(name(tokens[pos++]));
+    }
+
+    if (acceptWord('CURSOR')) {
+      expectWord('FOR');
+      const query = expression();
+      endStatement();
+      return [`${names[0]} CURSOR FOR ${query};`];
+    }
+    if (atWord('CONDITION')) throw new TranslationError(`DECLARE ... CONDITION near "${near()}" is not supported`);
+
+    const { type, end } = readType(tokens, pos);
+    pos = end;
+    const initial = acceptWord('DEFAULT') ? ` := ${expression()}` : '';
+    endStatement();
+    return names.map(variable => `${variable} ${type}${initial};`);
+  }
+
+  function block(label) {
+    expectWord('BEGIN');
+    const handler = { notFound: null };
+    const declarations = [];
+    while (atWord('DECLARE')) declarations.push(...declare(handler));
+
+    handlers.push(handler);
+    const body = statementList(['END']);
+    handlers.pop();
+    expectWord('END');
+    endLabel();
+    endStatement();
+
+    return [
+      ...(label ? [`<<${label}>>`] : []),
+      ...(declarations.length > 0 ? ['DECLARE', ...indent(declarations)] : []),
+      'BEGIN',
+      ...indent(body.length > 0 ? body : ['NULL;']),
+      `END${label ? ` ${label}` : ''};`
+    ];
+  }
+
+  function ifStatement() {
+    expectWord('IF');
+    const lines = [`IF ${expression(['THEN'])} THEN`];
+    expectWord('THEN');
+    lines.push(...indent(statementList(['ELSEIF', 'ELSE', 'END'])));
+    while (acceptWord('ELSEIF')) {
+      lines.push(`ELSIF ${expression(['THEN'])} THEN`);
+      expectWord('THEN');
+      lines.push(...indent(statementList(['ELSEIF', 'ELSE', 'END'])));
+    }
+    if (acceptWord('ELSE')) lines.push('ELSE', ...indent(statementList(['END'])));
+    expectWord('END');
+    expectWord('IF');
+    endStatement();
+    return [...lines, 'END IF;'];
+  }
+
+  function caseStatement() {
+    expectWord('CASE');
+    const subject = expression(['WHEN']);
+    const lines = [subject ? `CASE ${subject}` : 'CASE'];
+    while (acceptWord('WHEN')) {
+      lines.push(`  WHEN ${expression(['THEN'])} THEN`);
+      expectWord('THEN');
+      lines.push(...indent(indent(statementList(['WHEN', 'ELSE', 'END']))));
+    }
+    if (acceptWord('ELSE')) lines.push('  ELSE', ...indent(indent(statementList(['END']))));
+    expectWord('END');
+    expectWord('CASE');
+    endStatement();
+    return [...lines, 'END CASE;'];
+  }
+
+  function loop(label, { head, body, tail = [] }) {
+    return [
+      ...(label ? [`<<${label}>>`] : []),
+      head,
+      ...indent([...body, ...tail]),
+      `END LOOP${label ? ` ${label}` : ''};`
+    ];
+  }
+
+  function whileStatement(label) {
+    expectWord('WHILE');
+    const condition = expression(['DO']);
+    expectWord('DO');
+    const body = statementList(['END']);
+    expectWord('END');
+    expectWord('WHILE');
+    endLabel();
+    endStatement();
+    return loop(label, { head: `WHILE ${condition} LOOP`, body });
+  }
+
+  function repeatStatement(label) {
+    expectWord('REPEAT');
+    const body = statementList(['UNTIL']);
+    expectWord('UNTIL');
+    const condition = expression(['END']);
+    expectWord('END');
+    expectWord('REPEAT');
+    endLabel();
+    endStatement();
+    return loop(label, { head: 'LOOP', body, tail: [`EXIT WHEN ${condition};`] });
+  }
+
+  function loopStatement(label) {
+    expectWord('LOOP');
+    const body = statementList(['END']);
+    expectWord('END');
+    expectWord('LOOP');
+    endLabel();
+    endStatement();
+    return loop(label, { head: 'LOOP', body });
+  }
+
+  // SET a = 1, NEW.b = 2 => a := 1; NEW.b := 2;
+  function setStatement() {
+    expectWord('SET');
+    if (atWord('SESSION', 'GLOBAL', 'LOCAL', 'NAMES', 'TRANSACTION', 'PERSIST')) {
+      throw new TranslationError(`SET ${peek().upper} is not supported`);
+    }
+    const assignments = splitArguments(collect());
+    endStatement();
+    return assignments.map((assignment) => {
+      const at = assignment.findIndex(token => token.value === '=' || token.value === ':=');
+      if (at <= 0) throw new TranslationError(`unsupported SET near "${near()}"`);
+      return `${translateExpression(assignment.slice(0, at), ctx)} := ${translateExpression(assignment.slice(at + 1), ctx)};`;
+    });
+  }
+
+  // SIGNAL SQLSTATE 'xxxxx' SET MESSAGE_TEXT = '...' => RAISE EXCEPTION
+  function signalStatement() {
+    expectWord('SIGNAL');
+    if (!acceptWord('SQLSTATE')) throw new TranslationError('SIGNAL of a named condition is not supported');
+    acceptWord('VALUE');
+    const state = tokens[pos++];
+    if (state?.type !== 'string') throw new TranslationError(`expected a SQLSTATE near "${near()}"`);
+
+    const options = [`ERRCODE = ${quotePgLiteral(state.value)}`];
+    if (acceptWord('SET')) {
+      splitArguments(collect()).forEach((item) => {
+        if (isWord(item[0], 'MESSAGE_TEXT') && item[1]?.value === '=') {
+          options.push(`MESSAGE = ${translateExpression(item.slice(2), ctx)}`);
+        }
+      });
+    }
+    endStatement();
+    return [`RAISE EXCEPTION USING ${options.join(', ')};`];
+  }
+
+  function fetchStatement() {
+    expectWord('FETCH');
+    acceptWord('NEXT');
+    acceptWord('FROM');
+    const cursor = name(tokens[pos++]);
+    expectWord('INTO');
+    const into = expression();
+    endStatement();
+    return [`FETCH ${cursor} INTO ${into};`, ...notFoundCheck()];
+  }
+
+  function sqlStatement() {
+    const sql = collect();
+    endStatement();
+    if (sql.length === 0) return [];
+
+    const selectsInto = isWord(sql[0], 'SELECT') && findTopLevelWord(sql, ['INTO']) !== -1;
+    if (isWord(sql[0], 'SELECT', 'WITH') && !selectsInto) {
+      throw new TranslationError('returns a result set (SELECT without INTO), which PostgreSQL routines cannot do');
+    }
+    if (isWord(sql[0], 'START', 'PREPARE', 'EXECUTE', 'DEALLOCATE', 'RESIGNAL', 'GET', 'LOCK', 'UNLOCK')) {
+      throw new TranslationError(`${sql[0].upper} statements are not supported`);
+    }
+    return [`${translateExpression(sql, ctx)};`, ...(selectsInto ? notFoundCheck() : [])];
+  }
+
+  function statement() {
+    if (isPunct(peek(), ';')) {
+      pos++;
+      return [];
+    }
+
+    let label = null;
+    if (isName(peek()) && isPunct(peek(1), ':')) {
+      label = name(peek());
+      pos += 2;
+    }
+
+    if (atWord('BEGIN')) return block(label);
+    if (atWord('WHILE')) return whileStatement(label);
+    if (atWord('REPEAT')) return repeatStatement(label);
+    if (atWord('LOOP')) return loopStatement(label);
+    if (label) throw new TranslationError(`unexpected label ${label}`);
+
+    if (atWord('IF')) return ifStatement();
+    if (atWord('CASE')) return caseStatement();
+    if (atWord('SET')) return setStatement();
+    if (atWord('SIGNAL')) return signalStatement();
+    if (atWord('FETCH')) return fetchStatement();
+    if (atWord('DECLARE')) throw new TranslationError('DECLARE must come first in its BEGIN ... END block');
+    if (atWord('LEAVE', 'ITERATE')) {
+      const keyword = tokens[pos++].upper === 'LEAVE' ? 'EXIT' : 'CONTINUE';
+      const target = name(tokens[pos++]);
+      endStatement();
+      return [`${keyword} ${target};`];
+    }
+    if (atWord('OPEN', 'CLOSE')) {
+      const keyword = tokens[pos++].upper;
+      const cursor = name(tokens[pos++]);
+      endStatement();
+      return [`${keyword} ${cursor};`];
+    }
+    return sqlStatement();
+  }
+
+  return {
+    // The whole remaining body as a single PL/pgSQL block
+    body() {
+      const isBlock = atWord('BEGIN') || (isName(peek()) && isPunct(peek(1), ':') && isWord(peek(2), 'BEGIN'));
+      const lines = statement();
+      if (pos < tokens.length) throw new TranslationError(`unexpected "${near()}" after the routine body`);
+      return isBlock ? lines : ['BEGIN', ...indent(lines), 'END;'];
+    }
+  };
+}
+
+function dollarQuote(body) {
+  let tag = '$body$';
+  for (let n = 1; body.includes(tag); n++) tag = `$body${n}$`;
+  return tag;
+}
+
+function plpgsqlFunction(header, lines, ctx) {
+  const body = ['#variable_conflict use_variable', ...lines].join('\n');
+  const tag = dollarQuote(body);
+  return `${header} LANGUAGE plpgsql SET search_path TO ${quotePgIdentifier(ctx.schema)}, public AS ${tag}\n${body}\n${tag};`;
+}
+
+// Skip CREATE [OR REPLACE] [ALGORITHM=...] [DEFINER=...] [SQL SECURITY ...] up to `keyword`
+function skipToKeyword(tokens, keyword) {
+  const at = tokens.findIndex(token => isWord(token, keyword));
+  if (at === -1) throw new TranslationError(`expected ${keyword}`);
+  let pos = at + 1;
+  if (isWord(tokens[pos], 'IF') && isWord(tokens[pos + 1], 'NOT') && isWord(tokens[pos + 2], 'EXISTS')) pos += 3;
+  return pos;
+}
+
+// [db.]name at `pos` => { name, end }
+function readObjectName(tokens, pos) {
+  if (!isName(tokens[pos])) throw new TranslationError('expected an object name');
+  if (isPunct(tokens[pos + 1], '.') && isName(tokens[pos + 2])) return { name: tokens[pos + 2].value, end: pos + 3 };
+  return { name: tokens[pos].value, end: pos + 1 };
+}
+
+// Routine characteristic => number of words it spans
+const ROUTINE_CHARACTERISTICS = {
+  COMMENT: 2, LANGUAGE: 2, NOT: 2, DETERMINISTIC: 1, CONTAINS: 2, NO: 2, READS: 3, MODIFIES: 3, SQL: 3
+};
+
+function skipCharacteristics(tokens, pos) {
+  while (isWord(tokens[pos], ...Object.keys(ROUTINE_CHARACTERISTICS))) {
+    pos += ROUTINE_CHARACTERISTICS[tokens[pos].upper];
+  }
+  return pos;
+}
+
+function translateRoutine(source, ctx) {
+  const tokens = tokenize(source);
+  const kindAt = tokens.findIndex(token => isWord(token, 'PROCEDURE', 'FUNCTION'));
+  if (kindAt === -1) throw new TranslationError('expected PROCEDURE or FUNCTION');
+  const kind = tokens[kindAt].upper;
+  const { name, end } = readObjectName(tokens, skipToKeyword(tokens, kind));
+
+  if (!isPunct(tokens[end], '(')) throw new TranslationError('expected the parameter list');
+  const close = closingParen(tokens, end);
+  const params = splitArguments(tokens.slice(end + 1, close)).map((param) => {
+    let at = 0;
+    const mode = isWord(param[0], 'IN', 'OUT', 'INOUT') ? `${param[at++].upper} ` : '';
+    if (!isName(param[at])) throw new TranslationError('expected a parameter name');
+    const paramName = param[at].type === 'ident' ? ctx.identifier(param[at].value) : param[at].value;
+    return `${mode}${paramName} ${readType(param, at + 1).type}`;
+  });
+
+  let pos = close + 1;
+  let returns = '';
+  if (kind === 'FUNCTION') {
+    if (!isWord(tokens[pos], 'RETURNS')) throw new TranslationError('expected RETURNS');
+    const { type, end: typeEnd } = readType(tokens, pos + 1);
+    returns = ` RETURNS ${type}`;
+    pos = typeEnd;
+  }
+  pos = skipCharacteristics(tokens, pos);
+
+  const parser = createBodyParser(tokens.slice(pos), ctx);
+  const header = `CREATE OR REPLACE ${kind} ${ctx.qualify(name)}(${params.join(', ')})${returns}`;
+  return plpgsqlFunction(header, parser.body(), ctx);
+}
+
+function translateTrigger(trigger, ctx) {
+  const tokens = tokenize(trigger.source);
+  const { name, end } = readObjectName(tokens, skipToKeyword(tokens, 'TRIGGER'));
+  const forEachRow = tokens.findIndex((token, i) => i >= end && isWord(token, 'FOR') && isWord(tokens[i + 1], 'EACH') && isWord(tokens[i + 2], 'ROW'));
+  if (forEachRow === -1) throw new TranslationError('expected FOR EACH ROW');
+
+  let pos = forEachRow + 3;
+  // Firing order between triggers: PostgreSQL fires them by name
+  if (isWord(tokens[pos], 'FOLLOWS', 'PRECEDES')) pos += 2;
+
+  const parser = createBodyParser(tokens.slice(pos), ctx);
+  const returned = trigger.timing === 'AFTER' ? 'NULL' : (trigger.event === 'DELETE' ? 'OLD' : 'NEW');
+  const functionName = ctx.qualify(`${name}_fn`);
+  // The MySQL body is nested so that a LEAVE out of it still reaches the RETURN
+  const body = ['BEGIN', ...indent(parser.body()), `  RETURN ${returned};`, 'END;'];
+
+  return [
+    plpgsqlFunction(`CREATE OR REPLACE FUNCTION ${functionName}() RETURNS trigger`, body, ctx),
+    `CREATE OR REPLACE TRIGGER ${ctx.identifier(name)} ${trigger.timing} ${trigger.event} ON ${ctx.qualifyTable(trigger.table)}`
+      + ` FOR EACH ROW EXECUTE FUNCTION ${functionName}();`
+  ].join('\n');
+}
+
+function translateView(view, ctx) {
+  const tokens = tokenize(view.source);
+  const { name, end } = readObjectName(tokens, skipToKeyword(tokens, 'VIEW'));
+
+  let pos = end;
+  let columns = '';
+  if (isPunct(tokens[pos], '(')) {
+    const close = closingParen(tokens, pos);
+    columns = ` (${splitArguments(tokens.slice(pos + 1, close)).map(([column]) => ctx.identifier(column.value)).join(', ')})`;
+    pos = close + 1;
+  }
+  if (!isWord(tokens[pos], 'AS')) throw new TranslationError('expected AS');
+
+  return `CREATE OR REPLACE VIEW ${ctx.qualify(name)}${columns} AS\n${translateExpression(tokens.slice(pos + 1), ctx)};`;
+}
+
+/**
+ * Translation context: the source database name (qualified references to it are
+ * moved to `schema`), the target schema and the schema options naming the
+ * migrated tables. Identifiers are cased like pgloader does.
+ */
+function createContext({ sourceDatabase, schema, naming = undefined }) {
+  const quote = naming?.identifierCase === 'quote';
+  const identifier = name => quotePgIdentifier(quote ? name : name.toLowerCase());
+  return {
+    sourceDatabase,
+    schema,
+    identifier,
+    // Unquoted MySQL names keep their case only when identifiers are quoted
+    quotesWords: quote,
+    isRenamed: name => Boolean(naming) && Object.hasOwn(naming.tableRenames, name),
+    table: name => quotePgIdentifier(targetTableName(name, naming)),
+    qualify: name => `${quotePgIdentifier(schema)}.${identifier(name)}`,
+    qualifyTable: name => `${quotePgIdentifier(schema)}.${quotePgIdentifier(targetTableName(name, naming))}`
+  };
+}
+
+/**
+ * Translate one analyzed object ({ type, name, source, ... } with type view,
+ * trigger, procedure or function). Returns { sql } or { error }.
+ */
+function translateObject(object, ctx) {
+  try {
+    if (object.type === 'view') return { sql: translateView(object, ctx) };
+    if (object.type === 'trigger') return { sql: translateTrigger(object, ctx) };
+    return { sql: translateRoutine(object.source, ctx) };
+  } catch (err) {
+    if (!(err instanceof TranslationError)) throw err;
+    return { error: err.message };
+  }
+}
+
+async function applyObject(migrationId, schema, sql, signal) {
+  await psqlQuery(migrationId, `SET search_path TO ${quotePgIdentifier(schema)}, public;\nBEGIN;\n${sql}\nCOMMIT;\n`, { signal });
+}
+
+/**
+ * Translate the views, triggers and routines found by the dump analysis and create
+ * them in the target schema, each in its own transaction. Routines come first,
+ * then views (retried while others still succeed, for views built on views),
+ * then the triggers of the migrated tables.
+ *
+ * Resolves { status, totals, objects: [{ type, name, status, error, sql, source }] }
+ * with status 'applied' or 'untranslatable' (rejected by the translator or by
+ * PostgreSQL). Only syntax is checked when a PL/pgSQL body is created: unknown
+ * functions in a routine only fail when it runs.
+ */
+async function migrateDatabaseObjects(migrationId, {
+  analysis, sourceDatabase, schema, naming, tableFilters, logger, signal
+}) {
+  const ctx = createContext({ sourceDatabase, schema, naming });
+  const objects = [
+    ...(analysis?.routines || []).map(routine => ({ ...routine, type: routine.type.toLowerCase() })),
+    ...(analysis?.views || []).map(view => ({ ...view, type: 'view' })),
+    ...(analysis?.triggers || [])
+      .filter(trigger => tableMatchesFilters(trigger.table, tableFilters))
+      .map(trigger => ({ ...trigger, type: 'trigger' }))
+  ].map(object => ({
+    type: object.type,
+    name: object.name,
+    source: object.source,
+    ...translateObject(object, ctx)
+  }));
+
+  const apply = async (object) => {
+    try {
+      await applyObject(migrationId, schema, object.sql, signal);
+      object.error = null;
+      return true;
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      object.error = err.message.replace(/^PostgreSQL query failed: (psql:<stdin>:\d+: )?/, '');
+      return false;
+    }
+  };
+
+  const translated = objects.filter(object => object.sql);
+  for (const object of translated.filter(o => o.type !== 'view' && o.type !== 'trigger')) {
+    object.applied = await apply(object);
+  }
+
+  let pending = translated.filter(object => object.type === 'view');
+  while (pending.length > 0) {
+    const failed = [];
+    for (const view of pending) {
+      if (!(await apply(view))) failed.push(view);
+      else view.applied = true;
+    }
+    if (failed.length === pending.length) break;
+    pending = failed;
+  }
+
+  for (const object of translated.filter(o => o.type === 'trigger')) {
+    object.applied = await apply(object);
+  }
+
+  const report = objects.map(object => ({
+    type: object.type,
+    name: object.name,
+    status: object.applied ? 'applied' : 'untranslatable',
+    error: object.applied ? null : object.error,
+    sql: object.sql || null,
+    source: object.source
+  }));
+  const applied = report.filter(object => object.status === 'applied').length;
+
+  report
+    .filter(object => object.status === 'untranslatable')
+    .forEach(object => logger.warn(`${object.type} ${object.name} not migrated: ${object.error}`));
+  if (report.length > 0) logger.info(`Views, triggers and routines: ${applied}/${report.length} translated and created`);
+
+  return {
+    status: applied === report.length ? 'passed' : 'warning',
+    totals: { objects: report.length, applied, untranslatable: report.length - applied },
+    objects: report
+  };
+}
+
+module.exports = {
+  translateObject,
+  createContext,
+  migrateDatabaseObjects
+};
@@ -0,0 +1,133 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { Transform, pipeline } = require('stream');
+const { openReadStream, plainFileSize } = require('./fileEncryption');
+
+/**
+ * Delivery of exported dumps.
+ *
+ * The SHA-256 of the dump is computed while it is exported and stored in a
+ * `<file>.sha256` sidecar (sha256sum format). Downloads answer single byte
+ * ranges, so that browsers and `curl -C -` resume an interrupted transfer, and
+ * are gzipped on the fly for clients accepting it, unless the format already is
+ * compressed.
+ */
+
+const CHECKSUM_EXTENSION = '.sha256';
+const DIGEST_RE = /^[0-9a-f]{64}$/;
+
+const checksumPath = filePath => `${filePath}${CHECKSUM_EXTENSION}`;
+
+/**
+ * Pass-through stream hashing what goes through it; `digest()` is set once it ended
+ */
+function createChecksumStream() {
+  const hash = crypto.createHash('sha256');
+  let digest = null;
+
+  const stream = new Transform({
+    transform(chunk, _enc, cb) {
+      hash.update(chunk);
+      cb(null, chunk);
+    },
+    flush(cb) {
+      digest = hash.digest('hex');
+      cb();
+    }
+  });
+
+  return { stream, digest: () => digest };
+}
+
+/**
+ * Write the sidecar next to `filePath`, checkable with `sha256sum -c`
+ */
+function writeChecksumFile(filePath, digest) {
+  fs.writeFileSync(checksumPath(filePath), `${digest}  ${path.basename(filePath)}\n`);
+}
+
+/**
+ * Hex digest from the sidecar of `filePath`, or null
+ */
+function readChecksum(filePath) {
+  try {
+    const [digest] = fs.readFileSync(checksumPath(filePath), 'utf8').split(/\s+/);
+    return DIGEST_RE.test(digest) ? digest : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Answer a download of `filePath` (decrypted with `key` if set).
+ * Resolves true once the whole file (bytes 0 to size-1) was sent in this
+ * response, false when the client went away, asked for a part of it (a resumed
+ * transfer's tail included: it proves nothing about the earlier bytes) or only
+ * for the headers.
+ */
+function sendOutputFile(req, res, { filePath, fileName, contentType, key = null, compressed = false }) {
+  const size = plainFileSize(filePath, key);
+  const digest = readChecksum(filePath);
+  const lastModified = fs.statSync(filePath).mtime.toUTCString();
+  const etag = digest ? `"${digest}"` : null;
+
+  res.attachment(fileName);
+  res.set({
+    'Content-Type': contentType,
+    'Accept-Ranges': 'bytes',
+    'Last-Modified': lastModified,
+    Vary: 'Accept-Encoding'
+  });
+  if (digest) res.set('X-Checksum-SHA256', digest);
+
+  // If-Range: resume only if the file did not change since the first attempt
+  const ifRange = req.get('If-Range');
+  const rangeApplies = Boolean(req.get('Range')) && (!ifRange || ifRange === etag || ifRange === lastModified);
+  const ranges = rangeApplies ? req.range(size, { combine: true }) : null;
+
+  if (ranges === -1) {
+    res.status(416).set('Content-Range', `bytes */${size}`).end();
+    return Promise.resolve(false);
+  }
+
+  // Several ranges are answered with the whole file (no multipart/byteranges)
+  const partial = Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1;
+  const start = partial ? ranges[0].start : 0;
+  const end = partial ? ranges[0].end : size - 1;
+  // Ranges are positions in the file itself, never in a gzipped rendition
+  const gzip = !partial && !compressed && size > 0 && req.acceptsEncodings('gzip', 'identity') === 'gzip';
+
+  if (partial) res.status(206).set('Content-Range', `bytes ${start}-${end}/${size}`);
+  if (gzip) {
+    res.set('Content-Encoding', 'gzip');
+    if (etag) res.set('ETag', `"${digest}-gzip"`);
+  } else {
+    res.set('Content-Length', String(end - start + 1));
+    if (etag) res.set('ETag', etag);
+  }
+
+  if (req.method === 'HEAD' || size === 0) {
+    res.end();
+    return Promise.resolve(size === 0 && req.method !== 'HEAD');
+  }
+
+  return new Promise((resolve) => {
+    pipeline(
+      openReadStream(filePath, key, { start, end }),
+      ...(gzip ? [zlib.createGzip()] : []),
+      res,
+      err => resolve(!err && start === 0 && end === size - 1)
+    );
+  });
+}
+
+module.exports = {
+  CHECKSUM_EXTENSION,
+  checksumPath,
+  createChecksumStream,
+  writeChecksumFile,
+  readChecksum,
+  sendOutputFile
+};
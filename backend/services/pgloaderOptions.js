@@ -0,0 +1,391 @@
+/**
+ * Per-migration pgloader options: validation and rendering of the .load file.
+ *
+ * Everything user-provided ends up inside a pgloader command file, which can run
+ * arbitrary SQL through clauses like BEFORE LOAD DO. Values are therefore checked
+ * against strict grammars instead of being escaped.
+ */
+
+const MODES = ['full', 'schema-only', 'data-only'];
+
+const DEFAULT_PGLOADER_OPTIONS = {
+  workers: 8,
+  concurrency: 1,
+  rowsPerRange: null,
+  mode: 'full',
+  castRules: [],
+  postgresParameters: {},
+  mysqlParameters: {}
+};
+
+const IDENT = '[A-Za-z_][A-Za-z0-9_$]*';
+
+// Subset of the pgloader CAST grammar, e.g.
+//   type datetime to timestamptz drop default drop not null using zero-dates-to-null
+//   type tinyint when (= 1 precision) to boolean using tinyint-to-boolean
+//   column orders.status to text drop typemod
+const CAST_RULE_RE = new RegExp(
+  `^(?:type\\s+[a-z][a-z0-9_]*|column\\s+${IDENT}\\.${IDENT})` +
+  '(?:\\s+when\\s+(?:unsigned|signed|default\\s+\'[^\'\\s;$]*\'|\\(\\s*[<>]?=\\s*\\d+\\s+precision\\s*\\)))*' +
+  '(?:\\s+with\\s+extra\\s+(?:auto_increment|on\\s+update\\s+current\\s+timestamp))?' +
+  '(?:\\s+to\\s+[a-z][a-z0-9_]*(?:\\s+(?:precision|varying|with\\s+time\\s+zone|without\\s+time\\s+zone))*(?:\\(\\d+(?:,\\s*\\d+)?\\))?)?' +
+  '(?:\\s+(?:drop|keep|set)\\s+(?:default|not\\s+null|typemod))*' +
+  '(?:\\s+using\\s+[a-z][a-z0-9-]*)?$',
+  'i'
+);
+
+function isValidCastRule(rule) {
+  return CAST_RULE_RE.test(rule);
+}
+
+const PARAMETER_NAME_RE = /^[a-z_][a-z0-9_.]*$/i;
+const PARAMETER_VALUE_RE = /^[A-Za-z0-9_ .:/+-]{0,100}$/;
+
+function readInt(errors, label, value, min, max) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min || n > max) {
+    errors.push(`${label} must be an integer between ${min} and ${max}`);
+    return null;
+  }
+  return n;
+}
+
+function readParameters(errors, label, value) {
+  if (value === undefined || value === null) return {};
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    errors.push(`${label} must be an object of name/value pairs`);
+    return {};
+  }
+
+  const params = {};
+  Object.entries(value).forEach(([name, raw]) => {
+    const v = String(raw).trim();
+    if (!PARAMETER_NAME_RE.test(name)) errors.push(`${label}: invalid parameter name "${name}"`);
+    else if (!PARAMETER_VALUE_RE.test(v)) errors.push(`${label}: invalid value for "${name}"`);
+    else params[name] = v;
+  });
+  return params;
+}
+
+/**
+ * Validate user options and merge them over the defaults.
+ * Throws an Error listing every problem found.
+ */
+function normalizePgloaderOptions(input) {
+  if (input === undefined || input === null) return { ...DEFAULT_PGLOADER_OPTIONS };
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('Invalid pgloader options: expected an object');
+  }
+
+  const errors = [];
+  const options = { ...DEFAULT_PGLOADER_OPTIONS };
+
+  if (input.workers !== undefined) options.workers = readInt(errors, 'workers', input.workers, 1, 32);
+  if (input.concurrency !== undefined) options.concurrency = readInt(errors, 'concurrency', input.concurrency, 1, 16);
+  if (input.rowsPerRange !== undefined && input.rowsPerRange !== null && input.rowsPerRange !== '') {
+    options.rowsPerRange = readInt(errors, 'rowsPerRange', input.rowsPerRange, 1, 10000000);
+  }
+
+  if (input.mode !== undefined) {
+    if (!MODES.includes(input.mode)) errors.push(`mode must be one of: ${MODES.join(', ')}`);
+    else options.mode = input.mode;
+  }
+
+  if (input.castRules !== undefined) {
+    if (!Array.isArray(input.castRules)) {
+      errors.push('castRules must be an array of strings');
+    } else {
+      options.castRules = input.castRules
+        .map(rule => String(rule).trim().replace(/\s+/g, ' '))
+        .filter(Boolean);
+      options.castRules
+        .filter(rule => !isValidCastRule(rule))
+        .forEach(rule => errors.push(`Invalid CAST rule: "${rule}"`));
+    }
+  }
+
+  options.postgresParameters = readParameters(errors, 'postgresParameters', input.postgresParameters);
+  options.mysqlParameters = readParameters(errors, 'mysqlParameters', input.mysqlParameters);
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid pgloader options: ${errors.join('; ')}`);
+  }
+
+  return options;
+}
+
+const EMPTY_TABLE_FILTERS = { include: [], exclude: [], includePatterns: [], excludePatterns: [] };
+
+// Names are rendered as 'quoted' literals and patterns as ~/regex/
+const TABLE_NAME_RE = /^[^'\\\u0000-\u001f]{1,64}$/;
+const TABLE_PATTERN_RE = /^[^/\u0000-\u001f]{1,200}$/;
+
+function readList(errors, label, value, check) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value) || value.length > 1000) {
+    errors.push(`${label} must be an array of at most 1000 strings`);
+    return [];
+  }
+
+  const items = [...new Set(value.map(item => String(item).trim()).filter(Boolean))];
+  items.forEach((item) => {
+    const problem = check(item);
+    if (problem) errors.push(`${label}: ${problem}`);
+  });
+  return items;
+}
+
+function checkTablePattern(pattern) {
+  if (!TABLE_PATTERN_RE.test(pattern)) return `invalid pattern "${pattern}" (no "/" allowed)`;
+  try {
+    new RegExp(pattern);
+  } catch (err) {
+    return `invalid regular expression "${pattern}"`;
+  }
+  return null;
+}
+
+/**
+ * Validate table include/exclude choices.
+ * When `knownTables` (tables listed from the dump) is given, names must belong to it.
+ */
+function normalizeTableFilters(input, knownTables = null) {
+  if (input === undefined || input === null) return { ...EMPTY_TABLE_FILTERS };
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('Invalid table selection: expected an object');
+  }
+
+  const errors = [];
+  const checkName = (name) => {
+    if (!TABLE_NAME_RE.test(name)) return `invalid table name "${name}"`;
+    if (knownTables && !knownTables.includes(name)) return `table "${name}" not found in dump`;
+    return null;
+  };
+
+  const filters = {
+    include: readList(errors, 'include', input.include, checkName),
+    exclude: readList(errors, 'exclude', input.exclude, checkName),
+    includePatterns: readList(errors, 'includePatterns', input.includePatterns, checkTablePattern),
+    excludePatterns: readList(errors, 'excludePatterns', input.excludePatterns, checkTablePattern)
+  };
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid table selection: ${errors.join('; ')}`);
+  }
+
+  return filters;
+}
+
+/**
+ * Whether pgloader will load `name` with these filters (JS regexes standing in for pgloader's)
+ */
+function tableMatchesFilters(name, tables = EMPTY_TABLE_FILTERS) {
+  const matches = (names, patterns) => names.includes(name) || patterns.some(pattern => new RegExp(pattern).test(name));
+  const hasInclude = tables.include.length > 0 || tables.includePatterns.length > 0;
+
+  if (hasInclude && !matches(tables.include, tables.includePatterns)) return false;
+  return !matches(tables.exclude, tables.excludePatterns);
+}
+
+function renderTableFilters(tables = EMPTY_TABLE_FILTERS) {
+  const matchers = (names, patterns) => [
+    ...names.map(name => `'${name}'`),
+    ...patterns.map(pattern => `~/${pattern}/`)
+  ].join(', ');
+
+  const clauses = [];
+  if (tables.include.length > 0 || tables.includePatterns.length > 0) {
+    clauses.push(`INCLUDING ONLY TABLE NAMES MATCHING ${matchers(tables.include, tables.includePatterns)}`);
+  }
+  if (tables.exclude.length > 0 || tables.excludePatterns.length > 0) {
+    clauses.push(`EXCLUDING TABLE NAMES MATCHING ${matchers(tables.exclude, tables.excludePatterns)}`);
+  }
+  return clauses;
+}
+
+const IDENTIFIER_CASES = ['downcase', 'quote'];
+
+const DEFAULT_SCHEMA_OPTIONS = {
+  name: null,
+  identifierCase: 'downcase',
+  tableRenames: {},
+  searchPath: true
+};
+
+// Written between single quotes in the .load file, and used as PostgreSQL identifiers
+const PG_NAME_RE = /^[A-Za-z_][A-Za-z0-9_]{0,62}$/;
+
+/**
+ * Name of the PostgreSQL schema pgloader loads `sourceDatabase` into
+ */
+function targetSchemaName(sourceDatabase, schema = DEFAULT_SCHEMA_OPTIONS) {
+  if (schema.name) return schema.name;
+  return schema.identifierCase === 'quote' ? sourceDatabase : sourceDatabase.toLowerCase();
+}
+
+/**
+ * Name of the PostgreSQL table created for the MySQL table `name`
+ */
+function targetTableName(name, schema = DEFAULT_SCHEMA_OPTIONS) {
+  if (Object.hasOwn(schema.tableRenames, name)) return schema.tableRenames[name];
+  return schema.identifierCase === 'quote' ? name : name.toLowerCase();
+}
+
+function renamesSchema(sourceDatabase, schema) {
+  return Boolean(schema.name) && schema.name !== targetSchemaName(sourceDatabase, { ...schema, name: null });
+}
+
+/**
+ * Validate the naming of the migrated objects:
+ * - name: target schema, `public` included (default: named after the MySQL database)
+ * - identifierCase: `downcase` (pgloader default) or `quote` (MySQL case kept)
+ * - tableRenames: { mysqlTable: postgresName }
+ * - searchPath: put the schema on the search_path of the exported SQL dump
+ * When `knownTables` (tables listed from the dump) is given, renamed tables must
+ * belong to it and must not end up with the name of another table. When
+ * `sourceDatabase` is given, it must be renameable into `name`.
+ */
+function normalizeSchemaOptions(input, knownTables = null, sourceDatabase = null) {
+  if (input === undefined || input === null) return { ...DEFAULT_SCHEMA_OPTIONS, tableRenames: {} };
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('Invalid schema options: expected an object');
+  }
+
+  const errors = [];
+  const options = { ...DEFAULT_SCHEMA_OPTIONS, tableRenames: {} };
+
+  if (input.name !== undefined && input.name !== null && input.name !== '') {
+    if (typeof input.name !== 'string' || !PG_NAME_RE.test(input.name)) {
+      errors.push('name must be a schema name (letters, digits and underscores, 63 characters max)');
+    } else if (/^pg_/i.test(input.name) || input.name.toLowerCase() === 'information_schema') {
+      errors.push(`name "${input.name}" is reserved by PostgreSQL`);
+    } else {
+      options.name = input.name;
+    }
+  }
+
+  if (input.identifierCase !== undefined) {
+    if (!IDENTIFIER_CASES.includes(input.identifierCase)) {
+      errors.push(`identifierCase must be one of: ${IDENTIFIER_CASES.join(', ')}`);
+    } else {
+      options.identifierCase = input.identifierCase;
+    }
+  }
+
+  // The rename clause quotes the MySQL database name like a table name
+  if (sourceDatabase && renamesSchema(sourceDatabase, options) && !TABLE_NAME_RE.test(sourceDatabase)) {
+    errors.push(`name: database "${sourceDatabase}" cannot be renamed`);
+  }
+
+  if (input.searchPath !== undefined) {
+    if (typeof input.searchPath !== 'boolean') errors.push('searchPath must be a boolean');
+    else options.searchPath = input.searchPath;
+  }
+
+  if (input.tableRenames !== undefined && input.tableRenames !== null) {
+    if (typeof input.tableRenames !== 'object' || Array.isArray(input.tableRenames)) {
+      errors.push('tableRenames must be an object of mysqlTable: postgresName pairs');
+    } else {
+      Object.entries(input.tableRenames).forEach(([table, name]) => {
+        if (!TABLE_NAME_RE.test(table)) errors.push(`tableRenames: invalid table name "${table}"`);
+        else if (knownTables && !knownTables.includes(table)) errors.push(`tableRenames: table "${table}" not found in dump`);
+        else if (typeof name !== 'string' || !PG_NAME_RE.test(name)) errors.push(`tableRenames: invalid new name for "${table}"`);
+        else options.tableRenames[table] = name;
+      });
+    }
+  }
+
+  // Downcased names collide case-insensitively
+  const key = name => (options.identifierCase === 'quote' ? name : name.toLowerCase());
+  const owners = new Map();
+  (knownTables || Object.keys(options.tableRenames)).forEach((table) => {
+    const target = key(targetTableName(table, options));
+    const other = owners.get(target);
+    if (other && (Object.hasOwn(options.tableRenames, table) || Object.hasOwn(options.tableRenames, other))) {
+      errors.push(`tableRenames: "${other}" and "${table}" would both be named "${target}"`);
+    }
+    owners.set(target, table);
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid schema options: ${errors.join('; ')}`);
+  }
+
+  return options;
+}
+
+function renderSchemaClauses(sourceDatabase, schema) {
+  const clauses = Object.entries(schema.tableRenames)
+    .map(([table, name]) => `ALTER TABLE NAMES MATCHING '${table}' RENAME TO '${name}'`);
+
+  if (renamesSchema(sourceDatabase, schema)) {
+    clauses.push(`ALTER SCHEMA '${sourceDatabase}' RENAME TO '${schema.name}'`);
+  }
+  return clauses;
+}
+
+function renderWithClause(options, schema, includeDrop) {
+  const items = [];
+
+  if (options.mode === 'data-only') {
+    items.push('data only');
+  } else {
+    if (includeDrop) items.push('include drop');
+    items.push('create tables', 'create indexes');
+  }
+  if (options.mode === 'schema-only') items.push('schema only');
+  items.push('reset sequences');
+  if (schema.identifierCase === 'quote') items.push('quote identifiers');
+
+  items.push(`workers = ${options.workers}`, `concurrency = ${options.concurrency}`);
+  if (options.rowsPerRange) {
+    items.push('multiple readers per thread', `rows per range = ${options.rowsPerRange}`);
+  }
+
+  return `WITH ${items.join(',\n     ')}`;
+}
+
+function renderParameters(title, params, separator) {
+  const entries = Object.entries(params);
+  if (entries.length === 0) return null;
+  return `SET ${title} PARAMETERS\n    ${entries.map(([k, v]) => `${k} ${separator} '${v}'`).join(',\n    ')}`;
+}
+
+/**
+ * Render a complete pgloader command file.
+ * `sourceUri` and `targetUri` must already have their credentials URL-encoded.
+ * `includeDrop` lets pgloader drop the target tables it is about to create: fine
+ * in the throwaway target container, an explicit choice on any other server.
+ * The options are validated again here: whatever the caller, nothing reaches the
+ * file without passing the grammars above.
+ */
+function renderPgloaderConfig({
+  sourceUri, targetUri, options: input, tables: tableInput, sourceDatabase, schema: schemaInput, includeDrop = true
+}) {
+  const options = normalizePgloaderOptions(input);
+  const tables = normalizeTableFilters(tableInput);
+  const schema = normalizeSchemaOptions(schemaInput, null, sourceDatabase);
+  const sections = [
+    `LOAD DATABASE\n    FROM ${sourceUri}\n    INTO ${targetUri}`,
+    renderWithClause(options, schema, includeDrop),
+    renderParameters('PostgreSQL', options.postgresParameters, 'to'),
+    renderParameters('MySQL', options.mysqlParameters, '='),
+    options.castRules.length > 0 ? `CAST ${options.castRules.join(',\n     ')}` : null,
+    ...renderTableFilters(tables),
+    ...renderSchemaClauses(sourceDatabase, schema)
+  ];
+
+  return `${sections.filter(Boolean).join('\n\n')}\n;`;
+}
+
+module.exports = {
+  DEFAULT_PGLOADER_OPTIONS,
+  normalizePgloaderOptions,
+  normalizeTableFilters,
+  tableMatchesFilters,
+  normalizeSchemaOptions,
+  targetSchemaName,
+  targetTableName,
+  isValidCastRule,
+  renderPgloaderConfig
+};
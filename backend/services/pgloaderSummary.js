@@ -0,0 +1,148 @@
+/**
+ * Parser for the summary table pgloader prints at the end of a load:
+ *
+ *              table name     errors       read   imported      bytes      total time
+ * -----------------------  ---------  ---------  ---------  ---------  --------------
+ *         fetch meta data          0         33         33                     0.365s
+ * -----------------------  ---------  ---------  ---------  ---------  --------------
+ *            sakila.actor          0        200        200     7.6 kB          0.103s
+ * -----------------------  ---------  ---------  ---------  ---------  --------------
+ *          Create Indexes          0         41         41                     0.277s
+ * -----------------------  ---------  ---------  ---------  ---------  --------------
+ *       Total import time          ✓      16298      16298     1.4 MB          1.570s
+ *
+ * Older pgloader releases print a single `rows` column instead of `read` / `imported`.
+ * Column boundaries are taken from the dash ruler, so long table names are fine.
+ */
+
+const HEADER_RE = /^\s*table name\s+errors\s/;
+const RULER_RE = /^-+(?:\s+-+)+\s*$/;
+// Steps that only appear after the data load
+const AFTER_LOAD_STEPS = ['COPY Threads Completion', 'Create Indexes', 'Index Build Completion'];
+const TOTAL_STEP = 'Total import time';
+
+const BYTE_UNITS = { bytes: 1, b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3, tb: 1024 ** 4 };
+
+function parseBytes(text) {
+  const match = /^([\d.]+)\s*([a-z]+)$/i.exec(text);
+  if (!match) return null;
+  const unit = BYTE_UNITS[match[2].toLowerCase()];
+  return unit ? Math.round(Number(match[1]) * unit) : null;
+}
+
+// "0.103s", "1m3.456s", "1h2m3.4s"
+function parseDuration(text) {
+  const match = /^(?:(\d+)h)?(?:(\d+)m)?(?:([\d.]+)s)?$/.exec(text);
+  if (!match || text === '') return null;
+  const [, hours = 0, minutes = 0, seconds = 0] = match;
+  return Math.round(((Number(hours) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000);
+}
+
+function parseCount(text) {
+  if (text === '✓') return 0;
+  return /^\d+$/.test(text) ? Number(text) : null;
+}
+
+function rulerSpans(ruler) {
+  const spans = [];
+  const re = /-+/g;
+  let match;
+  while ((match = re.exec(ruler)) !== null) spans.push([match.index, match.index + match[0].length]);
+  return spans;
+}
+
+/**
+ * Cells of a line, one per ruler column. Values are right-aligned on their
+ * column, so each cell runs from the end of the previous column to the end of its own.
+ * A name wider than its column pushes the other cells right by the same amount.
+ */
+function sliceCells(line, spans) {
+  const overflow = /^\S*/.exec(line.slice(spans[0][1]))[0].length;
+  const ends = spans.map(([, end]) => end + overflow);
+  return ends.map((end, index) => {
+    const start = index === 0 ? 0 : ends[index - 1];
+    const stop = index === ends.length - 1 ? line.length : end;
+    return line.slice(start, stop).trim();
+  });
+}
+
+function toRow(cells, fields) {
+  const cell = (field) => (fields[field] === undefined ? '' : cells[fields[field]]);
+  const rows = parseCount(cell('rows'));
+  return {
+    name: cells[0],
+    errors: parseCount(cell('errors')) ?? 0,
+    read: fields.read !== undefined ? parseCount(cell('read')) : rows,
+    imported: fields.imported !== undefined ? parseCount(cell('imported')) : rows,
+    bytes: parseBytes(cell('bytes')),
+    durationMs: parseDuration(cell('total time'))
+  };
+}
+
+function sumRows(rows) {
+  const sum = (field) => {
+    const values = rows.map(row => row[field]).filter(value => value !== null);
+    return values.length > 0 ? values.reduce((total, value) => total + value, 0) : null;
+  };
+  return {
+    errors: sum('errors') ?? 0,
+    read: sum('read'),
+    imported: sum('imported'),
+    bytes: sum('bytes'),
+    durationMs: sum('durationMs')
+  };
+}
+
+/**
+ * Parse the last summary table found in pgloader's output.
+ *
+ * Returns null when there is none, otherwise { tables: [{ name, errors, read,
+ * imported, bytes, durationMs }], phases: { beforeLoad, load, afterLoad } (each
+ * { steps, totals }), totals }. Unknown values are null.
+ */
+function parsePgloaderSummary(output) {
+  const lines = String(output || '').split('\n').map(line => line.replace(/\r$/, ''));
+  // Last header followed by its ruler (no findLastIndex: Node 16 is supported)
+  let headerIndex = -1;
+  for (let index = lines.length - 2; index >= 0 && headerIndex === -1; index--) {
+    if (HEADER_RE.test(lines[index]) && RULER_RE.test(lines[index + 1])) headerIndex = index;
+  }
+  if (headerIndex === -1) return null;
+
+  const ruler = lines[headerIndex + 1];
+  const spans = rulerSpans(ruler);
+  const fields = {};
+  sliceCells(lines[headerIndex], spans).forEach((label, index) => {
+    // The trailing read/write timing columns repeat the "read" label: keep the first one
+    if (fields[label] === undefined) fields[label] = index;
+  });
+
+  const sections = [[]];
+  for (const line of lines.slice(headerIndex + 2)) {
+    if (line.trim() === '') break;
+    if (RULER_RE.test(line)) {
+      sections.push([]);
+      continue;
+    }
+    sections[sections.length - 1].push(toRow(sliceCells(line, spans), fields));
+  }
+
+  const total = sections.flat().find(row => row.name === TOTAL_STEP);
+  const [beforeLoad = [], ...rest] = sections.filter(section => section.length > 0 && !section.some(row => row.name === TOTAL_STEP));
+  const afterLoad = rest.filter(section => section.some(row => AFTER_LOAD_STEPS.includes(row.name))).flat();
+  const tables = rest.filter(section => !section.some(row => AFTER_LOAD_STEPS.includes(row.name))).flat();
+
+  const phase = (steps) => ({ steps, totals: sumRows(steps) });
+
+  return {
+    tables,
+    phases: {
+      beforeLoad: phase(beforeLoad),
+      load: { totals: sumRows(tables) },
+      afterLoad: phase(afterLoad)
+    },
+    totals: sumRows(total ? [total] : tables)
+  };
+}
+
+module.exports = { parsePgloaderSummary };
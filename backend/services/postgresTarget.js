@@ -0,0 +1,128 @@
+const { execProcess } = require('./process');
+const {
+  requiredString,
+  parseHost,
+  parsePort,
+  parsePassword,
+  parseChoice,
+  parseBoolean,
+  withoutPassword
+} = require('./connectionOptions');
+
+/**
+ * Optional external PostgreSQL server used as migration target, instead of the
+ * ephemeral `postgres-target` container: pgloader writes straight into it and the
+ * verification steps query it through throwaway client containers. The target
+ * container is not started at all.
+ *
+ * Hosts are resolved from the migration containers: use `host.docker.internal`
+ * for a server running on the Docker host.
+ */
+
+// Modes understood by both pgloader and libpq
+const SSL_MODES = ['disable', 'allow', 'prefer', 'require'];
+// Same client as the migration containers (see containers/docker-compose.yml)
+const CLIENT_IMAGE = process.env.POSTGRES_CLIENT_IMAGE || 'postgres:18-alpine';
+const CONNECT_TIMEOUT_SECONDS = 10;
+// Covers a first pull of the client image
+const TEST_TIMEOUT_MS = 60000;
+
+/**
+ * Validate a target connection. Returns null when none is given, otherwise
+ * { host, port, database, user, password, sslMode, includeDrop }.
+ * `includeDrop` (default false) lets pgloader drop existing tables of the same
+ * names: an explicit opt-in, since the server holds data of its own.
+ * Throws an Error listing every problem found.
+ */
+function normalizePostgresTarget(input) {
+  if (input === undefined || input === null) return null;
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('Invalid target options: expected an object');
+  }
+
+  const errors = [];
+  const target = {
+    host: parseHost(input, errors),
+    port: parsePort(input, 5432, errors),
+    database: requiredString(input, 'database', errors),
+    user: requiredString(input, 'user', errors),
+    password: parsePassword(input, errors),
+    sslMode: parseChoice(input, 'sslMode', SSL_MODES, 'prefer', errors),
+    includeDrop: parseBoolean(input, 'includeDrop', false, errors)
+  };
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid target options: ${errors.join('; ')}`);
+  }
+
+  return target;
+}
+
+/**
+ * psql/pg_dump connection for `target`: `dockerArgs` forward the libpq variables
+ * holding the password to the container (`-e NAME`, value read from `env`, never
+ * on a command line), `clientArgs` select the server.
+ */
+function postgresClientConnection(target) {
+  return {
+    dockerArgs: ['-e', 'PGPASSWORD', '-e', 'PGSSLMODE', '-e', 'PGCONNECT_TIMEOUT'],
+    env: {
+      ...process.env,
+      PGPASSWORD: target.password,
+      PGSSLMODE: target.sslMode,
+      PGCONNECT_TIMEOUT: String(CONNECT_TIMEOUT_SECONDS)
+    },
+    clientArgs: ['-h', target.host, '-p', String(target.port), '-U', target.user, '-d', target.database]
+  };
+}
+
+/**
+ * `docker run` arguments (and their env) of a throwaway client container running
+ * `command` (psql, pg_dump) against `target`, followed by `commandArgs`
+ */
+function postgresClientCommand(target, command, commandArgs = []) {
+  const { dockerArgs, env, clientArgs } = postgresClientConnection(target);
+  return {
+    args: [
+      'run', '--rm', '-i',
+      '--add-host', 'host.docker.internal:host-gateway',
+      ...dockerArgs,
+      CLIENT_IMAGE,
+      command, ...clientArgs, ...commandArgs
+    ],
+    env
+  };
+}
+
+/**
+ * Check that `target` accepts connections with these credentials, using a
+ * throwaway client container. Resolves { serverVersion, canCreateSchema }.
+ */
+async function testPostgresTarget(target) {
+  const { args, env } = postgresClientCommand(target, 'psql', ['-X', '-q', '-v', 'ON_ERROR_STOP=1', '-At', '-F', '\t']);
+
+  try {
+    const { stdout } = await execProcess('docker', args, {
+      env,
+      signal: AbortSignal.timeout(TEST_TIMEOUT_MS),
+      input: "SELECT current_setting('server_version'), has_database_privilege(current_database(), 'CREATE');"
+    });
+
+    const [serverVersion, canCreate] = stdout.trim().split('\t');
+    return { serverVersion, canCreateSchema: canCreate === 't' };
+  } catch (err) {
+    if (err?.name === 'TimeoutError' || err?.name === 'AbortError') {
+      throw new Error(`Connection test timed out after ${TEST_TIMEOUT_MS / 1000}s`);
+    }
+    const detail = (err.stderr || err.message || '').trim().replace(/^psql: error: /, '');
+    throw new Error(`Connection to ${target.host}:${target.port}/${target.database} failed: ${detail || `exit code ${err.code}`}`);
+  }
+}
+
+module.exports = {
+  SSL_MODES,
+  normalizePostgresTarget,
+  describePostgresTarget: withoutPassword,
+  postgresClientCommand,
+  testPostgresTarget
+};
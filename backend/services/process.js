@@ -0,0 +1,110 @@
+const { spawn } = require('child_process');
+const readline = require('readline');
+
+// Output kept by streamProcess for post-run checks and error messages
+const DEFAULT_TAIL_LINES = 2000;
+// Lines matching an error pattern kept as evidence
+const MAX_ERROR_LINES = 50;
+
+/**
+ * Spawn a child process and capture output.
+ * `input` (optional) is written to stdin, which is then closed.
+ */
+function execProcess(command, args, options = {}) {
+  const { input, ...spawnOptions } = options;
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ['pipe', 'pipe', 'pipe'], ...spawnOptions });
+    let stdout = '';
+    let stderr = '';
+
+    // Decode as a stream so multi-byte characters split across chunks stay intact
+    child.stdout.setEncoding('utf8');
+    child.stderr.setEncoding('utf8');
+    if (input !== undefined) {
+      child.stdin.on('error', () => {}); // EPIPE if the process exits early; reported via 'close'
+      child.stdin.end(input);
+    }
+
+    child.stdout.on('data', (data) => { stdout += data; });
+    child.stderr.on('data', (data) => { stderr += data; });
+
+    child.on('close', (code) => {
+      if (code === 0) resolve({ code, stdout, stderr });
+      else reject({ code, stdout, stderr });
+    });
+
+    child.on('error', (err) => reject(err));
+  });
+}
+
+/**
+ * Keep the last `max` items of a stream of lines
+ */
+function createTail(max) {
+  const lines = [];
+  return {
+    push(line) {
+      lines.push(line);
+      if (lines.length > max) lines.shift();
+    },
+    text: () => lines.join('\n')
+  };
+}
+
+/**
+ * Spawn a child process and hand its output over line by line while it runs.
+ *
+ * - onLine(line, stream) is called for every stdout/stderr line ('stdout' | 'stderr');
+ *   when it returns a promise, reading pauses until it settles (backpressure reaches
+ *   the child through the pipe).
+ * - errorPatterns: lines matching one of these RegExps are collected in `errorLines`,
+ *   for tools that exit 0 despite failures.
+ * - Only the last `tailLines` lines of each stream are kept in memory.
+ *
+ * Resolves with { code, stdout, stderr, errorLines } (stdout/stderr are the tails);
+ * rejects with the same shape plus `code` on a non-zero exit, like execProcess.
+ */
+function streamProcess(command, args, options = {}) {
+  const {
+    onLine = null,
+    errorPatterns = [],
+    tailLines = DEFAULT_TAIL_LINES,
+    ...spawnOptions
+  } = options;
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'], ...spawnOptions });
+    const tails = { stdout: createTail(tailLines), stderr: createTail(tailLines) };
+    const errorLines = [];
+
+    const consume = async (name) => {
+      const lines = readline.createInterface({ input: child[name], crlfDelay: Infinity });
+      // The async iterator pauses the input while lines are waiting to be consumed
+      for await (const line of lines) {
+        tails[name].push(line);
+        if (errorLines.length < MAX_ERROR_LINES && errorPatterns.some(re => re.test(line))) {
+          errorLines.push(line);
+        }
+        if (onLine) await onLine(line, name);
+      }
+    };
+
+    const exited = new Promise((resolveExit, rejectExit) => {
+      child.on('error', rejectExit);
+      child.on('close', resolveExit);
+    });
+
+    Promise.all([consume('stdout'), consume('stderr'), exited])
+      .then(([, , code]) => {
+        const result = { code, stdout: tails.stdout.text(), stderr: tails.stderr.text(), errorLines };
+        if (code === 0) resolve(result);
+        else reject(result);
+      })
+      .catch((err) => {
+        child.kill();
+        reject(err);
+      });
+  });
+}
+
+module.exports = { execProcess, streamProcess };
@@ -0,0 +1,123 @@
+const { Transform } = require('stream');
+const { psqlQuery, quotePgLiteral } = require('./dbExec');
+
+/**
+ * Progress of the long-running steps, measured from the work actually done:
+ * - pgloader: rows inserted per table (pg_stat_user_tables) against the row
+ *   counts of the dump analysis
+ * - pg_dump: bytes written against an estimate of the dump size
+ *
+ * Monitors call onProgress(fraction, metrics) with fraction in [0, 1) and
+ * metrics { stage, tablesCompleted, tablesTotal, rowsCopied, rowsExpected,
+ * bytesWritten, bytesExpected, rowsPerSecond, bytesPerSecond, etaMs }.
+ */
+
+const POLL_INTERVAL_MS = Number(process.env.PROGRESS_POLL_MS) || 2000;
+// The step itself reports completion: never show 100% from an estimate
+const MAX_ESTIMATED_FRACTION = 0.99;
+
+function withRates(startedAt, fraction, metrics) {
+  const elapsedMs = Date.now() - startedAt;
+  const seconds = elapsedMs / 1000;
+  const bounded = Math.min(Math.max(fraction, 0), MAX_ESTIMATED_FRACTION);
+  return [bounded, {
+    ...metrics,
+    rowsPerSecond: metrics.rowsCopied === null || seconds === 0 ? null : Math.round(metrics.rowsCopied / seconds),
+    bytesPerSecond: seconds === 0 ? null : Math.round(metrics.bytesWritten / seconds),
+    etaMs: bounded > 0 ? Math.round((elapsedMs * (1 - bounded)) / bounded) : null
+  }];
+}
+
+/**
+ * Poll the target while pgloader loads `expectedTables` ([{ name, rows }], with
+ * their PostgreSQL names) into `targetSchema`. Returns a stop() function.
+ */
+function monitorLoad(migrationId, { targetSchema, expectedTables, onProgress, signal }) {
+  const startedAt = Date.now();
+  const expected = new Map(expectedTables.map(table => [table.name, table.rows]));
+  const rowsExpected = expectedTables.reduce((sum, table) => sum + table.rows, 0);
+  let stopped = false;
+  let timer = null;
+
+  const poll = async () => {
+    try {
+      const rows = await psqlQuery(migrationId,
+        'SELECT relname, n_tup_ins, pg_total_relation_size(relid) FROM pg_stat_user_tables ' +
+        `WHERE schemaname = ${quotePgLiteral(targetSchema)}`,
+        { signal }
+      );
+      if (stopped) return;
+
+      let rowsCopied = 0;
+      let rowsDone = 0;
+      let bytesWritten = 0;
+      let tablesCompleted = 0;
+      rows.forEach(([name, inserted, size]) => {
+        const tableRows = expected.get(name);
+        bytesWritten += Number(size);
+        if (tableRows === undefined) return;
+        rowsCopied += Number(inserted);
+        rowsDone += Math.min(Number(inserted), tableRows);
+        if (Number(inserted) >= tableRows) tablesCompleted += 1;
+      });
+
+      const tableFraction = expected.size > 0 ? tablesCompleted / expected.size : 0;
+      // Rows drive the estimate; schema-only loads only have tables to count
+      const fraction = rowsExpected > 0
+        ? 0.9 * (rowsDone / rowsExpected) + 0.1 * tableFraction
+        : tableFraction;
+
+      onProgress(...withRates(startedAt, fraction, {
+        stage: 'load',
+        tablesCompleted,
+        tablesTotal: expected.size,
+        rowsCopied,
+        rowsExpected,
+        bytesWritten,
+        bytesExpected: null
+      }));
+    } catch {
+      // Transient (target busy or restarting): the next poll retries, pgloader reports real failures
+    } finally {
+      if (!stopped) timer = setTimeout(poll, POLL_INTERVAL_MS);
+    }
+  };
+
+  timer = setTimeout(poll, POLL_INTERVAL_MS);
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+}
+
+/**
+ * Count the bytes of a stream (e.g. pg_dump output) against `bytesExpected`.
+ * Returns { counter, stop }: `counter` is a pass-through to insert in the pipeline.
+ */
+function monitorStream({ bytesExpected, onProgress }) {
+  const startedAt = Date.now();
+  let bytesWritten = 0;
+
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      bytesWritten += chunk.length;
+      callback(null, chunk);
+    }
+  });
+
+  const timer = setInterval(() => {
+    onProgress(...withRates(startedAt, bytesExpected > 0 ? bytesWritten / bytesExpected : 0, {
+      stage: 'export',
+      tablesCompleted: null,
+      tablesTotal: null,
+      rowsCopied: null,
+      rowsExpected: null,
+      bytesWritten,
+      bytesExpected
+    }));
+  }, POLL_INTERVAL_MS);
+
+  return { counter, stop: () => clearInterval(timer) };
+}
+
+module.exports = { monitorLoad, monitorStream };
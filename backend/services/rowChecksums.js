@@ -0,0 +1,362 @@
+/**
+ * Deep verification of the migrated data: rows are read on both sides as JSON
+ * arrays, normalized to one canonical text form per MySQL type, hashed and
+ * compared row by row (matched on the primary key).
+ *
+ * Tables are scanned in windows of CHECKSUM_WINDOW_ROWS rows ordered by primary
+ * key; with a sample rate below 1 only an evenly spread subset of windows is read.
+ */
+
+const crypto = require('crypto');
+const {
+  mysqlQuery,
+  psqlQuery,
+  quoteMysqlIdentifier,
+  quoteMysqlString,
+  quotePgIdentifier,
+  quotePgLiteral
+} = require('./dbExec');
+const { targetTableName } = require('./pgloaderOptions');
+
+const CHECKSUM_WINDOW_ROWS = 1000;
+// Mismatching rows listed per table (all of them are counted)
+const MAX_REPORTED_ROWS = 20;
+
+const BINARY_TYPES = ['binary', 'varbinary', 'tinyblob', 'blob', 'mediumblob', 'longblob'];
+const STRING_TYPES = ['char', 'varchar', 'tinytext', 'text', 'mediumtext', 'longtext', 'enum', 'set'];
+const TEMPORAL_TYPES = ['date', 'datetime', 'timestamp', 'time'];
+const DECIMAL_TYPES = ['decimal', 'numeric'];
+const SPATIAL_TYPES = [
+  'geometry', 'point', 'linestring', 'polygon',
+  'multipoint', 'multilinestring', 'multipolygon', 'geometrycollection', 'geomcollection'
+];
+// Primary keys compared through SQL literals must have a plain text form
+const UNSUPPORTED_KEY_TYPES = [...BINARY_TYPES, ...SPATIAL_TYPES, 'bit', 'json'];
+
+/**
+ * MySQL side: every value as text (JSON kept as JSON), timestamps read in UTC
+ */
+function mysqlValueExpression(column) {
+  const name = quoteMysqlIdentifier(column.name);
+  if (BINARY_TYPES.includes(column.dataType)) return `LOWER(HEX(${name}))`;
+  if (column.dataType === 'bit') return `BIN(${name} + 0)`;
+  if (column.dataType === 'json' || STRING_TYPES.includes(column.dataType)) return name;
+  return `CAST(${name} AS CHAR)`;
+}
+
+/**
+ * PostgreSQL side: text rendered like the MySQL expression of the source column
+ */
+function pgValueExpression(column) {
+  const name = quotePgIdentifier(column.name);
+  switch (column.dataType) {
+    case 'boolean':
+      return `${name}::int::text`;
+    case 'bytea':
+      return `encode(${name}, 'hex')`;
+    case 'bit':
+    case 'bit varying':
+      return `CASE WHEN ${name} IS NULL THEN NULL ELSE coalesce(nullif(ltrim(${name}::text, '0'), ''), '0') END`;
+    case 'timestamp with time zone':
+      return `to_char(${name} AT TIME ZONE 'UTC', 'YYYY-MM-DD HH24:MI:SS.US')`;
+    case 'timestamp without time zone':
+      return `to_char(${name}, 'YYYY-MM-DD HH24:MI:SS.US')`;
+    case 'date':
+      return `to_char(${name}, 'YYYY-MM-DD')`;
+    case 'json':
+    case 'jsonb':
+      return name;
+    case 'ARRAY':
+      return `array_to_string(${name}, ',')`;
+    default:
+      return `${name}::text`;
+  }
+}
+
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Canonical text of one value, driven by the MySQL type of the column
+ */
+function normalizeValue(value, dataType) {
+  if (value === null || value === undefined) return null;
+  if (dataType === 'json') return canonicalJson(value);
+
+  const text = String(value);
+  if (TEMPORAL_TYPES.includes(dataType)) {
+    // Zero dates are loaded as NULL (pgloader zero-dates-to-null)
+    if (text.startsWith('0000-00-00')) return null;
+    return text.replace(/\.(\d*?)0*$/, (match, digits) => (digits ? `.${digits}` : ''));
+  }
+  if (DECIMAL_TYPES.includes(dataType)) {
+    const trimmed = text.includes('.') ? text.replace(/\.?0+$/, '') : text;
+    return trimmed === '-0' ? '0' : trimmed;
+  }
+  if (dataType === 'float') return String(Number(Number(text).toPrecision(6)));
+  if (dataType === 'double' || dataType === 'real') return String(Number(Number(text).toPrecision(15)));
+  if (dataType === 'char') return text.replace(/ +$/, '');
+  return text;
+}
+
+const hashRow = (values) => crypto.createHash('sha256').update(JSON.stringify(values)).digest('hex');
+
+/**
+ * Columns and primary keys of every table of a schema, from information_schema
+ */
+async function loadMysqlColumns(migrationId, database, signal) {
+  const rows = await mysqlQuery(migrationId,
+    'SELECT c.table_name, c.column_name, c.data_type, IF(k.column_name IS NULL, 0, k.ordinal_position) ' +
+    'FROM information_schema.columns c LEFT JOIN information_schema.key_column_usage k ' +
+    'ON k.table_schema = c.table_schema AND k.table_name = c.table_name AND k.column_name = c.column_name ' +
+    "AND k.constraint_name = 'PRIMARY' " +
+    `WHERE c.table_schema = ${quoteMysqlString(database)} ORDER BY c.table_name, c.ordinal_position`,
+    { signal }
+  );
+  return groupColumns(rows, ([table, name, dataType, keyPosition]) => ({
+    table, name, dataType: dataType.toLowerCase(), keyPosition: Number(keyPosition)
+  }));
+}
+
+async function loadPgColumns(migrationId, schema, signal) {
+  const rows = await psqlQuery(migrationId,
+    'SELECT table_name, column_name, data_type FROM information_schema.columns ' +
+    `WHERE table_schema = ${quotePgLiteral(schema)} ORDER BY table_name, ordinal_position`,
+    { signal }
+  );
+  return groupColumns(rows, ([table, name, dataType]) => ({ table, name, dataType }));
+}
+
+function groupColumns(rows, toColumn) {
+  const tables = new Map();
+  rows.map(toColumn).forEach((column) => {
+    if (!tables.has(column.table)) tables.set(column.table, []);
+    tables.get(column.table).push(column);
+  });
+  return tables;
+}
+
+/**
+ * Windows to read: all of them, or `rate` of them spread evenly over the key range
+ */
+function sampleWindows(windowCount, rate) {
+  if (rate >= 1) return Array.from({ length: windowCount }, (_, index) => index);
+  const picked = Math.min(windowCount, Math.max(1, Math.ceil(windowCount * rate)));
+  return Array.from({ length: picked }, (_, k) => Math.floor((k * windowCount) / picked));
+}
+
+/**
+ * Pair source columns with their (downcased by pgloader) target columns
+ */
+function planTable(table, sourceColumns, targetColumns) {
+  const targetByName = new Map(targetColumns.map(column => [column.name.toLowerCase(), column]));
+  const keyColumns = sourceColumns
+    .filter(column => column.keyPosition > 0)
+    .sort((a, b) => a.keyPosition - b.keyPosition);
+
+  if (keyColumns.length === 0) return { skipped: 'no primary key' };
+  if (keyColumns.some(column => UNSUPPORTED_KEY_TYPES.includes(column.dataType))) {
+    return { skipped: 'unsupported primary key type' };
+  }
+  if (keyColumns.some(column => !targetByName.has(column.name.toLowerCase()))) {
+    return { skipped: 'primary key column missing in PostgreSQL' };
+  }
+
+  const skippedColumns = sourceColumns.filter(column => SPATIAL_TYPES.includes(column.dataType)).map(c => c.name);
+  const missingColumns = sourceColumns
+    .filter(column => !skippedColumns.includes(column.name) && !targetByName.has(column.name.toLowerCase()))
+    .map(column => column.name);
+
+  const columns = sourceColumns
+    .filter(column => !skippedColumns.includes(column.name) && !missingColumns.includes(column.name))
+    .map(column => ({ source: column, target: targetByName.get(column.name.toLowerCase()) }));
+  const keyIndexes = keyColumns.map(key => columns.findIndex(column => column.source.name === key.name));
+
+  return { table, columns, keyIndexes, skippedColumns, missingColumns };
+}
+
+const rowKey = (values, keyIndexes) => JSON.stringify(keyIndexes.map(index => values[index]));
+
+async function readSourceWindow(migrationId, database, plan, { offset, after }, signal) {
+  const keys = plan.keyIndexes.map(index => quoteMysqlIdentifier(plan.columns[index].source.name));
+  let where = '';
+  if (after) {
+    const literals = after.map(value => quoteMysqlString(value));
+    where = ` WHERE (${keys.join(', ')}) > (${literals.join(', ')})`;
+  }
+
+  const rows = await mysqlQuery(migrationId,
+    "SET time_zone = '+00:00';\n" +
+    `SELECT JSON_ARRAY(${plan.columns.map(column => mysqlValueExpression(column.source)).join(', ')}) ` +
+    `FROM ${quoteMysqlIdentifier(database)}.${quoteMysqlIdentifier(plan.table)}${where} ` +
+    `ORDER BY ${keys.join(', ')} LIMIT ${CHECKSUM_WINDOW_ROWS}${after ? '' : ` OFFSET ${offset}`}`,
+    { raw: true, signal }
+  );
+  return rows.map(([json]) => JSON.parse(json));
+}
+
+async function readTargetRows(migrationId, schema, plan, targetTable, sourceRows, signal) {
+  const keys = plan.keyIndexes.map(index => quotePgIdentifier(plan.columns[index].target.name));
+  // Untyped literals are coerced to each key column type by PostgreSQL
+  const tuples = sourceRows.map(values => `(${plan.keyIndexes.map(index => quotePgLiteral(values[index])).join(', ')})`);
+
+  const rows = await psqlQuery(migrationId,
+    "SET TIME ZONE 'UTC';\n" +
+    `SELECT jsonb_build_array(${plan.columns.map(column => pgValueExpression(column.target)).join(', ')}) ` +
+    `FROM ${quotePgIdentifier(schema)}.${quotePgIdentifier(targetTable)} ` +
+    `WHERE (${keys.join(', ')}) IN (${tuples.join(', ')})`,
+    { signal }
+  );
+  return rows.map(([json]) => JSON.parse(json));
+}
+
+async function checksumTable(migrationId, { sourceDatabase, targetSchema, plan, targetTable, sourceRowCount, sampleRate, signal }) {
+  const normalize = values => values.map((value, index) => normalizeValue(value, plan.columns[index].source.dataType));
+  const windowCount = Math.ceil(sourceRowCount / CHECKSUM_WINDOW_ROWS);
+  const windows = sampleWindows(windowCount, sampleRate);
+
+  const sourceDigest = crypto.createHash('sha256');
+  const targetDigest = crypto.createHash('sha256');
+  const result = {
+    table: plan.table,
+    status: 'passed',
+    windowsChecked: 0,
+    windowsTotal: windowCount,
+    rowsCompared: 0,
+    mismatchedRows: 0,
+    missingRows: 0,
+    skippedColumns: plan.skippedColumns,
+    missingColumns: plan.missingColumns,
+    rows: []
+  };
+
+  let previousWindow = null;
+  let lastKey = null;
+  for (const window of windows) {
+    // Consecutive windows continue after the last key instead of paying for OFFSET
+    const position = previousWindow !== null && window === previousWindow + 1 && lastKey
+      ? { after: lastKey }
+      : { offset: window * CHECKSUM_WINDOW_ROWS };
+    const sourceRows = await readSourceWindow(migrationId, sourceDatabase, plan, position, signal);
+    if (sourceRows.length === 0) break;
+
+    previousWindow = window;
+    lastKey = plan.keyIndexes.map(index => sourceRows[sourceRows.length - 1][index]);
+
+    const targetRows = new Map();
+    (await readTargetRows(migrationId, targetSchema, plan, targetTable, sourceRows, signal)).forEach((values) => {
+      const normalized = normalize(values);
+      targetRows.set(rowKey(normalized, plan.keyIndexes), normalized);
+    });
+
+    sourceRows.forEach((values) => {
+      const source = normalize(values);
+      const key = rowKey(source, plan.keyIndexes);
+      const target = targetRows.get(key);
+      const sourceHash = hashRow(source);
+      const targetHash = target ? hashRow(target) : null;
+
+      sourceDigest.update(sourceHash);
+      targetDigest.update(targetHash || '-');
+      result.rowsCompared += 1;
+      if (sourceHash === targetHash) return;
+
+      result.mismatchedRows += 1;
+      if (!target) result.missingRows += 1;
+      if (result.rows.length >= MAX_REPORTED_ROWS) return;
+
+      const primaryKey = Object.fromEntries(plan.keyIndexes.map(index => [plan.columns[index].source.name, source[index]]));
+      result.rows.push(target
+        ? {
+          primaryKey,
+          status: 'different',
+          columns: plan.columns
+            .map((column, index) => ({ column: column.source.name, source: source[index], target: target[index] }))
+            .filter(diff => diff.source !== diff.target)
+        }
+        : { primaryKey, status: 'missing', columns: [] });
+    });
+
+    result.windowsChecked += 1;
+  }
+
+  if (result.mismatchedRows > 0) result.status = 'mismatch';
+  result.sourceDigest = sourceDigest.digest('hex');
+  result.targetDigest = targetDigest.digest('hex');
+  return result;
+}
+
+/**
+ * Compare normalized per-row hashes of every table present on both sides of the
+ * row count report (`reconciliation.tables`).
+ *
+ * Returns { status: 'passed'|'warning'|'failed', tables: [{ table, status:
+ * 'passed'|'mismatch'|'skipped', rowsCompared, mismatchedRows, rows: [{ primaryKey,
+ * status: 'missing'|'different', columns: [{ column, source, target }] }], ... }], totals }
+ */
+async function verifyRowChecksums(migrationId, { sourceDatabase, targetSchema, naming, reconciliation, options, logger, signal }) {
+  logger.info(`Verifying row checksums (sample rate ${options.checksumSampleRate * 100}%, ${CHECKSUM_WINDOW_ROWS} rows per window)`);
+
+  const sourceColumns = await loadMysqlColumns(migrationId, sourceDatabase, signal);
+  const targetColumns = await loadPgColumns(migrationId, targetSchema, signal);
+
+  const tables = [];
+  for (const { table, sourceRows } of reconciliation.tables) {
+    const targetTable = targetTableName(table, naming);
+    const plan = targetColumns.has(targetTable)
+      ? planTable(table, sourceColumns.get(table) || [], targetColumns.get(targetTable))
+      : { skipped: 'table missing in PostgreSQL' };
+
+    if (plan.skipped) {
+      logger.warn(`Row checksums: table ${table} skipped (${plan.skipped})`);
+      tables.push({ table, status: 'skipped', reason: plan.skipped });
+      continue;
+    }
+
+    const result = await checksumTable(migrationId, {
+      sourceDatabase,
+      targetSchema,
+      plan,
+      targetTable,
+      sourceRowCount: sourceRows,
+      sampleRate: options.checksumSampleRate,
+      signal
+    });
+    if (result.status === 'mismatch') {
+      logger.warn(`Row checksums: table ${table} has ${result.mismatchedRows} mismatching row(s) out of ${result.rowsCompared} compared`);
+    }
+    tables.push(result);
+  }
+
+  const compared = tables.filter(t => t.status !== 'skipped');
+  const mismatches = compared.filter(t => t.status === 'mismatch');
+  let status = 'passed';
+  if (mismatches.length > 0) status = options.onChecksumMismatch === 'warn' ? 'warning' : 'failed';
+
+  const report = {
+    status,
+    sampleRate: options.checksumSampleRate,
+    windowRows: CHECKSUM_WINDOW_ROWS,
+    onMismatch: options.onChecksumMismatch,
+    tables,
+    totals: {
+      tables: tables.length,
+      compared: compared.length,
+      skipped: tables.length - compared.length,
+      mismatches: mismatches.length,
+      rowsCompared: compared.reduce((sum, t) => sum + t.rowsCompared, 0),
+      mismatchedRows: compared.reduce((sum, t) => sum + t.mismatchedRows, 0)
+    },
+    checkedAt: new Date()
+  };
+
+  logger.info(`Row checksum verification ${status}: ${report.totals.rowsCompared} rows compared, ${report.totals.mismatchedRows} mismatching`);
+  return report;
+}
+
+module.exports = { verifyRowChecksums };
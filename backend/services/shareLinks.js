@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const { createTokenSigner } = require('./signedTokens');
+
+/**
+ * Signed download links, handed to people without an account.
+ *
+ * A token is a signed token (see signedTokens.js) with the claims
+ * { l: link id, m: migration id, e: expiry (ms) } under the backend's secret.
+ * The signature proves the link was issued here; use counts and revocations
+ * live in the migration's `shareLinks`, looked up by link id.
+ */
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000; // 24h
+const MAX_USES_LIMIT = 1000;
+
+/**
+ * Validate the options of a new link: { expiresInMs, maxUses } (maxUses null: unlimited)
+ */
+function normalizeShareLinkOptions(input, { maxTtlMs = DEFAULT_TTL_MS } = {}) {
+  if (input === undefined || input === null) return { expiresInMs: Math.min(DEFAULT_TTL_MS, maxTtlMs), maxUses: null };
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('Invalid share link options: expected an object');
+  }
+
+  const errors = [];
+  const options = { expiresInMs: Math.min(DEFAULT_TTL_MS, maxTtlMs), maxUses: null };
+
+  if (input.expiresInMs !== undefined && input.expiresInMs !== null) {
+    const value = Number(input.expiresInMs);
+    if (!Number.isSafeInteger(value) || value < 60 * 1000) {
+      errors.push('expiresInMs must be an integer of at least 60000 (1 minute)');
+    } else {
+      options.expiresInMs = Math.min(value, maxTtlMs);
+    }
+  }
+
+  if (input.maxUses !== undefined && input.maxUses !== null && input.maxUses !== '') {
+    const value = Number(input.maxUses);
+    if (!Number.isInteger(value) || value < 1 || value > MAX_USES_LIMIT) {
+      errors.push(`maxUses must be an integer between 1 and ${MAX_USES_LIMIT}`);
+    } else {
+      options.maxUses = value;
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid share link options: ${errors.join('; ')}`);
+  }
+
+  return options;
+}
+
+/**
+ * Token minting and checking under `secret`
+ */
+function createShareLinkSigner(secret) {
+  const signer = createTokenSigner(secret);
+
+  return {
+    /**
+     * Returns { link, token }; `link` is the record to keep on the migration
+     */
+    issue(migrationId, { expiresInMs, maxUses = null }, createdBy) {
+      const link = {
+        id: crypto.randomBytes(9).toString('base64url'),
+        createdBy,
+        createdAt: new Date(),
+        expiresAt: new Date(Date.now() + expiresInMs),
+        maxUses,
+        uses: 0,
+        revokedAt: null
+      };
+      return { link, token: signer.sign({ l: link.id, m: migrationId, e: link.expiresAt.getTime() }) };
+    },
+
+    /**
+     * { linkId, migrationId } of a genuine, unexpired token, or null
+     */
+    verify(token) {
+      const claims = signer.verify(token);
+      if (!claims || typeof claims.l !== 'string' || typeof claims.m !== 'string') return null;
+      return { linkId: claims.l, migrationId: claims.m };
+    }
+  };
+}
+
+/**
+ * Why a link recorded on a migration no longer works, or null if it does.
+ * `inFlight`: its downloads in progress, which count as uses until they fail.
+ */
+function shareLinkRefusal(link, { inFlight = 0 } = {}) {
+  if (!link) return 'Unknown share link';
+  if (link.revokedAt) return 'Share link revoked';
+  if (new Date(link.expiresAt).getTime() <= Date.now()) return 'Share link expired';
+  if (link.maxUses !== null && link.uses + inFlight >= link.maxUses) return 'Share link already used';
+  return null;
+}
+
+module.exports = {
+  normalizeShareLinkOptions,
+  createShareLinkSigner,
+  shareLinkRefusal
+};
@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+
+/**
+ * Self-contained tokens: `<claims>.<signature>`, base64url JSON claims signed
+ * with HMAC-SHA256. Nothing is stored server-side; the `e` claim (epoch ms)
+ * is the expiry. Used where a URL has to carry its own authorization, since
+ * plain links cannot send an Authorization header.
+ */
+
+function createTokenSigner(secret) {
+  const signature = payload => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+  return {
+    sign(claims) {
+      const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+      return `${payload}.${signature(payload)}`;
+    },
+
+    /**
+     * Claims of a valid, unexpired token, or null
+     */
+    verify(token) {
+      if (typeof token !== 'string') return null;
+      const [payload, signed, ...rest] = token.split('.');
+      if (!payload || !signed || rest.length > 0) return null;
+
+      const expected = Buffer.from(signature(payload));
+      const actual = Buffer.from(signed);
+      if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+      let claims;
+      try {
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      } catch {
+        return null;
+      }
+      if (!claims || typeof claims !== 'object' || !(claims.e > Date.now())) return null;
+      return claims;
+    }
+  };
+}
+
+module.exports = {
+  createTokenSigner
+};
@@ -0,0 +1,252 @@
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { v4: uuidv4 } = require('uuid');
+const { detectDumpFormat } = require('./dumpArchive');
+const {
+  HEADER_LENGTH,
+  createFileKey,
+  createIv,
+  cipherAt,
+  encryptStream,
+  secureDelete
+} = require('./fileEncryption');
+
+/**
+ * Resumable chunked uploads.
+ *
+ * A session owns a `.part` file in the upload directory. Chunks are appended at
+ * the current end of that file only, so the byte count on disk is always the
+ * offset the client must resume from, even after a chunk was cut halfway.
+ * With a `fileKey`, the file is encrypted (see fileEncryption.js): an IV header,
+ * then each chunk encrypted at its offset.
+ * Sessions live in memory: after a restart their `.part` files are swept and
+ * clients get a 404, upon which they start the upload over.
+ */
+const sessions = new Map();
+
+class UploadError extends Error {
+  constructor(message, status, details = {}) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function getPartialSize(session) {
+  try {
+    const { size } = fs.statSync(session.partialPath);
+    return session.fileKey ? Math.max(0, size - HEADER_LENGTH) : size;
+  } catch {
+    return 0;
+  }
+}
+
+// Zip archives are read by unzip, which needs the plain file
+const assertEncryptable = (format) => {
+  if (format.compression === 'zip') {
+    throw new UploadError('Zip archives cannot be stored encrypted: upload a .sql, .sql.gz, .sql.bz2 or .sql.zst dump', 400);
+  }
+};
+
+const removeFile = (filePath) => {
+  secureDelete(filePath).catch(err => console.warn(`[cleanup] Failed to remove ${filePath}`, err.message));
+};
+
+function describeSession(session) {
+  return {
+    uploadId: session.id,
+    fileName: session.fileName,
+    fileSize: session.fileSize,
+    offset: getPartialSize(session),
+    chunkSize: session.chunkSize
+  };
+}
+
+function createUploadSession({ fileName, fileSize, uploadDir, maxFileSize, chunkSize, owner = null, encrypt = false }) {
+  const format = detectDumpFormat(fileName);
+  if (!format) throw new UploadError('Unsupported file type', 400);
+  if (encrypt) assertEncryptable(format);
+
+  const size = Number(fileSize);
+  if (!Number.isSafeInteger(size) || size <= 0) throw new UploadError('Invalid file size', 400);
+  if (size > maxFileSize) throw new UploadError('File too large', 413);
+
+  const id = uuidv4();
+  const session = {
+    id,
+    owner,
+    fileName: path.basename(String(fileName)),
+    fileSize: size,
+    format,
+    chunkSize,
+    partialPath: path.join(uploadDir, `${id}.part`),
+    fileKey: encrypt ? createFileKey() : null,
+    iv: encrypt ? createIv() : null,
+    updatedAt: Date.now(),
+    writing: false
+  };
+
+  fs.writeFileSync(session.partialPath, session.iv || '');
+  sessions.set(id, session);
+  return session;
+}
+
+function getUploadSession(uploadId) {
+  return sessions.get(uploadId) || null;
+}
+
+/**
+ * Append one chunk read from `source` at `offset`.
+ * Returns the new offset. A mismatching offset is answered with 409 and the
+ * server-side offset so the client can resynchronise.
+ */
+async function appendChunk(session, offset, source) {
+  if (session.writing) throw new UploadError('Another chunk is being written', 409, { offset: getPartialSize(session) });
+
+  const current = getPartialSize(session);
+  if (offset !== current) throw new UploadError('Offset mismatch', 409, { offset: current });
+
+  session.writing = true;
+  session.updatedAt = Date.now();
+
+  let received = 0;
+  const limiter = new Transform({
+    transform(chunk, _enc, cb) {
+      received += chunk.length;
+      if (received > session.chunkSize) return cb(new UploadError('Chunk too large', 413));
+      if (current + received > session.fileSize) return cb(new UploadError('Chunk exceeds declared file size', 400));
+      cb(null, chunk);
+    }
+  });
+
+  try {
+    await pipeline(
+      source,
+      limiter,
+      ...(session.fileKey ? [cipherAt(session.fileKey, session.iv, current)] : []),
+      fs.createWriteStream(session.partialPath, { flags: 'a' })
+    );
+  } finally {
+    session.writing = false;
+    session.updatedAt = Date.now();
+  }
+
+  return getPartialSize(session);
+}
+
+/**
+ * Turn a fully received session into a regular uploaded file.
+ * Returns { fileName, filePath, fileSize, compression, fileKey }.
+ */
+function finalizeUploadSession(session, uploadDir) {
+  const offset = getPartialSize(session);
+  if (offset !== session.fileSize) {
+    throw new UploadError('Upload incomplete', 409, { offset });
+  }
+
+  const { ext } = session.format;
+  const baseName = session.fileName.slice(0, -ext.length);
+  const filePath = path.join(uploadDir, `${baseName}-${Date.now()}${ext}`);
+
+  fs.renameSync(session.partialPath, filePath);
+  sessions.delete(session.id);
+
+  return {
+    fileName: session.fileName,
+    filePath,
+    fileSize: session.fileSize,
+    compression: session.format.compression,
+    fileKey: session.fileKey
+  };
+}
+
+function removeUploadSession(session) {
+  sessions.delete(session.id);
+  removeFile(session.partialPath);
+}
+
+/**
+ * Multer storage engine for single-request uploads: keeps the full compound
+ * extension (.sql.gz, .sql.bz2...) and, with `encrypt`, writes the file
+ * encrypted under a new key returned as `req.file.fileKey`
+ */
+function createDumpStorage({ directory, encrypt = false }) {
+  return {
+    _handleFile(req, file, cb) {
+      const format = detectDumpFormat(file.originalname);
+      try {
+        if (encrypt) assertEncryptable(format);
+      } catch (err) {
+        return cb(err);
+      }
+
+      const name = path.basename(file.originalname).slice(0, -format.ext.length);
+      const filePath = path.join(directory, `${name}-${Date.now()}${format.ext}`);
+      const fileKey = encrypt ? createFileKey() : null;
+      let size = 0;
+      const counter = new Transform({
+        transform(chunk, _enc, done) {
+          size += chunk.length;
+          done(null, chunk);
+        }
+      });
+
+      return pipeline(file.stream, counter, ...(fileKey ? [encryptStream(fileKey)] : []), fs.createWriteStream(filePath))
+        .then(() => cb(null, { path: filePath, size, fileKey }))
+        .catch(cb);
+    },
+
+    _removeFile(req, file, cb) {
+      secureDelete(file.path).then(() => cb(null), cb);
+    }
+  };
+}
+
+/**
+ * Remove the `.part` files of `uploadDir` that belong to no session (left by a
+ * previous run of the backend). Returns the number of files removed.
+ */
+function sweepOrphanedParts(uploadDir) {
+  const live = new Set([...sessions.values()].map(session => path.basename(session.partialPath)));
+  let removed = 0;
+
+  fs.readdirSync(uploadDir)
+    .filter(name => name.endsWith('.part') && !live.has(name))
+    .forEach((name) => {
+      fs.rmSync(path.join(uploadDir, name), { force: true });
+      removed += 1;
+    });
+
+  return removed;
+}
+
+/**
+ * Drop sessions that did not receive data for `ttlMs`
+ */
+function startUploadSessionSweeper(ttlMs) {
+  const timer = setInterval(() => {
+    const now = Date.now();
+    sessions.forEach((session) => {
+      if (!session.writing && now - session.updatedAt > ttlMs) {
+        console.log(`[cleanup] Expired upload session ${session.id}`);
+        removeUploadSession(session);
+      }
+    });
+  }, Math.min(ttlMs, 60 * 1000));
+  timer.unref();
+}
+
+module.exports = {
+  UploadError,
+  createUploadSession,
+  getUploadSession,
+  describeSession,
+  appendChunk,
+  finalizeUploadSession,
+  removeUploadSession,
+  sweepOrphanedParts,
+  createDumpStorage,
+  startUploadSessionSweeper
+};
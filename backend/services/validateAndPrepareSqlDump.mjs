@@ -1,4 +1,69 @@
 import fs from 'fs'
+import { StringDecoder } from 'string_decoder'
+import { listZipSqlEntries, openDumpStream } from './dumpArchive.js'
+import { createStatementSplitter, createDumpAnalyzer } from './dumpAnalysis.js'
+
+const CREATE_DB_RE = /CREATE DATABASE(?:\s+IF NOT EXISTS)?\s+`?([^`;\s]+)`?/i;
+const USE_DB_RE = /^\s*USE\s+`?([^`;\s]+)`?\s*;/im;
+
+// Enough overlap between chunks to catch a CREATE DATABASE / USE statement split in two
+const SCAN_OVERLAP_CHARS = 1024;
+
+/**
+ * Incremental CREATE DATABASE / USE detection over text chunks.
+ * The first of these statements decides, as when MySQL replays the dump:
+ * scanning stops there, so later statements (or look-alikes in table data)
+ * never override it.
+ */
+function createDatabaseNameScanner() {
+  let tail = '';
+  let dbName = null;
+
+  return {
+    push(text) {
+      if (dbName) return;
+      const window = tail + text;
+
+      const first = [window.match(CREATE_DB_RE), window.match(USE_DB_RE)]
+        .filter(Boolean)
+        .sort((a, b) => a.index - b.index)[0];
+      if (first) {
+        dbName = first[1];
+        return;
+      }
+
+      // When the overlap starts mid-line, a NUL sentinel keeps `^` from matching there
+      const start = Math.max(0, window.length - SCAN_OVERLAP_CHARS);
+      tail = window.slice(start);
+      if (start > 0 && window[start - 1] !== '\n') tail = '\0' + tail;
+    },
+    get done() { return Boolean(dbName); },
+    get dbName() { return dbName; }
+  };
+}
+
+/**
+ * Stream the (decompressed) dump and return the database name from its first
+ * CREATE DATABASE or USE statement, else null.
+ * Stops reading as soon as one is found.
+ */
+export async function extractDatabaseName(dumpPath, { compression = null, key = null } = {}) {
+  const stream = await openDumpStream(dumpPath, compression, { key });
+  const decoder = new StringDecoder('utf8');
+  const scanner = createDatabaseNameScanner();
+
+  try {
+    for await (const chunk of stream) {
+      scanner.push(decoder.write(chunk));
+      if (scanner.done) break;
+    }
+    if (!scanner.done) scanner.push(decoder.end());
+  } finally {
+    stream.destroy();
+  }
+
+  return scanner.dbName;
+}
 
 /**
  * Validate uploaded SQL dump BEFORE starting Docker.
@@ -6,45 +71,87 @@ import fs from 'fs'
  * - Rejects binary files (NUL bytes)
  * - Ensures file looks like MySQL SQL dump (basic heuristics)
  * - Extracts DB name if present
- * - Optionally injects CREATE DATABASE + USE when missing
+ * - Optionally builds a CREATE DATABASE + USE header when missing
+ *   (prepended while staging, the upload itself is never rewritten)
+ * - Reads compressed dumps (gzip, bzip2, zstd, zip) through their decompressor,
+ *   and encrypted uploads (`key`) through their decipher
+ * - With `analyze`, also parses every statement into a schema analysis
+ *   (see dumpAnalysis.js) during the same pass
  *
- * Returns: { dbName, warnings: string[] }
+ * The dump is read once as a stream: memory use does not depend on its size.
+ *
+ * Returns: { dbName, warnings: string[], header: string|null, analysis: object|null }
  */
-export function validateAndPrepareSqlDump(dumpPath, {
+export async function validateAndPrepareSqlDump(dumpPath, {
   defaultDbName,
+  compression = null,
   injectUseHeaderIfMissing = true,
   maxPreviewBytes = 256 * 1024, // 256KB is enough for checks
+  analyze = false,
+  key = null, // encrypted upload (see fileEncryption.js)
 } = {}) {
   if (!fs.existsSync(dumpPath)) {
     throw new Error(`Dump file not found: ${dumpPath}`);
   }
 
-  const buf = fs.readFileSync(dumpPath);
-  if (buf.length === 0) {
-    throw new Error('Dump file is empty.');
-  }
+  const warnings = [];
 
-  // 1) Block PostgreSQL custom-format dumps
-  const magic5 = buf.slice(0, 5).toString('utf8');
-  if (magic5 === 'PGDMP') {
-    throw new Error(
-      "Invalid file: this is a PostgreSQL custom-format dump (PGDMP). " +
-      "Please upload a MySQL text dump generated by mysqldump."
-    );
+  if (compression === 'zip') {
+    const entries = await listZipSqlEntries(dumpPath);
+    if (entries.length > 1) {
+      warnings.push(`Archive contains ${entries.length} SQL files, imported in this order: ${entries.join(', ')}`);
+    }
   }
 
-  // 2) Block obvious binary files (NUL bytes)
-  if (buf.includes(0)) {
-    throw new Error(
-      "Invalid file: it looks like a binary dump (contains NUL bytes). " +
-      "Please upload a MySQL text dump (.sql) generated by mysqldump."
-    );
+  const stream = await openDumpStream(dumpPath, compression, { key });
+  const decoder = new StringDecoder('utf8');
+  const scanner = createDatabaseNameScanner();
+  const analyzer = analyze ? createDumpAnalyzer() : null;
+  const splitter = analyzer ? createStatementSplitter(analyzer.onStatement) : null;
+  let head = Buffer.alloc(0);
+  let preview = '';
+  let totalBytes = 0;
+
+  try {
+    for await (const chunk of stream) {
+      // 1) Block PostgreSQL custom-format dumps
+      if (head.length < 5) {
+        head = Buffer.concat([head, chunk]).subarray(0, 5);
+        if (head.toString('utf8') === 'PGDMP') {
+          throw new Error(
+            "Invalid file: this is a PostgreSQL custom-format dump (PGDMP). " +
+            "Please upload a MySQL text dump generated by mysqldump."
+          );
+        }
+      }
+
+      // 2) Block obvious binary files (NUL bytes)
+      if (chunk.includes(0)) {
+        throw new Error(
+          "Invalid file: it looks like a binary dump (contains NUL bytes). " +
+          "Please upload a MySQL text dump (.sql) generated by mysqldump."
+        );
+      }
+
+      totalBytes += chunk.length;
+      const text = decoder.write(chunk);
+      if (preview.length < maxPreviewBytes) preview += text.slice(0, maxPreviewBytes - preview.length);
+      scanner.push(text);
+      splitter?.write(text);
+    }
+    const rest = decoder.end();
+    scanner.push(rest);
+    splitter?.write(rest);
+    splitter?.end();
+  } finally {
+    stream.destroy();
   }
 
-  // 3) Preview text for quick heuristics (avoid loading huge files as string)
-  const preview = buf.slice(0, Math.min(buf.length, maxPreviewBytes)).toString('utf8');
+  if (totalBytes === 0) {
+    throw new Error('Dump file is empty.');
+  }
 
-  // Basic "looks like SQL" checks
+  // 3) Basic "looks like SQL" checks on the beginning of the file
   const sqlSignals = [
     /CREATE\s+TABLE/i,
     /\bINSERT\s+INTO\b/i,
@@ -63,17 +170,9 @@ export function validateAndPrepareSqlDump(dumpPath, {
     );
   }
 
-  // 4) Extract database name (CREATE DATABASE / USE)
-  const warnings = [];
-  let dbName = null;
-
-  const createDbMatch = preview.match(/CREATE DATABASE(?:\s+IF NOT EXISTS)?\s+`?([^`;\s]+)`?/i);
-  if (createDbMatch?.[1]) dbName = createDbMatch[1];
-
-  if (!dbName) {
-    const useDbMatch = preview.match(/^\s*USE\s+`?([^`;\s]+)`?\s*;/im);
-    if (useDbMatch?.[1]) dbName = useDbMatch[1];
-  }
+  // 4) Database name (CREATE DATABASE / USE) found while streaming
+  let dbName = scanner.dbName;
+  let header = null;
 
   // If still missing, fall back
   if (!dbName) {
@@ -87,11 +186,10 @@ export function validateAndPrepareSqlDump(dumpPath, {
 
     // 5) Optionally inject header so MySQL import goes into the right DB
     if (injectUseHeaderIfMissing) {
-      const header = `CREATE DATABASE IF NOT EXISTS \`${dbName}\`;\nUSE \`${dbName}\`;\n\n`;
-      fs.writeFileSync(dumpPath, header + fs.readFileSync(dumpPath, 'utf8'), 'utf8');
+      header = `CREATE DATABASE IF NOT EXISTS \`${dbName}\`;\nUSE \`${dbName}\`;\n\n`;
       warnings.push(`Injected header: CREATE DATABASE + USE \`${dbName}\``);
     }
   }
 
-  return { dbName, warnings };
+  return { dbName, warnings, header, analysis: analyzer ? analyzer.result() : null };
 }
@@ -0,0 +1,199 @@
+/**
+ * Post-load verification of the migrated data: per-table row count reconciliation
+ * between the MySQL source and the PostgreSQL target containers, and the options
+ * of the optional row checksum pass.
+ */
+
+const {
+  mysqlQuery,
+  psqlQuery,
+  quoteMysqlIdentifier,
+  quoteMysqlString,
+  quotePgIdentifier,
+  quotePgLiteral
+} = require('./dbExec');
+const { tableMatchesFilters, targetTableName } = require('./pgloaderOptions');
+
+const MISMATCH_ACTIONS = ['fail', 'warn'];
+
+// Tables counted per docker exec (UNION ALL of COUNT(*))
+const COUNT_BATCH_SIZE = 50;
+
+const isSampleRate = (value) => Number.isFinite(value) && value > 0 && value <= 1;
+
+function defaultVerificationOptions() {
+  const tolerance = Number(process.env.ROW_COUNT_TOLERANCE);
+  const action = process.env.ROW_COUNT_MISMATCH_ACTION;
+  const sampleRate = Number(process.env.ROW_CHECKSUM_SAMPLE_RATE);
+  const checksumAction = process.env.ROW_CHECKSUM_MISMATCH_ACTION;
+  return {
+    rowCountTolerance: Number.isFinite(tolerance) && tolerance >= 0 && tolerance <= 1 ? tolerance : 0,
+    onRowCountMismatch: MISMATCH_ACTIONS.includes(action) ? action : 'fail',
+    checksums: process.env.ROW_CHECKSUMS === 'true',
+    checksumSampleRate: isSampleRate(sampleRate) ? sampleRate : 1,
+    onChecksumMismatch: MISMATCH_ACTIONS.includes(checksumAction) ? checksumAction : 'fail'
+  };
+}
+
+/**
+ * Validate per-migration verification options and merge them over the env defaults.
+ * - rowCountTolerance: accepted |delta| as a fraction of the source rows (0 = exact)
+ * - onRowCountMismatch: 'fail' the migration or only 'warn'
+ * - checksums: also compare per-row content hashes (see rowChecksums.js)
+ * - checksumSampleRate: fraction of primary-key windows compared (1 = every row)
+ * - onChecksumMismatch: 'fail' or 'warn'
+ */
+function normalizeVerificationOptions(input) {
+  const options = defaultVerificationOptions();
+  if (input === undefined || input === null) return options;
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('Invalid verification options: expected an object');
+  }
+
+  const errors = [];
+
+  if (input.rowCountTolerance !== undefined && input.rowCountTolerance !== null && input.rowCountTolerance !== '') {
+    const tolerance = Number(input.rowCountTolerance);
+    if (!Number.isFinite(tolerance) || tolerance < 0 || tolerance > 1) {
+      errors.push('rowCountTolerance must be a number between 0 and 1');
+    } else {
+      options.rowCountTolerance = tolerance;
+    }
+  }
+
+  if (input.onRowCountMismatch !== undefined) {
+    if (!MISMATCH_ACTIONS.includes(input.onRowCountMismatch)) {
+      errors.push(`onRowCountMismatch must be one of: ${MISMATCH_ACTIONS.join(', ')}`);
+    } else {
+      options.onRowCountMismatch = input.onRowCountMismatch;
+    }
+  }
+
+  if (input.checksums !== undefined) {
+    if (typeof input.checksums !== 'boolean') {
+      errors.push('checksums must be a boolean');
+    } else {
+      options.checksums = input.checksums;
+    }
+  }
+
+  if (input.checksumSampleRate !== undefined && input.checksumSampleRate !== null && input.checksumSampleRate !== '') {
+    const sampleRate = Number(input.checksumSampleRate);
+    if (!isSampleRate(sampleRate)) {
+      errors.push('checksumSampleRate must be a number greater than 0 and at most 1');
+    } else {
+      options.checksumSampleRate = sampleRate;
+    }
+  }
+
+  if (input.onChecksumMismatch !== undefined) {
+    if (!MISMATCH_ACTIONS.includes(input.onChecksumMismatch)) {
+      errors.push(`onChecksumMismatch must be one of: ${MISMATCH_ACTIONS.join(', ')}`);
+    } else {
+      options.onChecksumMismatch = input.onChecksumMismatch;
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid verification options: ${errors.join('; ')}`);
+  }
+
+  return options;
+}
+
+async function countRows(tables, buildCount, runQuery) {
+  const counts = new Map();
+
+  for (let start = 0; start < tables.length; start += COUNT_BATCH_SIZE) {
+    const batch = tables.slice(start, start + COUNT_BATCH_SIZE);
+    // Rows are labelled by index so table names never appear as string literals
+    const sql = batch.map((table, i) => `SELECT ${start + i}, COUNT(*) FROM ${buildCount(table)}`).join(' UNION ALL ');
+    const rows = await runQuery(sql);
+    rows.forEach(([index, count]) => counts.set(tables[Number(index)], Number(count)));
+  }
+
+  return counts;
+}
+
+/**
+ * Count rows of every migrated source table in MySQL and of its counterpart in
+ * PostgreSQL (named after `naming`, the schema options), and compare them.
+ *
+ * Returns { status: 'passed'|'warning'|'failed', tables: [{ table, sourceRows,
+ * targetRows, delta, withinTolerance }], totals, ... }. targetRows is null when
+ * the table is missing from the target.
+ */
+async function reconcileRowCounts(migrationId, { sourceDatabase, targetSchema, naming, tableFilters, options, logger, signal }) {
+  logger.info(`Reconciling row counts (${sourceDatabase} => schema ${targetSchema}, tolerance ${options.rowCountTolerance * 100}%)`);
+
+  const sourceTables = (await mysqlQuery(migrationId,
+    'SELECT table_name FROM information_schema.tables ' +
+    `WHERE table_schema = ${quoteMysqlString(sourceDatabase)} AND table_type = 'BASE TABLE' ORDER BY table_name`,
+    { signal }
+  ))
+    .map(([name]) => name)
+    .filter(name => tableMatchesFilters(name, tableFilters));
+
+  const sourceCounts = await countRows(
+    sourceTables,
+    table => `${quoteMysqlIdentifier(sourceDatabase)}.${quoteMysqlIdentifier(table)}`,
+    sql => mysqlQuery(migrationId, sql, { signal })
+  );
+
+  const targetTables = new Set((await psqlQuery(migrationId,
+    'SELECT table_name FROM information_schema.tables ' +
+    `WHERE table_schema = ${quotePgLiteral(targetSchema)} AND table_type = 'BASE TABLE'`,
+    { signal }
+  )).map(([name]) => name));
+  const targetNameOf = (table) => {
+    const name = targetTableName(table, naming);
+    return targetTables.has(name) ? name : null;
+  };
+
+  const matchedTargets = sourceTables.map(targetNameOf).filter(Boolean);
+  const targetCounts = await countRows(
+    matchedTargets,
+    table => `${quotePgIdentifier(targetSchema)}.${quotePgIdentifier(table)}`,
+    sql => psqlQuery(migrationId, sql, { signal })
+  );
+
+  const tables = sourceTables.map((table) => {
+    const sourceRows = sourceCounts.get(table) ?? 0;
+    const targetName = targetNameOf(table);
+    const targetRows = targetName ? targetCounts.get(targetName) ?? 0 : null;
+    const delta = targetRows === null ? -sourceRows : targetRows - sourceRows;
+    const withinTolerance = targetRows !== null && Math.abs(delta) <= options.rowCountTolerance * sourceRows;
+    return { table, sourceRows, targetRows, delta, withinTolerance };
+  });
+
+  const mismatches = tables.filter(t => !t.withinTolerance);
+  mismatches.forEach((t) => {
+    logger.warn(t.targetRows === null
+      ? `Row count: table ${t.table} missing in PostgreSQL (${t.sourceRows} source rows)`
+      : `Row count: table ${t.table} has ${t.targetRows} rows in PostgreSQL vs ${t.sourceRows} in MySQL (delta ${t.delta})`);
+  });
+
+  let status = 'passed';
+  if (mismatches.length > 0) status = options.onRowCountMismatch === 'warn' ? 'warning' : 'failed';
+
+  const report = {
+    status,
+    sourceDatabase,
+    targetSchema,
+    tolerance: options.rowCountTolerance,
+    onMismatch: options.onRowCountMismatch,
+    tables,
+    totals: {
+      tables: tables.length,
+      mismatches: mismatches.length,
+      sourceRows: tables.reduce((sum, t) => sum + t.sourceRows, 0),
+      targetRows: tables.reduce((sum, t) => sum + (t.targetRows || 0), 0)
+    },
+    checkedAt: new Date()
+  };
+
+  logger.info(`Row count reconciliation ${status}: ${tables.length} tables, ${mismatches.length} outside tolerance`);
+  return report;
+}
+
+module.exports = { normalizeVerificationOptions, reconcileRowCounts };
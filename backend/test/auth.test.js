@@ -0,0 +1,152 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  hashPassword,
+  hashToken,
+  createLocalUserProvider,
+  createAuthenticator,
+  createAuthMiddleware,
+  readAccessToken,
+  isAdmin,
+  canAccess
+} = require('../services/auth');
+
+let usersDir;
+let usersFile;
+
+before(() => {
+  usersDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-'));
+  usersFile = path.join(usersDir, 'users.json');
+  fs.writeFileSync(usersFile, JSON.stringify({
+    users: [
+      { username: 'alice', role: 'user', passwordHash: hashPassword('s3cret') },
+      { username: 'ci', role: 'admin', apiTokens: [hashToken('ci-token')] },
+      { username: 'mallory', role: 'root', passwordHash: hashPassword('x') }
+    ]
+  }));
+});
+
+after(() => {
+  fs.rmSync(usersDir, { recursive: true, force: true });
+});
+
+const request = ({ method = 'GET', path: reqPath = '/', authorization, query = {} } = {}) => ({
+  method,
+  path: reqPath,
+  query,
+  get: name => (name === 'Authorization' ? authorization : undefined)
+});
+
+const response = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; }
+});
+
+const runMiddleware = async (middleware, req) => {
+  const res = response();
+  let nextCalled = false;
+  await middleware(req, res, () => { nextCalled = true; });
+  return { res, nextCalled };
+};
+
+test('hashes passwords with a random salt', () => {
+  const first = hashPassword('s3cret');
+  assert.match(first, /^scrypt\$[A-Za-z0-9+/=]+\$[A-Za-z0-9+/=]+$/);
+  assert.notEqual(hashPassword('s3cret'), first);
+  assert.match(hashToken('abc'), /^sha256\$[0-9a-f]{64}$/);
+});
+
+test('local provider checks passwords and API tokens', async () => {
+  const provider = createLocalUserProvider(usersFile);
+  assert.deepEqual(await provider.login('alice', 's3cret'), { username: 'alice', role: 'user' });
+  assert.equal(await provider.login('alice', 'wrong'), null);
+  assert.equal(await provider.login('nobody', 's3cret'), null);
+  // Invalid role: ignored
+  assert.equal(await provider.login('mallory', 'x'), null);
+  assert.deepEqual(provider.verifyToken('ci-token'), { username: 'ci', role: 'admin' });
+  assert.equal(provider.verifyToken('other-token'), null);
+  assert.equal(await createLocalUserProvider(path.join(usersDir, 'missing.json')).login('alice', 's3cret'), null);
+});
+
+test('sign-in sessions expire', async (t) => {
+  let now = 1000;
+  t.mock.method(Date, 'now', () => now);
+  const authenticator = createAuthenticator({ providers: [createLocalUserProvider(usersFile)], sessionTtlMs: 60000 });
+
+  assert.equal(await authenticator.login('alice', 'wrong'), null);
+  const session = await authenticator.login('alice', 's3cret');
+  assert.equal(session.expiresAt.getTime(), 61000);
+  assert.deepEqual(await authenticator.authenticate(session.token), { username: 'alice', role: 'user' });
+  assert.deepEqual(await authenticator.authenticate('ci-token'), { username: 'ci', role: 'admin' });
+
+  now = 61000;
+  assert.equal(await authenticator.authenticate(session.token), null);
+  assert.equal(await authenticator.authenticate(null), null);
+});
+
+test('logout ends the session', async () => {
+  const authenticator = createAuthenticator({ providers: [createLocalUserProvider(usersFile)], sessionTtlMs: 60000 });
+  const { token } = await authenticator.login('alice', 's3cret');
+  authenticator.logout(token);
+  assert.equal(await authenticator.authenticate(token), null);
+});
+
+test('reads the query token only when allowed', () => {
+  assert.equal(readAccessToken(request({ authorization: 'Bearer abc ' })), 'abc');
+  assert.equal(readAccessToken(request({ query: { access_token: 'abc' } })), null);
+  assert.equal(readAccessToken(request({ query: { access_token: 'abc' } }), { allowQuery: true }), 'abc');
+  assert.equal(readAccessToken(request({ method: 'POST', query: { access_token: 'abc' } }), { allowQuery: true }), null);
+});
+
+test('middleware accepts query tokens on the listed paths only', async () => {
+  const authenticator = createAuthenticator({ providers: [createLocalUserProvider(usersFile)], sessionTtlMs: 60000 });
+  const middleware = createAuthMiddleware(authenticator, {
+    publicPaths: ['/health'],
+    queryTokenPaths: [/^\/migrate\/[^/]+\/logs$/]
+  });
+
+  const logs = request({ path: '/migrate/abc/logs', query: { access_token: 'ci-token' } });
+  assert.equal((await runMiddleware(middleware, logs)).nextCalled, true);
+  assert.deepEqual(logs.user, { username: 'ci', role: 'admin' });
+
+  const download = await runMiddleware(middleware, request({ path: '/download/abc', query: { access_token: 'ci-token' } }));
+  assert.equal(download.nextCalled, false);
+  assert.equal(download.res.statusCode, 401);
+
+  assert.equal((await runMiddleware(middleware, request({ path: '/download/abc', authorization: 'Bearer ci-token' }))).nextCalled, true);
+  assert.equal((await runMiddleware(middleware, request({ path: '/health' }))).nextCalled, true);
+});
+
+test('middleware lets through the requests its route authorizes', async () => {
+  const authenticator = createAuthenticator({ providers: [createLocalUserProvider(usersFile)], sessionTtlMs: 60000 });
+  const middleware = createAuthMiddleware(authenticator, { isPublicRequest: req => typeof req.query.ticket === 'string' });
+
+  const ticketed = request({ path: '/download/abc', query: { ticket: 't' } });
+  assert.equal((await runMiddleware(middleware, ticketed)).nextCalled, true);
+  assert.equal(ticketed.user, undefined);
+  assert.equal((await runMiddleware(middleware, request({ path: '/download/abc' }))).res.statusCode, 401);
+});
+
+test('disabled authentication makes every caller the local admin', async () => {
+  const req = request({ path: '/migrations' });
+  const { nextCalled } = await runMiddleware(createAuthMiddleware(null, { disabled: true }), req);
+  assert.equal(nextCalled, true);
+  assert.deepEqual(req.user, { username: 'local', role: 'admin' });
+});
+
+test('owners and admins access a record', () => {
+  const alice = { username: 'alice', role: 'user' };
+  const admin = { username: 'ci', role: 'admin' };
+  assert.equal(isAdmin(admin), true);
+  assert.equal(isAdmin(alice), false);
+  assert.equal(canAccess(alice, { owner: 'alice' }), true);
+  assert.equal(canAccess(alice, { owner: 'bob' }), false);
+  // Created before authentication: admin-only
+  assert.equal(canAccess(alice, { owner: null }), false);
+  assert.equal(canAccess(admin, { owner: null }), true);
+});
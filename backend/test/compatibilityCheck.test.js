@@ -0,0 +1,120 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { checkCompatibility } = require('../services/compatibilityCheck');
+const { isValidCastRule } = require('../services/pgloaderOptions');
+
+const column = (name, dataType, extra = {}) => ({
+  name,
+  dataType,
+  params: null,
+  unsigned: false,
+  zerofill: false,
+  default: null,
+  onUpdate: null,
+  generated: false,
+  ...extra
+});
+
+const table = (name, columns, extra = {}) => ({
+  name,
+  engine: 'InnoDB',
+  charset: 'utf8mb4',
+  columns,
+  primaryKey: ['id'],
+  indexes: [],
+  checks: [],
+  partitioned: false,
+  zeroDateValues: 0,
+  ...extra
+});
+
+const analysis = (tables, objects = {}) => ({ tables, views: [], triggers: [], routines: [], ...objects });
+
+const rules = report => report.findings.map(f => f.rule);
+
+test('reports nothing for a plain InnoDB/utf8mb4 schema', () => {
+  const report = checkCompatibility(analysis([table('orders', [column('id', 'int'), column('label', 'varchar')])]));
+  assert.deepEqual(report, { summary: { error: 0, warning: 0, info: 0 }, findings: [] });
+});
+
+test('flags column types and suggests CAST rules the options accept', () => {
+  const report = checkCompatibility(analysis([table('items', [
+    column('id', 'bigint', { unsigned: true }),
+    column('active', 'tinyint', { params: '1' }),
+    column('size', 'enum', { values: ['s', 'm'] }),
+    column('tags', 'set'),
+    column('shipped', 'datetime', { default: "'0000-00-00 00:00:00'" }),
+    column('updated', 'timestamp', { onUpdate: 'CURRENT_TIMESTAMP' })
+  ])]));
+
+  assert.deepEqual(rules(report).sort(), [
+    'enum', 'on-update-timestamp', 'set', 'tinyint-boolean', 'unsigned-bigint', 'zero-date-default'
+  ]);
+  const zeroDate = report.findings.find(f => f.rule === 'zero-date-default');
+  assert.deepEqual([zeroDate.table, zeroDate.column, zeroDate.severity], ['items', 'shipped', 'warning']);
+  assert.equal(zeroDate.suggestion.castRule, 'column items.shipped to timestamptz drop default drop not null using zero-dates-to-null');
+  report.findings
+    .filter(f => f.suggestion.castRule)
+    .forEach(f => assert.ok(isValidCastRule(f.suggestion.castRule), f.suggestion.castRule));
+});
+
+test('only suggests CAST rules for plain identifiers', () => {
+  const report = checkCompatibility(analysis([table('order-items', [column('kind', 'enum', { values: [] })])]));
+  assert.equal(report.findings[0].rule, 'enum');
+  assert.equal(report.findings[0].suggestion.castRule, null);
+  assert.ok(report.findings[0].suggestion.manualFix);
+});
+
+test('flags table-level differences', () => {
+  const report = checkCompatibility(analysis([table('logs', [column('id', 'int'), column('shape', 'polygon')], {
+    engine: 'MyISAM',
+    charset: 'latin1',
+    primaryKey: [],
+    partitioned: true,
+    zeroDateValues: 3,
+    indexes: [
+      { name: 'ft', columns: ['body'], type: 'FULLTEXT', prefixed: false, expression: false },
+      { name: 'pre', columns: ['body'], type: 'BTREE', prefixed: true, expression: false }
+    ],
+    checks: [{ name: 'positive', expression: '(id > 0)' }]
+  })]));
+
+  assert.deepEqual(rules(report).sort(), [
+    'charset', 'check-constraint', 'engine', 'fulltext-index', 'no-primary-key',
+    'partitioning', 'prefix-index', 'spatial-type', 'zero-date-data'
+  ]);
+  // Sorted by severity, errors first
+  assert.equal(report.findings[0].rule, 'spatial-type');
+  assert.deepEqual(report.summary, { error: 1, warning: 5, info: 3 });
+});
+
+test('flags case collisions', () => {
+  const report = checkCompatibility(analysis([table('Users', [column('id', 'int')]), table('users', [column('id', 'int')])]));
+  assert.deepEqual(rules(report), ['identifier-collision']);
+  assert.equal(report.findings[0].severity, 'error');
+  assert.equal(report.findings[0].table, 'Users, users');
+});
+
+test('tells which views, triggers and routines get translated', () => {
+  const report = checkCompatibility(analysis([table('users', [column('id', 'int')])], {
+    databases: ['shop'],
+    views: [{ name: 'active_users', source: 'CREATE VIEW `active_users` AS select `id` from `users`' }],
+    triggers: [{
+      name: 'users_bi',
+      timing: 'BEFORE',
+      event: 'INSERT',
+      table: 'users',
+      source: 'CREATE TRIGGER `users_bi` BEFORE INSERT ON `users` FOR EACH ROW SET NEW.id = NEW.id + 1'
+    }],
+    routines: [{ name: 'list_users', type: 'PROCEDURE', source: 'CREATE PROCEDURE list_users() BEGIN SELECT * FROM users; END' }]
+  }));
+
+  assert.deepEqual(report.findings.map(f => [f.rule, f.severity]), [
+    ['routine', 'warning'],
+    ['view', 'info'],
+    ['trigger', 'info']
+  ]);
+  assert.match(report.findings[0].pgloaderBehavior, /^Not translated automatically \(returns a result set/);
+  assert.deepEqual(report.findings[0].object, { type: 'PROCEDURE', name: 'list_users' });
+  assert.match(report.findings[1].pgloaderBehavior, /^Translated to PostgreSQL and created after pgloader/);
+});
@@ -0,0 +1,158 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { createStatementSplitter, unquoteIdentifier, splitTopLevel, analyzeDump } = require('../services/dumpAnalysis');
+
+let dir;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dump-analysis-'));
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Feed the SQL in small chunks so that tokens get split across writes
+function split(sql, chunkSize = 5) {
+  const statements = [];
+  const splitter = createStatementSplitter(statement => statements.push(statement));
+  for (let i = 0; i < sql.length; i += chunkSize) splitter.write(sql.slice(i, i + chunkSize));
+  splitter.end();
+  return statements;
+}
+
+test('splits statements on the delimiter, outside quotes and comments', () => {
+  const statements = split([
+    '-- header; comment',
+    "INSERT INTO t VALUES (1,'a;b'),(2,\"c\\\";\"),(3,'it''s');",
+    '/* block; comment */ CREATE TABLE `odd;name` (id int);',
+    '# hash comment;',
+    'DROP TABLE x'
+  ].join('\n'));
+
+  assert.deepEqual(statements.map(s => s.text), [
+    "INSERT INTO t VALUES (1,'a;b'),(2,\"c\\\";\"),(3,'it''s')",
+    'CREATE TABLE `odd;name` (id int)',
+    'DROP TABLE x'
+  ]);
+  assert.equal(statements[0].groups, 3);
+});
+
+test('keeps versioned comments and follows DELIMITER commands', () => {
+  const statements = split([
+    '/*!40101 SET NAMES utf8 */;',
+    'DELIMITER ;;',
+    'CREATE TRIGGER trg BEFORE INSERT ON t FOR EACH ROW BEGIN SET NEW.a = 1; END ;;',
+    'DELIMITER ;',
+    'SELECT 1;'
+  ].join('\n'));
+
+  assert.deepEqual(statements.map(s => s.text), [
+    'SET NAMES utf8',
+    'CREATE TRIGGER trg BEFORE INSERT ON t FOR EACH ROW BEGIN SET NEW.a = 1; END',
+    'SELECT 1'
+  ]);
+});
+
+test('truncates long statements but reports their full length', () => {
+  const statements = [];
+  const splitter = createStatementSplitter(statement => statements.push(statement), { maxStatementChars: 10 });
+  splitter.write(`INSERT INTO t VALUES ${'(1),'.repeat(50)}(1);`);
+  splitter.end();
+
+  assert.equal(statements.length, 1);
+  assert.equal(statements[0].text, 'INSERT INT');
+  assert.equal(statements[0].truncated, true);
+  assert.equal(statements[0].groups, 51);
+  assert.ok(statements[0].length > 200);
+});
+
+test('unquotes identifiers and keeps the table part', () => {
+  assert.equal(unquoteIdentifier('`shop`.`order``s`'), 'order`s');
+  assert.equal(unquoteIdentifier('"customers"'), 'customers');
+  assert.equal(unquoteIdentifier('shop . items'), 'items');
+});
+
+test('splits lists on top-level commas only', () => {
+  assert.deepEqual(splitTopLevel("a int, b enum('x,y'), KEY k (a, b)"), ['a int', "b enum('x,y')", 'KEY k (a, b)']);
+});
+
+const SHOP_DUMP = [
+  'CREATE DATABASE /*!32312 IF NOT EXISTS*/ `shop` /*!40100 DEFAULT CHARACTER SET utf8mb4 */;',
+  'USE `shop`;',
+  'CREATE TABLE `customers` (',
+  '  `id` int unsigned NOT NULL AUTO_INCREMENT,',
+  "  `email` varchar(190) CHARACTER SET latin1 NOT NULL DEFAULT '',",
+  "  `status` enum('active','it''s off') DEFAULT 'active',",
+  '  PRIMARY KEY (`id`),',
+  '  UNIQUE KEY `uniq_email` (`email`(100))',
+  ') ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;',
+  'CREATE TABLE `orders` (',
+  '  `id` int NOT NULL,',
+  '  `customer_id` int unsigned DEFAULT NULL,',
+  '  `created_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,',
+  '  PRIMARY KEY (`id`),',
+  '  KEY `idx_customer` (`customer_id`),',
+  '  CONSTRAINT `fk_customer` FOREIGN KEY (`customer_id`) REFERENCES `customers` (`id`) ON DELETE CASCADE',
+  ') ENGINE=MyISAM DEFAULT CHARSET=latin1;',
+  "INSERT INTO `customers` VALUES (1,'a@x','active'),(2,'b@x','active');",
+  "INSERT INTO `customers` (`id`,`email`) VALUES (3,'c@x');",
+  'INSERT INTO `orders` SELECT * FROM other;',
+  "CREATE ALGORITHM=UNDEFINED DEFINER=`root`@`localhost` SQL SECURITY DEFINER VIEW `active_customers` AS select `id` from `customers` where `status` = 'active';",
+  'DELIMITER ;;',
+  'CREATE DEFINER=`root`@`localhost` TRIGGER `orders_bi` BEFORE INSERT ON `orders` FOR EACH ROW BEGIN SET NEW.created_at = NOW(); END ;;',
+  'CREATE DEFINER=`root`@`localhost` FUNCTION `total`(x int) RETURNS int DETERMINISTIC BEGIN RETURN x; END ;;',
+  'DELIMITER ;'
+].join('\n');
+
+test('describes the schema of a dump', async () => {
+  const dumpPath = path.join(dir, 'shop.sql');
+  fs.writeFileSync(dumpPath, SHOP_DUMP);
+  const analysis = await analyzeDump(dumpPath);
+
+  assert.deepEqual(analysis.databases, ['shop']);
+  assert.deepEqual(analysis.tables.map(t => [t.name, t.database, t.engine, t.charset]), [
+    ['customers', 'shop', 'InnoDB', 'utf8mb4'],
+    ['orders', 'shop', 'MyISAM', 'latin1']
+  ]);
+
+  const [customers, orders] = analysis.tables;
+  assert.deepEqual(customers.primaryKey, ['id']);
+  assert.deepEqual(customers.columns.map(c => c.type), ['int unsigned', 'varchar(190)', "enum('active','it''s off')"]);
+  assert.equal(customers.columns[0].autoIncrement, true);
+  assert.equal(customers.columns[1].charset, 'latin1');
+  assert.deepEqual(customers.columns[2].values, ['active', "it's off"]);
+  assert.deepEqual(customers.indexes.map(i => [i.name, i.unique, i.prefixed]), [['uniq_email', true, true]]);
+  assert.equal(customers.approximateRows, 3);
+
+  assert.equal(orders.columns[2].onUpdate, 'CURRENT_TIMESTAMP');
+  assert.deepEqual(orders.foreignKeys.map(fk => [fk.name, fk.columns, fk.referencedTable, fk.referencedColumns, fk.onDelete]), [
+    ['fk_customer', ['customer_id'], 'customers', ['id'], 'CASCADE']
+  ]);
+  // INSERT ... SELECT has no countable rows
+  assert.equal(orders.approximateRows, 0);
+
+  assert.deepEqual(analysis.views.map(v => [v.name, v.definition]), [
+    ['active_customers', "select `id` from `customers` where `status` = 'active'"]
+  ]);
+  assert.deepEqual(analysis.triggers.map(t => [t.name, t.timing, t.event, t.table]), [['orders_bi', 'BEFORE', 'INSERT', 'orders']]);
+  assert.deepEqual(analysis.routines.map(r => [r.name, r.type]), [['total', 'FUNCTION']]);
+  assert.deepEqual(analysis.charsets, [
+    { charset: 'utf8mb4', tables: 1, columns: 0 },
+    { charset: 'latin1', tables: 1, columns: 1 }
+  ]);
+  assert.deepEqual(analysis.summary, {
+    tables: 2, columns: 6, foreignKeys: 1, indexes: 2, approximateRows: 3, views: 1, triggers: 1, routines: 1
+  });
+});
+
+test('analyzes gzipped dumps', async () => {
+  const dumpPath = path.join(dir, 'shop.sql.gz');
+  fs.writeFileSync(dumpPath, zlib.gzipSync(SHOP_DUMP));
+  const analysis = await analyzeDump(dumpPath, { compression: 'gzip' });
+  assert.deepEqual(analysis.tables.map(t => t.name), ['customers', 'orders']);
+});
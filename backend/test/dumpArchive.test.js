@@ -0,0 +1,57 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { SUPPORTED_DUMP_EXTENSIONS, detectDumpFormat, openDumpStream } = require('../services/dumpArchive');
+
+const SQL = 'CREATE DATABASE `shop`;\nUSE `shop`;\n';
+
+let dir;
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dump-archive-'));
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('detects the compression from the longest matching extension', () => {
+  assert.deepEqual(detectDumpFormat('backup.sql'), { ext: '.sql', compression: null });
+  assert.deepEqual(detectDumpFormat('backup.sql.gz'), { ext: '.sql.gz', compression: 'gzip' });
+  assert.deepEqual(detectDumpFormat('BACKUP.SQL.BZ2'), { ext: '.sql.bz2', compression: 'bzip2' });
+  assert.deepEqual(detectDumpFormat('backup.sql.zst'), { ext: '.sql.zst', compression: 'zstd' });
+  assert.deepEqual(detectDumpFormat('split.zip'), { ext: '.zip', compression: 'zip' });
+});
+
+test('rejects unsupported names', () => {
+  assert.equal(detectDumpFormat('backup.gz'), null);
+  assert.equal(detectDumpFormat('backup.sql.xz'), null);
+  assert.equal(detectDumpFormat(''), null);
+  assert.equal(detectDumpFormat(undefined), null);
+  assert.ok(SUPPORTED_DUMP_EXTENSIONS.includes('.sql.gz'));
+});
+
+test('streams a plain dump as is', async () => {
+  const file = path.join(dir, 'plain.sql');
+  fs.writeFileSync(file, SQL);
+  assert.equal(await readAll(await openDumpStream(file)), SQL);
+});
+
+test('decompresses a gzip dump', async () => {
+  const file = path.join(dir, 'dump.sql.gz');
+  fs.writeFileSync(file, zlib.gzipSync(SQL));
+  assert.equal(await readAll(await openDumpStream(file, 'gzip')), SQL);
+});
+
+test('refuses an unknown compression', async () => {
+  await assert.rejects(openDumpStream(path.join(dir, 'plain.sql'), 'rar'), /Unsupported dump compression: rar/);
+});
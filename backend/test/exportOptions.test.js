@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_EXPORT_OPTIONS,
+  normalizeExportOptions,
+  describeExportFormat,
+  exportFileName,
+  exportFileNames,
+  pgDumpArgs
+} = require('../services/exportOptions');
+
+test('defaults to a plain full dump without owner', () => {
+  assert.deepEqual(normalizeExportOptions(undefined), { format: 'plain', content: 'full', owner: null });
+  assert.deepEqual(normalizeExportOptions({ owner: '' }), DEFAULT_EXPORT_OPTIONS);
+  assert.notEqual(normalizeExportOptions(null), DEFAULT_EXPORT_OPTIONS);
+});
+
+test('merges valid export options over the defaults', () => {
+  assert.deepEqual(
+    normalizeExportOptions({ format: 'custom', content: 'schema-only', owner: 'app_owner' }),
+    { format: 'custom', content: 'schema-only', owner: 'app_owner' }
+  );
+});
+
+test('lists every invalid export option in one error', () => {
+  assert.throws(() => normalizeExportOptions('gzip'), /^Error: Invalid export options: expected an object$/);
+  assert.throws(
+    () => normalizeExportOptions({ format: 'toString', content: 'all', owner: 'app; DROP ROLE x' }),
+    (err) => {
+      assert.match(err.message, /^Invalid export options: /);
+      assert.match(err.message, /format must be one of: plain, custom, tar, gzip/);
+      assert.match(err.message, /content must be one of: full, schema-only, data-only/);
+      assert.match(err.message, /owner must be a role name/);
+      return true;
+    }
+  );
+  assert.throws(() => normalizeExportOptions({ owner: 'a'.repeat(64) }), /owner must be a role name/);
+  assert.throws(() => normalizeExportOptions({ owner: 42 }), /owner must be a role name/);
+});
+
+test('describes each format and falls back to plain', () => {
+  assert.deepEqual(
+    describeExportFormat('gzip'),
+    { pgDumpFormat: 'p', extension: '.sql.gz', contentType: 'application/gzip', gzip: true, compressed: true }
+  );
+  assert.equal(describeExportFormat('tar').pgDumpFormat, 't');
+  assert.equal(describeExportFormat('tar').compressed, false);
+  assert.equal(describeExportFormat('custom').compressed, true);
+  assert.equal(describeExportFormat(undefined).extension, '.sql');
+});
+
+test('names export files after the migration and the format', () => {
+  assert.equal(exportFileName('abc', 'custom'), 'postgres_dump_abc.dump');
+  assert.equal(exportFileName('abc', undefined), 'postgres_dump_abc.sql');
+  assert.deepEqual(exportFileNames('abc'), [
+    'postgres_dump_abc.sql',
+    'postgres_dump_abc.dump',
+    'postgres_dump_abc.tar',
+    'postgres_dump_abc.sql.gz'
+  ]);
+});
+
+test('builds the pg_dump arguments', () => {
+  assert.deepEqual(pgDumpArgs(DEFAULT_EXPORT_OPTIONS), ['-F', 'p', '--no-privileges', '--no-owner']);
+  assert.deepEqual(
+    pgDumpArgs({ format: 'custom', content: 'data-only', owner: 'app_owner' }),
+    ['-F', 'c', '--no-privileges', '--data-only']
+  );
+  assert.deepEqual(pgDumpArgs({ format: 'gzip', content: 'schema-only', owner: null }), ['-F', 'p', '--no-privileges', '--no-owner', '--schema-only']);
+});
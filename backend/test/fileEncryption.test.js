@@ -0,0 +1,99 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const {
+  HEADER_LENGTH,
+  createFileKey,
+  createIv,
+  cipherAt,
+  encryptStream,
+  openReadStream,
+  plainFileSize,
+  secureDelete
+} = require('../services/fileEncryption');
+
+let dir;
+const key = createFileKey();
+// Several AES blocks and a partial last one
+const plaintext = crypto.randomBytes(16 * 70 + 5);
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+const writeEncrypted = async (name, data) => {
+  const filePath = path.join(dir, name);
+  await pipeline(Readable.from([data.subarray(0, 100), data.subarray(100)]), encryptStream(key), fs.createWriteStream(filePath));
+  return filePath;
+};
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'encryption-'));
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a cipher positioned at an offset continues the stream cipher', () => {
+  const iv = createIv();
+  const whole = cipherAt(key, iv).update(plaintext);
+
+  [0, 1, 15, 16, 17, 1000, plaintext.length - 1].forEach((offset) => {
+    assert.deepEqual(cipherAt(key, iv, offset).update(plaintext.subarray(offset)), whole.subarray(offset), `offset ${offset}`);
+  });
+});
+
+test('the block counter carries over the IV bytes', () => {
+  // Last IV bytes at their maximum: the counter overflows into the previous bytes
+  const iv = Buffer.alloc(16, 0);
+  iv.fill(0xff, 12);
+  const whole = cipherAt(key, iv).update(plaintext);
+  assert.deepEqual(cipherAt(key, iv, 16 * 3).update(plaintext.subarray(16 * 3)), whole.subarray(16 * 3));
+});
+
+test('encrypted files round-trip and keep the plaintext length', async () => {
+  const filePath = await writeEncrypted('roundtrip.enc', plaintext);
+  assert.equal(fs.statSync(filePath).size, HEADER_LENGTH + plaintext.length);
+  assert.equal(plainFileSize(filePath, key), plaintext.length);
+  assert.notDeepEqual(fs.readFileSync(filePath).subarray(HEADER_LENGTH), plaintext);
+  assert.deepEqual(await readAll(openReadStream(filePath, key)), plaintext);
+});
+
+test('reads plaintext ranges of encrypted and plain files', async () => {
+  const encrypted = await writeEncrypted('ranges.enc', plaintext);
+  const plain = path.join(dir, 'ranges.sql');
+  fs.writeFileSync(plain, plaintext);
+
+  for (const [start, end] of [[0, 9], [5, 20], [16, 31], [17, 1000], [1000, plaintext.length - 1]]) {
+    const expected = plaintext.subarray(start, end + 1);
+    assert.deepEqual(await readAll(openReadStream(encrypted, key, { start, end })), expected, `${start}-${end}`);
+    assert.deepEqual(await readAll(openReadStream(plain, null, { start, end })), expected, `${start}-${end}`);
+  }
+  assert.deepEqual(await readAll(openReadStream(encrypted, key, { start: 30 })), plaintext.subarray(30));
+});
+
+test('rejects truncated encrypted files', () => {
+  const filePath = path.join(dir, 'truncated.enc');
+  fs.writeFileSync(filePath, Buffer.alloc(HEADER_LENGTH - 1));
+  assert.throws(() => openReadStream(filePath, key), /Encrypted file is truncated/);
+  assert.throws(() => openReadStream(filePath, key, { start: 1 }), /Encrypted file is truncated/);
+});
+
+test('secure delete removes files and directories', async () => {
+  const nested = path.join(dir, 'wipe', 'nested');
+  fs.mkdirSync(nested, { recursive: true });
+  fs.writeFileSync(path.join(nested, 'dump.sql'), 'secret data');
+  fs.writeFileSync(path.join(dir, 'wipe', 'empty.sql'), '');
+
+  await secureDelete(path.join(dir, 'wipe'));
+  assert.ok(!fs.existsSync(path.join(dir, 'wipe')));
+  await secureDelete(path.join(dir, 'missing'));
+});
@@ -0,0 +1,92 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMigrationQueue } = require('../services/migrationQueue');
+
+const MINUTE = 60 * 1000;
+
+// Queue whose runs end when the test says so
+const createTestQueue = (maxConcurrent) => {
+  const started = [];
+  const finishers = new Map();
+  const queue = createMigrationQueue({
+    maxConcurrent,
+    defaultDurationMs: 10 * MINUTE,
+    run: migration => new Promise((resolve) => {
+      started.push(migration.id);
+      finishers.set(migration.id, resolve);
+    })
+  });
+  const finish = async (id) => {
+    finishers.get(id)();
+    // Let the queue's promise chain start the next job
+    await new Promise(resolve => setImmediate(resolve));
+  };
+  return { queue, started, finish };
+};
+
+test('runs jobs in order, at most maxConcurrent at once', async () => {
+  const { queue, started, finish } = createTestQueue(2);
+  ['a', 'b', 'c', 'd'].forEach(id => queue.enqueue({ id }));
+
+  assert.deepEqual(started, ['a', 'b']);
+  assert.ok(queue.isActive('a'));
+  assert.deepEqual(queue.pendingMigrations().map(m => m.id), ['c', 'd']);
+
+  await finish('b');
+  assert.deepEqual(started, ['a', 'b', 'c']);
+  await finish('a');
+  assert.deepEqual(started, ['a', 'b', 'c', 'd']);
+  assert.deepEqual(queue.pendingMigrations(), []);
+});
+
+test('a failing job frees its slot', async () => {
+  const started = [];
+  const queue = createMigrationQueue({
+    maxConcurrent: 1,
+    defaultDurationMs: MINUTE,
+    run: (migration) => {
+      started.push(migration.id);
+      if (migration.id === 'a') return Promise.reject(new Error('boom'));
+      return new Promise(() => {});
+    }
+  });
+  queue.enqueue({ id: 'a' });
+  queue.enqueue({ id: 'b' });
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual(started, ['a', 'b']);
+});
+
+test('reports positions and removes waiting jobs only', () => {
+  const { queue } = createTestQueue(1);
+  ['a', 'b', 'c'].forEach(id => queue.enqueue({ id }));
+
+  assert.equal(queue.position('a'), null);
+  assert.equal(queue.position('b'), 1);
+  assert.equal(queue.position('c'), 2);
+
+  assert.equal(queue.remove('a'), false);
+  assert.equal(queue.remove('b'), true);
+  assert.equal(queue.position('c'), 1);
+});
+
+test('estimates the wait from the default duration, then from finished runs', async (t) => {
+  let now = Date.now();
+  t.mock.method(Date, 'now', () => now);
+  const { queue, finish } = createTestQueue(2);
+  ['a', 'b', 'c', 'd', 'e'].forEach(id => queue.enqueue({ id }));
+
+  // Nothing has finished yet: 10 minutes per run
+  assert.equal(queue.estimatedWaitMs('a'), 0);
+  assert.equal(queue.estimatedWaitMs('c'), 10 * MINUTE);
+  assert.equal(queue.estimatedWaitMs('d'), 10 * MINUTE);
+  assert.equal(queue.estimatedWaitMs('e'), 20 * MINUTE);
+
+  now += 4 * MINUTE;
+  assert.equal(queue.estimatedWaitMs('c'), 6 * MINUTE);
+
+  // 'a' took 4 minutes: the average of finished runs replaces the default
+  await finish('a');
+  assert.equal(queue.position('d'), 1);
+  assert.equal(queue.estimatedWaitMs('d'), 0);
+  assert.equal(queue.estimatedWaitMs('e'), 0);
+});
@@ -0,0 +1,47 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMigrationStore, TRANSIENT_FIELDS } = require('../services/migrationStore');
+
+const ID = '0f8fad5b-d9cb-469f-a165-70867728950e';
+
+let dir;
+let store;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migration-store-'));
+  store = createMigrationStore(path.join(dir, 'state'));
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('saves and reads back a record without its transient fields', () => {
+  const migration = { id: ID, status: 'running', progress: 40 };
+  TRANSIENT_FIELDS.forEach((field) => { migration[field] = 'in-memory'; });
+
+  store.save(migration);
+  assert.deepEqual(store.get(ID), { id: ID, status: 'running', progress: 40 });
+  assert.deepEqual(store.list(), [{ id: ID, status: 'running', progress: 40 }]);
+  assert.ok(!fs.existsSync(path.join(dir, 'state', `${ID}.json.tmp`)));
+});
+
+test('skips unreadable records', () => {
+  fs.writeFileSync(path.join(dir, 'state', 'broken.json'), '{ "id": ');
+  assert.deepEqual(store.list().map(record => record.id), [ID]);
+  fs.rmSync(path.join(dir, 'state', 'broken.json'));
+});
+
+test('removes a record', () => {
+  store.remove(ID);
+  assert.equal(store.get(ID), null);
+  assert.deepEqual(store.list(), []);
+});
+
+test('refuses ids that are not uuids', () => {
+  assert.throws(() => store.get('../../etc/passwd'), /Invalid migration id/);
+  assert.throws(() => store.save({ id: 'x' }), /Invalid migration id/);
+});
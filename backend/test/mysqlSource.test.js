@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeMysqlSource, describeMysqlSource, mysqlClientConnection } = require('../services/mysqlSource');
+const { parseChoice, parseBoolean } = require('../services/connectionOptions');
+
+const SOURCE = { host: 'host.docker.internal', database: 'shop', user: 'reader', password: 'p@ss word' };
+
+test('fills the defaults of a source connection', () => {
+  assert.deepEqual(normalizeMysqlSource(SOURCE), {
+    host: 'host.docker.internal',
+    port: 3306,
+    database: 'shop',
+    user: 'reader',
+    password: 'p@ss word',
+    sslMode: 'prefer'
+  });
+  assert.equal(normalizeMysqlSource({ ...SOURCE, port: '3308' }).port, 3308);
+});
+
+test('lists every invalid source field in one error', () => {
+  assert.throws(() => normalizeMysqlSource(undefined), /^Error: Invalid source options: expected an object$/);
+  assert.throws(
+    () => normalizeMysqlSource({ host: '-h evil', port: 'x', database: 'd'.repeat(65), user: '', sslMode: 'allow' }),
+    (err) => {
+      assert.match(err.message, /^Invalid source options: /);
+      assert.match(err.message, /host must be a host name or an IPv4 address/);
+      assert.match(err.message, /port must be an integer between 1 and 65535/);
+      assert.match(err.message, /database must be a single line of 64 characters max/);
+      assert.match(err.message, /user is required/);
+      assert.match(err.message, /sslMode must be one of: disable, prefer, require/);
+      return true;
+    }
+  );
+});
+
+test('keeps the password out of descriptions and command lines', () => {
+  const source = normalizeMysqlSource({ ...SOURCE, sslMode: 'require' });
+  assert.equal(describeMysqlSource(source).password, undefined);
+
+  const { dockerArgs, env, clientArgs } = mysqlClientConnection(source);
+  assert.deepEqual(dockerArgs, ['-e', 'MYSQL_PWD']);
+  assert.equal(env.MYSQL_PWD, 'p@ss word');
+  assert.deepEqual(clientArgs, [
+    '-h', 'host.docker.internal', '-P', '3306', '-u', 'reader', '--ssl-mode=REQUIRED', '--connect-timeout=10'
+  ]);
+});
+
+test('falls back on the default of an invalid choice or flag', () => {
+  const errors = [];
+  assert.equal(parseChoice({ mode: 'x' }, 'mode', ['a', 'b'], 'a', errors), 'a');
+  assert.equal(parseChoice({ mode: '' }, 'mode', ['a', 'b'], 'b', errors), 'b');
+  assert.equal(parseBoolean({ flag: 'true' }, 'flag', false, errors), false);
+  assert.equal(parseBoolean({}, 'flag', true, errors), true);
+  assert.deepEqual(errors, ['mode must be one of: a, b', 'flag must be a boolean']);
+});
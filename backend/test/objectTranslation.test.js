@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createContext, translateObject } = require('../services/objectTranslation');
+
+const ctx = createContext({ sourceDatabase: 'shop', schema: 'shop' });
+
+test('translates a view into the target schema', () => {
+  const { sql } = translateObject({
+    type: 'view',
+    name: 'active_users',
+    source: 'CREATE ALGORITHM=UNDEFINED DEFINER=`root`@`localhost` SQL SECURITY DEFINER VIEW `active_users` AS ' +
+      "select `u`.`id` AS `id`,ifnull(`u`.`name`,'?') AS `name` from `shop`.`Users` `u` where `u`.`status` = 'active'"
+  }, ctx);
+
+  assert.equal(sql, 'CREATE OR REPLACE VIEW "shop"."active_users" AS\n' +
+    'select "u"."id" AS "id",COALESCE("u"."name", \'?\') AS "name" from "shop"."users" "u" where "u"."status" = \'active\';');
+});
+
+test('translates a trigger into a trigger function and its trigger', () => {
+  const { sql } = translateObject({
+    type: 'trigger',
+    name: 'users_bi',
+    timing: 'BEFORE',
+    event: 'INSERT',
+    table: 'users',
+    source: 'CREATE DEFINER=`root`@`localhost` TRIGGER `users_bi` BEFORE INSERT ON `users` FOR EACH ROW BEGIN SET NEW.created_at = NOW(); END'
+  }, ctx);
+
+  assert.match(sql, /^CREATE OR REPLACE FUNCTION "shop"\."users_bi_fn"\(\) RETURNS trigger LANGUAGE plpgsql/);
+  assert.match(sql, /NEW\.created_at := NOW\(\);/);
+  assert.match(sql, /RETURN NEW;/);
+  assert.match(sql, /CREATE OR REPLACE TRIGGER "users_bi" BEFORE INSERT ON "shop"\."users" FOR EACH ROW EXECUTE FUNCTION "shop"\."users_bi_fn"\(\);$/);
+});
+
+test('translates functions with their parameter and return types', () => {
+  const { sql } = translateObject({
+    type: 'function',
+    name: 'label',
+    source: "CREATE FUNCTION `label`(a varchar(10)) RETURNS varchar(20) DETERMINISTIC RETURN CONCAT(a, IFNULL(a, 'x'))"
+  }, ctx);
+
+  assert.match(sql, /^CREATE OR REPLACE FUNCTION "shop"\."label"\(a varchar\(10\)\) RETURNS varchar\(20\) LANGUAGE plpgsql/);
+  assert.match(sql, /RETURN \(\(a\)::text \|\| \(COALESCE\(a, 'x'\)\)::text\);/);
+});
+
+test('reports what it cannot translate instead of guessing', () => {
+  assert.deepEqual(
+    translateObject({ type: 'procedure', name: 'list', source: 'CREATE PROCEDURE list() BEGIN SELECT * FROM users; END' }, ctx),
+    { error: 'returns a result set (SELECT without INTO), which PostgreSQL routines cannot do' }
+  );
+  assert.deepEqual(
+    translateObject({ type: 'function', name: 'f', source: 'CREATE FUNCTION f() RETURNS int BEGIN RETURN @@session.x; END' }, ctx),
+    { error: 'session variable @@session.x has no PL/pgSQL equivalent' }
+  );
+  assert.match(translateObject({ type: 'view', name: 'v', source: 'CREATE VIEW v' }, ctx).error, /expected AS/);
+});
@@ -0,0 +1,122 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const { createFileKey, encryptStream } = require('../services/fileEncryption');
+const { writeChecksumFile, sendOutputFile } = require('../services/outputDownload');
+
+const CONTENT = Buffer.from('0123456789abcdefghijklmnopqrstuvwxyz'.repeat(100));
+
+let dir;
+let server;
+let baseUrl;
+// sendOutputFile's promise for the last request
+let lastDelivery = null;
+
+const writeEncrypted = (filePath, key, data) => new Promise((resolve, reject) => {
+  const cipher = encryptStream(key);
+  const out = fs.createWriteStream(filePath);
+  cipher.pipe(out).on('finish', resolve).on('error', reject);
+  cipher.end(data);
+});
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'output-download-'));
+
+  const plainPath = path.join(dir, 'dump.sql');
+  fs.writeFileSync(plainPath, CONTENT);
+  writeChecksumFile(plainPath, crypto.createHash('sha256').update(CONTENT).digest('hex'));
+
+  const key = createFileKey();
+  const encryptedPath = path.join(dir, 'dump.enc');
+  await writeEncrypted(encryptedPath, key, CONTENT);
+
+  const app = express();
+  app.get('/plain', (req, res) => {
+    lastDelivery = sendOutputFile(req, res, { filePath: plainPath, fileName: 'dump.sql', contentType: 'application/sql' });
+  });
+  app.get('/encrypted', (req, res) => {
+    lastDelivery = sendOutputFile(req, res, { filePath: encryptedPath, fileName: 'dump.sql', contentType: 'application/sql', key });
+  });
+
+  await new Promise((resolve) => { server = app.listen(0, '127.0.0.1', resolve); });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Response and the delivered flag of its request
+const download = async (route, headers = {}) => {
+  const res = await fetch(`${baseUrl}${route}`, { headers: { 'Accept-Encoding': 'identity', ...headers } });
+  const body = Buffer.from(await res.arrayBuffer());
+  return { res, body, delivered: await lastDelivery };
+};
+
+test('a full download counts as a delivery', async () => {
+  const { res, body, delivered } = await download('/plain');
+  assert.equal(res.status, 200);
+  assert.deepEqual(body, CONTENT);
+  assert.match(res.headers.get('x-checksum-sha256'), /^[0-9a-f]{64}$/);
+  assert.equal(delivered, true);
+});
+
+test('a range covering the whole file counts', async () => {
+  const { res, body, delivered } = await download('/plain', { Range: `bytes=0-${CONTENT.length - 1}` });
+  assert.equal(res.status, 206);
+  assert.deepEqual(body, CONTENT);
+  assert.equal(delivered, true);
+});
+
+test('a tail-only range does not count', async () => {
+  const { res, body, delivered } = await download('/plain', { Range: 'bytes=-1' });
+  assert.equal(res.status, 206);
+  assert.equal(res.headers.get('content-range'), `bytes ${CONTENT.length - 1}-${CONTENT.length - 1}/${CONTENT.length}`);
+  assert.deepEqual(body, CONTENT.subarray(-1));
+  assert.equal(delivered, false);
+});
+
+test('a range in the middle is served and does not count', async () => {
+  const { res, body, delivered } = await download('/plain', { Range: 'bytes=10-19' });
+  assert.equal(res.status, 206);
+  assert.deepEqual(body, CONTENT.subarray(10, 20));
+  assert.equal(delivered, false);
+});
+
+test('an unsatisfiable range answers 416', async () => {
+  const { res, delivered } = await download('/plain', { Range: `bytes=${CONTENT.length + 10}-` });
+  assert.equal(res.status, 416);
+  assert.equal(res.headers.get('content-range'), `bytes */${CONTENT.length}`);
+  assert.equal(delivered, false);
+});
+
+test('a stale If-Range gets the whole file', async () => {
+  const { res, body, delivered } = await download('/plain', { Range: 'bytes=10-19', 'If-Range': '"stale"' });
+  assert.equal(res.status, 200);
+  assert.deepEqual(body, CONTENT);
+  assert.equal(delivered, true);
+});
+
+test('gzips the whole file for clients accepting it', async () => {
+  const { res, body, delivered } = await download('/plain', { 'Accept-Encoding': 'gzip' });
+  assert.equal(res.headers.get('content-encoding'), 'gzip');
+  // fetch decodes gzip itself
+  assert.deepEqual(body, CONTENT);
+  assert.equal(delivered, true);
+});
+
+test('decrypts an encrypted file at a range offset', async () => {
+  const { res, body, delivered } = await download('/encrypted', { Range: 'bytes=1000-1999' });
+  assert.equal(res.status, 206);
+  assert.deepEqual(body, CONTENT.subarray(1000, 2000));
+  assert.equal(delivered, false);
+
+  const full = await download('/encrypted');
+  assert.deepEqual(full.body, CONTENT);
+  assert.equal(full.delivered, true);
+});
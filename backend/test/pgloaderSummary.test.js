@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePgloaderSummary } = require('../services/pgloaderSummary');
+
+const summary = (tableRows) => [
+  '             table name     errors       read   imported      bytes      total time',
+  '-----------------------  ---------  ---------  ---------  ---------  --------------',
+  '        fetch meta data          0         33         33                     0.365s',
+  '-----------------------  ---------  ---------  ---------  ---------  --------------',
+  ...tableRows,
+  '-----------------------  ---------  ---------  ---------  ---------  --------------',
+  '         Create Indexes          0         41         41                     0.277s',
+  '-----------------------  ---------  ---------  ---------  ---------  --------------',
+  '      Total import time          ✓        200        200     7.6 kB          1.570s',
+  ''
+].join('\n');
+
+test('returns null without a summary table', () => {
+  assert.equal(parsePgloaderSummary('LOG pgloader version 3.6.9\n'), null);
+});
+
+test('parses table rows, phases and totals', () => {
+  const result = parsePgloaderSummary(summary([
+    '           sakila.actor          0        200        200     7.6 kB          0.103s'
+  ]));
+
+  assert.deepEqual(result.tables, [
+    { name: 'sakila.actor', errors: 0, read: 200, imported: 200, bytes: 7782, durationMs: 103 }
+  ]);
+  assert.equal(result.phases.beforeLoad.steps[0].name, 'fetch meta data');
+  assert.equal(result.phases.afterLoad.steps[0].name, 'Create Indexes');
+  assert.equal(result.totals.imported, 200);
+  assert.equal(result.totals.durationMs, 1570);
+});
+
+test('uses the last summary when pgloader printed several', () => {
+  const output = [
+    summary(['           sakila.first          0          1          1                     0.001s']),
+    summary(['          sakila.second          0          2          2                     0.002s'])
+  ].join('\n');
+
+  assert.deepEqual(parsePgloaderSummary(output).tables.map(table => table.name), ['sakila.second']);
+});
@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizePostgresTarget, describePostgresTarget, postgresClientCommand } = require('../services/postgresTarget');
+
+const TARGET = { host: 'db.staging.local', database: 'app', user: 'loader', password: 's3cret' };
+
+test('no target unless one is given', () => {
+  assert.equal(normalizePostgresTarget(undefined), null);
+  assert.equal(normalizePostgresTarget(null), null);
+});
+
+test('fills the defaults of a target connection', () => {
+  assert.deepEqual(normalizePostgresTarget({ ...TARGET, host: ' db.staging.local ', port: '' }), {
+    host: 'db.staging.local',
+    port: 5432,
+    database: 'app',
+    user: 'loader',
+    password: 's3cret',
+    sslMode: 'prefer',
+    includeDrop: false
+  });
+  const target = normalizePostgresTarget({ ...TARGET, port: '6432', sslMode: 'require', includeDrop: true });
+  assert.equal(target.port, 6432);
+  assert.equal(target.sslMode, 'require');
+  assert.equal(target.includeDrop, true);
+});
+
+test('lists every invalid target field in one error', () => {
+  assert.throws(() => normalizePostgresTarget('postgres://x'), /^Error: Invalid target options: expected an object$/);
+  assert.throws(
+    () => normalizePostgresTarget({ host: 'db;rm -rf /', port: 70000, user: 'a\nb', password: 'x\ny', sslMode: 'verify-full', includeDrop: 'yes' }),
+    (err) => {
+      assert.match(err.message, /^Invalid target options: /);
+      assert.match(err.message, /host must be a host name or an IPv4 address/);
+      assert.match(err.message, /port must be an integer between 1 and 65535/);
+      assert.match(err.message, /database is required/);
+      assert.match(err.message, /user must be a single line/);
+      assert.match(err.message, /password must be a single-line string/);
+      assert.match(err.message, /sslMode must be one of: disable, allow, prefer, require/);
+      assert.match(err.message, /includeDrop must be a boolean/);
+      return true;
+    }
+  );
+});
+
+test('describes a target without its password', () => {
+  const described = describePostgresTarget(normalizePostgresTarget(TARGET));
+  assert.equal(described.password, undefined);
+  assert.equal(described.host, 'db.staging.local');
+  assert.equal(describePostgresTarget(null), null);
+});
+
+test('runs clients in a throwaway container, the password in the environment only', () => {
+  const target = normalizePostgresTarget(TARGET);
+  const { args, env } = postgresClientCommand(target, 'psql', ['-At']);
+
+  assert.deepEqual(args.slice(0, 5), ['run', '--rm', '-i', '--add-host', 'host.docker.internal:host-gateway']);
+  assert.deepEqual(args.slice(-10), ['psql', '-h', 'db.staging.local', '-p', '5432', '-U', 'loader', '-d', 'app', '-At']);
+  assert.ok(args.includes('PGPASSWORD'));
+  assert.ok(!args.some(arg => arg.includes('s3cret')));
+  assert.equal(env.PGPASSWORD, 's3cret');
+  assert.equal(env.PGSSLMODE, 'prefer');
+});
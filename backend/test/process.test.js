@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { execProcess, streamProcess } = require('../services/process');
+
+// Child processes are plain node scripts
+const node = (script, options) => streamProcess(process.execPath, ['-e', script], options);
+
+test('captures the output of a process and feeds it stdin', async () => {
+  const result = await execProcess(process.execPath, ['-e', 'process.stdin.pipe(process.stdout)'], { input: 'héllo' });
+  assert.deepEqual(result, { code: 0, stdout: 'héllo', stderr: '' });
+  await assert.rejects(execProcess(process.execPath, ['-e', 'console.error("boom"); process.exit(3)']), { code: 3, stderr: 'boom\n' });
+});
+
+test('hands the output over line by line', async () => {
+  const lines = [];
+  const result = await node('console.log("one\\ntwo"); console.error("oops"); console.log("three")', {
+    onLine: (line, stream) => { lines.push([stream, line]); }
+  });
+
+  assert.deepEqual(lines.filter(([stream]) => stream === 'stdout'), [['stdout', 'one'], ['stdout', 'two'], ['stdout', 'three']]);
+  assert.deepEqual(lines.filter(([stream]) => stream === 'stderr'), [['stderr', 'oops']]);
+  assert.deepEqual(result, { code: 0, stdout: 'one\ntwo\nthree', stderr: 'oops', errorLines: [] });
+});
+
+test('waits for asynchronous line handlers', async () => {
+  const seen = [];
+  let pending = 0;
+  await node('for (let i = 0; i < 5; i++) console.log(i)', {
+    onLine: async (line) => {
+      pending += 1;
+      assert.equal(pending, 1);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      seen.push(line);
+      pending -= 1;
+    }
+  });
+  assert.deepEqual(seen, ['0', '1', '2', '3', '4']);
+});
+
+test('keeps only the tail and the lines matching error patterns', async () => {
+  const result = await node('for (let i = 1; i <= 10; i++) console.log(i % 4 === 0 ? `ERROR ${i}` : `line ${i}`)', {
+    tailLines: 3,
+    errorPatterns: [/^ERROR/]
+  });
+  assert.equal(result.stdout, 'ERROR 8\nline 9\nline 10');
+  assert.deepEqual(result.errorLines, ['ERROR 4', 'ERROR 8']);
+});
+
+test('rejects with the tails on a non-zero exit', async () => {
+  await assert.rejects(node('console.log("partial"); console.error("fatal"); process.exit(2)'), {
+    code: 2,
+    stdout: 'partial',
+    stderr: 'fatal',
+    errorLines: []
+  });
+  await assert.rejects(streamProcess('/nonexistent/binary', []), { code: 'ENOENT' });
+});
@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeShareLinkOptions, createShareLinkSigner, shareLinkRefusal } = require('../services/shareLinks');
+
+const signer = createShareLinkSigner('test-secret');
+const HOUR = 60 * 60 * 1000;
+
+const link = overrides => ({
+  id: 'link-1',
+  expiresAt: new Date(Date.now() + HOUR),
+  maxUses: null,
+  uses: 0,
+  revokedAt: null,
+  ...overrides
+});
+
+test('a share link token verifies to its link and migration', () => {
+  const { link: issued, token } = signer.issue('mig-1', { expiresInMs: HOUR, maxUses: 2 }, 'alice');
+  assert.equal(issued.maxUses, 2);
+  assert.equal(issued.uses, 0);
+  assert.equal(issued.createdBy, 'alice');
+  assert.deepEqual(signer.verify(token), { linkId: issued.id, migrationId: 'mig-1' });
+});
+
+test('rejects tampered, foreign, expired and malformed tokens', () => {
+  const { token } = signer.issue('mig-1', { expiresInMs: HOUR }, 'alice');
+  const [payload, signature] = token.split('.');
+  const forged = Buffer.from(JSON.stringify({ l: 'x', m: 'mig-2', e: Date.now() + HOUR })).toString('base64url');
+
+  assert.equal(signer.verify(`${forged}.${signature}`), null);
+  assert.equal(createShareLinkSigner('other-secret').verify(token), null);
+  assert.equal(signer.verify(signer.issue('mig-1', { expiresInMs: -1 }, 'alice').token), null);
+  assert.equal(signer.verify(`${token}.extra`), null);
+  assert.equal(signer.verify(payload), null);
+  assert.equal(signer.verify(undefined), null);
+});
+
+test('defaults to 24h and unlimited uses', () => {
+  assert.deepEqual(normalizeShareLinkOptions(undefined), { expiresInMs: 24 * HOUR, maxUses: null });
+  assert.deepEqual(normalizeShareLinkOptions({ maxUses: '' }), { expiresInMs: 24 * HOUR, maxUses: null });
+});
+
+test('caps the lifetime at maxTtlMs', () => {
+  assert.equal(normalizeShareLinkOptions({ expiresInMs: 48 * HOUR }, { maxTtlMs: 2 * HOUR }).expiresInMs, 2 * HOUR);
+  assert.equal(normalizeShareLinkOptions(null, { maxTtlMs: HOUR }).expiresInMs, HOUR);
+});
+
+test('rejects invalid options', () => {
+  assert.throws(() => normalizeShareLinkOptions([]), /^Error: Invalid share link options: expected an object$/);
+  assert.throws(() => normalizeShareLinkOptions({ expiresInMs: 1000 }), /expiresInMs must be/);
+  assert.throws(() => normalizeShareLinkOptions({ maxUses: 0 }), /maxUses must be/);
+  assert.throws(() => normalizeShareLinkOptions({ maxUses: 1.5 }), /maxUses must be/);
+  assert.throws(() => normalizeShareLinkOptions({ maxUses: 1001 }), /maxUses must be/);
+});
+
+test('refuses unknown, revoked, expired and used-up links', () => {
+  assert.equal(shareLinkRefusal(undefined), 'Unknown share link');
+  assert.equal(shareLinkRefusal(link({ revokedAt: new Date() })), 'Share link revoked');
+  assert.equal(shareLinkRefusal(link({ expiresAt: new Date(Date.now() - 1) })), 'Share link expired');
+  assert.equal(shareLinkRefusal(link({ maxUses: 2, uses: 2 })), 'Share link already used');
+  assert.equal(shareLinkRefusal(link({ maxUses: 2, uses: 1 })), null);
+  assert.equal(shareLinkRefusal(link({ uses: 50 })), null);
+});
+
+test('downloads in progress count against maxUses', () => {
+  assert.equal(shareLinkRefusal(link({ maxUses: 1 }), { inFlight: 1 }), 'Share link already used');
+  assert.equal(shareLinkRefusal(link({ maxUses: 3, uses: 1 }), { inFlight: 1 }), null);
+  assert.equal(shareLinkRefusal(link({ maxUses: 3, uses: 1 }), { inFlight: 2 }), 'Share link already used');
+  assert.equal(shareLinkRefusal(link(), { inFlight: 10 }), null);
+});
@@ -0,0 +1,35 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTokenSigner } = require('../services/signedTokens');
+
+const signer = createTokenSigner('test-secret');
+
+test('verifies the claims of a token it signed', (t) => {
+  t.mock.method(Date, 'now', () => 1000);
+  const token = signer.sign({ m: 'abc', e: 2000 });
+  assert.match(token, /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/);
+  assert.deepEqual(signer.verify(token), { m: 'abc', e: 2000 });
+});
+
+test('rejects expired tokens and tokens without expiry', (t) => {
+  let now = 1000;
+  t.mock.method(Date, 'now', () => now);
+  const token = signer.sign({ m: 'abc', e: 2000 });
+  now = 2000;
+  assert.equal(signer.verify(token), null);
+  assert.equal(signer.verify(signer.sign({ m: 'abc' })), null);
+});
+
+test('rejects tampered, foreign and malformed tokens', (t) => {
+  t.mock.method(Date, 'now', () => 1000);
+  const token = signer.sign({ m: 'abc', e: 2000 });
+  const [, signature] = token.split('.');
+  const forged = `${Buffer.from(JSON.stringify({ m: 'other', e: 2000 })).toString('base64url')}.${signature}`;
+
+  assert.equal(signer.verify(forged), null);
+  assert.equal(createTokenSigner('other-secret').verify(token), null);
+  assert.equal(signer.verify(`${token}.x`), null);
+  assert.equal(signer.verify('abc'), null);
+  assert.equal(signer.verify(''), null);
+  assert.equal(signer.verify(undefined), null);
+});
@@ -0,0 +1,105 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const uploadService = require('../services/upload.service');
+
+const { UploadError, createUploadSession, appendChunk, finalizeUploadSession, removeUploadSession } = uploadService;
+
+let uploadDir;
+
+const newSession = (overrides = {}) => createUploadSession({
+  fileName: 'dump.sql',
+  fileSize: 10,
+  uploadDir,
+  maxFileSize: 100,
+  chunkSize: 4,
+  ...overrides
+});
+
+const body = text => Readable.from([Buffer.from(text)]);
+
+before(() => {
+  uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+});
+
+after(() => {
+  fs.rmSync(uploadDir, { recursive: true, force: true });
+});
+
+test('validates the file name and size of a new session', () => {
+  assert.throws(() => newSession({ fileName: 'dump.txt' }), { status: 400, message: 'Unsupported file type' });
+  assert.throws(() => newSession({ fileSize: 0 }), { status: 400, message: 'Invalid file size' });
+  assert.throws(() => newSession({ fileSize: 'ten' }), { status: 400 });
+  assert.throws(() => newSession({ fileSize: 101 }), { status: 413, message: 'File too large' });
+});
+
+test('appends chunks at the current offset', async () => {
+  const session = newSession();
+  assert.equal(uploadService.describeSession(session).offset, 0);
+  assert.equal(await appendChunk(session, 0, body('abcd')), 4);
+  assert.equal(await appendChunk(session, 4, body('efgh')), 8);
+  assert.equal(fs.readFileSync(session.partialPath, 'utf8'), 'abcdefgh');
+  removeUploadSession(session);
+});
+
+test('answers 409 with the server offset on a mismatching offset', async () => {
+  const session = newSession();
+  await appendChunk(session, 0, body('abcd'));
+
+  await assert.rejects(appendChunk(session, 0, body('abcd')), (err) => {
+    assert.ok(err instanceof UploadError);
+    assert.equal(err.status, 409);
+    assert.deepEqual(err.details, { offset: 4 });
+    return true;
+  });
+  assert.equal(fs.readFileSync(session.partialPath, 'utf8'), 'abcd');
+  removeUploadSession(session);
+});
+
+test('answers 409 while another chunk is being written', async () => {
+  const session = newSession();
+  session.writing = true;
+  await assert.rejects(appendChunk(session, 0, body('abcd')), { status: 409, message: 'Another chunk is being written' });
+  session.writing = false;
+  removeUploadSession(session);
+});
+
+test('refuses chunks larger than the chunk size or the declared file', async () => {
+  const session = newSession({ fileSize: 6 });
+  await assert.rejects(appendChunk(session, 0, body('abcde')), { status: 413 });
+  assert.equal(session.writing, false);
+
+  assert.equal(uploadService.describeSession(session).offset, 0);
+  await appendChunk(session, 0, body('abcd'));
+  await assert.rejects(appendChunk(session, 4, body('efg')), { status: 400, message: 'Chunk exceeds declared file size' });
+  removeUploadSession(session);
+});
+
+test('finalizes only a complete upload', async () => {
+  const session = newSession({ fileName: 'shop.sql.gz', fileSize: 4 });
+  assert.throws(() => finalizeUploadSession(session, uploadDir), { status: 409, message: 'Upload incomplete' });
+
+  await appendChunk(session, 0, body('abcd'));
+  const file = finalizeUploadSession(session, uploadDir);
+  assert.equal(file.fileName, 'shop.sql.gz');
+  assert.equal(file.compression, 'gzip');
+  assert.match(path.basename(file.filePath), /^shop-\d+\.sql\.gz$/);
+  assert.equal(fs.readFileSync(file.filePath, 'utf8'), 'abcd');
+  assert.equal(uploadService.getUploadSession(session.id), null);
+});
+
+test('sweeps the partial files of no live session', () => {
+  const dir = fs.mkdtempSync(path.join(uploadDir, 'sweep-'));
+  const session = newSession({ uploadDir: dir });
+  fs.writeFileSync(path.join(dir, 'left-by-a-crash.part'), 'x');
+  fs.writeFileSync(path.join(dir, 'shop-1.sql'), 'x');
+
+  assert.equal(uploadService.sweepOrphanedParts(dir), 1);
+  assert.ok(fs.existsSync(session.partialPath));
+  assert.ok(fs.existsSync(path.join(dir, 'shop-1.sql')));
+  assert.ok(!fs.existsSync(path.join(dir, 'left-by-a-crash.part')));
+  removeUploadSession(session);
+});
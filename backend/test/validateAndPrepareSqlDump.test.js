@@ -0,0 +1,86 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+let extractDatabaseName;
+let validateAndPrepareSqlDump;
+let dir;
+
+const dumpFile = (name, content) => {
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, content);
+  return filePath;
+};
+
+before(async () => {
+  ({ extractDatabaseName, validateAndPrepareSqlDump } = await import('../services/validateAndPrepareSqlDump.mjs'));
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dump-name-'));
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('reads the name of the first CREATE DATABASE', async () => {
+  const file = dumpFile('create.sql', 'CREATE DATABASE IF NOT EXISTS `shop`;\nUSE `shop`;\nCREATE TABLE t (id int);\n');
+  assert.equal(await extractDatabaseName(file), 'shop');
+});
+
+test('a USE before any CREATE DATABASE decides', async () => {
+  const file = dumpFile('use-first.sql', 'USE `shop`;\nCREATE TABLE t (id int);\nCREATE DATABASE `other`;\n');
+  assert.equal(await extractDatabaseName(file), 'shop');
+});
+
+test('ignores CREATE DATABASE look-alikes in data after the USE', async () => {
+  const file = dumpFile('data.sql', [
+    'USE `shop`;',
+    "INSERT INTO notes VALUES (1, 'run CREATE DATABASE evil; to start');",
+    ''
+  ].join('\n'));
+  assert.equal(await extractDatabaseName(file), 'shop');
+});
+
+test('finds a statement after several stream chunks', async () => {
+  const filler = `-- ${'x'.repeat(1000)}\n`.repeat(300);
+  const file = dumpFile('late.sql', `${filler}USE \`late_db\`;\n`);
+  assert.equal(await extractDatabaseName(file), 'late_db');
+});
+
+test('returns null without CREATE DATABASE or USE', async () => {
+  const file = dumpFile('none.sql', 'CREATE TABLE t (id int);\nINSERT INTO t VALUES (1);\n');
+  assert.equal(await extractDatabaseName(file), null);
+});
+
+test('validation returns the name found while streaming, without a header', async () => {
+  const file = dumpFile('valid.sql', 'CREATE DATABASE `shop`;\nUSE `shop`;\nCREATE TABLE t (id int);\n');
+  assert.deepEqual(await validateAndPrepareSqlDump(file), { dbName: 'shop', warnings: [], header: null, analysis: null });
+});
+
+test('validation analyzes the schema during the same pass', async () => {
+  const file = dumpFile('analyzed.sql', "USE `shop`;\nCREATE TABLE t (d date DEFAULT '0000-00-00');\nINSERT INTO t VALUES ('0000-00-00'),('2024-01-01');\n");
+  const { dbName, analysis } = await validateAndPrepareSqlDump(file, { analyze: true });
+  assert.equal(dbName, 'shop');
+  assert.deepEqual(analysis.tables.map(t => [t.name, t.approximateRows, t.zeroDateValues]), [['t', 2, 1]]);
+});
+
+test('validation falls back to the default name and builds a header', async () => {
+  const file = dumpFile('nameless.sql', 'CREATE TABLE t (id int);\n');
+  const { dbName, header, warnings } = await validateAndPrepareSqlDump(file, { defaultDbName: 'fallback' });
+  assert.equal(dbName, 'fallback');
+  assert.equal(header, 'CREATE DATABASE IF NOT EXISTS `fallback`;\nUSE `fallback`;\n\n');
+  assert.equal(warnings.length, 2);
+});
+
+test('validation rejects PostgreSQL custom dumps, binary and non-SQL files', async () => {
+  await assert.rejects(validateAndPrepareSqlDump(dumpFile('pg.dump', 'PGDMP\u0001\u0002')), /PostgreSQL custom-format dump/);
+  await assert.rejects(validateAndPrepareSqlDump(dumpFile('bin.sql', 'CREATE TABLE\u0000')), /binary dump/);
+  await assert.rejects(validateAndPrepareSqlDump(dumpFile('text.sql', 'hello world\n')), /doesn't look like a MySQL SQL dump/);
+  await assert.rejects(validateAndPrepareSqlDump(dumpFile('empty.sql', '')), /Dump file is empty/);
+});
+
+test('validation needs a name from the dump or a default', async () => {
+  const file = dumpFile('no-default.sql', 'CREATE TABLE t (id int);\n');
+  await assert.rejects(validateAndPrepareSqlDump(file), /Unable to determine database name/);
+});
@@ -0,0 +1,86 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeVerificationOptions } = require('../services/verification');
+const { quoteMysqlIdentifier, quoteMysqlString, quotePgIdentifier, quotePgLiteral } = require('../services/dbExec');
+
+const ENV_KEYS = [
+  'ROW_COUNT_TOLERANCE', 'ROW_COUNT_MISMATCH_ACTION',
+  'ROW_CHECKSUMS', 'ROW_CHECKSUM_SAMPLE_RATE', 'ROW_CHECKSUM_MISMATCH_ACTION'
+];
+
+const DEFAULTS = {
+  rowCountTolerance: 0,
+  onRowCountMismatch: 'fail',
+  checksums: false,
+  checksumSampleRate: 1,
+  onChecksumMismatch: 'fail'
+};
+const savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+
+afterEach(() => {
+  ENV_KEYS.forEach((key) => {
+    if (savedEnv[key] === undefined) delete process.env[key];
+    else process.env[key] = savedEnv[key];
+  });
+});
+
+test('defaults to exact counts failing the migration', () => {
+  ENV_KEYS.forEach(key => delete process.env[key]);
+  assert.deepEqual(normalizeVerificationOptions(undefined), DEFAULTS);
+});
+
+test('takes the defaults from the environment when they are valid', () => {
+  process.env.ROW_COUNT_TOLERANCE = '0.05';
+  process.env.ROW_COUNT_MISMATCH_ACTION = 'warn';
+  process.env.ROW_CHECKSUMS = 'true';
+  process.env.ROW_CHECKSUM_SAMPLE_RATE = '0.25';
+  process.env.ROW_CHECKSUM_MISMATCH_ACTION = 'warn';
+  assert.deepEqual(normalizeVerificationOptions(null), {
+    rowCountTolerance: 0.05,
+    onRowCountMismatch: 'warn',
+    checksums: true,
+    checksumSampleRate: 0.25,
+    onChecksumMismatch: 'warn'
+  });
+
+  process.env.ROW_COUNT_TOLERANCE = '2';
+  process.env.ROW_COUNT_MISMATCH_ACTION = 'ignore';
+  process.env.ROW_CHECKSUMS = 'yes';
+  process.env.ROW_CHECKSUM_SAMPLE_RATE = '0';
+  process.env.ROW_CHECKSUM_MISMATCH_ACTION = 'ignore';
+  assert.deepEqual(normalizeVerificationOptions(null), DEFAULTS);
+});
+
+test('merges per-migration options over the defaults', () => {
+  ENV_KEYS.forEach(key => delete process.env[key]);
+  assert.deepEqual(normalizeVerificationOptions({ rowCountTolerance: '0.1' }), { ...DEFAULTS, rowCountTolerance: 0.1 });
+  assert.deepEqual(normalizeVerificationOptions({ rowCountTolerance: '', onRowCountMismatch: 'warn' }), { ...DEFAULTS, onRowCountMismatch: 'warn' });
+  assert.deepEqual(
+    normalizeVerificationOptions({ checksums: true, checksumSampleRate: '0.5', onChecksumMismatch: 'warn' }),
+    { ...DEFAULTS, checksums: true, checksumSampleRate: 0.5, onChecksumMismatch: 'warn' }
+  );
+});
+
+test('lists every invalid verification option in one error', () => {
+  assert.throws(() => normalizeVerificationOptions([]), /^Error: Invalid verification options: expected an object$/);
+  assert.throws(
+    () => normalizeVerificationOptions({ rowCountTolerance: 1.5, onRowCountMismatch: 'ignore' }),
+    /^Error: Invalid verification options: rowCountTolerance must be a number between 0 and 1; onRowCountMismatch must be one of: fail, warn$/
+  );
+  assert.throws(
+    () => normalizeVerificationOptions({ checksums: 'true', checksumSampleRate: 0, onChecksumMismatch: 'skip' }),
+    (err) => {
+      assert.match(err.message, /checksums must be a boolean/);
+      assert.match(err.message, /checksumSampleRate must be a number greater than 0 and at most 1/);
+      assert.match(err.message, /onChecksumMismatch must be one of: fail, warn/);
+      return true;
+    }
+  );
+});
+
+test('quotes identifiers and literals for both databases', () => {
+  assert.equal(quoteMysqlIdentifier('we`ird'), '`we``ird`');
+  assert.equal(quoteMysqlString("it's \\ here"), "'it''s \\\\ here'");
+  assert.equal(quotePgIdentifier('Mixed"Case'), '"Mixed""Case"');
+  assert.equal(quotePgLiteral("o'clock"), "'o''clock'");
+});
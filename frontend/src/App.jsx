@@ -1,9 +1,34 @@
 import './styles/index.css'
-import { useState } from 'react'
+import { useState, useEffect } from 'react'
 import MigrationApp from './components/MigrationApp'
+import LoginForm from './components/LoginForm'
+import { API_BASE_URL, apiFetch, setAccessToken, onUnauthorized } from './utils/config'
 
 function App() {
-  return <MigrationApp />
+  const [user, setUser] = useState(null)
+  // Token from an earlier visit (or backend without authentication) checked first
+  const [checking, setChecking] = useState(true)
+
+  useEffect(() => onUnauthorized(() => setUser(null)), [])
+
+  useEffect(() => {
+    if (!checking) return
+    apiFetch(`${API_BASE_URL}/auth/me`)
+      .then(response => (response.ok ? response.json() : { user: null }))
+      .then(data => setUser(data.user))
+      .catch(() => setUser(null))
+      .finally(() => setChecking(false))
+  }, [checking])
+
+  const handleLogout = async () => {
+    await apiFetch(`${API_BASE_URL}/auth/logout`, { method: 'POST' }).catch(() => {})
+    setAccessToken(null)
+    setUser(null)
+  }
+
+  if (checking) return null
+  if (!user) return <LoginForm onSignedIn={setUser} />
+  return <MigrationApp user={user} onLogout={handleLogout} />
 }
 
 export default App
@@ -0,0 +1,295 @@
+import { useState } from 'react'
+
+export const DEFAULT_ADVANCED_OPTIONS = {
+  workers: 8,
+  concurrency: 1,
+  rowsPerRange: '',
+  mode: 'full',
+  castRules: '',
+  postgresParameters: '',
+  mysqlParameters: '',
+  rowCountTolerance: '',
+  onRowCountMismatch: '',
+  checksums: '',
+  checksumSampleRate: '',
+  exportFormat: 'plain',
+  exportContent: 'full',
+  exportOwner: '',
+  schemaName: '',
+  identifierCase: 'downcase',
+  tableRenames: '',
+  searchPath: 'true'
+}
+
+// Recommended values, taken from containers/migration/migrate.load
+const RECOMMENDED_OPTIONS = {
+  workers: 8,
+  concurrency: 1,
+  rowsPerRange: 50000,
+  mode: 'full',
+  castRules: [
+    'type datetime to timestamptz drop default drop not null using zero-dates-to-null',
+    'type date drop not null drop default using zero-dates-to-null',
+    'type tinyint when (= 1 precision) to boolean using tinyint-to-boolean',
+    'type year to integer'
+  ].join('\n'),
+  postgresParameters: [
+    'maintenance_work_mem = 256MB',
+    'work_mem = 64MB',
+    'statement_timeout = 300000'
+  ].join('\n'),
+  mysqlParameters: [
+    'net_read_timeout = 300',
+    'net_write_timeout = 300'
+  ].join('\n'),
+  rowCountTolerance: '',
+  onRowCountMismatch: '',
+  checksums: '',
+  checksumSampleRate: '',
+  exportFormat: 'plain',
+  exportContent: 'full',
+  exportOwner: '',
+  schemaName: '',
+  identifierCase: 'downcase',
+  tableRenames: '',
+  searchPath: 'true'
+}
+
+const parseParameters = (text) => Object.fromEntries(
+  text
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => {
+      const index = line.indexOf('=')
+      return index === -1
+        ? [line, '']
+        : [line.slice(0, index).trim(), line.slice(index + 1).trim()]
+    })
+)
+
+/**
+ * Convert the form state into the `pgloader` object expected by POST /api/migrate/:id
+ */
+export const toPgloaderPayload = (form) => ({
+  workers: Number(form.workers),
+  concurrency: Number(form.concurrency),
+  rowsPerRange: form.rowsPerRange === '' ? null : Number(form.rowsPerRange),
+  mode: form.mode,
+  castRules: form.castRules.split('\n').map(rule => rule.trim()).filter(Boolean),
+  postgresParameters: parseParameters(form.postgresParameters),
+  mysqlParameters: parseParameters(form.mysqlParameters)
+})
+
+/**
+ * Convert the form state into the `verification` object; empty fields keep the server defaults
+ */
+export const toVerificationPayload = (form) => ({
+  ...(form.rowCountTolerance === '' ? {} : { rowCountTolerance: Number(form.rowCountTolerance) / 100 }),
+  ...(form.onRowCountMismatch === '' ? {} : { onRowCountMismatch: form.onRowCountMismatch }),
+  ...(form.checksums === '' ? {} : { checksums: form.checksums === 'true' }),
+  ...(form.checksumSampleRate === '' ? {} : { checksumSampleRate: Number(form.checksumSampleRate) / 100 })
+})
+
+export const toExportPayload = (form) => ({
+  format: form.exportFormat,
+  content: form.exportContent,
+  ...(form.exportOwner.trim() === '' ? {} : { owner: form.exportOwner.trim() })
+})
+
+/**
+ * Convert the form state into the `schema` object; renames are written one per
+ * line as "old = new"
+ */
+export const toSchemaPayload = (form) => ({
+  ...(form.schemaName.trim() === '' ? {} : { name: form.schemaName.trim() }),
+  identifierCase: form.identifierCase,
+  tableRenames: parseParameters(form.tableRenames),
+  searchPath: form.searchPath === 'true'
+})
+
+const inputClass = 'w-full rounded-lg border border-slate-200 bg-white px-3 py-2 text-sm text-slate-900 focus:outline-none focus:ring-2 focus:ring-indigo-500'
+const labelClass = 'block text-xs font-semibold uppercase tracking-wide text-slate-400 mb-1'
+
+const AdvancedOptions = ({ value, onChange }) => {
+  const [open, setOpen] = useState(false)
+
+  const update = (field) => (e) => onChange({ ...value, [field]: e.target.value })
+
+  return (
+    <div className="border border-slate-200 rounded-2xl">
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        className="w-full flex items-center justify-between px-4 py-3 text-sm font-semibold text-slate-700"
+      >
+        <span>Options avancées (pgloader, schéma, vérification, export)</span>
+        <span className="text-slate-400">{open ? '−' : '+'}</span>
+      </button>
+
+      {open && (
+        <div className="border-t border-slate-200 p-4 space-y-4">
+          <div className="grid gap-4 sm:grid-cols-4">
+            <div>
+              <label className={labelClass}>Workers</label>
+              <input type="number" min="1" max="32" className={inputClass} value={value.workers} onChange={update('workers')} />
+            </div>
+            <div>
+              <label className={labelClass}>Concurrency</label>
+              <input type="number" min="1" max="16" className={inputClass} value={value.concurrency} onChange={update('concurrency')} />
+            </div>
+            <div>
+              <label className={labelClass}>Rows per range</label>
+              <input type="number" min="1" placeholder="désactivé" className={inputClass} value={value.rowsPerRange} onChange={update('rowsPerRange')} />
+            </div>
+            <div>
+              <label className={labelClass}>Mode</label>
+              <select className={inputClass} value={value.mode} onChange={update('mode')}>
+                <option value="full">Schéma + données</option>
+                <option value="schema-only">Schéma uniquement</option>
+                <option value="data-only">Données uniquement</option>
+              </select>
+            </div>
+          </div>
+          {value.mode === 'data-only' && (
+            <p className="text-xs text-amber-700">
+              Le mode « données uniquement » suppose que les tables existent déjà dans la base cible.
+            </p>
+          )}
+
+          <div>
+            <label className={labelClass}>Règles CAST (une par ligne)</label>
+            <textarea
+              rows={4}
+              className={`${inputClass} font-mono text-xs`}
+              placeholder="type datetime to timestamptz drop default using zero-dates-to-null"
+              value={value.castRules}
+              onChange={update('castRules')}
+            />
+          </div>
+
+          <div className="grid gap-4 sm:grid-cols-2">
+            <div>
+              <label className={labelClass}>Paramètres PostgreSQL (nom = valeur)</label>
+              <textarea
+                rows={3}
+                className={`${inputClass} font-mono text-xs`}
+                placeholder="work_mem = 64MB"
+                value={value.postgresParameters}
+                onChange={update('postgresParameters')}
+              />
+            </div>
+            <div>
+              <label className={labelClass}>Paramètres MySQL (nom = valeur)</label>
+              <textarea
+                rows={3}
+                className={`${inputClass} font-mono text-xs`}
+                placeholder="net_read_timeout = 300"
+                value={value.mysqlParameters}
+                onChange={update('mysqlParameters')}
+              />
+            </div>
+          </div>
+
+          <div className="grid gap-4 sm:grid-cols-3">
+            <div>
+              <label className={labelClass}>Schéma PostgreSQL cible</label>
+              <input type="text" placeholder="nom de la base MySQL" className={`${inputClass} font-mono`} value={value.schemaName} onChange={update('schemaName')} />
+            </div>
+            <div>
+              <label className={labelClass}>Noms des identifiants</label>
+              <select className={inputClass} value={value.identifierCase} onChange={update('identifierCase')}>
+                <option value="downcase">Minuscules</option>
+                <option value="quote">Casse MySQL conservée (entre guillemets)</option>
+              </select>
+            </div>
+            <div>
+              <label className={labelClass}>search_path du dump</label>
+              <select className={inputClass} value={value.searchPath} onChange={update('searchPath')}>
+                <option value="true">Schéma migré en premier</option>
+                <option value="false">Inchangé</option>
+              </select>
+            </div>
+          </div>
+          <div>
+            <label className={labelClass}>Tables renommées (ancien = nouveau)</label>
+            <textarea
+              rows={3}
+              className={`${inputClass} font-mono text-xs`}
+              placeholder="tbl_users = users"
+              value={value.tableRenames}
+              onChange={update('tableRenames')}
+            />
+          </div>
+          {value.schemaName.trim() === 'public' && (
+            <p className="text-xs text-amber-700">
+              Les tables sont créées dans le schéma public : elles ne doivent pas déjà exister dans la base cible.
+            </p>
+          )}
+
+          <div className="grid gap-4 sm:grid-cols-2">
+            <div>
+              <label className={labelClass}>Tolérance sur le nombre de lignes (%)</label>
+              <input type="number" min="0" max="100" step="0.1" placeholder="défaut serveur" className={inputClass} value={value.rowCountTolerance} onChange={update('rowCountTolerance')} />
+            </div>
+            <div>
+              <label className={labelClass}>Écart hors tolérance</label>
+              <select className={inputClass} value={value.onRowCountMismatch} onChange={update('onRowCountMismatch')}>
+                <option value="">Défaut serveur</option>
+                <option value="fail">Faire échouer la migration</option>
+                <option value="warn">Avertir seulement</option>
+              </select>
+            </div>
+            <div>
+              <label className={labelClass}>Vérification ligne à ligne (checksums)</label>
+              <select className={inputClass} value={value.checksums} onChange={update('checksums')}>
+                <option value="">Défaut serveur</option>
+                <option value="true">Activée</option>
+                <option value="false">Désactivée</option>
+              </select>
+            </div>
+            <div>
+              <label className={labelClass}>Échantillon vérifié (%)</label>
+              <input type="number" min="1" max="100" placeholder="défaut serveur" className={inputClass} value={value.checksumSampleRate} onChange={update('checksumSampleRate')} />
+            </div>
+          </div>
+
+          <div className="grid gap-4 sm:grid-cols-3">
+            <div>
+              <label className={labelClass}>Format du dump exporté</label>
+              <select className={inputClass} value={value.exportFormat} onChange={update('exportFormat')}>
+                <option value="plain">SQL (.sql)</option>
+                <option value="gzip">SQL compressé (.sql.gz)</option>
+                <option value="custom">Custom pg_restore (.dump)</option>
+                <option value="tar">Archive tar (.tar)</option>
+              </select>
+            </div>
+            <div>
+              <label className={labelClass}>Contenu</label>
+              <select className={inputClass} value={value.exportContent} onChange={update('exportContent')}>
+                <option value="full">Schéma et données</option>
+                <option value="schema-only">Schéma seulement</option>
+                <option value="data-only">Données seulement</option>
+              </select>
+            </div>
+            <div>
+              <label className={labelClass}>Propriétaire des objets</label>
+              <input type="text" placeholder="aucun (--no-owner)" className={`${inputClass} font-mono`} value={value.exportOwner} onChange={update('exportOwner')} />
+            </div>
+          </div>
+
+          <div className="flex gap-3 flex-wrap">
+            <button type="button" className="btn-secondary" onClick={() => onChange({ ...RECOMMENDED_OPTIONS })}>
+              Valeurs recommandées
+            </button>
+            <button type="button" className="btn-secondary" onClick={() => onChange({ ...DEFAULT_ADVANCED_OPTIONS })}>
+              Réinitialiser
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default AdvancedOptions
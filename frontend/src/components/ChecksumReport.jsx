@@ -0,0 +1,94 @@
+import { useState } from 'react'
+
+const STATUS = {
+  passed: { label: 'Contenu identique', style: 'text-emerald-700' },
+  warning: { label: 'Lignes différentes (tolérées)', style: 'text-amber-700' },
+  failed: { label: 'Lignes différentes', style: 'text-rose-700' }
+}
+
+const formatValue = (value) => (value === null ? 'NULL' : value)
+
+const formatKey = (primaryKey) => Object.entries(primaryKey).map(([column, value]) => `${column}=${value}`).join(', ')
+
+const TableDetails = ({ result }) => (
+  <div className="px-3 pb-3 space-y-2 text-xs">
+    {(result.missingColumns.length > 0 || result.skippedColumns.length > 0) && (
+      <p className="text-slate-500">
+        {result.missingColumns.length > 0 && <>Colonnes absentes côté PostgreSQL : {result.missingColumns.join(', ')}. </>}
+        {result.skippedColumns.length > 0 && <>Colonnes non comparées : {result.skippedColumns.join(', ')}.</>}
+      </p>
+    )}
+    {result.rows.map(row => (
+      <div key={formatKey(row.primaryKey)} className="border border-slate-100 rounded-lg p-2">
+        <p className="font-mono text-slate-900 break-all">
+          {formatKey(row.primaryKey)}
+          {row.status === 'missing' && <span className="text-rose-700 font-sans"> — absente de PostgreSQL</span>}
+        </p>
+        {row.columns.map(diff => (
+          <p key={diff.column} className="font-mono break-all">
+            <span className="text-slate-500">{diff.column} :</span>{' '}
+            <span className="text-slate-700">{formatValue(diff.source)}</span>
+            <span className="text-slate-400"> → </span>
+            <span className="text-rose-700">{formatValue(diff.target)}</span>
+          </p>
+        ))}
+      </div>
+    ))}
+    {result.mismatchedRows > result.rows.length && (
+      <p className="text-slate-500">… et {result.mismatchedRows - result.rows.length} autre(s) ligne(s).</p>
+    )}
+    <p className="font-mono text-[10px] text-slate-400 break-all">
+      SHA-256 MySQL {result.sourceDigest}<br />SHA-256 PostgreSQL {result.targetDigest}
+    </p>
+  </div>
+)
+
+/**
+ * Per-row checksum comparison: mismatching rows with their primary key and column diff
+ */
+const ChecksumReport = ({ report }) => {
+  const [expanded, setExpanded] = useState(null)
+
+  if (!report) return null
+
+  const status = STATUS[report.status] || STATUS.passed
+  const tables = [...report.tables].sort((a, b) => (b.mismatchedRows || 0) - (a.mismatchedRows || 0))
+
+  return (
+    <div className="bg-white rounded-xl p-4 border border-slate-200 shadow-sm space-y-3">
+      <div className="flex flex-wrap items-baseline justify-between gap-2">
+        <p className="text-slate-500 text-xs font-semibold uppercase tracking-wide">Vérification du contenu (checksums)</p>
+        <p className={`text-sm font-semibold ${status.style}`}>
+          {status.label} — {report.totals.mismatchedRows} / {report.totals.rowsCompared.toLocaleString('fr-FR')} lignes
+          {report.sampleRate < 1 && <span className="font-normal text-slate-400"> (échantillon {report.sampleRate * 100} %)</span>}
+        </p>
+      </div>
+      <ul className="max-h-80 overflow-y-auto divide-y divide-slate-100 border border-slate-100 rounded-lg text-sm">
+        {tables.map(result => (
+          <li key={result.table}>
+            <button
+              type="button"
+              disabled={result.status !== 'mismatch'}
+              onClick={() => setExpanded(expanded === result.table ? null : result.table)}
+              className="w-full flex items-center justify-between gap-3 px-3 py-2 text-left"
+            >
+              <span className="font-mono text-xs text-slate-900 break-all">{result.table}</span>
+              {result.status === 'skipped' && <span className="text-xs text-slate-400">ignorée ({result.reason})</span>}
+              {result.status === 'passed' && (
+                <span className="text-xs text-emerald-700">{result.rowsCompared.toLocaleString('fr-FR')} lignes identiques</span>
+              )}
+              {result.status === 'mismatch' && (
+                <span className="text-xs font-semibold text-rose-700">
+                  {result.mismatchedRows} ligne(s) différente(s) {expanded === result.table ? '−' : '+'}
+                </span>
+              )}
+            </button>
+            {expanded === result.table && <TableDetails result={result} />}
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+export default ChecksumReport
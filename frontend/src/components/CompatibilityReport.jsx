@@ -0,0 +1,130 @@
+import { useEffect, useState } from 'react'
+import { API_BASE_URL, apiFetch, readErrorMessage } from '../utils/config'
+
+const SEVERITIES = [
+  { id: 'error', label: 'Bloquant', badge: 'bg-rose-100 text-rose-700' },
+  { id: 'warning', label: 'Attention', badge: 'bg-amber-100 text-amber-700' },
+  { id: 'info', label: 'Info', badge: 'bg-slate-100 text-slate-600' }
+]
+
+const severityOf = (id) => SEVERITIES.find(s => s.id === id)
+
+const targetLabel = (finding) => {
+  if (finding.object) return `${finding.object.type} ${finding.object.name}`
+  if (finding.column) return `${finding.table}.${finding.column}`
+  return finding.table
+}
+
+/**
+ * MySQL => PostgreSQL compatibility findings for the uploaded dump.
+ * `castRules` (text, one rule per line) lets suggested rules be added only once.
+ */
+const CompatibilityReport = ({ migrationId, castRules, onAddCastRule }) => {
+  const [report, setReport] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+  const [severityFilter, setSeverityFilter] = useState(null)
+
+  useEffect(() => {
+    if (!migrationId) return
+    let cancelled = false
+
+    const loadReport = async () => {
+      setLoading(true)
+      setError('')
+      try {
+        const response = await apiFetch(`${API_BASE_URL}/migrate/${migrationId}/compatibility`)
+        if (!response.ok) throw new Error(await readErrorMessage(response))
+        const data = await response.json()
+        if (!cancelled) setReport(data)
+      } catch (err) {
+        if (!cancelled) setError(err.message)
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    loadReport()
+    return () => { cancelled = true }
+  }, [migrationId])
+
+  if (loading) {
+    return <p className="text-sm text-slate-500">Vérification de la compatibilité…</p>
+  }
+  if (error) {
+    return <p className="text-sm text-rose-700 break-words">Rapport de compatibilité indisponible : {error}</p>
+  }
+  if (!report) return null
+
+  if (report.findings.length === 0) {
+    return (
+      <p className="text-sm text-emerald-700">
+        Aucune incompatibilité MySQL → PostgreSQL détectée dans le dump.
+      </p>
+    )
+  }
+
+  const existingRules = castRules.split('\n').map(rule => rule.trim())
+  const visible = severityFilter
+    ? report.findings.filter(f => f.severity === severityFilter)
+    : report.findings
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-2 text-xs">
+        <span className="font-semibold uppercase tracking-wide text-slate-400 mr-1">Compatibilité</span>
+        {SEVERITIES.map(({ id, label, badge }) => (
+          <button
+            key={id}
+            type="button"
+            onClick={() => setSeverityFilter(severityFilter === id ? null : id)}
+            className={`px-2 py-1 rounded-full ${badge} ${severityFilter === id ? 'ring-2 ring-indigo-400' : ''}`}
+          >
+            {label} : {report.summary[id]}
+          </button>
+        ))}
+      </div>
+
+      <ul className="max-h-96 overflow-y-auto divide-y divide-slate-100 border border-slate-200 rounded-2xl">
+        {visible.map((finding, index) => {
+          const severity = severityOf(finding.severity)
+          const { castRule, manualFix } = finding.suggestion
+          const alreadyAdded = castRule && existingRules.includes(castRule)
+
+          return (
+            <li key={`${finding.rule}-${targetLabel(finding)}-${index}`} className="px-4 py-3 space-y-1 text-sm">
+              <div className="flex flex-wrap items-center gap-2">
+                <span className={`px-2 py-0.5 rounded-full text-xs ${severity.badge}`}>{severity.label}</span>
+                <span className="font-mono text-xs text-slate-900 break-all">{targetLabel(finding)}</span>
+                <span className="text-slate-600">{finding.message}</span>
+              </div>
+              <p className="text-xs text-slate-500">
+                <span className="font-semibold">pgloader :</span> {finding.pgloaderBehavior}
+              </p>
+              {manualFix && (
+                <p className="text-xs text-slate-500">
+                  <span className="font-semibold">Correction :</span> {manualFix}
+                </p>
+              )}
+              {castRule && (
+                <div className="flex flex-wrap items-center gap-2">
+                  <code className="text-xs bg-slate-50 border border-slate-200 rounded px-2 py-0.5 break-all">CAST {castRule}</code>
+                  <button
+                    type="button"
+                    disabled={alreadyAdded}
+                    onClick={() => onAddCastRule(castRule)}
+                    className="text-xs font-semibold text-indigo-600 hover:text-indigo-800 disabled:text-slate-400"
+                  >
+                    {alreadyAdded ? 'Règle ajoutée' : 'Ajouter aux options'}
+                  </button>
+                </div>
+              )}
+            </li>
+          )
+        })}
+      </ul>
+    </div>
+  )
+}
+
+export default CompatibilityReport
@@ -0,0 +1,38 @@
+const inputClass = 'w-full rounded-lg border border-slate-200 bg-white px-3 py-2 text-sm text-slate-900 focus:outline-none focus:ring-2 focus:ring-indigo-500'
+const labelClass = 'block text-xs font-semibold uppercase tracking-wide text-slate-400 mb-1'
+
+/**
+ * Host, port, database, credentials and SSL mode of an external database server
+ */
+const ConnectionFields = ({ value, onFieldChange, sslModes, hostPlaceholder }) => (
+  <div className="grid gap-4 sm:grid-cols-3">
+    <div className="sm:col-span-2">
+      <label className={labelClass}>Hôte</label>
+      <input type="text" className={`${inputClass} font-mono`} placeholder={hostPlaceholder} value={value.host} onChange={onFieldChange('host')} />
+    </div>
+    <div>
+      <label className={labelClass}>Port</label>
+      <input type="number" min="1" max="65535" className={inputClass} value={value.port} onChange={onFieldChange('port')} />
+    </div>
+    <div>
+      <label className={labelClass}>Base</label>
+      <input type="text" className={`${inputClass} font-mono`} value={value.database} onChange={onFieldChange('database')} />
+    </div>
+    <div>
+      <label className={labelClass}>Utilisateur</label>
+      <input type="text" className={`${inputClass} font-mono`} value={value.user} onChange={onFieldChange('user')} />
+    </div>
+    <div>
+      <label className={labelClass}>Mot de passe</label>
+      <input type="password" autoComplete="new-password" className={inputClass} value={value.password} onChange={onFieldChange('password')} />
+    </div>
+    <div>
+      <label className={labelClass}>Mode SSL</label>
+      <select className={inputClass} value={value.sslMode} onChange={onFieldChange('sslMode')}>
+        {sslModes.map(mode => <option key={mode} value={mode}>{mode}</option>)}
+      </select>
+    </div>
+  </div>
+)
+
+export default ConnectionFields
@@ -0,0 +1,214 @@
+import { useEffect, useState } from 'react'
+import { API_BASE_URL, apiFetch, readErrorMessage } from '../utils/config'
+
+const formatCount = (value) => Number(value || 0).toLocaleString('fr-FR')
+
+const SummaryCard = ({ label, value }) => (
+  <div className="bg-slate-50 border border-slate-200 rounded-2xl px-4 py-3">
+    <p className="text-xs font-semibold uppercase tracking-wide text-slate-400">{label}</p>
+    <p className="text-lg font-semibold text-slate-900">{value}</p>
+  </div>
+)
+
+const TableDetails = ({ table }) => (
+  <div className="bg-slate-50 px-4 py-3 space-y-3 text-xs text-slate-600">
+    <table className="w-full text-left">
+      <thead className="text-slate-400 uppercase tracking-wide">
+        <tr>
+          <th className="py-1 pr-3 font-semibold">Colonne</th>
+          <th className="py-1 pr-3 font-semibold">Type MySQL</th>
+          <th className="py-1 pr-3 font-semibold">Null</th>
+          <th className="py-1 font-semibold">Défaut</th>
+        </tr>
+      </thead>
+      <tbody className="font-mono">
+        {table.columns.map(column => (
+          <tr key={column.name} className="border-t border-slate-200">
+            <td className="py-1 pr-3 text-slate-900">
+              {column.name}
+              {table.primaryKey.includes(column.name) && <span className="ml-1 text-indigo-600">PK</span>}
+            </td>
+            <td className="py-1 pr-3 break-all">
+              {column.type}
+              {column.autoIncrement && <span className="ml-1 text-slate-400">auto_increment</span>}
+            </td>
+            <td className="py-1 pr-3">{column.nullable ? 'oui' : 'non'}</td>
+            <td className="py-1 break-all">{column.default ?? '—'}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+
+    {table.indexes.length > 0 && (
+      <div>
+        <p className="font-semibold text-slate-500">Index</p>
+        <ul className="font-mono space-y-0.5">
+          {table.indexes.map(index => (
+            <li key={index.name || index.columns.join(',')}>
+              {index.name || '(sans nom)'} ({index.columns.join(', ')})
+              {index.unique && ' UNIQUE'}
+              {index.type !== 'BTREE' && ` ${index.type}`}
+            </li>
+          ))}
+        </ul>
+      </div>
+    )}
+
+    {table.foreignKeys.length > 0 && (
+      <div>
+        <p className="font-semibold text-slate-500">Clés étrangères</p>
+        <ul className="font-mono space-y-0.5">
+          {table.foreignKeys.map(fk => (
+            <li key={fk.name || fk.columns.join(',')}>
+              ({fk.columns.join(', ')}) → {fk.referencedTable} ({fk.referencedColumns.join(', ')})
+              {fk.onDelete && ` ON DELETE ${fk.onDelete}`}
+              {fk.onUpdate && ` ON UPDATE ${fk.onUpdate}`}
+            </li>
+          ))}
+        </ul>
+      </div>
+    )}
+  </div>
+)
+
+const ObjectList = ({ title, items, describe }) => {
+  const [openName, setOpenName] = useState(null)
+  if (items.length === 0) return null
+
+  return (
+    <div>
+      <p className="text-xs font-semibold uppercase tracking-wide text-slate-400 mb-1">{title}</p>
+      <ul className="divide-y divide-slate-100 border border-slate-100 rounded-lg">
+        {items.map(item => (
+          <li key={item.name}>
+            <button
+              type="button"
+              onClick={() => setOpenName(openName === item.name ? null : item.name)}
+              className="w-full flex justify-between gap-3 px-3 py-2 text-left text-sm text-slate-700 hover:bg-slate-50"
+            >
+              <span className="font-mono text-xs break-all">{item.name}</span>
+              <span className="text-xs text-slate-400 shrink-0">{describe(item)}</span>
+            </button>
+            {openName === item.name && (
+              <pre className="bg-slate-900 text-slate-100 text-xs p-3 overflow-x-auto whitespace-pre-wrap">{item.source}</pre>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+/**
+ * Schema overview of the uploaded dump, shown before the migration starts
+ */
+const DumpOverview = ({ migrationId }) => {
+  const [analysis, setAnalysis] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+  const [expandedTable, setExpandedTable] = useState(null)
+
+  useEffect(() => {
+    if (!migrationId) return
+    let cancelled = false
+
+    const loadAnalysis = async () => {
+      setLoading(true)
+      setError('')
+      try {
+        const response = await apiFetch(`${API_BASE_URL}/migrate/${migrationId}/analysis`)
+        if (!response.ok) throw new Error(await readErrorMessage(response))
+        const data = await response.json()
+        if (!cancelled) setAnalysis(data)
+      } catch (err) {
+        if (!cancelled) setError(err.message)
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    loadAnalysis()
+    return () => { cancelled = true }
+  }, [migrationId])
+
+  if (loading) {
+    return <p className="text-sm text-slate-500">Analyse du dump en cours…</p>
+  }
+  if (error) {
+    return <p className="text-sm text-rose-700 break-words">Analyse impossible : {error}</p>
+  }
+  if (!analysis) return null
+
+  const { summary } = analysis
+  const engines = [...new Set(analysis.tables.map(table => table.engine).filter(Boolean))]
+
+  return (
+    <div className="space-y-4">
+      <div className="grid gap-3 grid-cols-2 md:grid-cols-4">
+        <SummaryCard label="Tables" value={formatCount(summary.tables)} />
+        <SummaryCard label="Lignes (approx.)" value={formatCount(summary.approximateRows)} />
+        <SummaryCard label="Clés étrangères" value={formatCount(summary.foreignKeys)} />
+        <SummaryCard label="Vues / triggers / routines" value={`${summary.views} / ${summary.triggers} / ${summary.routines}`} />
+      </div>
+
+      <div className="flex flex-wrap gap-2 text-xs">
+        {analysis.databases.map(db => (
+          <span key={db} className="px-2 py-1 rounded-full bg-indigo-50 text-indigo-700">base : {db}</span>
+        ))}
+        {engines.map(engine => (
+          <span key={engine} className="px-2 py-1 rounded-full bg-slate-100 text-slate-600">{engine}</span>
+        ))}
+        {analysis.charsets.map(({ charset, tables, columns }) => (
+          <span key={charset} className="px-2 py-1 rounded-full bg-slate-100 text-slate-600">
+            {charset} ({tables} tables{columns > 0 ? `, ${columns} colonnes` : ''})
+          </span>
+        ))}
+      </div>
+
+      {analysis.tables.length > 0 && (
+        <div className="max-h-80 overflow-y-auto border border-slate-200 rounded-2xl">
+          <table className="w-full text-sm text-left">
+            <thead className="sticky top-0 bg-white text-xs uppercase tracking-wide text-slate-400">
+              <tr>
+                <th className="px-4 py-2 font-semibold">Table</th>
+                <th className="px-4 py-2 font-semibold">Colonnes</th>
+                <th className="px-4 py-2 font-semibold">Lignes</th>
+                <th className="px-4 py-2 font-semibold">Moteur</th>
+                <th className="px-4 py-2 font-semibold">Charset</th>
+              </tr>
+            </thead>
+            <tbody>
+              {analysis.tables.map(table => [
+                <tr
+                  key={table.name}
+                  onClick={() => setExpandedTable(expandedTable === table.name ? null : table.name)}
+                  className="border-t border-slate-100 cursor-pointer hover:bg-slate-50"
+                >
+                  <td className="px-4 py-2 font-mono text-xs text-slate-900 break-all">
+                    {table.name}
+                    {table.primaryKey.length === 0 && <span className="ml-2 text-amber-600">sans PK</span>}
+                  </td>
+                  <td className="px-4 py-2 text-slate-600">{table.columns.length}</td>
+                  <td className="px-4 py-2 text-slate-600">{formatCount(table.approximateRows)}</td>
+                  <td className="px-4 py-2 text-slate-600">{table.engine || '—'}</td>
+                  <td className="px-4 py-2 text-slate-600">{table.charset || '—'}</td>
+                </tr>,
+                expandedTable === table.name && (
+                  <tr key={`${table.name}-details`}>
+                    <td colSpan={5}><TableDetails table={table} /></td>
+                  </tr>
+                )
+              ])}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <ObjectList title="Vues" items={analysis.views} describe={() => 'VIEW'} />
+      <ObjectList title="Triggers" items={analysis.triggers} describe={t => `${t.timing} ${t.event} ON ${t.table}`} />
+      <ObjectList title="Routines" items={analysis.routines} describe={r => r.type} />
+    </div>
+  )
+}
+
+export default DumpOverview
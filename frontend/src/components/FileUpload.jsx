@@ -1,9 +1,16 @@
+export const ACCEPTED_DUMP_EXTENSIONS = ['.sql', '.sql.gz', '.sql.bz2', '.sql.zst', '.zip']
+
+const isAcceptedDump = (file) => (
+  file.type === 'application/x-sql' ||
+  ACCEPTED_DUMP_EXTENSIONS.some(ext => file.name.toLowerCase().endsWith(ext))
+)
+
 const FileUpload = ({ onFileSelect }) => {
   const handleFileChange = (e) => {
     const file = e.target.files?.[0]
     if (file) {
-      if (file.type !== 'application/x-sql' && !file.name.endsWith('.sql')) {
-        alert('Please select a .sql file')
+      if (!isAcceptedDump(file)) {
+        alert(`Please select a ${ACCEPTED_DUMP_EXTENSIONS.join(', ')} file`)
         return
       }
       onFileSelect(file)
@@ -23,14 +30,14 @@ const FileUpload = ({ onFileSelect }) => {
         e.preventDefault()
         e.currentTarget.classList.remove('border-indigo-400', 'bg-indigo-50/50')
         const file = e.dataTransfer.files?.[0]
-        if (file && (file.type === 'application/x-sql' || file.name.endsWith('.sql'))) {
+        if (file && isAcceptedDump(file)) {
           handleFileChange({ target: { files: e.dataTransfer.files } })
         }
       }}
     >
       <input
         type="file"
-        accept=".sql"
+        accept={ACCEPTED_DUMP_EXTENSIONS.join(',')}
         onChange={handleFileChange}
         className="input-file"
         id="file-upload"
@@ -38,12 +45,12 @@ const FileUpload = ({ onFileSelect }) => {
       />
       <label htmlFor="file-upload" className="cursor-pointer block">
         <p className="text-slate-900 font-semibold text-xl mb-2">Déposer un dump MySQL</p>
-        <p className="text-slate-500 text-sm mb-6">Glissez-déposez votre fichier .sql ici ou cliquez pour le sélectionner.</p>
+        <p className="text-slate-500 text-sm mb-6">Glissez-déposez votre fichier .sql (ou compressé) ici ou cliquez pour le sélectionner.</p>
         <span className="inline-flex items-center justify-center px-4 py-2 text-sm font-semibold text-indigo-700 bg-indigo-50 rounded-lg group-hover:bg-white group-hover:text-indigo-800 group-hover:shadow-sm transition">
           Choisir un fichier
         </span>
         <p className="text-slate-400 text-xs mt-4">
-          Fichiers .sql uniquement • Traitement temporaire en session
+          {ACCEPTED_DUMP_EXTENSIONS.join(' • ')} • Traitement temporaire en session
         </p>
       </label>
     </div>
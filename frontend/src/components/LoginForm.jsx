@@ -0,0 +1,62 @@
+import { useState } from 'react'
+import { API_BASE_URL, readErrorMessage, setAccessToken } from '../utils/config'
+
+const inputClass = 'w-full rounded-lg border border-slate-200 bg-white px-3 py-2 text-sm text-slate-900 focus:outline-none focus:ring-2 focus:ring-indigo-500'
+const labelClass = 'block text-xs font-semibold uppercase tracking-wide text-slate-400 mb-1'
+
+/**
+ * Sign-in with a user of the backend's user list; the session token is kept
+ * for the browser tab only
+ */
+const LoginForm = ({ onSignedIn }) => {
+  const [username, setUsername] = useState('')
+  const [password, setPassword] = useState('')
+  const [signingIn, setSigningIn] = useState(false)
+  const [error, setError] = useState('')
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setSigningIn(true)
+    setError('')
+    try {
+      const response = await fetch(`${API_BASE_URL}/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: username.trim(), password })
+      })
+      if (!response.ok) throw new Error(await readErrorMessage(response))
+
+      const session = await response.json()
+      setAccessToken(session.token)
+      onSignedIn(session.user)
+    } catch (err) {
+      setError(err.message)
+      setSigningIn(false)
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-slate-50 flex items-center justify-center px-4">
+      <form onSubmit={handleSubmit} className="w-full max-w-sm bg-white rounded-3xl border border-slate-200 shadow-sm p-8 space-y-5 fade-up">
+        <div className="space-y-1">
+          <p className="text-xs font-semibold uppercase tracking-[0.2em] text-slate-400">Migration MySQL → PostgreSQL</p>
+          <h1 className="text-2xl font-semibold text-slate-900">Connexion</h1>
+        </div>
+        <div>
+          <label className={labelClass}>Utilisateur</label>
+          <input type="text" autoComplete="username" className={inputClass} value={username} onChange={(e) => setUsername(e.target.value)} />
+        </div>
+        <div>
+          <label className={labelClass}>Mot de passe</label>
+          <input type="password" autoComplete="current-password" className={inputClass} value={password} onChange={(e) => setPassword(e.target.value)} />
+        </div>
+        {error && <p className="text-sm text-rose-700 break-words">{error}</p>}
+        <button type="submit" className="btn-primary w-full" disabled={signingIn || username.trim() === '' || password === ''}>
+          {signingIn ? 'Connexion…' : 'Se connecter'}
+        </button>
+      </form>
+    </div>
+  )
+}
+
+export default LoginForm
@@ -1,26 +1,51 @@
 import { useState, useRef, useEffect } from 'react'
 import FileUpload from './FileUpload'
 import LogConsole from './LogConsole'
-import MigrationResult from './MigrationResult'
-import { API_BASE_URL, readErrorMessage } from '../utils/config'
-
-const MigrationApp = () => {
+import MigrationResult, { RowCountReport } from './MigrationResult'
+import ChecksumReport from './ChecksumReport'
+import ObjectTranslationReport from './ObjectTranslationReport'
+import TableStats from './TableStats'
+import ProgressMetrics from './ProgressMetrics'
+import AdvancedOptions, { DEFAULT_ADVANCED_OPTIONS, toPgloaderPayload, toVerificationPayload, toExportPayload, toSchemaPayload } from './AdvancedOptions'
+import TableSelection, { DEFAULT_TABLE_SELECTION, toTablesPayload } from './TableSelection'
+import TargetConnection, { DEFAULT_TARGET_CONNECTION, toTargetPayload } from './TargetConnection'
+import SourceConnection from './SourceConnection'
+import DumpOverview from './DumpOverview'
+import CompatibilityReport from './CompatibilityReport'
+import { API_BASE_URL, apiFetch, readErrorMessage, withAccessToken } from '../utils/config'
+import { uploadFileInChunks } from '../utils/chunkedUpload'
+
+const MigrationApp = ({ user, onLogout }) => {
   const [migrationId, setMigrationId] = useState(null)
   const [fileName, setFileName] = useState('')
   const [fileSize, setFileSize] = useState(0)
-  const [status, setStatus] = useState('idle') // idle, uploading, ready, running, completed, failed
+  const [sourceMode, setSourceMode] = useState('dump') // dump, live
+  const [liveSource, setLiveSource] = useState(null)
+  const [status, setStatus] = useState('idle') // idle, uploading, ready, queued, running, completed, failed, cancelled
   const [logs, setLogs] = useState([])
   const [error, setError] = useState('')
   const [progress, setProgress] = useState(0)
+  const [metrics, setMetrics] = useState(null)
   const [outputFile, setOutputFile] = useState(null)
+  const [downloadInfo, setDownloadInfo] = useState(null)
+  const [tableStats, setTableStats] = useState(null)
+  const [reconciliation, setReconciliation] = useState(null)
+  const [checksums, setChecksums] = useState(null)
+  const [objectTranslation, setObjectTranslation] = useState(null)
+  const [uploadProgress, setUploadProgress] = useState({ sentBytes: 0, totalBytes: 0, retrying: false })
+  const [queueInfo, setQueueInfo] = useState({ position: null, estimatedWaitMs: 0 })
+  const [cancelling, setCancelling] = useState(false)
+  const [advancedOptions, setAdvancedOptions] = useState(DEFAULT_ADVANCED_OPTIONS)
+  const [tableSelection, setTableSelection] = useState(DEFAULT_TABLE_SELECTION)
+  const [targetConnection, setTargetConnection] = useState(DEFAULT_TARGET_CONNECTION)
   const logContainerRef = useRef(null)
   const shouldAutoScrollRef = useRef(true)
 
   const migrationSteps = [
     { id: 'connect', label: 'Connexion en cours…', threshold: 0 },
-    { id: 'schema', label: 'Analyse du schéma…', threshold: 20 },
-    { id: 'migrate', label: 'Migration…', threshold: 45 },
-    { id: 'validate', label: 'Validation…', threshold: 85 },
+    { id: 'schema', label: 'Analyse du schéma…', threshold: 4 },
+    { id: 'migrate', label: 'Migration…', threshold: 15 },
+    { id: 'validate', label: 'Validation et export…', threshold: 80 },
     { id: 'done', label: 'Terminé', threshold: 100 }
   ]
 
@@ -62,22 +87,11 @@ const MigrationApp = () => {
     setMigrationId(null)
     setFileName(file.name)
     setFileSize(file.size)
-
-    const formData = new FormData()
-    formData.append('file', file)
+    setUploadProgress({ sentBytes: 0, totalBytes: file.size, retrying: false })
 
     try {
-      const response = await fetch(`${API_BASE_URL}/upload`, {
-        method: 'POST',
-        body: formData
-      })
-
-      if (!response.ok) {
-        const err = await response.json()
-        throw new Error(err.error || 'Échec du téléversement')
-      }
-
-      const data = await response.json()
+      // Chunked upload: resumes automatically after a network hiccup
+      const data = await uploadFileInChunks(file, { onProgress: setUploadProgress })
       setMigrationId(data.migrationId)
       setStatus('ready')
     } catch (err) {
@@ -86,6 +100,19 @@ const MigrationApp = () => {
     }
   }
 
+  /**
+   * Session opened on a live MySQL server
+   */
+  const handleSourceConnected = (data) => {
+    setError('')
+    setLogs([])
+    setMigrationId(data.migrationId)
+    setFileName(data.fileName)
+    setFileSize(0)
+    setLiveSource({ serverVersion: data.serverVersion, tables: data.tables })
+    setStatus('ready')
+  }
+
   /**
    * Start migration
    */
@@ -96,18 +123,45 @@ const MigrationApp = () => {
     setError('')
     setLogs([])
     setProgress(0)
+    setMetrics(null)
+    setTableStats(null)
+    setReconciliation(null)
+    setChecksums(null)
+    setObjectTranslation(null)
     shouldAutoScrollRef.current = true
 
     try {
-      const response = await fetch(`${API_BASE_URL}/migrate/${migrationId}`, {
-        method: 'POST'
+      const response = await apiFetch(`${API_BASE_URL}/migrate/${migrationId}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          pgloader: toPgloaderPayload(advancedOptions),
+          tables: toTablesPayload(tableSelection),
+          verification: toVerificationPayload(advancedOptions),
+          export: toExportPayload(advancedOptions),
+          schema: toSchemaPayload(advancedOptions),
+          target: toTargetPayload(targetConnection)
+        })
       })
 
+      // Invalid options: the uploaded dump is still usable, stay on the ready step
+      if (response.status === 422) {
+        setStatus('ready')
+        setError(await readErrorMessage(response))
+        return
+      }
+
       if (!response.ok) {
         const msg = await readErrorMessage(response)
         throw new Error(msg)
       }
 
+      const data = await response.json()
+      if (data.status === 'queued') {
+        setStatus('queued')
+        setQueueInfo({ position: data.queuePosition, estimatedWaitMs: data.estimatedWaitMs })
+      }
+
       // Stream logs via SSE
       streamLogs()
     } catch (err) {
@@ -116,11 +170,34 @@ const MigrationApp = () => {
     }
   }
 
+  /**
+   * Cancel a queued or running migration
+   */
+  const handleCancelMigration = async () => {
+    if (!migrationId || cancelling) return
+
+    setCancelling(true)
+    try {
+      const response = await apiFetch(`${API_BASE_URL}/migrate/${migrationId}/cancel`, {
+        method: 'POST'
+      })
+
+      if (!response.ok) {
+        const msg = await readErrorMessage(response)
+        throw new Error(msg)
+      }
+      // Final "cancelled" status arrives over SSE once Docker is cleaned up
+    } catch (err) {
+      setCancelling(false)
+      setError(`Annulation impossible : ${err.message}`)
+    }
+  }
+
   /**
    * Stream logs from backend
    */
   const streamLogs = () => {
-    const eventSource = new EventSource(`${API_BASE_URL}/migrate/${migrationId}/logs`)
+    const eventSource = new EventSource(withAccessToken(`${API_BASE_URL}/migrate/${migrationId}/logs`))
 
     eventSource.onmessage = (event) => {
       try {
@@ -133,13 +210,28 @@ const MigrationApp = () => {
             ...prev,
             { timestamp, level: data.level, message: data.message }
           ])
+        } else if (data.type === 'tableStats') {
+          setTableStats(data.data)
+        } else if (data.type === 'reconciliation') {
+          setReconciliation(data.data)
+        } else if (data.type === 'checksums') {
+          setChecksums(data.data)
+        } else if (data.type === 'objectTranslation') {
+          setObjectTranslation(data.data)
         } else if (data.type === 'status') {
           const migrationStatus = data.data.status
           setProgress(data.data.progress)
-
-          if (migrationStatus === 'completed') {
+          setMetrics(data.data.metrics || null)
+
+          if (migrationStatus === 'queued') {
+            setStatus('queued')
+            setQueueInfo({ position: data.data.queuePosition, estimatedWaitMs: data.data.estimatedWaitMs })
+          } else if (migrationStatus === 'running') {
+            setStatus('running')
+          } else if (migrationStatus === 'completed') {
             setStatus('completed')
             setOutputFile(data.data.outputFile)
+            setDownloadInfo(data.data.download || null)
             eventSource.close()
             // Small delay to ensure UI updates
             setTimeout(() => {}, 100)
@@ -147,6 +239,10 @@ const MigrationApp = () => {
             setStatus('failed')
             setError(data.data.error || 'Échec de la migration')
             eventSource.close()
+          } else if (migrationStatus === 'cancelled') {
+            setStatus('cancelled')
+            setCancelling(false)
+            eventSource.close()
           }
         }
       } catch (err) {
@@ -174,29 +270,55 @@ const MigrationApp = () => {
   }
 
   /**
-   * Handle download
+   * Format a duration in minutes (queue wait estimate)
    */
-  const handleDownload = async () => {
-    if (!migrationId || !outputFile) return
+  const formatWait = (ms) => {
+    const minutes = Math.ceil((ms || 0) / 60000)
+    if (minutes <= 1) return 'moins d’une minute'
+    return `environ ${minutes} minutes`
+  }
+
+  const uploadPercent = uploadProgress.totalBytes
+    ? Math.floor(uploadProgress.sentBytes / uploadProgress.totalBytes * 100)
+    : 0
 
+  /**
+   * Download through a plain link: the browser streams the file to disk and can
+   * resume it (Range). The link carries a short-lived ticket, not the access token.
+   */
+  const handleDownload = async (suffix = '') => {
     try {
-      const response = await fetch(`${API_BASE_URL}/download/${migrationId}`)
-      if (!response.ok) throw new Error('Téléchargement impossible')
-
-      const blob = await response.blob()
-      const url = window.URL.createObjectURL(blob)
-      const a = document.createElement('a')
-      a.href = url
-      a.download = outputFile
-      document.body.appendChild(a)
-      a.click()
-      window.URL.revokeObjectURL(url)
-      document.body.removeChild(a)
+      const response = await apiFetch(`${API_BASE_URL}/download/${migrationId}/ticket`, {
+        method: 'POST'
+      })
+
+      if (!response.ok) {
+        const msg = await readErrorMessage(response)
+        throw new Error(msg)
+      }
+
+      const { ticket } = await response.json()
+      const link = document.createElement('a')
+      link.href = `${API_BASE_URL}/download/${migrationId}${suffix}?ticket=${encodeURIComponent(ticket)}`
+      link.download = ''
+      document.body.appendChild(link)
+      link.click()
+      link.remove()
     } catch (err) {
       setError(`Téléchargement impossible : ${err.message}`)
     }
   }
 
+  /**
+   * Append a CAST rule suggested by the compatibility report to the pgloader options
+   */
+  const handleAddCastRule = (rule) => {
+    setAdvancedOptions(current => ({
+      ...current,
+      castRules: [current.castRules.trim(), rule].filter(Boolean).join('\n')
+    }))
+  }
+
   /**
    * Reset application
    */
@@ -204,11 +326,23 @@ const MigrationApp = () => {
     setMigrationId(null)
     setFileName('')
     setFileSize(0)
+    setLiveSource(null)
     setStatus('idle')
     setLogs([])
     setError('')
     setProgress(0)
+    setMetrics(null)
     setOutputFile(null)
+    setDownloadInfo(null)
+    setTableStats(null)
+    setReconciliation(null)
+    setChecksums(null)
+    setObjectTranslation(null)
+    setQueueInfo({ position: null, estimatedWaitMs: 0 })
+    setCancelling(false)
+    setAdvancedOptions(DEFAULT_ADVANCED_OPTIONS)
+    setTableSelection(DEFAULT_TABLE_SELECTION)
+    setTargetConnection(DEFAULT_TARGET_CONNECTION)
   }
 
   return (
@@ -216,6 +350,17 @@ const MigrationApp = () => {
       <div className="max-w-5xl mx-auto space-y-12">
         {/* Header */}
         <div className="text-center space-y-4 fade-up">
+          {user && (
+            <div className="flex items-center justify-end gap-3 text-sm text-slate-500">
+              <span>
+                <span className="font-mono text-slate-900">{user.username}</span>
+                {user.role === 'admin' && ' · administrateur'}
+              </span>
+              <button type="button" className="btn-secondary" onClick={onLogout}>
+                Se déconnecter
+              </button>
+            </div>
+          )}
           <p className="text-xs font-semibold uppercase tracking-[0.2em] text-slate-400">
             Migration guidée
           </p>
@@ -252,17 +397,34 @@ const MigrationApp = () => {
               <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-6 mb-6">
                 <div>
                   <p className="text-sm font-semibold text-slate-900">Étape 1</p>
-                  <h2 className="text-2xl font-semibold text-slate-900 mt-2">Importer le dump SQL</h2>
+                  <h2 className="text-2xl font-semibold text-slate-900 mt-2">
+                    {sourceMode === 'dump' ? 'Importer le dump SQL' : 'Se connecter au serveur MySQL'}
+                  </h2>
                   <p className="text-slate-500 text-sm mt-2">
-                    Fournissez un fichier MySQL .sql pour démarrer la migration.
+                    {sourceMode === 'dump'
+                      ? 'Fournissez un dump MySQL (.sql, éventuellement compressé) pour démarrer la migration.'
+                      : 'Migrez directement depuis un serveur MySQL joignable, sans produire de dump.'}
                   </p>
+                  <div className="flex gap-2 mt-4">
+                    <button type="button" className={sourceMode === 'dump' ? 'btn-primary' : 'btn-secondary'} onClick={() => setSourceMode('dump')}>
+                      Dump SQL
+                    </button>
+                    <button type="button" className={sourceMode === 'live' ? 'btn-primary' : 'btn-secondary'} onClick={() => setSourceMode('live')}>
+                      Serveur MySQL
+                    </button>
+                  </div>
                 </div>
-                <div className="md:text-right">
-                  <p className="text-xs font-semibold uppercase tracking-wide text-slate-400">Format accepté</p>
-                  <p className="text-sm text-slate-600 mt-1">.sql • UTF-8 recommandé</p>
-                </div>
+                {sourceMode === 'dump' && (
+                  <div className="md:text-right">
+                    <p className="text-xs font-semibold uppercase tracking-wide text-slate-400">Format accepté</p>
+                    <p className="text-sm text-slate-600 mt-1">.sql • .sql.gz • .sql.bz2 • .sql.zst • .zip</p>
+                    <p className="text-xs text-slate-400 mt-1">UTF-8 recommandé • plusieurs .sql d’un zip importés par ordre de nom</p>
+                  </div>
+                )}
               </div>
-              <FileUpload onFileSelect={handleFileUpload} />
+              {sourceMode === 'dump'
+                ? <FileUpload onFileSelect={handleFileUpload} />
+                : <SourceConnection onConnected={handleSourceConnected} />}
             </div>
           )}
 
@@ -279,6 +441,22 @@ const MigrationApp = () => {
                   <span className="h-4 w-4 border-2 border-indigo-500 border-t-transparent rounded-full animate-spin" />
                 </div>
               </div>
+              <div className="mt-6 space-y-2">
+                <div className="w-full bg-slate-200/70 rounded-full h-2.5 overflow-hidden">
+                  <div
+                    className="bg-gradient-to-r from-indigo-500 via-blue-500 to-teal-400 h-2.5 rounded-full transition-all duration-500"
+                    style={{ width: `${uploadPercent}%` }}
+                  />
+                </div>
+                <div className="flex justify-between text-xs text-slate-500">
+                  <span>
+                    {formatBytes(uploadProgress.sentBytes)} / {formatBytes(uploadProgress.totalBytes)}
+                  </span>
+                  <span className={uploadProgress.retrying ? 'text-amber-600 font-semibold' : 'font-mono'}>
+                    {uploadProgress.retrying ? 'Connexion interrompue, reprise automatique…' : `${uploadPercent}%`}
+                  </span>
+                </div>
+              </div>
             </div>
           )}
 
@@ -287,14 +465,34 @@ const MigrationApp = () => {
             <div className="bg-white border border-slate-200 rounded-3xl p-8 shadow-sm fade-up">
               <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-6">
                 <div className="space-y-2">
-                  <p className="text-slate-500 text-sm">Fichier prêt</p>
-                  <p className="text-slate-900 font-semibold text-lg">{fileName}</p>
-                  <p className="text-slate-400 text-sm">{formatBytes(fileSize)}</p>
+                  <p className="text-slate-500 text-sm">{liveSource ? 'Serveur MySQL connecté' : 'Fichier prêt'}</p>
+                  <p className="text-slate-900 font-semibold text-lg break-all">{fileName}</p>
+                  <p className="text-slate-400 text-sm">
+                    {liveSource ? `MySQL ${liveSource.serverVersion} • ${liveSource.tables} tables` : formatBytes(fileSize)}
+                  </p>
                 </div>
                 <div className="bg-slate-50 border border-slate-200 rounded-2xl px-4 py-3 text-sm text-slate-600">
                   Prochaine étape : démarrer la migration et suivre les logs en temps réel.
                 </div>
               </div>
+              <div className="pt-6">
+                <DumpOverview migrationId={migrationId} />
+              </div>
+              <div className="pt-6">
+                <CompatibilityReport
+                  migrationId={migrationId}
+                  castRules={advancedOptions.castRules}
+                  onAddCastRule={handleAddCastRule}
+                />
+              </div>
+              <div className="pt-6 space-y-4">
+                <TableSelection migrationId={migrationId} value={tableSelection} onChange={setTableSelection} />
+                <AdvancedOptions value={advancedOptions} onChange={setAdvancedOptions} />
+                <TargetConnection value={targetConnection} onChange={setTargetConnection} />
+              </div>
+              {error && (
+                <p className="pt-4 text-sm text-rose-700 break-words">{error}</p>
+              )}
               <div className="flex flex-col sm:flex-row gap-3 pt-6">
                 <button
                   onClick={handleStartMigration}
@@ -312,6 +510,37 @@ const MigrationApp = () => {
             </div>
           )}
 
+          {/* Step 2b: Waiting for a free migration slot */}
+          {status === 'queued' && (
+            <div className="bg-white border border-slate-200 rounded-3xl p-8 shadow-sm fade-up">
+              <div className="flex items-center justify-between gap-6">
+                <div className="space-y-2">
+                  <p className="text-slate-500 text-sm">Étape 2</p>
+                  <p className="text-slate-900 text-lg font-semibold">En file d’attente</p>
+                  <p className="text-slate-500 text-sm">
+                    D’autres migrations sont en cours. La vôtre démarrera automatiquement dès qu’un emplacement se libère.
+                  </p>
+                </div>
+                <div className="text-right flex-shrink-0">
+                  <p className="text-xs uppercase tracking-wide text-slate-400">Position</p>
+                  <p className="text-indigo-600 font-mono text-2xl font-bold">{queueInfo.position ?? '–'}</p>
+                </div>
+              </div>
+              <div className="mt-4 bg-slate-50 border border-slate-200 rounded-2xl px-4 py-3 text-sm text-slate-600">
+                Attente estimée : <span className="font-semibold text-slate-800">{formatWait(queueInfo.estimatedWaitMs)}</span>
+              </div>
+              <div className="pt-6">
+                <button
+                  onClick={handleCancelMigration}
+                  disabled={cancelling}
+                  className="btn-secondary"
+                >
+                  {cancelling ? 'Annulation…' : 'Annuler'}
+                </button>
+              </div>
+            </div>
+          )}
+
           {/* Step 3: Migration in progress */}
           {(status === 'running') && (
             <div className="space-y-4">
@@ -324,11 +553,23 @@ const MigrationApp = () => {
                       Processus éphémère : aucun stockage permanent, fichiers temporaires supprimés en fin de session.
                     </p>
                   </div>
-                  <div className="text-right">
-                    <p className="text-xs uppercase tracking-wide text-slate-400">Progression</p>
-                    <p className="text-indigo-600 font-mono text-sm font-bold">{progress}%</p>
+                  <div className="flex items-center gap-4">
+                    <div className="text-right">
+                      <p className="text-xs uppercase tracking-wide text-slate-400">Progression</p>
+                      <p className="text-indigo-600 font-mono text-sm font-bold">{progress}%</p>
+                    </div>
+                    <button
+                      onClick={handleCancelMigration}
+                      disabled={cancelling}
+                      className="btn-secondary"
+                    >
+                      {cancelling ? 'Annulation…' : 'Annuler'}
+                    </button>
                   </div>
                 </div>
+                {error && (
+                  <p className="mb-3 text-sm text-rose-700">{error}</p>
+                )}
                 <div className="w-full bg-slate-200/70 rounded-full h-2.5 overflow-hidden">
                   <div
                     className="bg-gradient-to-r from-indigo-500 via-blue-500 to-teal-400 h-2.5 rounded-full transition-all duration-500"
@@ -338,6 +579,7 @@ const MigrationApp = () => {
                 <div className="mt-3 text-sm text-slate-500">
                   Étape actuelle : <span className="font-semibold text-slate-700">{currentStepLabel}</span>
                 </div>
+                <ProgressMetrics metrics={metrics} />
                 <div className="mt-6 grid gap-3 sm:grid-cols-2 lg:grid-cols-5">
                   {migrationSteps.map((step, index) => {
                     const isComplete = activeStepIndex > -1 && index < activeStepIndex
@@ -387,13 +629,53 @@ const MigrationApp = () => {
                 onScroll={handleLogScroll}
               />
               <MigrationResult
+                migrationId={migrationId}
                 outputFile={outputFile}
-                onDownload={handleDownload}
+                target={targetConnection.enabled ? toTargetPayload(targetConnection) : null}
+                tableStats={tableStats}
+                reconciliation={reconciliation}
+                checksums={checksums}
+                objectTranslation={objectTranslation}
+                downloadInfo={downloadInfo}
+                onDownload={() => handleDownload()}
+                onDownloadChecksum={() => handleDownload('/checksum')}
                 onNewMigration={handleReset}
               />
             </div>
           )}
 
+          {/* Step 5b: Migration cancelled by the user */}
+          {status === 'cancelled' && (
+            <div className="space-y-4">
+              {logs.length > 0 && (
+                <LogConsole
+                  logs={logs}
+                  containerRef={logContainerRef}
+                  onScroll={handleLogScroll}
+                />
+              )}
+              <div className="bg-amber-50/80 border border-amber-200/80 rounded-3xl p-6 shadow-sm fade-up">
+                <div className="flex flex-col sm:flex-row sm:items-start gap-4">
+                  <div className="h-10 w-10 rounded-full bg-white border border-amber-200 flex items-center justify-center shadow-sm">
+                    <div className="h-2.5 w-2.5 rounded-full bg-amber-500" />
+                  </div>
+                  <div className="flex-1">
+                    <h3 className="text-amber-900 font-semibold mb-2">Migration annulée</h3>
+                    <p className="text-amber-800/90 text-sm mb-4">
+                      Les processus en cours ont été arrêtés et les conteneurs Docker supprimés.
+                    </p>
+                    <button
+                      onClick={handleReset}
+                      className="btn-primary"
+                    >
+                      Nouvelle migration
+                    </button>
+                  </div>
+                </div>
+              </div>
+            </div>
+          )}
+
           {/* Step 5: Migration failed */}
           {status === 'failed' && (
             <div className="space-y-4">
@@ -412,6 +694,14 @@ const MigrationApp = () => {
                   <div className="flex-1">
                     <h3 className="text-rose-900 font-semibold mb-2">Migration interrompue</h3>
                     <p className="text-rose-800/90 text-sm mb-4">{error}</p>
+                    {(tableStats || reconciliation || checksums || objectTranslation) && (
+                      <div className="mb-4 space-y-4">
+                        <TableStats stats={tableStats} />
+                        <RowCountReport report={reconciliation} />
+                        <ChecksumReport report={checksums} />
+                        <ObjectTranslationReport report={objectTranslation} />
+                      </div>
+                    )}
                     <button
                       onClick={handleReset}
                       className="btn-primary"
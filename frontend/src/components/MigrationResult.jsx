@@ -1,4 +1,194 @@
-const MigrationResult = ({ outputFile, onDownload, onNewMigration }) => {
+import { useState, useEffect, useCallback } from 'react'
+import ChecksumReport from './ChecksumReport'
+import ObjectTranslationReport from './ObjectTranslationReport'
+import TableStats from './TableStats'
+import { API_BASE_URL, apiFetch, readErrorMessage } from '../utils/config'
+
+const formatCount = (value) => (value === null || value === undefined ? '—' : Number(value).toLocaleString('fr-FR'))
+
+const RECONCILIATION_STATUS = {
+  passed: { label: 'Nombre de lignes identique', style: 'text-emerald-700' },
+  warning: { label: 'Écarts de lignes (tolérés)', style: 'text-amber-700' },
+  failed: { label: 'Écarts de lignes hors tolérance', style: 'text-rose-700' }
+}
+
+/**
+ * Per-table row counts MySQL vs PostgreSQL; mismatches are listed first
+ */
+export const RowCountReport = ({ report }) => {
+  if (!report) return null
+
+  const status = RECONCILIATION_STATUS[report.status] || RECONCILIATION_STATUS.passed
+  const rows = [...report.tables].sort((a, b) => Number(a.withinTolerance) - Number(b.withinTolerance))
+
+  return (
+    <div className="bg-white rounded-xl p-4 border border-slate-200 shadow-sm space-y-3">
+      <div className="flex flex-wrap items-baseline justify-between gap-2">
+        <p className="text-slate-500 text-xs font-semibold uppercase tracking-wide">Réconciliation des lignes</p>
+        <p className={`text-sm font-semibold ${status.style}`}>
+          {status.label} — {report.totals.mismatches} / {report.totals.tables} tables
+          {report.tolerance > 0 && <span className="font-normal text-slate-400"> (tolérance {report.tolerance * 100} %)</span>}
+        </p>
+      </div>
+      <div className="max-h-64 overflow-y-auto">
+        <table className="w-full text-sm text-left">
+          <thead className="sticky top-0 bg-white text-xs uppercase tracking-wide text-slate-400">
+            <tr>
+              <th className="py-1 pr-3 font-semibold">Table</th>
+              <th className="py-1 pr-3 font-semibold text-right">MySQL</th>
+              <th className="py-1 pr-3 font-semibold text-right">PostgreSQL</th>
+              <th className="py-1 font-semibold text-right">Écart</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={row.table} className={`border-t border-slate-100 ${row.withinTolerance ? '' : 'bg-rose-50'}`}>
+                <td className="py-1 pr-3 font-mono text-xs text-slate-900 break-all">{row.table}</td>
+                <td className="py-1 pr-3 text-right text-slate-600">{formatCount(row.sourceRows)}</td>
+                <td className="py-1 pr-3 text-right text-slate-600">
+                  {row.targetRows === null ? <span className="text-rose-700">absente</span> : formatCount(row.targetRows)}
+                </td>
+                <td className={`py-1 text-right ${row.delta === 0 ? 'text-slate-400' : 'text-rose-700 font-semibold'}`}>
+                  {row.delta > 0 ? `+${formatCount(row.delta)}` : formatCount(row.delta)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
+
+const formatExpiry = (value) => new Date(value).toLocaleString('fr-FR', { dateStyle: 'short', timeStyle: 'short' })
+
+const inputClass = 'w-full rounded-lg border border-slate-200 bg-white px-3 py-2 text-sm text-slate-900 focus:outline-none focus:ring-2 focus:ring-indigo-500'
+const labelClass = 'block text-xs font-semibold uppercase tracking-wide text-slate-400 mb-1'
+
+// Validity of a new share link (capped by the backend at the dump's own expiry)
+const SHARE_DURATIONS = [
+  { value: String(60 * 60 * 1000), label: '1 heure' },
+  { value: String(24 * 60 * 60 * 1000), label: '24 heures' },
+  { value: String(7 * 24 * 60 * 60 * 1000), label: '7 jours' }
+]
+
+const shareLinkState = (link) => {
+  if (link.revokedAt) return 'révoqué'
+  if (!link.active) return new Date(link.expiresAt) <= new Date() ? 'expiré' : 'épuisé'
+  return null
+}
+
+/**
+ * Signed download links for people without an account: copied to the
+ * clipboard when created, revocable until they expire
+ */
+const ShareLinks = ({ migrationId }) => {
+  const [links, setLinks] = useState([])
+  const [expiresInMs, setExpiresInMs] = useState(SHARE_DURATIONS[1].value)
+  const [maxUses, setMaxUses] = useState('')
+  const [creating, setCreating] = useState(false)
+  const [copied, setCopied] = useState(false)
+  // Shown for manual copy when the clipboard is not available
+  const [lastUrl, setLastUrl] = useState('')
+  const [error, setError] = useState('')
+  const shareUrl = `${API_BASE_URL}/download/${migrationId}/share`
+
+  const loadLinks = useCallback(async () => {
+    const response = await apiFetch(shareUrl)
+    if (response.ok) setLinks((await response.json()).links)
+  }, [shareUrl])
+
+  useEffect(() => {
+    loadLinks().catch(() => {})
+  }, [loadLinks])
+
+  const handleCopyLink = async () => {
+    setCreating(true)
+    setCopied(false)
+    setLastUrl('')
+    setError('')
+    try {
+      const response = await apiFetch(shareUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ expiresInMs: Number(expiresInMs), maxUses: maxUses === '' ? null : Number(maxUses) })
+      })
+      if (!response.ok) throw new Error(await readErrorMessage(response))
+
+      const link = await response.json()
+      try {
+        await navigator.clipboard.writeText(link.url)
+        setCopied(true)
+      } catch {
+        setLastUrl(link.url)
+      }
+      await loadLinks()
+    } catch (err) {
+      setError(`Création du lien impossible : ${err.message}`)
+    } finally {
+      setCreating(false)
+    }
+  }
+
+  const handleRevoke = async (linkId) => {
+    setError('')
+    try {
+      const response = await apiFetch(`${shareUrl}/${linkId}`, { method: 'DELETE' })
+      if (!response.ok) throw new Error(await readErrorMessage(response))
+      await loadLinks()
+    } catch (err) {
+      setError(`Révocation impossible : ${err.message}`)
+    }
+  }
+
+  return (
+    <div className="bg-white rounded-xl p-4 border border-emerald-100 shadow-sm space-y-3">
+      <p className="text-slate-500 text-xs font-semibold uppercase tracking-wide">Lien de partage</p>
+      <div className="grid gap-3 sm:grid-cols-[1fr_1fr_auto] sm:items-end">
+        <div>
+          <label className={labelClass}>Validité</label>
+          <select className={inputClass} value={expiresInMs} onChange={(e) => setExpiresInMs(e.target.value)}>
+            {SHARE_DURATIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className={labelClass}>Utilisations max.</label>
+          <input type="number" min="1" placeholder="illimité" className={inputClass} value={maxUses} onChange={(e) => setMaxUses(e.target.value)} />
+        </div>
+        <button onClick={handleCopyLink} className="btn-secondary" disabled={creating}>
+          {creating ? 'Création…' : 'Copier le lien de partage'}
+        </button>
+      </div>
+      {copied && <p className="text-sm text-emerald-700">Lien copié dans le presse-papiers.</p>}
+      {lastUrl && (
+        <input type="text" readOnly className={`${inputClass} font-mono text-xs`} value={lastUrl} onFocus={(e) => e.target.select()} />
+      )}
+      {error && <p className="text-sm text-rose-700 break-words">{error}</p>}
+      {links.length > 0 && (
+        <ul className="divide-y divide-slate-100 text-sm">
+          {links.map((link) => {
+            const state = shareLinkState(link)
+            return (
+              <li key={link.id} className={`flex flex-wrap items-center justify-between gap-2 py-2 ${state ? 'text-slate-400' : 'text-slate-700'}`}>
+                <span>
+                  Expire le {formatExpiry(link.expiresAt)} — {link.uses}{link.maxUses ? ` / ${link.maxUses}` : ''} téléchargement(s)
+                  {state && ` — ${state}`}
+                </span>
+                {!state && (
+                  <button onClick={() => handleRevoke(link.id)} className="text-xs font-semibold text-rose-700 hover:text-rose-800">
+                    Révoquer
+                  </button>
+                )}
+              </li>
+            )
+          })}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+const MigrationResult = ({ migrationId, outputFile, target, tableStats, reconciliation, checksums, objectTranslation, downloadInfo, onDownload, onDownloadChecksum, onNewMigration }) => {
   return (
     <div className="bg-emerald-50/80 border border-emerald-200/80 rounded-2xl p-8 shadow-sm fade-up">
       <div className="flex items-start gap-6">
@@ -11,22 +201,52 @@ const MigrationResult = ({ outputFile, onDownload, onNewMigration }) => {
               Migration terminée
             </h3>
             <p className="text-emerald-800/90 text-sm">
-              Votre dump PostgreSQL est prêt. Téléchargez-le avant expiration de la session.
+              {target
+                ? 'Les données ont été chargées et vérifiées directement dans votre serveur PostgreSQL.'
+                : 'Votre dump PostgreSQL est prêt. Téléchargez-le avant expiration de la session.'}
             </p>
           </div>
+          {target && (
+            <div className="bg-white rounded-xl p-4 border border-emerald-100 shadow-sm">
+              <p className="text-slate-500 text-xs mb-2 font-semibold uppercase tracking-wide">Serveur cible</p>
+              <p className="text-slate-900 font-mono text-sm break-all">{target.user}@{target.host}:{target.port ?? 5432}/{target.database}</p>
+            </div>
+          )}
           {outputFile && (
             <div className="bg-white rounded-xl p-4 border border-emerald-100 shadow-sm">
               <p className="text-slate-500 text-xs mb-2 font-semibold uppercase tracking-wide">Fichier généré</p>
               <p className="text-slate-900 font-mono text-sm break-all">{outputFile}</p>
+              {downloadInfo?.checksum && (
+                <p className="mt-2 text-xs text-slate-500 break-all">
+                  SHA-256 : <span className="font-mono text-slate-700">{downloadInfo.checksum}</span>
+                </p>
+              )}
+              {downloadInfo && (
+                <p className="mt-1 text-xs text-slate-500">
+                  {downloadInfo.maxCount
+                    ? `Téléchargements : ${downloadInfo.count} / ${downloadInfo.maxCount}`
+                    : `Téléchargements : ${downloadInfo.count}`}
+                  {downloadInfo.expiresAt && ` — disponible jusqu’au ${formatExpiry(downloadInfo.expiresAt)}`}
+                </p>
+              )}
             </div>
           )}
+          {outputFile && <ShareLinks migrationId={migrationId} />}
+          <TableStats stats={tableStats} />
+          <RowCountReport report={reconciliation} />
+          <ChecksumReport report={checksums} />
+          <ObjectTranslationReport report={objectTranslation} />
           <div className="flex gap-3 flex-wrap">
-            <button
-              onClick={onDownload}
-              className="btn-primary"
-            >
-              Télécharger le dump
-            </button>
+            {outputFile && (
+              <button onClick={onDownload} className="btn-primary">
+                Télécharger le dump
+              </button>
+            )}
+            {outputFile && downloadInfo?.checksum && (
+              <button onClick={onDownloadChecksum} className="btn-secondary">
+                Somme de contrôle (.sha256)
+              </button>
+            )}
             <button
               onClick={onNewMigration}
               className="btn-secondary"
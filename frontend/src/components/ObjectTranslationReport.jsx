@@ -0,0 +1,77 @@
+import { useState } from 'react'
+
+const TYPE_LABELS = {
+  view: 'Vue',
+  trigger: 'Trigger',
+  procedure: 'Procédure',
+  function: 'Fonction'
+}
+
+const objectKey = (object) => `${object.type}:${object.name}`
+
+/**
+ * Views, triggers and routines recreated in PostgreSQL; untranslatable ones are
+ * listed first with the reason and their original MySQL source
+ */
+const ObjectTranslationReport = ({ report }) => {
+  const [expanded, setExpanded] = useState(null)
+
+  if (!report || report.totals.objects === 0) return null
+
+  const objects = [...report.objects].sort((a, b) => Number(a.status === 'applied') - Number(b.status === 'applied'))
+
+  return (
+    <div className="bg-white rounded-xl p-4 border border-slate-200 shadow-sm space-y-3">
+      <div className="flex flex-wrap items-baseline justify-between gap-2">
+        <p className="text-slate-500 text-xs font-semibold uppercase tracking-wide">Vues, triggers et routines</p>
+        <p className={`text-sm font-semibold ${report.status === 'passed' ? 'text-emerald-700' : 'text-amber-700'}`}>
+          {report.totals.applied} / {report.totals.objects} traduits
+          {report.totals.untranslatable > 0 && <> — {report.totals.untranslatable} à reprendre manuellement</>}
+        </p>
+      </div>
+      <ul className="max-h-80 overflow-y-auto divide-y divide-slate-100 border border-slate-100 rounded-lg text-sm">
+        {objects.map(object => (
+          <li key={objectKey(object)}>
+            <button
+              type="button"
+              disabled={object.status === 'applied'}
+              onClick={() => setExpanded(expanded === objectKey(object) ? null : objectKey(object))}
+              className="w-full flex items-center justify-between gap-3 px-3 py-2 text-left"
+            >
+              <span className="text-xs text-slate-900 break-all">
+                <span className="text-slate-400">{TYPE_LABELS[object.type] || object.type}</span>{' '}
+                <span className="font-mono">{object.name}</span>
+              </span>
+              {object.status === 'applied'
+                ? <span className="text-xs text-emerald-700">créé</span>
+                : (
+                  <span className="text-xs font-semibold text-amber-700">
+                    non traduit {expanded === objectKey(object) ? '−' : '+'}
+                  </span>
+                )}
+            </button>
+            {expanded === objectKey(object) && (
+              <div className="px-3 pb-3 space-y-2 text-xs">
+                <p className="text-amber-800 break-words">{object.error}</p>
+                <p className="text-slate-500">Source MySQL :</p>
+                <pre className="bg-slate-50 border border-slate-100 rounded-lg p-2 font-mono text-[11px] text-slate-700 whitespace-pre-wrap break-all max-h-60 overflow-y-auto">
+                  {object.source}
+                </pre>
+                {object.sql && (
+                  <>
+                    <p className="text-slate-500">Traduction rejetée par PostgreSQL :</p>
+                    <pre className="bg-slate-50 border border-slate-100 rounded-lg p-2 font-mono text-[11px] text-slate-700 whitespace-pre-wrap break-all max-h-60 overflow-y-auto">
+                      {object.sql}
+                    </pre>
+                  </>
+                )}
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+export default ObjectTranslationReport
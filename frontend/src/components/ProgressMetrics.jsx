@@ -0,0 +1,64 @@
+const formatCount = (value) => Math.round(value).toLocaleString('fr-FR')
+
+const formatBytes = (bytes) => {
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} Ko`
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} Mo`
+  return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} Go`
+}
+
+const formatEta = (ms) => {
+  const seconds = Math.round(ms / 1000)
+  if (seconds < 60) return `${seconds} s`
+  const minutes = Math.floor(seconds / 60)
+  if (minutes < 60) return `${minutes} min ${String(seconds % 60).padStart(2, '0')} s`
+  return `${Math.floor(minutes / 60)} h ${String(minutes % 60).padStart(2, '0')} min`
+}
+
+const Metric = ({ label, value }) => (
+  <div className="rounded-xl bg-slate-50 border border-slate-100 px-3 py-2">
+    <p className="text-[11px] uppercase tracking-wide text-slate-400">{label}</p>
+    <p className="text-sm font-semibold text-slate-800 font-mono">{value}</p>
+  </div>
+)
+
+/**
+ * Measured progress of the running step (pgloader load or pg_dump export):
+ * work done, throughput and estimated time remaining
+ */
+const ProgressMetrics = ({ metrics }) => {
+  if (!metrics) return null
+
+  const items = metrics.stage === 'load'
+    ? [
+        { label: 'Tables chargées', value: `${metrics.tablesCompleted} / ${metrics.tablesTotal}` },
+        {
+          label: 'Lignes copiées',
+          value: metrics.rowsExpected > 0
+            ? `${formatCount(metrics.rowsCopied)} / ${formatCount(metrics.rowsExpected)}`
+            : formatCount(metrics.rowsCopied)
+        },
+        { label: 'Débit', value: metrics.rowsPerSecond === null ? '—' : `${formatCount(metrics.rowsPerSecond)} lignes/s` },
+        { label: 'Écriture', value: metrics.bytesPerSecond === null ? '—' : `${formatBytes(metrics.bytesPerSecond)}/s` }
+      ]
+    : [
+        {
+          label: 'Dump écrit',
+          value: metrics.bytesExpected
+            ? `${formatBytes(metrics.bytesWritten)} / ~${formatBytes(metrics.bytesExpected)}`
+            : formatBytes(metrics.bytesWritten)
+        },
+        { label: 'Débit', value: metrics.bytesPerSecond === null ? '—' : `${formatBytes(metrics.bytesPerSecond)}/s` }
+      ]
+
+  return (
+    <div className="mt-4 grid gap-3 grid-cols-2 lg:grid-cols-5">
+      {items.map(item => <Metric key={item.label} {...item} />)}
+      <Metric
+        label={metrics.stage === 'load' ? 'Fin du chargement' : "Fin de l'export"}
+        value={metrics.etaMs === null ? 'estimation…' : `~ ${formatEta(metrics.etaMs)}`}
+      />
+    </div>
+  )
+}
+
+export default ProgressMetrics
@@ -0,0 +1,74 @@
+import { useState } from 'react'
+import { API_BASE_URL, apiFetch, readErrorMessage } from '../utils/config'
+import ConnectionFields from './ConnectionFields'
+
+const DEFAULT_SOURCE_CONNECTION = {
+  host: '',
+  port: '3306',
+  database: '',
+  user: '',
+  password: '',
+  sslMode: 'prefer'
+}
+
+/**
+ * Live MySQL server as source: the connection is tested when the session is opened
+ */
+const SourceConnection = ({ onConnected }) => {
+  const [value, setValue] = useState(DEFAULT_SOURCE_CONNECTION)
+  const [connecting, setConnecting] = useState(false)
+  const [error, setError] = useState('')
+
+  const update = (field) => (e) => {
+    setError('')
+    setValue(current => ({ ...current, [field]: e.target.value }))
+  }
+
+  const handleConnect = async () => {
+    setConnecting(true)
+    setError('')
+    try {
+      const response = await apiFetch(`${API_BASE_URL}/sources/mysql`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          host: value.host.trim(),
+          port: value.port === '' ? undefined : Number(value.port),
+          database: value.database.trim(),
+          user: value.user.trim(),
+          password: value.password,
+          sslMode: value.sslMode
+        })
+      })
+      if (!response.ok) throw new Error(await readErrorMessage(response))
+      onConnected(await response.json())
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setConnecting(false)
+    }
+  }
+
+  return (
+    <div className="space-y-4">
+      <p className="text-xs text-slate-500">
+        pgloader lit directement ce serveur : aucun dump n’est importé. Le serveur doit être joignable depuis les
+        conteneurs de migration (<span className="font-mono">host.docker.internal</span> pour la machine hôte).
+      </p>
+      <ConnectionFields
+        value={value}
+        onFieldChange={update}
+        sslModes={['disable', 'prefer', 'require']}
+        hostPlaceholder="mysql.prod.local"
+      />
+      <div className="flex flex-wrap items-center gap-3">
+        <button type="button" className="btn-primary" onClick={handleConnect} disabled={connecting}>
+          {connecting ? 'Connexion…' : 'Se connecter'}
+        </button>
+        {error && <p className="text-sm text-rose-700 break-words">{error}</p>}
+      </div>
+    </div>
+  )
+}
+
+export default SourceConnection
@@ -0,0 +1,179 @@
+import { useEffect, useState } from 'react'
+import { API_BASE_URL, apiFetch, readErrorMessage } from '../utils/config'
+
+// `available` stays null until the table list has been fetched
+export const DEFAULT_TABLE_SELECTION = {
+  available: null,
+  unchecked: [],
+  includePatterns: '',
+  excludePatterns: ''
+}
+
+const splitLines = (text) => text.split('\n').map(line => line.trim()).filter(Boolean)
+
+/**
+ * Convert the selection into the `tables` object expected by POST /api/migrate/:id.
+ * Unchecked tables are always excluded; checked tables are listed explicitly when
+ * that is shorter, or when include patterns would otherwise leave them out.
+ */
+export const toTablesPayload = (selection) => {
+  const available = selection.available || []
+  const checked = available.filter(name => !selection.unchecked.includes(name))
+  const includePatterns = splitLines(selection.includePatterns)
+
+  return {
+    include: includePatterns.length > 0 || checked.length < selection.unchecked.length ? checked : [],
+    exclude: selection.unchecked,
+    includePatterns,
+    excludePatterns: splitLines(selection.excludePatterns)
+  }
+}
+
+const inputClass = 'w-full rounded-lg border border-slate-200 bg-white px-3 py-2 text-sm text-slate-900 focus:outline-none focus:ring-2 focus:ring-indigo-500'
+const labelClass = 'block text-xs font-semibold uppercase tracking-wide text-slate-400 mb-1'
+
+const TableSelection = ({ migrationId, value, onChange }) => {
+  const [open, setOpen] = useState(false)
+  const [loading, setLoading] = useState(false)
+  const [loadError, setLoadError] = useState('')
+  const [filter, setFilter] = useState('')
+
+  useEffect(() => {
+    if (!migrationId || value.available) return
+    let cancelled = false
+
+    const loadTables = async () => {
+      setLoading(true)
+      setLoadError('')
+      try {
+        const response = await apiFetch(`${API_BASE_URL}/migrate/${migrationId}/tables`)
+        if (!response.ok) throw new Error(await readErrorMessage(response))
+        const data = await response.json()
+        if (!cancelled) onChange(current => ({ ...current, available: data.tables }))
+      } catch (err) {
+        if (!cancelled) setLoadError(err.message)
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    loadTables()
+    return () => { cancelled = true }
+  }, [migrationId, value.available])
+
+  const available = value.available || []
+  const visible = available.filter(name => name.toLowerCase().includes(filter.toLowerCase()))
+  const checkedCount = available.length - value.unchecked.length
+
+  const toggle = (name) => onChange({
+    ...value,
+    unchecked: value.unchecked.includes(name)
+      ? value.unchecked.filter(n => n !== name)
+      : [...value.unchecked, name]
+  })
+
+  const setVisibleChecked = (checked) => onChange({
+    ...value,
+    unchecked: checked
+      ? value.unchecked.filter(name => !visible.includes(name))
+      : [...new Set([...value.unchecked, ...visible])]
+  })
+
+  const update = (field) => (e) => onChange({ ...value, [field]: e.target.value })
+
+  return (
+    <div className="border border-slate-200 rounded-2xl">
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        className="w-full flex items-center justify-between px-4 py-3 text-sm font-semibold text-slate-700"
+      >
+        <span>
+          Tables à migrer
+          {value.available && (
+            <span className="ml-2 font-normal text-slate-400">{checkedCount} / {available.length}</span>
+          )}
+        </span>
+        <span className="text-slate-400">{open ? '−' : '+'}</span>
+      </button>
+
+      {open && (
+        <div className="border-t border-slate-200 p-4 space-y-4">
+          {loading && <p className="text-sm text-slate-500">Lecture des tables du dump…</p>}
+          {loadError && <p className="text-sm text-rose-700 break-words">{loadError}</p>}
+
+          {value.available && (
+            <div className="space-y-3">
+              <div className="flex flex-col sm:flex-row gap-3">
+                <input
+                  type="text"
+                  className={inputClass}
+                  placeholder="Filtrer les tables…"
+                  value={filter}
+                  onChange={(e) => setFilter(e.target.value)}
+                />
+                <div className="flex gap-2 shrink-0">
+                  <button type="button" className="btn-secondary" onClick={() => setVisibleChecked(true)}>
+                    Tout cocher
+                  </button>
+                  <button type="button" className="btn-secondary" onClick={() => setVisibleChecked(false)}>
+                    Tout décocher
+                  </button>
+                </div>
+              </div>
+
+              {available.length === 0 ? (
+                <p className="text-sm text-slate-500">Aucune instruction CREATE TABLE trouvée dans le dump.</p>
+              ) : (
+                <div className="max-h-64 overflow-y-auto rounded-lg border border-slate-100 divide-y divide-slate-100">
+                  {visible.map(name => (
+                    <label key={name} className="flex items-center gap-3 px-3 py-2 text-sm text-slate-700 cursor-pointer hover:bg-slate-50">
+                      <input
+                        type="checkbox"
+                        checked={!value.unchecked.includes(name)}
+                        onChange={() => toggle(name)}
+                      />
+                      <span className="font-mono text-xs break-all">{name}</span>
+                    </label>
+                  ))}
+                </div>
+              )}
+
+              {available.length > 0 && checkedCount === 0 && !value.includePatterns.trim() && (
+                <p className="text-xs text-amber-700">Aucune table sélectionnée : rien ne sera migré.</p>
+              )}
+            </div>
+          )}
+
+          <div className="grid gap-4 sm:grid-cols-2">
+            <div>
+              <label className={labelClass}>Inclure aussi (regex, une par ligne)</label>
+              <textarea
+                rows={3}
+                className={`${inputClass} font-mono text-xs`}
+                placeholder="^orders_"
+                value={value.includePatterns}
+                onChange={update('includePatterns')}
+              />
+            </div>
+            <div>
+              <label className={labelClass}>Exclure (regex, une par ligne)</label>
+              <textarea
+                rows={3}
+                className={`${inputClass} font-mono text-xs`}
+                placeholder="_(audit|log)$"
+                value={value.excludePatterns}
+                onChange={update('excludePatterns')}
+              />
+            </div>
+          </div>
+          <p className="text-xs text-slate-400">
+            Avec des motifs d’inclusion, seules les tables cochées et celles correspondant aux motifs sont migrées.
+          </p>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default TableSelection
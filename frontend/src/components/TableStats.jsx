@@ -0,0 +1,132 @@
+import { useState } from 'react'
+
+const COLUMNS = [
+  { id: 'name', label: 'Table', numeric: false },
+  { id: 'errors', label: 'Erreurs', numeric: true },
+  { id: 'read', label: 'Lues', numeric: true },
+  { id: 'imported', label: 'Importées', numeric: true },
+  { id: 'bytes', label: 'Taille', numeric: true },
+  { id: 'durationMs', label: 'Durée', numeric: true }
+]
+
+const PHASES = [
+  { id: 'beforeLoad', label: 'Préparation (schéma)' },
+  { id: 'load', label: 'Chargement des données' },
+  { id: 'afterLoad', label: 'Index, clés et séquences' }
+]
+
+const formatCount = (value) => (value === null ? '—' : value.toLocaleString('fr-FR'))
+
+const formatBytes = (bytes) => {
+  if (bytes === null) return '—'
+  if (bytes < 1024) return `${bytes} o`
+  const units = ['Ko', 'Mo', 'Go', 'To']
+  let value = bytes / 1024
+  let unit = 0
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024
+    unit += 1
+  }
+  return `${value.toFixed(1)} ${units[unit]}`
+}
+
+const formatDuration = (ms) => {
+  if (ms === null) return '—'
+  if (ms < 60000) return `${(ms / 1000).toFixed(2)} s`
+  return `${Math.floor(ms / 60000)} min ${Math.round((ms % 60000) / 1000)} s`
+}
+
+const formatCell = (column, value) => {
+  if (column === 'name') return value
+  if (column === 'bytes') return formatBytes(value)
+  if (column === 'durationMs') return formatDuration(value)
+  return formatCount(value)
+}
+
+const compareRows = (column, direction) => (a, b) => {
+  const x = a[column]
+  const y = b[column]
+  if (x === y) return 0
+  if (x === null) return 1
+  if (y === null) return -1
+  const order = typeof x === 'string' ? x.localeCompare(y) : x - y
+  return direction === 'asc' ? order : -order
+}
+
+/**
+ * pgloader summary: per-table statistics (sortable) and per-phase totals
+ */
+const TableStats = ({ stats }) => {
+  const [sort, setSort] = useState({ column: 'errors', direction: 'desc' })
+
+  if (!stats) return null
+
+  const rows = [...stats.tables].sort(compareRows(sort.column, sort.direction))
+  const tablesWithErrors = stats.tables.filter(table => table.errors > 0).length
+
+  const toggleSort = (column) => setSort(current => ({
+    column,
+    direction: current.column === column && current.direction === 'desc' ? 'asc' : 'desc'
+  }))
+
+  return (
+    <div className="bg-white rounded-xl p-4 border border-slate-200 shadow-sm space-y-3">
+      <div className="flex flex-wrap items-baseline justify-between gap-2">
+        <p className="text-slate-500 text-xs font-semibold uppercase tracking-wide">Statistiques pgloader</p>
+        <p className={`text-sm font-semibold ${tablesWithErrors > 0 ? 'text-rose-700' : 'text-emerald-700'}`}>
+          {tablesWithErrors > 0
+            ? `${tablesWithErrors} table(s) en erreur`
+            : `${stats.tables.length} tables sans erreur`}
+          <span className="font-normal text-slate-400"> — {formatCount(stats.totals.imported)} lignes en {formatDuration(stats.totals.durationMs)}</span>
+        </p>
+      </div>
+
+      <div className="max-h-72 overflow-y-auto">
+        <table className="w-full text-sm text-left">
+          <thead className="sticky top-0 bg-white text-xs uppercase tracking-wide text-slate-400">
+            <tr>
+              {COLUMNS.map(column => (
+                <th key={column.id} className={`py-1 pr-3 font-semibold ${column.numeric ? 'text-right' : ''}`}>
+                  <button type="button" onClick={() => toggleSort(column.id)} className="uppercase tracking-wide hover:text-slate-700">
+                    {column.label}
+                    {sort.column === column.id && (sort.direction === 'asc' ? ' ▲' : ' ▼')}
+                  </button>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={row.name} className={`border-t border-slate-100 ${row.errors > 0 ? 'bg-rose-50 text-rose-700' : 'text-slate-600'}`}>
+                {COLUMNS.map(column => (
+                  <td
+                    key={column.id}
+                    className={`py-1 pr-3 ${column.numeric ? 'text-right' : 'font-mono text-xs text-slate-900 break-all'} ${column.id === 'errors' && row.errors > 0 ? 'font-semibold' : ''}`}
+                  >
+                    {formatCell(column.id, row[column.id])}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="grid gap-2 sm:grid-cols-3 text-xs">
+        {PHASES.map(phase => {
+          const totals = stats.phases[phase.id].totals
+          return (
+            <div key={phase.id} className="rounded-lg bg-slate-50 border border-slate-100 px-3 py-2">
+              <p className="font-semibold text-slate-700">{phase.label}</p>
+              <p className={totals.errors > 0 ? 'text-rose-700' : 'text-slate-500'}>
+                {totals.errors} erreur(s) · {formatDuration(totals.durationMs)}
+              </p>
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
+
+export default TableStats
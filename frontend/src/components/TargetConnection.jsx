@@ -0,0 +1,127 @@
+import { useState } from 'react'
+import { API_BASE_URL, apiFetch, readErrorMessage } from '../utils/config'
+import ConnectionFields from './ConnectionFields'
+
+export const DEFAULT_TARGET_CONNECTION = {
+  enabled: false,
+  host: '',
+  port: '5432',
+  database: '',
+  user: '',
+  password: '',
+  sslMode: 'prefer',
+  includeDrop: false
+}
+
+/**
+ * Convert the form state into the `target` object of POST /api/migrate/:id
+ * (undefined: dump exported from the ephemeral PostgreSQL container)
+ */
+export const toTargetPayload = (form) => {
+  if (!form.enabled) return undefined
+  return {
+    host: form.host.trim(),
+    port: form.port === '' ? undefined : Number(form.port),
+    database: form.database.trim(),
+    user: form.user.trim(),
+    password: form.password,
+    sslMode: form.sslMode,
+    includeDrop: form.includeDrop
+  }
+}
+
+/**
+ * Optional external PostgreSQL server loaded directly by pgloader, with a connection test
+ */
+const TargetConnection = ({ value, onChange }) => {
+  const [testing, setTesting] = useState(false)
+  const [testResult, setTestResult] = useState(null)
+
+  const update = (field) => (e) => {
+    setTestResult(null)
+    onChange({ ...value, [field]: e.target.value })
+  }
+
+  const handleTest = async () => {
+    setTesting(true)
+    setTestResult(null)
+    try {
+      const response = await apiFetch(`${API_BASE_URL}/target/test`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(toTargetPayload(value))
+      })
+      if (!response.ok) throw new Error(await readErrorMessage(response))
+      setTestResult({ ok: true, ...(await response.json()) })
+    } catch (err) {
+      setTestResult({ ok: false, error: err.message })
+    } finally {
+      setTesting(false)
+    }
+  }
+
+  return (
+    <div className="border border-slate-200 rounded-2xl">
+      <label className="w-full flex items-center justify-between px-4 py-3 text-sm font-semibold text-slate-700 cursor-pointer">
+        <span>Charger directement dans un serveur PostgreSQL existant</span>
+        <input
+          type="checkbox"
+          checked={value.enabled}
+          onChange={(e) => {
+            setTestResult(null)
+            onChange({ ...value, enabled: e.target.checked })
+          }}
+        />
+      </label>
+
+      {value.enabled && (
+        <div className="border-t border-slate-200 p-4 space-y-4">
+          <p className="text-xs text-slate-500">
+            pgloader écrit dans ce serveur à la place du conteneur temporaire : aucun dump n’est produit.
+            Le serveur doit être joignable depuis les conteneurs de migration (<span className="font-mono">host.docker.internal</span> pour la machine hôte).
+          </p>
+          <ConnectionFields
+            value={value}
+            onFieldChange={update}
+            sslModes={['disable', 'allow', 'prefer', 'require']}
+            hostPlaceholder="db.staging.local"
+          />
+
+          <label className="flex items-start gap-2 text-sm text-slate-700 cursor-pointer">
+            <input
+              type="checkbox"
+              className="mt-1"
+              checked={value.includeDrop}
+              onChange={(e) => onChange({ ...value, includeDrop: e.target.checked })}
+            />
+            <span>
+              Supprimer les tables existantes portant le même nom (<span className="font-mono">include drop</span>)
+            </span>
+          </label>
+          {value.includeDrop && (
+            <p className="rounded-lg border border-amber-200 bg-amber-50 px-3 py-2 text-sm text-amber-800">
+              Les tables de ce serveur qui portent le nom d’une table migrée seront supprimées avec leurs données avant le chargement.
+            </p>
+          )}
+
+          <div className="flex flex-wrap items-center gap-3">
+            <button type="button" className="btn-secondary" onClick={handleTest} disabled={testing}>
+              {testing ? 'Test en cours…' : 'Tester la connexion'}
+            </button>
+            {testResult?.ok && (
+              <p className={`text-sm ${testResult.canCreateSchema ? 'text-emerald-700' : 'text-amber-700'}`}>
+                Connexion réussie (PostgreSQL {testResult.serverVersion})
+                {!testResult.canCreateSchema && ' — cet utilisateur ne peut pas créer de schéma dans cette base'}
+              </p>
+            )}
+            {testResult && !testResult.ok && (
+              <p className="text-sm text-rose-700 break-words">{testResult.error}</p>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default TargetConnection
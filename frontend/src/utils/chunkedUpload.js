@@ -0,0 +1,114 @@
+import { API_BASE_URL, apiFetch, readErrorMessage } from './config'
+
+const RESUME_STORAGE_PREFIX = 'upload-session:'
+const MAX_RETRIES = 20
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+// Same file selected again after a reload => same key => resume the old session
+const fileKey = (file) => `${RESUME_STORAGE_PREFIX}${file.name}:${file.size}:${file.lastModified}`
+
+class HttpError extends Error {
+  constructor(message, status, body = {}) {
+    super(message)
+    this.status = status
+    this.body = body
+  }
+}
+
+async function requestJson(url, options) {
+  const response = await apiFetch(url, options)
+  if (!response.ok) {
+    const body = await response.clone().json().catch(() => ({}))
+    throw new HttpError(await readErrorMessage(response), response.status, body)
+  }
+  return response.json()
+}
+
+async function openSession(file) {
+  const storedId = localStorage.getItem(fileKey(file))
+  if (storedId) {
+    try {
+      return await requestJson(`${API_BASE_URL}/uploads/${storedId}`)
+    } catch {
+      localStorage.removeItem(fileKey(file))
+    }
+  }
+
+  const session = await requestJson(`${API_BASE_URL}/uploads`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ fileName: file.name, fileSize: file.size })
+  })
+  localStorage.setItem(fileKey(file), session.uploadId)
+  return session
+}
+
+/**
+ * Upload a file in chunks, resuming from the server offset after network errors.
+ * onProgress({ sentBytes, totalBytes, retrying }) is called after each chunk and retry.
+ * Resolves with the /complete payload ({ migrationId, fileName, fileSize }).
+ */
+export async function uploadFileInChunks(file, { onProgress } = {}) {
+  let session = await openSession(file)
+  let { uploadId, chunkSize } = session
+  let offset = session.offset
+  let retries = 0
+  let restarted = false
+
+  onProgress?.({ sentBytes: offset, totalBytes: file.size, retrying: false })
+
+  while (offset < file.size) {
+    try {
+      const chunk = file.slice(offset, Math.min(offset + chunkSize, file.size))
+      const result = await requestJson(`${API_BASE_URL}/uploads/${uploadId}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/octet-stream',
+          'Upload-Offset': String(offset)
+        },
+        body: chunk
+      })
+      offset = result.offset
+      retries = 0
+      onProgress?.({ sentBytes: offset, totalBytes: file.size, retrying: false })
+    } catch (err) {
+      // Server has a different offset: resynchronise and go on
+      if (err instanceof HttpError && err.status === 409 && typeof err.body.offset === 'number') {
+        // Same offset: the previous, interrupted chunk is still being flushed server-side
+        if (err.body.offset === offset) await sleep(1000)
+        offset = err.body.offset
+        continue
+      }
+      // Session gone (expired, backend restarted): start the upload over, once
+      if (err instanceof HttpError && err.status === 404) {
+        localStorage.removeItem(fileKey(file))
+        if (restarted) throw err
+        restarted = true
+        session = await openSession(file)
+        uploadId = session.uploadId
+        chunkSize = session.chunkSize
+        offset = session.offset
+        onProgress?.({ sentBytes: offset, totalBytes: file.size, retrying: true })
+        continue
+      }
+      // Other client errors are final (file too large...)
+      if (err instanceof HttpError && err.status < 500) throw err
+
+      retries += 1
+      if (retries > MAX_RETRIES) throw new Error('Connexion perdue pendant le téléversement')
+      onProgress?.({ sentBytes: offset, totalBytes: file.size, retrying: true })
+      await sleep(Math.min(1000 * 2 ** (retries - 1), 15000))
+
+      try {
+        offset = (await requestJson(`${API_BASE_URL}/uploads/${uploadId}`)).offset
+      } catch {
+        // Still offline: keep the last known offset, next PUT will be resynchronised
+      }
+    }
+  }
+
+  const result = await requestJson(`${API_BASE_URL}/uploads/${uploadId}/complete`, { method: 'POST' })
+  localStorage.removeItem(fileKey(file))
+  return result
+}
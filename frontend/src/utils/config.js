@@ -19,3 +19,46 @@ export async function readErrorMessage(response) {
     return `HTTP ${response.status}`;
   }
 }
+
+const ACCESS_TOKEN_KEY = 'access-token'
+const unauthorizedListeners = new Set()
+
+export const getAccessToken = () => sessionStorage.getItem(ACCESS_TOKEN_KEY)
+
+export const setAccessToken = (token) => {
+  if (token) sessionStorage.setItem(ACCESS_TOKEN_KEY, token)
+  else sessionStorage.removeItem(ACCESS_TOKEN_KEY)
+}
+
+/**
+ * Called when the API rejects the stored token (expired session, revoked token)
+ */
+export const onUnauthorized = (listener) => {
+  unauthorizedListeners.add(listener)
+  return () => unauthorizedListeners.delete(listener)
+}
+
+/**
+ * fetch() with the access token of the signed-in user
+ */
+export async function apiFetch(url, options = {}) {
+  const token = getAccessToken()
+  const headers = new Headers(options.headers)
+  if (token) headers.set('Authorization', `Bearer ${token}`)
+
+  const response = await fetch(url, { ...options, headers })
+  if (response.status === 401 && token) {
+    setAccessToken(null)
+    unauthorizedListeners.forEach(listener => listener())
+  }
+  return response
+}
+
+/**
+ * URL carrying the access token, for EventSource which cannot send headers
+ */
+export const withAccessToken = (url) => {
+  const token = getAccessToken()
+  if (!token) return url
+  return `${url}${url.includes('?') ? '&' : '?'}access_token=${encodeURIComponent(token)}`
+}